@@ -1,18 +1,9 @@
--- Learning Platform Database Schema
-
--- Drop existing tables if they exist
-DROP TABLE IF EXISTS chat_messages CASCADE;
-DROP TABLE IF EXISTS quiz_attempts CASCADE;
-DROP TABLE IF EXISTS quiz_answers CASCADE;
-DROP TABLE IF EXISTS quiz_questions CASCADE;
-DROP TABLE IF EXISTS quizzes CASCADE;
-DROP TABLE IF EXISTS lesson_progress CASCADE;
-DROP TABLE IF EXISTS lessons CASCADE;
-DROP TABLE IF EXISTS topics CASCADE;
-DROP TABLE IF EXISTS users CASCADE;
+-- Initial Learning Platform Schema
+-- Core tables for users, topics, lessons, quizzes and chat
 
+-- migrate:up
 -- Create users table
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     username VARCHAR(100) UNIQUE NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
@@ -29,7 +20,7 @@ CREATE TABLE users (
 );
 
 -- Create topics table
-CREATE TABLE topics (
+CREATE TABLE IF NOT EXISTS topics (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     description TEXT,
@@ -39,7 +30,7 @@ CREATE TABLE topics (
 );
 
 -- Create lessons table
-CREATE TABLE lessons (
+CREATE TABLE IF NOT EXISTS lessons (
     id SERIAL PRIMARY KEY,
     topic_id INTEGER REFERENCES topics(id) ON DELETE CASCADE,
     title VARCHAR(255) NOT NULL,
@@ -50,7 +41,7 @@ CREATE TABLE lessons (
 );
 
 -- Create lesson_progress table to track user progress
-CREATE TABLE lesson_progress (
+CREATE TABLE IF NOT EXISTS lesson_progress (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
@@ -62,7 +53,7 @@ CREATE TABLE lesson_progress (
 );
 
 -- Create quizzes table
-CREATE TABLE quizzes (
+CREATE TABLE IF NOT EXISTS quizzes (
     id SERIAL PRIMARY KEY,
     topic_id INTEGER REFERENCES topics(id) ON DELETE CASCADE,
     title VARCHAR(255) NOT NULL,
@@ -73,7 +64,7 @@ CREATE TABLE quizzes (
 );
 
 -- Create quiz_questions table
-CREATE TABLE quiz_questions (
+CREATE TABLE IF NOT EXISTS quiz_questions (
     id SERIAL PRIMARY KEY,
     quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
     question TEXT NOT NULL,
@@ -85,7 +76,7 @@ CREATE TABLE quiz_questions (
 );
 
 -- Create quiz_attempts table to track user quiz attempts
-CREATE TABLE quiz_attempts (
+CREATE TABLE IF NOT EXISTS quiz_attempts (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
@@ -96,7 +87,7 @@ CREATE TABLE quiz_attempts (
 );
 
 -- Create quiz_answers table to store individual answers
-CREATE TABLE quiz_answers (
+CREATE TABLE IF NOT EXISTS quiz_answers (
     id SERIAL PRIMARY KEY,
     attempt_id INTEGER REFERENCES quiz_attempts(id) ON DELETE CASCADE,
     question_id INTEGER REFERENCES quiz_questions(id) ON DELETE CASCADE,
@@ -106,7 +97,7 @@ CREATE TABLE quiz_answers (
 );
 
 -- Create chat_messages table for lesson conversations
-CREATE TABLE chat_messages (
+CREATE TABLE IF NOT EXISTS chat_messages (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
@@ -116,17 +107,17 @@ CREATE TABLE chat_messages (
 );
 
 -- Create indexes for better query performance
-CREATE INDEX idx_topics_user_id ON topics(user_id);
-CREATE INDEX idx_lessons_topic_id ON lessons(topic_id);
-CREATE INDEX idx_lesson_progress_user_id ON lesson_progress(user_id);
-CREATE INDEX idx_lesson_progress_lesson_id ON lesson_progress(lesson_id);
-CREATE INDEX idx_quizzes_topic_id ON quizzes(topic_id);
-CREATE INDEX idx_quiz_questions_quiz_id ON quiz_questions(quiz_id);
-CREATE INDEX idx_quiz_attempts_user_id ON quiz_attempts(user_id);
-CREATE INDEX idx_quiz_attempts_quiz_id ON quiz_attempts(quiz_id);
-CREATE INDEX idx_quiz_answers_attempt_id ON quiz_answers(attempt_id);
-CREATE INDEX idx_chat_messages_user_id ON chat_messages(user_id);
-CREATE INDEX idx_chat_messages_lesson_id ON chat_messages(lesson_id);
+CREATE INDEX IF NOT EXISTS idx_topics_user_id ON topics(user_id);
+CREATE INDEX IF NOT EXISTS idx_lessons_topic_id ON lessons(topic_id);
+CREATE INDEX IF NOT EXISTS idx_lesson_progress_user_id ON lesson_progress(user_id);
+CREATE INDEX IF NOT EXISTS idx_lesson_progress_lesson_id ON lesson_progress(lesson_id);
+CREATE INDEX IF NOT EXISTS idx_quizzes_topic_id ON quizzes(topic_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz_id ON quiz_questions(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_id ON quiz_attempts(user_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_quiz_id ON quiz_attempts(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_answers_attempt_id ON quiz_answers(attempt_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_user_id ON chat_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_lesson_id ON chat_messages(lesson_id);
 
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -138,77 +129,38 @@ END;
 $$ language 'plpgsql';
 
 -- Create triggers to automatically update updated_at
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_topics_updated_at ON topics;
 CREATE TRIGGER update_topics_updated_at BEFORE UPDATE ON topics
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_lessons_updated_at ON lessons;
 CREATE TRIGGER update_lessons_updated_at BEFORE UPDATE ON lessons
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_lesson_progress_updated_at ON lesson_progress;
 CREATE TRIGGER update_lesson_progress_updated_at BEFORE UPDATE ON lesson_progress
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_quizzes_updated_at ON quizzes;
 CREATE TRIGGER update_quizzes_updated_at BEFORE UPDATE ON quizzes
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_quiz_questions_updated_at ON quiz_questions;
 CREATE TRIGGER update_quiz_questions_updated_at BEFORE UPDATE ON quiz_questions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Insert sample data for testing
-INSERT INTO users (username, email, password_hash) VALUES
-('demo', 'demo@example.com', '$2a$10$YourHashedPasswordHere'); -- Password should be hashed with bcrypt
-
--- Get the demo user id
-DO $$
-DECLARE
-    demo_user_id INTEGER;
-    react_topic_id INTEGER;
-    js_topic_id INTEGER;
-    react_quiz_id INTEGER;
-    js_quiz_id INTEGER;
-BEGIN
-    SELECT id INTO demo_user_id FROM users WHERE username = 'demo';
-    
-    -- Insert sample topics
-    INSERT INTO topics (name, description, user_id) VALUES
-    ('Introduction to React', 'Learn the basics of React library', demo_user_id)
-    RETURNING id INTO react_topic_id;
-    
-    INSERT INTO topics (name, description, user_id) VALUES
-    ('JavaScript Basics', 'Fundamental concepts of JavaScript', demo_user_id)
-    RETURNING id INTO js_topic_id;
-    
-    -- Insert sample lessons for React topic
-    INSERT INTO lessons (topic_id, title, content, order_index) VALUES
-    (react_topic_id, 'What is React?', 'React is a JavaScript library for building user interfaces.', 1),
-    (react_topic_id, 'JSX Basics', 'JSX is a syntax extension for JavaScript.', 2),
-    (react_topic_id, 'Components', 'Components are the building blocks of React applications.', 3);
-    
-    -- Insert sample lessons for JavaScript topic
-    INSERT INTO lessons (topic_id, title, content, order_index) VALUES
-    (js_topic_id, 'Variables and Data Types', 'Learn about var, let, const and data types.', 1),
-    (js_topic_id, 'Functions', 'Understanding functions in JavaScript.', 2);
-    
-    -- Insert sample quizzes
-    INSERT INTO quizzes (topic_id, title, description, order_index) VALUES
-    (react_topic_id, 'React Fundamentals Quiz', 'Test your knowledge of React basics', 1)
-    RETURNING id INTO react_quiz_id;
-    
-    INSERT INTO quizzes (topic_id, title, description, order_index) VALUES
-    (js_topic_id, 'JavaScript Quiz', 'Test your JavaScript knowledge', 1)
-    RETURNING id INTO js_quiz_id;
-    
-    -- Insert quiz questions for React quiz
-    INSERT INTO quiz_questions (quiz_id, question, options, correct_answer, order_index) VALUES
-    (react_quiz_id, 'What is React?', 
-     '["A library", "A framework", "A language", "A database"]'::jsonb, 0, 1),
-    (react_quiz_id, 'What does JSX stand for?', 
-     '["JavaScript XML", "Java Syntax Extension", "JavaScript Extension", "Java XML"]'::jsonb, 0, 2);
-    
-    -- Insert quiz questions for JavaScript quiz
-    INSERT INTO quiz_questions (quiz_id, question, options, correct_answer, order_index) VALUES
-    (js_quiz_id, 'Which keyword is used to declare a constant?', 
-     '["var", "let", "const", "static"]'::jsonb, 2, 1);
-END $$;
+-- migrate:down
+DROP TABLE IF EXISTS chat_messages CASCADE;
+DROP TABLE IF EXISTS quiz_answers CASCADE;
+DROP TABLE IF EXISTS quiz_attempts CASCADE;
+DROP TABLE IF EXISTS quiz_questions CASCADE;
+DROP TABLE IF EXISTS quizzes CASCADE;
+DROP TABLE IF EXISTS lesson_progress CASCADE;
+DROP TABLE IF EXISTS lessons CASCADE;
+DROP TABLE IF EXISTS topics CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+DROP FUNCTION IF EXISTS update_updated_at_column();
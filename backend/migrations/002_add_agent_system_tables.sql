@@ -1,3 +1,4 @@
+-- migrate:up
 -- User Preferences and Personality Table
 CREATE TABLE IF NOT EXISTS user_preferences (
   id SERIAL PRIMARY KEY,
@@ -117,7 +118,20 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS user_preferences_updated_at ON user_preferences;
 CREATE TRIGGER user_preferences_updated_at
 BEFORE UPDATE ON user_preferences
 FOR EACH ROW
 EXECUTE FUNCTION update_user_preferences_updated_at();
+
+-- migrate:down
+DROP TABLE IF EXISTS system_prompt_history CASCADE;
+DROP TABLE IF EXISTS lesson_evaluations CASCADE;
+DROP TABLE IF EXISTS learning_paths CASCADE;
+DROP TABLE IF EXISTS user_preferences CASCADE;
+DROP FUNCTION IF EXISTS update_user_preferences_updated_at();
+
+ALTER TABLE chat_messages DROP COLUMN IF EXISTS model_score;
+ALTER TABLE chat_messages DROP COLUMN IF EXISTS passed_evaluation;
+ALTER TABLE chat_messages DROP COLUMN IF EXISTS evaluation_feedback;
+ALTER TABLE chat_messages DROP COLUMN IF EXISTS system_prompt_version;
@@ -1,3 +1,4 @@
+-- migrate:up
 -- Add preference columns to users table
 ALTER TABLE users ADD COLUMN IF NOT EXISTS learning_style VARCHAR(50);
 ALTER TABLE users ADD COLUMN IF NOT EXISTS pace VARCHAR(20) DEFAULT 'medium';
@@ -21,3 +22,8 @@ CREATE TRIGGER users_updated_at
 BEFORE UPDATE ON users
 FOR EACH ROW
 EXECUTE FUNCTION update_users_updated_at();
+
+-- migrate:down
+-- The preference columns are part of the initial users table, so only the trigger is removed
+DROP TRIGGER IF EXISTS users_updated_at ON users;
+DROP FUNCTION IF EXISTS update_users_updated_at();
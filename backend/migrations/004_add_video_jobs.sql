@@ -0,0 +1,45 @@
+-- Video Generation Jobs Table
+-- Sora videos take minutes to render, so generation runs in a background
+-- worker instead of inside the chat request
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS video_jobs (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+  chat_message_id INTEGER REFERENCES chat_messages(id) ON DELETE SET NULL,
+
+  -- Job State
+  status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, in_progress, completed, failed
+  progress NUMERIC(5, 2) DEFAULT 0,
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  error TEXT,
+
+  -- Provider Details
+  model VARCHAR(50) NOT NULL DEFAULT 'sora-2-pro',
+  prompt TEXT NOT NULL,
+  provider_video_id VARCHAR(255), -- Set once the provider accepts the job, used to resume after restarts
+
+  -- Result
+  video_url TEXT,
+  local_path TEXT,
+  video_data JSONB DEFAULT '{}', -- Title, narration and takeaways rendered alongside the video
+
+  -- Scheduling
+  next_run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Worker picks the job up at or after this time
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+
+  CONSTRAINT valid_video_job_status CHECK (status IN ('queued', 'in_progress', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_jobs_pending ON video_jobs(next_run_at) WHERE status IN ('queued', 'in_progress');
+CREATE INDEX IF NOT EXISTS idx_video_jobs_user ON video_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_video_jobs_chat_message ON video_jobs(chat_message_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS video_jobs CASCADE;
@@ -0,0 +1,57 @@
+-- Flashcards Table
+-- Cards generated by FlashcardGenerator, scheduled per user with SM-2
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS flashcards (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+
+  -- Card Content
+  topic VARCHAR(255),
+  subtopic VARCHAR(255),
+  front TEXT NOT NULL,
+  back TEXT NOT NULL,
+  difficulty VARCHAR(20) DEFAULT 'medium', -- easy, medium, hard
+  tags JSONB DEFAULT '[]',
+  hint TEXT,
+  mnemonic TEXT,
+  example TEXT,
+
+  -- SM-2 Scheduling State
+  ease_factor NUMERIC(4, 2) DEFAULT 2.5,
+  interval_days INTEGER DEFAULT 0,
+  repetitions INTEGER DEFAULT 0, -- Consecutive successful reviews
+  lapses INTEGER DEFAULT 0, -- Times the card was forgotten
+  due_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_reviewed_at TIMESTAMP,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Flashcard Reviews Table
+-- One row per review so scheduling decisions can be audited
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+  id SERIAL PRIMARY KEY,
+  flashcard_id INTEGER NOT NULL REFERENCES flashcards(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  grade VARCHAR(10) NOT NULL, -- again, hard, good, easy
+  quality INTEGER NOT NULL, -- SM-2 quality (0-5) derived from the grade
+  previous_interval_days INTEGER,
+  new_interval_days INTEGER,
+  previous_ease_factor NUMERIC(4, 2),
+  new_ease_factor NUMERIC(4, 2),
+  reviewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT valid_flashcard_grade CHECK (grade IN ('again', 'hard', 'good', 'easy'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_due ON flashcards(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_flashcards_lesson ON flashcards(lesson_id);
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_flashcard ON flashcard_reviews(flashcard_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS flashcard_reviews CASCADE;
+DROP TABLE IF EXISTS flashcards CASCADE;
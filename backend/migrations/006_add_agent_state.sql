@@ -0,0 +1,22 @@
+-- Agent State Table
+-- Key/value state the agents keep between requests (rubrics, evaluations,
+-- learning patterns, active system prompts...), grouped by agent and namespace
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS agent_state (
+  agent VARCHAR(100) NOT NULL, -- Agent name, e.g. LessonEvaluator
+  namespace VARCHAR(100) NOT NULL, -- Collection within the agent, e.g. rubrics
+  key VARCHAR(255) NOT NULL,
+  value JSONB NOT NULL,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (agent, namespace, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_state_updated ON agent_state(agent, namespace, updated_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS agent_state CASCADE;
@@ -0,0 +1,36 @@
+-- LLM Usage Table
+-- One row per LLM call with its token counts, latency and cost.
+-- No foreign keys: usage stays in the books after users or lessons are deleted.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Attribution
+  request_id VARCHAR(64), -- X-Request-Id of the API request that triggered the call
+  user_id INTEGER,
+  lesson_id INTEGER,
+  agent VARCHAR(100),
+  action VARCHAR(100),
+
+  -- Call Details
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  total_tokens INTEGER DEFAULT 0,
+  estimated BOOLEAN DEFAULT FALSE, -- Token counts estimated because the provider reported none
+  latency_ms INTEGER,
+  cost_usd NUMERIC(12, 6), -- NULL when the model has no configured pricing
+  success BOOLEAN DEFAULT TRUE,
+  error TEXT,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_request ON llm_usage(request_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS llm_usage CASCADE;
@@ -0,0 +1,21 @@
+-- User Quotas Table
+-- Per-user overrides of the role budgets in src/config/quotas.js.
+-- A NULL column keeps the role's limit for that period and metric.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS user_quotas (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  daily_tokens INTEGER,
+  monthly_tokens INTEGER,
+  daily_videos INTEGER,
+  monthly_videos INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Video budgets count video_jobs per user and period (token budgets sum llm_usage)
+CREATE INDEX IF NOT EXISTS idx_video_jobs_user_created ON video_jobs(user_id, created_at);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_video_jobs_user_created;
+DROP TABLE IF EXISTS user_quotas CASCADE;
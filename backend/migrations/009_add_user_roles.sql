@@ -0,0 +1,12 @@
+-- User Roles
+-- learner (default), instructor or admin; see src/config/roles.js
+
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'learner';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS valid_user_role;
+ALTER TABLE users ADD CONSTRAINT valid_user_role CHECK (role IN ('learner', 'instructor', 'admin'));
+
+-- migrate:down
+ALTER TABLE users DROP CONSTRAINT IF EXISTS valid_user_role;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
@@ -0,0 +1,30 @@
+-- Quiz Question Types
+-- Questions carry a type (see src/services/quizQuestionTypes.js). correct_answer and
+-- selected_answer become JSONB so each type can store its own answer shape.
+
+-- migrate:up
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'multiple_choice';
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}'; -- Type-specific data shown to learners
+ALTER TABLE quiz_questions ALTER COLUMN options DROP NOT NULL;
+ALTER TABLE quiz_questions ALTER COLUMN correct_answer TYPE JSONB USING to_jsonb(correct_answer);
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS valid_question_type;
+ALTER TABLE quiz_questions ADD CONSTRAINT valid_question_type
+  CHECK (type IN ('multiple_choice', 'multiple_select', 'fill_blank', 'ordering', 'free_text', 'code'));
+
+ALTER TABLE quiz_answers ALTER COLUMN selected_answer TYPE JSONB USING to_jsonb(selected_answer);
+ALTER TABLE quiz_answers ADD COLUMN IF NOT EXISTS score NUMERIC(4, 3); -- Credit between 0 and 1
+ALTER TABLE quiz_answers ADD COLUMN IF NOT EXISTS feedback TEXT;
+
+-- migrate:down
+DELETE FROM quiz_questions WHERE type <> 'multiple_choice';
+
+ALTER TABLE quiz_answers DROP COLUMN IF EXISTS feedback;
+ALTER TABLE quiz_answers DROP COLUMN IF EXISTS score;
+ALTER TABLE quiz_answers ALTER COLUMN selected_answer TYPE INTEGER USING (selected_answer #>> '{}')::integer;
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS valid_question_type;
+ALTER TABLE quiz_questions ALTER COLUMN correct_answer TYPE INTEGER USING (correct_answer #>> '{}')::integer;
+ALTER TABLE quiz_questions ALTER COLUMN options SET NOT NULL;
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS settings;
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS type;
@@ -0,0 +1,60 @@
+-- Adaptive Quiz Sessions
+-- Topics opt in with adaptive_quizzes; each session picks questions one at a time
+-- from the learner's answers so far (see src/services/adaptiveQuizService.js).
+-- Questions generated during a session are appended to the session's quiz.
+
+-- migrate:up
+ALTER TABLE topics ADD COLUMN IF NOT EXISTS adaptive_quizzes BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS concept VARCHAR(255);
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS difficulty VARCHAR(10) NOT NULL DEFAULT 'medium';
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS valid_question_difficulty;
+ALTER TABLE quiz_questions ADD CONSTRAINT valid_question_difficulty CHECK (difficulty IN ('easy', 'medium', 'hard'));
+
+CREATE TABLE IF NOT EXISTS quiz_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- active, completed
+
+  -- Beta posterior over the probability of answering correctly
+  mastery_alpha NUMERIC(6, 3) NOT NULL DEFAULT 1,
+  mastery_beta NUMERIC(6, 3) NOT NULL DEFAULT 1,
+  current_question_id INTEGER REFERENCES quiz_questions(id) ON DELETE SET NULL,
+  stop_reason VARCHAR(20), -- mastered, not_mastered, max_questions, no_questions
+
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT valid_quiz_session_status CHECK (status IN ('active', 'completed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_user ON quiz_sessions(user_id, started_at DESC);
+
+-- One row per question asked, answered or not
+CREATE TABLE IF NOT EXISTS quiz_session_items (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES quiz_sessions(id) ON DELETE CASCADE,
+  question_id INTEGER NOT NULL REFERENCES quiz_questions(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  selected_answer JSONB,
+  is_correct BOOLEAN,
+  score NUMERIC(4, 3),
+  feedback TEXT,
+  asked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  answered_at TIMESTAMP,
+
+  UNIQUE(session_id, question_id)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS quiz_session_items;
+DROP TABLE IF EXISTS quiz_sessions;
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS valid_question_difficulty;
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS difficulty;
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS concept;
+
+ALTER TABLE topics DROP COLUMN IF EXISTS adaptive_quizzes;
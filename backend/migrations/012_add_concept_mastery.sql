@@ -0,0 +1,30 @@
+-- Concept Mastery
+-- Lessons are tagged with the concepts they teach (quiz questions already carry one).
+-- concept_mastery holds a knowledge-tracing estimate per user and concept, updated
+-- from quiz answers, lesson completions and chat signals (see src/services/conceptMasteryService.js).
+
+-- migrate:up
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS concepts JSONB NOT NULL DEFAULT '[]'; -- ["Closures", "Scope"]
+
+CREATE TABLE IF NOT EXISTS concept_mastery (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+  concept VARCHAR(255) NOT NULL,
+
+  p_known NUMERIC(5, 4) NOT NULL, -- Probability the learner knows the concept
+  observations INTEGER NOT NULL DEFAULT 0, -- Graded answers seen
+  correct_observations NUMERIC(8, 3) NOT NULL DEFAULT 0, -- Sum of answer credit
+  last_signal VARCHAR(30), -- quiz_answer, lesson_completed, chat_confusion
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE(user_id, topic_id, concept)
+);
+
+CREATE INDEX IF NOT EXISTS idx_concept_mastery_user_topic ON concept_mastery(user_id, topic_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS concept_mastery;
+ALTER TABLE lessons DROP COLUMN IF EXISTS concepts;
@@ -0,0 +1,31 @@
+-- Learning Path Revisions
+-- Re-planning changes a learner's upcoming lessons after a failed quiz, repeated
+-- confusion in the lesson chat or an explicit request: it inserts remedial lessons,
+-- moves lessons on weak concepts forward and skips mastered ones
+-- (see src/services/learningPathService.js). Every re-plan is stored as a diff.
+
+-- migrate:up
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS remedial BOOLEAN NOT NULL DEFAULT false; -- Inserted by a re-plan
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS skipped BOOLEAN NOT NULL DEFAULT false; -- Already mastered; does not block the path
+
+-- Stuck detections in the lesson chat since the last re-plan
+ALTER TABLE lesson_progress ADD COLUMN IF NOT EXISTS stuck_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS learning_path_revisions (
+  id SERIAL PRIMARY KEY,
+  topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  triggered_by VARCHAR(30) NOT NULL, -- quiz_failed, repeated_stuck, manual
+  trigger_details JSONB DEFAULT '{}',
+  changes JSONB NOT NULL, -- [{op: "insert"|"move"|"skip", lessonId, title, from, to, reason}]
+  summary TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_learning_path_revisions_topic ON learning_path_revisions(topic_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS learning_path_revisions;
+ALTER TABLE lesson_progress DROP COLUMN IF EXISTS stuck_count;
+ALTER TABLE lessons DROP COLUMN IF EXISTS skipped;
+ALTER TABLE lessons DROP COLUMN IF EXISTS remedial;
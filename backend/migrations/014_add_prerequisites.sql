@@ -0,0 +1,54 @@
+-- Prerequisite Graph
+-- Each row says an item (lesson or quiz) requires another item of the same topic.
+-- Together they form a DAG that drives unlocking and "what next" recommendations
+-- (see src/services/prerequisiteService.js); cycles are rejected on write.
+-- Existing topics are backfilled with the old linear order: each lesson requires
+-- the one before it and each quiz the last lesson up to its position.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS prerequisites (
+  id SERIAL PRIMARY KEY,
+  topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+
+  -- The item that is locked until its requirement is met (exactly one is set)
+  lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+  quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+
+  -- The requirement: a lesson to complete or a quiz to pass (exactly one is set)
+  required_lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+  required_quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT valid_prerequisite_item CHECK (num_nonnulls(lesson_id, quiz_id) = 1),
+  CONSTRAINT valid_prerequisite_requirement CHECK (num_nonnulls(required_lesson_id, required_quiz_id) = 1)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prerequisites_edge ON prerequisites(
+  COALESCE(lesson_id, 0), COALESCE(quiz_id, 0), COALESCE(required_lesson_id, 0), COALESCE(required_quiz_id, 0)
+);
+CREATE INDEX IF NOT EXISTS idx_prerequisites_topic ON prerequisites(topic_id);
+
+INSERT INTO prerequisites (topic_id, lesson_id, required_lesson_id)
+SELECT topic_id, id, previous_id FROM (
+  SELECT topic_id, id, LAG(id) OVER (PARTITION BY topic_id ORDER BY order_index, id) AS previous_id
+  FROM lessons
+) ordered
+WHERE previous_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM prerequisites p WHERE p.topic_id = ordered.topic_id);
+
+INSERT INTO prerequisites (topic_id, quiz_id, required_lesson_id)
+SELECT topic_id, id, lesson_id FROM (
+  SELECT q.topic_id, q.id, (
+    SELECT l.id FROM lessons l
+    WHERE l.topic_id = q.topic_id AND l.order_index <= q.order_index
+    ORDER BY l.order_index DESC, l.id DESC
+    LIMIT 1
+  ) AS lesson_id
+  FROM quizzes q
+) placed
+WHERE lesson_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM prerequisites p WHERE p.quiz_id IS NOT NULL AND p.topic_id = placed.topic_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS prerequisites;
@@ -0,0 +1,33 @@
+-- xAPI Statement Outbox
+-- Learning activity is recorded as xAPI statements in the same database as the
+-- activity itself, then delivered to the configured Learning Record Store by a
+-- background worker (see src/services/xapiWorker.js) so an LRS outage never
+-- loses statements or slows down requests.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS xapi_statements (
+  id SERIAL PRIMARY KEY,
+  statement_id UUID NOT NULL UNIQUE, -- The statement's own "id", so redelivery is idempotent at the LRS
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  verb VARCHAR(50) NOT NULL, -- Short verb name, e.g. completed, passed
+  statement JSONB NOT NULL,
+
+  -- Delivery State
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, failed
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 10,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Worker picks the statement up at or after this time
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+
+  CONSTRAINT valid_xapi_statement_status CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_xapi_statements_pending ON xapi_statements(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_xapi_statements_user ON xapi_statements(user_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS xapi_statements;
@@ -0,0 +1,57 @@
+-- Outbound Webhooks
+-- Users register endpoint URLs for platform events (topic.created,
+-- lesson.completed, quiz.submitted, video.ready). Each event becomes one
+-- delivery row per matching webhook, which the webhook worker POSTs with an
+-- HMAC signature and retries with backoff (see src/services/webhookWorker.js).
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS webhooks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description TEXT,
+  events TEXT[] NOT NULL, -- Event types this endpoint receives
+  secret VARCHAR(100) NOT NULL, -- HMAC-SHA256 key for the X-Webhook-Signature header
+  all_users BOOLEAN NOT NULL DEFAULT false, -- Admin webhooks can receive every user's events
+  active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL, -- Shared by every delivery (and redelivery) of one event
+  event VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+
+  -- Delivery State
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, delivered, failed
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 8,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Worker picks the delivery up at or after this time
+
+  -- Last Attempt
+  response_status INTEGER,
+  response_body TEXT, -- First 2 KB of the endpoint's response
+  duration_ms INTEGER,
+  last_error TEXT,
+
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP,
+
+  CONSTRAINT valid_webhook_delivery_status CHECK (status IN ('pending', 'delivered', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
@@ -0,0 +1,19 @@
+-- Password Reset Tokens
+-- Only a SHA-256 hash of each token is stored; the token itself is e-mailed
+-- to the user. Tokens expire, work once, and requesting a new one revokes the
+-- user's earlier unused tokens.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP, -- Set when the token is redeemed or revoked
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS password_reset_tokens;
@@ -0,0 +1,27 @@
+-- Email Verification
+-- users.email_verified_at is set once the user opens the link e-mailed to
+-- them and cleared when they change their address. Tokens are stored hashed,
+-- expire, work once and are tied to the address they were sent to.
+-- Accounts that exist before this migration are treated as verified so
+-- turning on REQUIRE_EMAIL_VERIFICATION doesn't lock them out.
+
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL, -- Address the link was sent to
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP, -- Set when the token is redeemed or revoked
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens(user_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS email_verification_tokens;
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
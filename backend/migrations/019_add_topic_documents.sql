@@ -0,0 +1,46 @@
+-- Topic Documents
+-- Source material uploaded to a topic (markdown, text or PDF), split into
+-- passages the tutor retrieves for each chat turn. Each chunk stores its term
+-- counts for BM25 ranking; the GIN index finds the chunks sharing a query term.
+-- chat_messages.sources records the passages an answer was grounded in.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS topic_documents (
+  id SERIAL PRIMARY KEY,
+  topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+  uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  title VARCHAR(255) NOT NULL,
+  filename VARCHAR(255),
+  format VARCHAR(20) NOT NULL CHECK (format IN ('markdown', 'text', 'pdf')),
+  size_bytes INTEGER NOT NULL,
+  content_sha256 CHAR(64) NOT NULL,
+  page_count INTEGER, -- PDFs only
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (topic_id, content_sha256)
+);
+
+CREATE TABLE IF NOT EXISTS document_chunks (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER NOT NULL REFERENCES topic_documents(id) ON DELETE CASCADE,
+  topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  heading TEXT, -- Markdown heading path, e.g. "Setup > Install"
+  page INTEGER, -- PDF page number
+  content TEXT NOT NULL,
+  term_counts JSONB NOT NULL, -- BM25 index entry: term -> occurrences
+  term_total INTEGER NOT NULL, -- Chunk length in terms
+  UNIQUE (document_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_documents_topic ON topic_documents(topic_id);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_topic ON document_chunks(topic_id);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_terms ON document_chunks USING GIN (term_counts);
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS sources JSONB;
+
+-- migrate:down
+ALTER TABLE chat_messages DROP COLUMN IF EXISTS sources;
+DROP TABLE IF EXISTS document_chunks;
+DROP TABLE IF EXISTS topic_documents;
@@ -0,0 +1,37 @@
+-- Conversation Memory
+-- lesson_summaries holds a rolling summary of each learner's chat in a lesson,
+-- extended after every turn with the messages since last_message_id.
+-- learner_memories holds what the tutor should remember about a learner across
+-- lessons: misconceptions, problems they solved and goals they stated.
+-- Misconceptions the learner later overcomes are resolved rather than deleted.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS lesson_summaries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  summary TEXT NOT NULL,
+  last_message_id INTEGER NOT NULL, -- Newest chat_messages.id folded into the summary
+  message_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, lesson_id)
+);
+
+CREATE TABLE IF NOT EXISTS learner_memories (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('misconception', 'solved_problem', 'goal')),
+  content TEXT NOT NULL,
+  lesson_id INTEGER REFERENCES lessons(id) ON DELETE SET NULL, -- Where it came up
+  topic_id INTEGER REFERENCES topics(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP, -- Misconception cleared up or goal reached
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_learner_memories_user ON learner_memories(user_id, last_seen_at DESC) WHERE resolved_at IS NULL;
+
+-- migrate:down
+DROP TABLE IF EXISTS learner_memories;
+DROP TABLE IF EXISTS lesson_summaries;
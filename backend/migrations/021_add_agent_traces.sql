@@ -0,0 +1,50 @@
+-- Agent Traces
+-- agent_spans holds one row per message sent between agents and per pipeline
+-- run, with what was asked, what came back, how long it took and which model
+-- answered. Spans of one API request share its X-Request-Id as trace_id and
+-- nest through parent_span_id. LLM calls in llm_usage point to the span that
+-- made them.
+-- No foreign keys, like llm_usage: traces outlive the users and lessons they mention.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS agent_spans (
+  id BIGSERIAL PRIMARY KEY,
+  span_id VARCHAR(64) NOT NULL UNIQUE,
+  trace_id VARCHAR(64) NOT NULL,
+  parent_span_id VARCHAR(64), -- NULL for the root of a trace
+
+  -- Attribution
+  user_id INTEGER,
+  lesson_id INTEGER,
+
+  -- What was called
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('pipeline', 'message')),
+  from_agent VARCHAR(100), -- Sender, or the pipeline's caller
+  to_agent VARCHAR(100), -- Recipient; NULL for pipelines
+  action VARCHAR(100), -- Requested action, or the pipeline name
+  message_type VARCHAR(20), -- request, response or notification
+
+  -- Outcome
+  request JSONB,
+  response JSONB,
+  model VARCHAR(100),
+  tokens_used INTEGER DEFAULT 0,
+  success BOOLEAN DEFAULT TRUE,
+  error TEXT,
+  latency_ms INTEGER,
+
+  started_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_spans_trace ON agent_spans(trace_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_agent_spans_started ON agent_spans(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_agent_spans_user_started ON agent_spans(user_id, started_at DESC);
+
+ALTER TABLE llm_usage ADD COLUMN IF NOT EXISTS span_id VARCHAR(64);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_span ON llm_usage(span_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_llm_usage_span;
+ALTER TABLE llm_usage DROP COLUMN IF EXISTS span_id;
+DROP TABLE IF EXISTS agent_spans CASCADE;
@@ -0,0 +1,14 @@
+-- Session-Scoped Generated Questions
+-- Questions an adaptive session generates for its learner belong to that
+-- session (session_id) rather than to the shared quiz, so other learners'
+-- quizzes, attempts and exports never see them. Authored questions keep
+-- session_id NULL.
+
+-- migrate:up
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS session_id INTEGER REFERENCES quiz_sessions(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_session ON quiz_questions(session_id) WHERE session_id IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_quiz_questions_session;
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS session_id;
@@ -0,0 +1,14 @@
+-- Request IDs on Agent Spans
+-- Trace IDs are generated by the server for each request (X-Trace-Id) rather
+-- than taken from the client-supplied X-Request-Id, so a reused request ID
+-- can't add spans to another request's trace. The request ID is kept on each
+-- span (request_id) to correlate traces with logs and llm_usage.
+
+-- migrate:up
+ALTER TABLE agent_spans ADD COLUMN IF NOT EXISTS request_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_agent_spans_request ON agent_spans(request_id) WHERE request_id IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_agent_spans_request;
+ALTER TABLE agent_spans DROP COLUMN IF EXISTS request_id;
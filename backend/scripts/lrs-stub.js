@@ -0,0 +1,146 @@
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+/**
+ * Minimal in-memory Learning Record Store for local development and tests.
+ * Implements just enough of the xAPI statements resource for the xAPI worker:
+ *
+ *   POST   /xapi/statements   store one statement or an array, returns their ids
+ *   PUT    /xapi/statements?statementId=...
+ *   GET    /xapi/statements   ?statementId, ?verb, ?limit (newest first)
+ *   DELETE /xapi/statements   forget everything (stub only, not part of xAPI)
+ *   GET    /xapi/about
+ *
+ * Point the backend at it with XAPI_LRS_ENDPOINT=http://localhost:8089/xapi.
+ * LRS_STUB_FAIL_FIRST=N makes the first N writes fail with 503 to exercise retries.
+ */
+
+const XAPI_VERSION = '1.0.3';
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'X-Experience-API-Version': XAPI_VERSION,
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const assertValidStatement = (statement) => {
+  if (!statement?.actor || !statement?.verb?.id || !statement?.object?.id) {
+    throw new Error('Statement must have an actor, a verb id and an object id');
+  }
+};
+
+/**
+ * Create a stub LRS server (not yet listening)
+ * @param {{failFirst?: number, log?: boolean}} [options]
+ * @returns {{server: http.Server, statements: Map<string, Object>}}
+ */
+export const createLrsStub = ({ failFirst = 0, log = false } = {}) => {
+  const statements = new Map();
+  let failuresLeft = failFirst;
+
+  const store = (statement) => {
+    assertValidStatement(statement);
+    const id = statement.id || crypto.randomUUID();
+    const existing = statements.get(id);
+    if (existing && JSON.stringify(existing.original) !== JSON.stringify(statement)) {
+      const error = new Error(`Statement ${id} already exists with different content`);
+      error.status = 409;
+      throw error;
+    }
+    statements.set(id, { original: statement, statement: { ...statement, id, stored: new Date().toISOString() } });
+    return id;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/\/+$/, '');
+
+    if (path.endsWith('/about') && req.method === 'GET') {
+      return send(res, 200, { version: [XAPI_VERSION] });
+    }
+    if (!path.endsWith('/statements')) {
+      return send(res, 404, { error: 'Not found' });
+    }
+
+    if (req.method === 'GET') {
+      const statementId = url.searchParams.get('statementId');
+      if (statementId) {
+        const entry = statements.get(statementId);
+        return entry ? send(res, 200, entry.statement) : send(res, 404, { error: 'Statement not found' });
+      }
+
+      const verb = url.searchParams.get('verb');
+      const limit = parseInt(url.searchParams.get('limit')) || 0;
+      let list = [...statements.values()].map((entry) => entry.statement).reverse();
+      if (verb) list = list.filter((statement) => statement.verb.id === verb);
+      if (limit > 0) list = list.slice(0, limit);
+      return send(res, 200, { statements: list, more: '' });
+    }
+
+    if (req.method === 'DELETE') {
+      statements.clear();
+      return send(res, 204);
+    }
+
+    if (req.method !== 'POST' && req.method !== 'PUT') {
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      return send(res, 503, { error: 'Simulated LRS outage' });
+    }
+
+    try {
+      const body = JSON.parse(await readBody(req));
+
+      if (req.method === 'PUT') {
+        const statementId = url.searchParams.get('statementId');
+        if (!statementId) {
+          return send(res, 400, { error: 'statementId query parameter is required' });
+        }
+        store({ ...body, id: statementId });
+        return send(res, 204);
+      }
+
+      const batch = Array.isArray(body) ? body : [body];
+      // Validate the whole batch first so a rejected request stores nothing
+      batch.forEach(assertValidStatement);
+      const ids = batch.map(store);
+      if (log) {
+        batch.forEach((statement) => {
+          console.log(`📥 [LRS stub] ${statement.actor?.account?.name} ${statement.verb.display?.['en-US'] || statement.verb.id} ${statement.object.id}`);
+        });
+      }
+      return send(res, 200, ids);
+    } catch (error) {
+      return send(res, error.status || 400, { error: error.message });
+    }
+  });
+
+  return { server, statements };
+};
+
+// Run standalone: node scripts/lrs-stub.js
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.LRS_STUB_PORT) || 8089;
+  const { server } = createLrsStub({
+    failFirst: parseInt(process.env.LRS_STUB_FAIL_FIRST) || 0,
+    log: true,
+  });
+  server.listen(port, () => {
+    console.log(`LRS stub listening on http://localhost:${port}/xapi`);
+  });
+}
+
+export default createLrsStub;
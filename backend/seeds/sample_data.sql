@@ -0,0 +1,63 @@
+-- Sample data for local development
+-- Safe to run more than once: skipped when the demo user already has topics
+
+INSERT INTO users (username, email, password_hash) VALUES
+('demo', 'demo@example.com', '$2a$10$YourHashedPasswordHere') -- Password should be hashed with bcrypt
+ON CONFLICT (username) DO NOTHING;
+
+-- Get the demo user id
+DO $$
+DECLARE
+    demo_user_id INTEGER;
+    react_topic_id INTEGER;
+    js_topic_id INTEGER;
+    react_quiz_id INTEGER;
+    js_quiz_id INTEGER;
+BEGIN
+    SELECT id INTO demo_user_id FROM users WHERE username = 'demo';
+
+    IF EXISTS (SELECT 1 FROM topics WHERE user_id = demo_user_id) THEN
+        RETURN;
+    END IF;
+    
+    -- Insert sample topics
+    INSERT INTO topics (name, description, user_id) VALUES
+    ('Introduction to React', 'Learn the basics of React library', demo_user_id)
+    RETURNING id INTO react_topic_id;
+    
+    INSERT INTO topics (name, description, user_id) VALUES
+    ('JavaScript Basics', 'Fundamental concepts of JavaScript', demo_user_id)
+    RETURNING id INTO js_topic_id;
+    
+    -- Insert sample lessons for React topic
+    INSERT INTO lessons (topic_id, title, content, order_index) VALUES
+    (react_topic_id, 'What is React?', 'React is a JavaScript library for building user interfaces.', 1),
+    (react_topic_id, 'JSX Basics', 'JSX is a syntax extension for JavaScript.', 2),
+    (react_topic_id, 'Components', 'Components are the building blocks of React applications.', 3);
+    
+    -- Insert sample lessons for JavaScript topic
+    INSERT INTO lessons (topic_id, title, content, order_index) VALUES
+    (js_topic_id, 'Variables and Data Types', 'Learn about var, let, const and data types.', 1),
+    (js_topic_id, 'Functions', 'Understanding functions in JavaScript.', 2);
+    
+    -- Insert sample quizzes
+    INSERT INTO quizzes (topic_id, title, description, order_index) VALUES
+    (react_topic_id, 'React Fundamentals Quiz', 'Test your knowledge of React basics', 1)
+    RETURNING id INTO react_quiz_id;
+    
+    INSERT INTO quizzes (topic_id, title, description, order_index) VALUES
+    (js_topic_id, 'JavaScript Quiz', 'Test your JavaScript knowledge', 1)
+    RETURNING id INTO js_quiz_id;
+    
+    -- Insert quiz questions for React quiz
+    INSERT INTO quiz_questions (quiz_id, question, options, correct_answer, order_index) VALUES
+    (react_quiz_id, 'What is React?', 
+     '["A library", "A framework", "A language", "A database"]'::jsonb, 0, 1),
+    (react_quiz_id, 'What does JSX stand for?', 
+     '["JavaScript XML", "Java Syntax Extension", "JavaScript Extension", "Java XML"]'::jsonb, 0, 2);
+    
+    -- Insert quiz questions for JavaScript quiz
+    INSERT INTO quiz_questions (quiz_id, question, options, correct_answer, order_index) VALUES
+    (js_quiz_id, 'Which keyword is used to declare a constant?', 
+     '["var", "let", "const", "static"]'::jsonb, 2, 1);
+END $$;
@@ -14,7 +14,39 @@ dotenv.config();
 export const config = {
   // OpenAI Configuration
   openaiApiKey: process.env.OPENAI_API_KEY || '',
-  
+
+  // LLM Provider Configuration
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai', // 'openai' or 'mock'
+    mockFixtures: process.env.MOCK_LLM_FIXTURES || '', // Optional JSON file overriding the default mock fixtures
+  },
+
+  // LLM Usage Accounting
+  usage: {
+    tracking: process.env.LLM_USAGE_TRACKING !== 'false', // Record every LLM call in llm_usage
+    // USD per 1M tokens; models not listed are recorded without a cost
+    pricing: {
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-5': { input: 1.25, output: 10 },
+      'gpt-5-nano': { input: 0.05, output: 0.4 },
+      'o1-mini': { input: 1.1, output: 4.4 },
+    },
+  },
+
+  // Agent State Storage
+  storage: {
+    agentState: process.env.AGENT_STATE_STORE || 'postgres', // 'postgres' or 'memory'
+  },
+
+  // Agent Message Tracing
+  tracing: {
+    enabled: process.env.AGENT_TRACING !== 'false', // Record a span for every agent message and pipeline run
+    store: process.env.AGENT_TRACE_STORE || 'postgres', // 'postgres' or 'memory'
+    maxPayloadChars: 20000, // Larger requests and responses are stored as a truncated preview
+    memoryTraces: 200, // Traces kept by the memory store before the oldest are dropped
+  },
+
   // System Configuration
   system: {
     minScoreThreshold: 70, // Minimum score for lesson approval
@@ -61,6 +93,11 @@ export const config = {
  * Validate configuration
  */
 export const validateConfig = () => {
+  if (config.llm.provider === 'mock') {
+    console.log('🧪 Using mock LLM provider - no OpenAI requests will be made');
+    return;
+  }
+
   if (!config.openaiApiKey) {
     throw new Error('OPENAI_API_KEY is required in environment variables');
   }
@@ -10,6 +10,8 @@ import ResponseEvaluator from '../individual/ResponseEvaluator.js';
 import SyntheticEvaluator from '../individual/SyntheticEvaluator.js';
 import VideoGenerator from '../individual/VideoGenerator.js';
 import FlashcardGenerator from '../individual/FlashcardGenerator.js';
+import QuizGrader from '../individual/QuizGrader.js';
+import { getConceptMastery } from '../../services/conceptMasteryService.js';
 
 /**
  * Orchestrator for the 8-model multimodal adaptive learning system
@@ -57,6 +59,9 @@ export class AdaptiveLearningOrchestrator {
     const lessonEvaluator = new LessonEvaluator();
     const changeDetector = new ChangeDetector();
 
+    // Grades free-text and code quiz answers
+    const quizGrader = new QuizGrader();
+
     this.communication.registerAgent(learningPathGenerator);
     this.communication.registerAgent(systemPromptGenerator);
     this.communication.registerAgent(conversationAnalyzer);
@@ -68,6 +73,7 @@ export class AdaptiveLearningOrchestrator {
     this.communication.registerAgent(lessonGenerator);
     this.communication.registerAgent(lessonEvaluator);
     this.communication.registerAgent(changeDetector);
+    this.communication.registerAgent(quizGrader);
     
     console.log('✅ All 8 models initialized and registered (multimodal learning enabled)');
   }
@@ -301,11 +307,13 @@ export class AdaptiveLearningOrchestrator {
   }
 
   /**
-   * Analyze user progress
+   * Analyze user progress from their per-concept mastery estimates
    * @param {string} userId
    * @returns {Promise<import('../types/index.js').AgentResponse>}
    */
   async analyzeUserProgress(userId) {
+    const conceptMastery = await getConceptMastery(userId);
+
     return await this.communication.sendMessage(
       'Orchestrator',
       'ChangeDetector',
@@ -313,7 +321,11 @@ export class AdaptiveLearningOrchestrator {
         action: 'analyze_progress',
         data: {
           userId,
-          currentProgress: this.systemState.userProgress,
+          conceptMastery,
+          currentProgress: {
+            userId,
+            topics: [...new Set(conceptMastery.map(({ topicName }) => topicName))],
+          },
         },
       }
     );
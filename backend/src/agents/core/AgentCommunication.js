@@ -1,3 +1,8 @@
+import { traceSpan } from '../tracing/index.js';
+
+// Messages kept in memory for inspection; the full record is in the trace store
+const MESSAGE_HISTORY_LIMIT = 100;
+
 /**
  * Agent communication system for routing messages between agents
  */
@@ -34,7 +39,8 @@ export class AgentCommunication {
   }
 
   /**
-   * Send a message from one agent to another
+   * Send a message from one agent to another. The message carries the trace
+   * of the request it was sent for and is recorded as a span of that trace.
    * @param {string} from - Sender agent name
    * @param {string} to - Recipient agent name
    * @param {*} content - Message content
@@ -43,38 +49,63 @@ export class AgentCommunication {
    * @returns {Promise<import('../types/index.js').AgentResponse>}
    */
   async sendMessage(from, to, content, type = 'request', priority = 'medium') {
-    const recipientAgent = this.agents.get(to);
-    
-    if (!recipientAgent) {
-      return {
-        success: false,
-        error: `Recipient agent '${to}' not found`,
-      };
-    }
-
-    /** @type {import('../types/index.js').AgentMessage} */
-    const message = {
-      from,
-      to,
-      type,
-      content,
-      timestamp: new Date(),
-      priority,
+    const span = {
+      kind: 'message',
+      fromAgent: from,
+      toAgent: to,
+      action: content?.action,
+      messageType: type,
+      userId: content?.data?.userId,
+      lessonId: content?.data?.lessonId,
+      request: content,
     };
 
-    // Store message in history
-    this.messageHistory.push(message);
-
-    // Send message to recipient agent
-    try {
-      const response = await recipientAgent.receiveMessage(message);
-      return response;
-    } catch (error) {
-      return {
-        success: false,
-        error: error instanceof Error ? error.message : 'Unknown error in message delivery',
+    return traceSpan(span, async ({ traceId, spanId, parentSpanId }) => {
+      const recipientAgent = this.agents.get(to);
+
+      if (!recipientAgent) {
+        return {
+          success: false,
+          error: `Recipient agent '${to}' not found`,
+        };
+      }
+
+      /** @type {import('../types/index.js').AgentMessage} */
+      const message = {
+        from,
+        to,
+        type,
+        content,
+        timestamp: new Date(),
+        priority,
+        traceId,
+        spanId,
+        parentSpanId,
       };
-    }
+
+      // Store message in history
+      this.messageHistory.push(message);
+      if (this.messageHistory.length > MESSAGE_HISTORY_LIMIT) {
+        this.messageHistory.shift();
+      }
+
+      // Send message to recipient agent
+      try {
+        const response = await recipientAgent.receiveMessage(message);
+        return response;
+      } catch (error) {
+        return {
+          success: false,
+          error: error instanceof Error ? error.message : 'Unknown error in message delivery',
+        };
+      }
+    }, (response) => ({
+      response,
+      model: response?.metadata?.model,
+      tokensUsed: response?.metadata?.tokensUsed,
+      success: response?.success !== false,
+      error: response?.error,
+    }));
   }
 
   /**
@@ -102,7 +133,7 @@ export class AgentCommunication {
    * @param {number} limit - Maximum number of messages to return
    * @returns {import('../types/index.js').AgentMessage[]}
    */
-  getMessageHistory(limit = 100) {
+  getMessageHistory(limit = MESSAGE_HISTORY_LIMIT) {
     return this.messageHistory.slice(-limit);
   }
 
@@ -1,5 +1,6 @@
-import { ChatOpenAI } from '@langchain/openai';
-import config from '../config/index.js';
+import { createChatModel } from '../providers/index.js';
+import { runInAgentContext, getAgentContext } from './agentContext.js';
+import { AgentState } from '../storage/index.js';
 
 /**
  * Base class for all agents in the adaptive learning system
@@ -17,18 +18,21 @@ export class BaseAgent {
   }
 
   /**
-   * Initialize the LLM with OpenAI
+   * Initialize the LLM with the configured provider
    * @private
    */
   initializeLLM() {
-    const modelName = this.config.model;
-    
-    this.llm = new ChatOpenAI({
-      modelName: modelName,
-      temperature: this.config.temperature,
-      maxTokens: this.config.maxTokens,
-      openAIApiKey: config.openaiApiKey,
-    });
+    this.llm = createChatModel(this.config);
+  }
+
+  /**
+   * Create a persistent, Map-like collection for this agent's state
+   * @param {string} namespace - Collection name, e.g. `rubrics`
+   * @returns {AgentState}
+   * @protected
+   */
+  createState(namespace) {
+    return new AgentState(this.config.name, namespace);
   }
 
   /**
@@ -70,7 +74,16 @@ export class BaseAgent {
   async receiveMessage(message) {
     try {
       this.isProcessing = true;
-      const response = await this.processMessage(message);
+      const data = message.content?.data;
+      const response = await runInAgentContext(
+        {
+          agent: this.config.name,
+          action: message.content?.action,
+          userId: data?.userId,
+          lessonId: data?.lessonId,
+        },
+        () => this.processMessage(message)
+      );
       this.isProcessing = false;
       return response;
     } catch (error) {
@@ -110,13 +123,16 @@ export class BaseAgent {
    * @protected
    */
   createResponse(data, error) {
+    // Totals for the action being processed, accumulated by the usage tracker
+    const context = getAgentContext();
+
     return {
       success: !error,
       data,
       error,
       metadata: {
-        tokensUsed: 0, // Would be calculated in real implementation
-        processingTime: 0, // Would be calculated in real implementation
+        tokensUsed: context?.tokensUsed || 0,
+        processingTime: context?.startedAt ? Date.now() - context.startedAt : 0,
         model: this.config.model,
       },
     };
@@ -0,0 +1,63 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Tracks which request, user, agent and action are currently being processed
+ * so that lower layers (LLM providers, usage accounting, tracing) can tell who
+ * is calling them without threading the information through every method
+ * signature.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function for an incoming HTTP request (or job). Agent contexts
+ * started inside it inherit the request and trace IDs, user and lesson.
+ * @param {{requestId: string, traceId?: string, userId?: number, lessonId?: number}} context
+ * @param {() => T} fn
+ * @returns {T}
+ * @template T
+ */
+export const runInRequestContext = (context, fn) => {
+  return storage.run({ ...context, llmCalls: 0, tokensUsed: 0, startedAt: Date.now() }, fn);
+};
+
+/**
+ * Run a function inside an agent context. Fields that are not given are
+ * inherited from the surrounding request context.
+ * @param {{agent?: string, action?: string, userId?: number, lessonId?: number, traceId?: string, spanId?: string}} context
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+export const runInAgentContext = (context, fn) => {
+  const parent = storage.getStore() || {};
+  const definedFields = Object.fromEntries(
+    Object.entries(context).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  return storage.run({
+    ...parent,
+    ...definedFields,
+    llmCalls: 0,
+    tokensUsed: 0,
+    startedAt: Date.now(),
+  }, fn);
+};
+
+/**
+ * Attach values (e.g. the authenticated user) to the active context
+ * @param {{userId?: number, lessonId?: number}} values
+ */
+export const setContextValues = (values) => {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, values);
+  }
+};
+
+/**
+ * Get the active agent context, if any
+ * @returns {{requestId?: string, userId?: number, lessonId?: number, agent?: string, action?: string, traceId?: string, spanId?: string, llmCalls: number, tokensUsed: number, startedAt: number}|undefined}
+ */
+export const getAgentContext = () => storage.getStore();
+
+export default { runInRequestContext, runInAgentContext, setContextValues, getAgentContext };
@@ -0,0 +1,139 @@
+import config from '../config/index.js';
+import { getAgentContext } from './agentContext.js';
+import { recordLLMUsage } from '../../services/llmUsageService.js';
+
+/**
+ * Rough token count for text when the provider reports no usage (~4 characters per token)
+ * @param {string} text
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Cost of a call in USD, or null when the model has no configured pricing
+ * @param {string} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ */
+export const calculateCost = (model, inputTokens, outputTokens) => {
+  const pricing = config.usage.pricing[model];
+  if (!pricing) return null;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+};
+
+/**
+ * @private
+ */
+const inputToText = (input) => {
+  if (typeof input === 'string') return input;
+  if (Array.isArray(input)) {
+    return input.map((m) => (typeof m === 'string' ? m : m.content)).join('\n');
+  }
+  return String(input);
+};
+
+/**
+ * @private
+ */
+const contentToText = (content) => (typeof content === 'string' ? content : JSON.stringify(content));
+
+/**
+ * Attribute a finished call to the active context and store it
+ * @private
+ */
+const trackCall = ({ providerName, model, input, output, usage, startedAt, error = null }) => {
+  const context = getAgentContext();
+  const estimated = !usage;
+  const inputTokens = usage?.input_tokens ?? estimateTokens(inputToText(input));
+  const outputTokens = usage?.output_tokens ?? estimateTokens(output);
+  const totalTokens = usage?.total_tokens ?? inputTokens + outputTokens;
+
+  if (context) {
+    context.tokensUsed = (context.tokensUsed || 0) + totalTokens;
+  }
+
+  if (!config.usage.tracking) return;
+
+  // Accounting must never slow down or break the agent that made the call
+  recordLLMUsage({
+    requestId: context?.requestId || null,
+    spanId: context?.spanId || null,
+    userId: context?.userId || null,
+    lessonId: context?.lessonId || null,
+    agent: context?.agent || null,
+    action: context?.action || null,
+    provider: providerName,
+    model,
+    inputTokens,
+    outputTokens,
+    totalTokens,
+    estimated,
+    latencyMs: Date.now() - startedAt,
+    costUsd: calculateCost(model, inputTokens, outputTokens),
+    success: !error,
+    error: error?.message || null,
+  }).catch((recordError) => console.error('Error recording LLM usage:', recordError.message));
+};
+
+/**
+ * Wrap a chat model so every `invoke()` and `stream()` call records its
+ * token usage, latency and cost. Uses the provider's reported usage
+ * (`usage_metadata`) and falls back to an estimate.
+ * @param {*} model - Chat model created by a provider
+ * @param {import('../types/index.js').AgentConfig} agentConfig
+ * @param {string} providerName
+ */
+export const withUsageTracking = (model, agentConfig, providerName) => ({
+  async invoke(input, options) {
+    const startedAt = Date.now();
+    try {
+      const response = await model.invoke(input, options);
+      trackCall({
+        providerName,
+        model: agentConfig.model,
+        input,
+        output: contentToText(response.content),
+        usage: response.usage_metadata,
+        startedAt,
+      });
+      return response;
+    } catch (error) {
+      trackCall({ providerName, model: agentConfig.model, input, output: '', startedAt, error });
+      throw error;
+    }
+  },
+
+  async stream(input, options) {
+    const startedAt = Date.now();
+    let stream;
+    try {
+      stream = await model.stream(input, options);
+    } catch (error) {
+      trackCall({ providerName, model: agentConfig.model, input, output: '', startedAt, error });
+      throw error;
+    }
+
+    return (async function* () {
+      let output = '';
+      let usage = null;
+      let error = null;
+      try {
+        for await (const chunk of stream) {
+          output += contentToText(chunk.content);
+          // OpenAI reports usage on the final chunk
+          if (chunk.usage_metadata) {
+            usage = chunk.usage_metadata;
+          }
+          yield chunk;
+        }
+      } catch (streamError) {
+        error = streamError;
+        throw streamError;
+      } finally {
+        // Also runs when the consumer stops reading early
+        trackCall({ providerName, model: agentConfig.model, input, output, usage, startedAt, error });
+      }
+    })();
+  },
+});
+
+export default withUsageTracking;
@@ -16,6 +16,7 @@ export { ResponseEvaluator } from './individual/ResponseEvaluator.js';
 export { SyntheticEvaluator } from './individual/SyntheticEvaluator.js';
 export { VideoGenerator } from './individual/VideoGenerator.js';
 export { FlashcardGenerator } from './individual/FlashcardGenerator.js';
+export { QuizGrader } from './individual/QuizGrader.js';
 export { default as config, validateConfig } from './config/index.js';
 
 // Create a singleton instance of the orchestrator for the backend
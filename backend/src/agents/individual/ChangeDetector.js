@@ -1,5 +1,6 @@
 import BaseAgent from '../core/BaseAgent.js';
 import config from '../config/index.js';
+import { describeMasteryForPrompt, summarizeMastery } from '../../services/conceptMasteryService.js';
 
 /**
  * Agent responsible for detecting changes in learning patterns
@@ -11,10 +12,12 @@ export class ChangeDetector extends BaseAgent {
       systemPrompt: 'You are an expert at detecting changes in learning patterns and recommending adaptations.',
     });
     
-    /** @type {Map<string, import('../types/index.js').UserProgress[]>} */
-    this.userProgressHistory = new Map();
-    /** @type {Map<string, import('../types/index.js').LearningPattern>} */
-    this.learningPatterns = new Map();
+    /** @type {import('../storage/index.js').AgentState} userId -> UserProgress[] */
+    this.userProgressHistory = this.createState('userProgressHistory');
+    /** @type {import('../storage/index.js').AgentState} userId -> LearningPattern */
+    this.learningPatterns = this.createState('learningPatterns');
+    // Progress records kept per user; older ones are dropped
+    this.MAX_HISTORY_LENGTH = 100;
   }
 
   /**
@@ -73,66 +76,80 @@ export class ChangeDetector extends BaseAgent {
   }
 
   /**
-   * Analyze user progress
+   * Analyze user progress from their concept mastery estimates. Strengths,
+   * weaknesses and level come straight from the estimates; the LLM only turns
+   * them into recommendations.
    * @private
    */
   async analyzeProgress(data) {
-    const { userId, currentProgress, timeWindow = 7 } = data;
+    const { userId, conceptMastery = [], currentProgress } = data;
+
+    const userHistory = (await this.userProgressHistory.get(userId)) || [];
+    const previousPattern = (await this.learningPatterns.get(userId)) || {};
+    const summary = summarizeMastery(conceptMastery);
+    const observed = conceptMastery.filter(({ level }) => level !== 'not_started');
+
+    const averageMastery = observed.length > 0
+      ? observed.reduce((sum, { pKnown }) => sum + pKnown, 0) / observed.length
+      : null;
+
+    const learningPattern = {
+      questionTypes: previousPattern.questionTypes || [],
+      difficultyPreference: averageMastery === null
+        ? previousPattern.difficultyPreference || 'intermediate'
+        : averageMastery < 0.5 ? 'beginner' : averageMastery < 0.8 ? 'intermediate' : 'advanced',
+      learningStyle: previousPattern.learningStyle || 'mixed',
+      commonMistakes: summary.struggling,
+      strengths: summary.mastered,
+    };
+
+    let analysisData = {
+      recommendations: ['Answer a quiz so concept mastery can be estimated'],
+      needsAdaptation: false,
+    };
+
+    if (observed.length > 0) {
+      const analysisTemplate = `RECOMMEND next steps for a student from their measured concept mastery.
 
-    const userHistory = this.userProgressHistory.get(userId) || [];
+USER: ${userId}
+${describeMasteryForPrompt(conceptMastery)}
+${summary.notStarted.length > 0 ? `NOT YET PRACTICED: ${summary.notStarted.join(', ')}` : ''}
+PREVIOUS ANALYSES: ${userHistory.length}
 
-    const analysisTemplate = `ANALYZE the user's learning progress:
+RULES:
+- Base every recommendation on the estimates above; do not guess at weaknesses they do not show
+- Name the concepts each recommendation is about
+- Prioritize struggling concepts, then the ones still being learned
 
-USER: ${userId}
-CURRENT PROGRESS: ${JSON.stringify(currentProgress, null, 2)}
-HISTORY LENGTH: ${userHistory.length} records
-
-DETECT:
-1. Learning patterns (strengths, weaknesses, preferences)
-2. Stagnation or lack of progress
-3. Repeated questions or misunderstood concepts
-4. Changes in learning style
-5. Adaptation needs
-
-INDICATORS TO EVALUATE:
-- Frequency of repeated questions
-- Time between completed lessons
-- Common error types
-- Difficulty preferences
-- Detected learning style
-
-Provide a detailed analysis and recommendations for adaptation in JSON format:
+Respond in JSON format:
 {
-  "learningPattern": {
-    "questionTypes": ["string"],
-    "difficultyPreference": "string",
-    "learningStyle": "string",
-    "commonMistakes": ["string"],
-    "strengths": ["string"]
-  },
   "recommendations": ["string"],
   "needsAdaptation": boolean
 }`;
 
-    try {
-      const response = await this.llm.invoke(analysisTemplate);
-      const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
-      
-      const analysisData = this.extractJSON(content);
-      const learningPattern = analysisData.learningPattern;
+      try {
+        const response = await this.llm.invoke(analysisTemplate);
+        const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+        const parsed = this.extractJSON(content);
+        analysisData = {
+          recommendations: parsed.recommendations || [],
+          needsAdaptation: parsed.needsAdaptation ?? summary.struggling.length > 0,
+        };
+      } catch (error) {
+        return this.createResponse(null, `Error analyzing progress: ${error}`);
+      }
+    }
 
-      this.learningPatterns.set(userId, learningPattern);
-      userHistory.push(currentProgress);
-      this.userProgressHistory.set(userId, userHistory);
+    await this.learningPatterns.set(userId, learningPattern);
+    userHistory.push({ ...currentProgress, summary, analyzedAt: new Date() });
+    await this.userProgressHistory.set(userId, userHistory.slice(-this.MAX_HISTORY_LENGTH));
 
-      return this.createResponse({
-        analysis: analysisData,
-        learningPattern,
-        recommendations: analysisData.recommendations,
-      });
-    } catch (error) {
-      return this.createResponse(null, `Error analyzing progress: ${error}`);
-    }
+    return this.createResponse({
+      analysis: { learningPattern, ...analysisData },
+      learningPattern,
+      recommendations: analysisData.recommendations,
+      conceptMastery: summary,
+    });
   }
 
   /**
@@ -142,8 +159,8 @@ Provide a detailed analysis and recommendations for adaptation in JSON format:
   async detectChanges(data) {
     const { userId, systemState } = data;
 
-    const userHistory = this.userProgressHistory.get(userId) || [];
-    const learningPattern = this.learningPatterns.get(userId);
+    const userHistory = (await this.userProgressHistory.get(userId)) || [];
+    const learningPattern = await this.learningPatterns.get(userId);
 
     if (userHistory.length < 2) {
       return this.createResponse({
@@ -165,7 +182,7 @@ Provide a detailed analysis and recommendations for adaptation in JSON format:
    */
   async getLearningPattern(data) {
     const { userId } = data;
-    const pattern = this.learningPatterns.get(userId);
+    const pattern = await this.learningPatterns.get(userId);
     
     if (!pattern) {
       return this.createResponse(null, 'Learning pattern not found');
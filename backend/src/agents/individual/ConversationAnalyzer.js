@@ -1,9 +1,15 @@
 import BaseAgent from '../core/BaseAgent.js';
 import config from '../config/index.js';
+import { MEMORY_KINDS, describeMemoryForPrompt } from '../../services/conversationMemoryPrompt.js';
+
+// Longest lesson summary and learner memory the analyzer may write, in characters
+const MAX_SUMMARY_LENGTH = 1500;
+const MAX_MEMORY_LENGTH = 200;
 
 /**
  * Model 3: Conversation Analyzer
  * Detects when user is stuck or expresses new preferences
+ * Keeps the rolling lesson summaries and learner memories up to date
  * Sends feedback to Model 2 (System Prompt Creator) for adjustments
  * Uses GPT-4o for advanced preference detection and management
  */
@@ -66,6 +72,8 @@ Preference Types to Track:
         return await this.analyzeConversation(data);
       case 'route_to_teacher':
         return await this.routeToAppropriateTeacher(data);
+      case 'update_memory':
+        return await this.updateMemory(data);
       default:
         return this.createResponse(null, 'Unsupported action');
     }
@@ -105,9 +113,13 @@ Preference Types to Track:
       userMessage, 
       conversationHistory = [], 
       currentPreferences = {},
-      lessonContext = null 
+      lessonContext = null,
+      conversationMemory = null
     } = data;
 
+    // Earlier turns matter for stuck detection: the same confusion again is a stronger signal
+    const memoryStr = describeMemoryForPrompt(conversationMemory);
+
     const analysisPrompt = `You are analyzing a learning conversation to detect GLOBAL PREFERENCES that should be saved to the user's profile.
 
 USER MESSAGE: "${userMessage}"
@@ -122,6 +134,8 @@ ${lessonContext ? `LESSON CONTEXT:
 Title: ${lessonContext.title}
 Topic: ${lessonContext.topic}` : ''}
 
+${memoryStr}
+
 CRITICAL TASK: Detect GLOBAL preferences to save/update/remove from user profile.
 
 🔍 PREFERENCE DETECTION RULES:
@@ -218,6 +232,77 @@ Return ONLY valid JSON, no markdown or extra text.`;
     }
   }
 
+  /**
+   * Fold new chat messages into the lesson's rolling summary and update the
+   * learner's cross-lesson memories (misconceptions, solved problems, goals)
+   * @private
+   */
+  async updateMemory(data) {
+    const {
+      lessonContext = {},
+      previousSummary = null,
+      newMessages = [],
+      memories = [],
+    } = data;
+
+    const memoryPrompt = `You maintain the long-term memory of an AI tutor about one student.
+
+LESSON: ${lessonContext?.title || 'Unknown lesson'}${lessonContext?.topic ? ` (topic: ${lessonContext.topic})` : ''}
+
+SUMMARY OF THE LESSON CHAT SO FAR:
+${previousSummary || 'None yet - this is the start of the lesson chat.'}
+
+NEW MESSAGES:
+${newMessages.map((msg) => `${msg.isUser ? 'Student' : 'Tutor'}: ${msg.message}`).join('\n\n')}
+
+WHAT WE REMEMBER ABOUT THE STUDENT ACROSS LESSONS:
+${memories.length > 0 ? memories.map((memory) => `#${memory.id} [${memory.kind}] ${memory.content}`).join('\n') : 'Nothing yet.'}
+
+TASKS:
+1. Rewrite the lesson summary to include the new messages, in at most 150 words. Keep what the student understood, what they struggled with, questions still open and anything they asked the tutor to remember. Drop greetings and details the tutor won't need again.
+2. List NEW memories worth keeping across lessons, only if the new messages show them clearly:
+   - "misconception": a specific wrong belief the student holds (not just a question)
+   - "solved_problem": a problem or exercise the student worked through successfully
+   - "goal": something the student wants to achieve (exam, project, job)
+   Write each as one short sentence about the student. Don't repeat a memory listed above.
+3. List the ids of memories above that the new messages RESOLVE (misconception corrected and understood, goal reached).
+4. List the ids of memories above that the new messages show again (still relevant).
+
+Respond with JSON in this EXACT format:
+{
+  "summary": "string",
+  "newMemories": [{ "kind": "misconception" | "solved_problem" | "goal", "content": "string" }],
+  "resolvedMemoryIds": [number],
+  "reinforcedMemoryIds": [number]
+}
+
+Return ONLY valid JSON, no markdown or extra text.`;
+
+    const response = await this.llm.invoke(memoryPrompt);
+    const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+    const result = this.extractJSON(content);
+
+    if (typeof result.summary !== 'string' || !result.summary.trim()) {
+      return this.createResponse(null, 'Memory update returned no summary');
+    }
+
+    // Only ids we showed the model may be resolved or reinforced
+    const knownIds = new Set(memories.map(({ id }) => id));
+    const pickIds = (ids) => (Array.isArray(ids) ? [...new Set(ids.map(Number))].filter((id) => knownIds.has(id)) : []);
+
+    return this.createResponse({
+      memory: {
+        summary: result.summary.trim().slice(0, MAX_SUMMARY_LENGTH),
+        newMemories: (Array.isArray(result.newMemories) ? result.newMemories : [])
+          .filter((memory) => MEMORY_KINDS.includes(memory?.kind) && typeof memory.content === 'string' && memory.content.trim())
+          .map(({ kind, content: memoryContent }) => ({ kind, content: memoryContent.trim().slice(0, MAX_MEMORY_LENGTH) })),
+        resolvedMemoryIds: pickIds(result.resolvedMemoryIds),
+        reinforcedMemoryIds: pickIds(result.reinforcedMemoryIds),
+      },
+      message: 'Conversation memory updated',
+    });
+  }
+
   /**
    * Create fallback analysis using simple heuristics
    * @private
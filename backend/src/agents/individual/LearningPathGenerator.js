@@ -45,6 +45,10 @@ export class LearningPathGenerator extends BaseAgent {
     switch (action) {
       case 'generate_learning_path':
         return await this.generateLearningPath(data);
+      case 'generate_quiz_question':
+        return await this.generateQuizQuestion(data);
+      case 'plan_remedial_lessons':
+        return await this.planRemedialLessons(data);
       default:
         return this.createResponse(null, 'Unsupported action');
     }
@@ -79,7 +83,7 @@ Requirements:
 - Minimum 5 lessons, maximum 20 lessons
 - Each lesson should have a clear, actionable title
 - Mark which lessons should have quizzes (typically every 2-3 lessons)
-- For each quiz, generate 3-5 multiple choice questions with 4 options each
+- For each quiz, generate 3-5 questions, mostly multiple_choice with a mix of the other question types below
 - Estimate duration for each lesson (15min - 2 hours)
 - Total path should be comprehensive but not overwhelming
 
@@ -93,23 +97,37 @@ Respond with a JSON object in this EXACT format:
       "order": 1,
       "title": "Lesson title here",
       "description": "Brief description",
+      "concepts": ["Short name of each concept the lesson teaches"],
       "estimatedMinutes": number,
       "hasQuiz": boolean,
-      "prerequisites": ["previous lesson titles if any"],
+      "prerequisites": ["Exact titles of earlier lessons this one builds on"],
       "quizQuestions": [
         {
+          "type": "multiple_choice",
           "question": "Question text here",
           "options": ["Option A", "Option B", "Option C", "Option D"],
-          "correctAnswer": 0
+          "correctAnswer": 0,
+          "concept": "Short name of the concept tested",
+          "difficulty": "easy|medium|hard"
         }
       ]
     }
   ]
 }
 
+QUESTION TYPES (correctAnswer format depends on the type):
+- multiple_choice: 4 "options"; correctAnswer is the index (0-3) of the correct option
+- multiple_select: 4-6 "options"; correctAnswer is an array of the indices of ALL correct options, e.g. [0, 2]
+- fill_blank: mark each blank in the question with ___ and omit options; correctAnswer has one entry per blank, each a list of accepted answers, e.g. [["mitochondria", "the mitochondria"]]
+- ordering: "options" are the items to order; correctAnswer lists the option indices in the correct order, e.g. [2, 0, 1, 3]
+- free_text: omit options; correctAnswer is {"modelAnswer": "Ideal 1-3 sentence answer", "rubric": ["Criterion 1", "Criterion 2"]}
+- code: only for programming topics; omit options; add "settings": {"language": "python", "starterCode": "def solve():\\n    pass"}; correctAnswer is {"referenceSolution": "...", "rubric": ["Criterion 1"]}
+
 IMPORTANT: 
 - Return ONLY valid JSON, no markdown code blocks or additional text
-- correctAnswer is the index (0-3) of the correct option in the options array
+- Every question must include its "type", the "concept" it tests and its "difficulty"
+- List 1-4 "concepts" per lesson and reuse exactly the same concept names in that lesson's questions
+- "prerequisites" form a dependency graph: list only the earlier lessons a lesson really needs ([] for the first one), so independent lessons can be taken in any order
 - If hasQuiz is true, include 3-5 questions in quizQuestions array
 - If hasQuiz is false, quizQuestions can be empty array or omitted`;
 
@@ -138,6 +156,7 @@ IMPORTANT:
           order: index + 1,
           title: lesson.title,
           description: lesson.description || '',
+          concepts: lesson.concepts || [],
           estimatedMinutes: lesson.estimatedMinutes || 60,
           hasQuiz: lesson.hasQuiz || false,
           prerequisites: lesson.prerequisites || [],
@@ -163,6 +182,113 @@ IMPORTANT:
     }
   }
 
+  /**
+   * Generate one extra quiz question for an adaptive quiz session
+   * @private
+   */
+  async generateQuizQuestion(data) {
+    const {
+      topicName,
+      quizTitle,
+      concept = null,
+      difficulty = 'medium',
+      avoidQuestions = [],
+    } = data;
+
+    const questionPrompt = `Write ONE quiz question for the topic "${topicName}" (quiz: "${quizTitle}").
+
+Difficulty: ${difficulty}
+${concept ? `Concept to test: ${concept} (the student has been struggling with it)` : 'Concept: any key concept of the quiz'}
+${avoidQuestions.length > 0 ? `\nDo NOT repeat or paraphrase these questions:\n${avoidQuestions.map((q) => `- ${q}`).join('\n')}\n` : ''}
+Use type "multiple_choice" (4 options, correctAnswer is the index 0-3) or "multiple_select"
+(4-6 options, correctAnswer is an array of the indices of all correct options).
+
+Respond with ONLY this JSON object:
+{
+  "type": "multiple_choice",
+  "question": "Question text here",
+  "options": ["Option A", "Option B", "Option C", "Option D"],
+  "correctAnswer": 0,
+  "concept": "${concept || 'Short name of the concept tested'}",
+  "difficulty": "${difficulty}"
+}`;
+
+    try {
+      const response = await this.llm.invoke(questionPrompt);
+      const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+      const question = this.extractJSON(content);
+
+      if (!question.question) {
+        throw new Error('Invalid quiz question structure');
+      }
+
+      return this.createResponse({
+        question: {
+          ...question,
+          concept: question.concept || concept,
+          difficulty: question.difficulty || difficulty,
+        },
+      });
+    } catch (error) {
+      console.error('Error generating quiz question:', error);
+      return this.createResponse(null, `Error generating quiz question: ${error.message}`);
+    }
+  }
+
+  /**
+   * Design short review lessons for concepts a student is struggling with,
+   * to be inserted into their learning path before the next lesson
+   * @private
+   */
+  async planRemedialLessons(data) {
+    const {
+      topicName,
+      concepts = [],
+      reason = '',
+      upcomingLessons = [],
+      maxLessons = 2,
+    } = data;
+
+    const remedialPrompt = `A student learning "${topicName}" needs review before continuing.
+
+WHY: ${reason || 'Their recent results show gaps'}
+CONCEPTS TO REVIEW: ${concepts.join(', ')}
+${upcomingLessons.length > 0 ? `UPCOMING LESSONS (do not duplicate them): ${upcomingLessons.join(', ')}` : ''}
+
+Design at most ${maxLessons} short review lessons that rebuild these concepts from the basics.
+Group related concepts in one lesson and only use concept names from the list above.
+
+Respond with ONLY this JSON object:
+{
+  "lessons": [
+    {
+      "title": "Review: concise lesson title",
+      "description": "What the review covers and how it approaches the concept differently",
+      "concepts": ["Concept name from the list"]
+    }
+  ]
+}`;
+
+    try {
+      const response = await this.llm.invoke(remedialPrompt);
+      const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+      const plan = this.extractJSON(content);
+
+      const lessons = (plan.lessons || [])
+        .filter((lesson) => lesson.title && Array.isArray(lesson.concepts) && lesson.concepts.length > 0)
+        .slice(0, maxLessons);
+
+      if (lessons.length === 0) {
+        throw new Error('Invalid remedial lesson structure');
+      }
+
+      return this.createResponse({ lessons });
+    } catch (error) {
+      console.error('Error planning remedial lessons:', error);
+      return this.createResponse(null, `Error planning remedial lessons: ${error.message}`);
+    }
+  }
+
   /**
    * Create a fallback learning path if AI generation fails
    * @private
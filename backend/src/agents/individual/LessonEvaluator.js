@@ -12,10 +12,10 @@ export class LessonEvaluator extends BaseAgent {
       systemPrompt: 'You are an expert educational content evaluator specialized in assessing lesson quality and adaptability.',
     });
     
-    /** @type {Map<string, import('../types/index.js').EvaluationRubric>} */
-    this.rubrics = new Map();
-    /** @type {Map<string, import('../types/index.js').LessonEvaluation>} */
-    this.evaluations = new Map();
+    /** @type {import('../storage/index.js').AgentState} rubricId -> EvaluationRubric */
+    this.rubrics = this.createState('rubrics');
+    /** @type {import('../storage/index.js').AgentState} lessonId -> LessonEvaluation */
+    this.evaluations = this.createState('evaluations');
     this.MIN_SCORE_THRESHOLD = config.system.minScoreThreshold;
   }
 
@@ -124,7 +124,7 @@ Respond with a JSON object containing the rubric structure with the following fo
         createdAt: new Date(),
       };
 
-      this.rubrics.set(rubric.id, rubric);
+      await this.rubrics.set(rubric.id, rubric);
 
       return this.createResponse({
         rubric,
@@ -143,10 +143,8 @@ Respond with a JSON object containing the rubric structure with the following fo
     const { lesson, rubricId } = data;
 
     // Use specific rubric or create a new one
-    let rubric;
-    if (rubricId && this.rubrics.has(rubricId)) {
-      rubric = this.rubrics.get(rubricId);
-    } else {
+    let rubric = rubricId ? await this.rubrics.get(rubricId) : undefined;
+    if (!rubric) {
       const rubricResponse = await this.createRubric({
         topic: lesson.topic,
         difficulty: lesson.difficulty,
@@ -209,7 +207,7 @@ Respond with a JSON object in the following format:
         passed: totalScore >= this.MIN_SCORE_THRESHOLD,
       };
 
-      this.evaluations.set(lesson.id, evaluation);
+      await this.evaluations.set(lesson.id, evaluation);
 
       return this.createResponse({
         evaluation,
@@ -228,7 +226,7 @@ Respond with a JSON object in the following format:
    */
   async getEvaluation(data) {
     const { lessonId } = data;
-    const evaluation = this.evaluations.get(lessonId);
+    const evaluation = await this.evaluations.get(lessonId);
     
     if (!evaluation) {
       return this.createResponse(null, 'Evaluation not found');
@@ -243,7 +241,7 @@ Respond with a JSON object in the following format:
    */
   async getRubric(data) {
     const { rubricId } = data;
-    const rubric = this.rubrics.get(rubricId);
+    const rubric = await this.rubrics.get(rubricId);
     
     if (!rubric) {
       return this.createResponse(null, 'Rubric not found');
@@ -12,8 +12,8 @@ export class LessonGenerator extends BaseAgent {
       systemPrompt: 'You are an expert educational content creator specialized in generating high-quality lessons.',
     });
     
-    /** @type {Map<string, import('../types/index.js').Lesson>} */
-    this.generatedLessons = new Map();
+    /** @type {import('../storage/index.js').AgentState} lessonId -> Lesson */
+    this.generatedLessons = this.createState('generatedLessons');
     /** @type {import('../types/index.js').SystemPrompt | null} */
     this.currentSystemPrompt = null;
   }
@@ -122,7 +122,7 @@ The content should be educational, clear, and motivating. Use markdown formattin
         updatedAt: new Date(),
       };
 
-      this.generatedLessons.set(lesson.id, lesson);
+      await this.generatedLessons.set(lesson.id, lesson);
 
       return this.createResponse({
         lesson,
@@ -140,7 +140,7 @@ The content should be educational, clear, and motivating. Use markdown formattin
   async regenerateLesson(data) {
     const { lessonId, feedback, requirements } = data;
     
-    const existingLesson = this.generatedLessons.get(lessonId);
+    const existingLesson = await this.generatedLessons.get(lessonId);
     if (!existingLesson) {
       return this.createResponse(null, 'Lesson not found');
     }
@@ -173,7 +173,7 @@ The new lesson should be significantly better than the previous one.`;
         updatedAt: new Date(),
       };
 
-      this.generatedLessons.set(lessonId, updatedLesson);
+      await this.generatedLessons.set(lessonId, updatedLesson);
 
       return this.createResponse({
         lesson: updatedLesson,
@@ -190,7 +190,7 @@ The new lesson should be significantly better than the previous one.`;
    */
   async getLesson(data) {
     const { lessonId } = data;
-    const lesson = this.generatedLessons.get(lessonId);
+    const lesson = await this.generatedLessons.get(lessonId);
     
     if (!lesson) {
       return this.createResponse(null, 'Lesson not found');
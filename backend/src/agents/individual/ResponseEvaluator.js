@@ -1,10 +1,14 @@
 import BaseAgent from '../core/BaseAgent.js';
+import { runInAgentContext } from '../core/agentContext.js';
 import config from '../config/index.js';
 
+const CLAIM_VERDICTS = ['supported', 'unsupported', 'contradicted'];
+
 /**
  * Model 5: Response Evaluator
  * Creates rubrics and evaluates Model 4's teaching responses
- * Only responses scoring above 70 are sent to the frontend
+ * Only responses scoring above 70 that contradict none of the lesson's
+ * material are sent to the frontend
  * Uses o1 (GPT-thinking high) for rigorous evaluation
  */
 export class ResponseEvaluator extends BaseAgent {
@@ -21,8 +25,8 @@ export class ResponseEvaluator extends BaseAgent {
     });
     
     this.PASSING_SCORE = 70;
-    /** @type {Map<string, any>} */
-    this.rubricCache = new Map();
+    /** @type {import('../storage/index.js').AgentState} lesson + response type -> last generated rubric */
+    this.rubricCache = this.createState('rubricCache');
   }
 
   /**
@@ -52,6 +56,8 @@ export class ResponseEvaluator extends BaseAgent {
     switch (action) {
       case 'evaluate_response':
         return await this.evaluateResponse(data);
+      case 'check_grounding':
+        return this.createResponse({ grounding: await this.checkGrounding(data) });
       default:
         return this.createResponse(null, 'Unsupported action');
     }
@@ -68,11 +74,13 @@ export class ResponseEvaluator extends BaseAgent {
       lessonContext = {},
       userPreferences = {},
       conversationHistory = [],
-      responseType = 'text'  // NEW: Support for multimodal responses
+      responseType = 'text',  // NEW: Support for multimodal responses
+      sourcePassages = [],
     } = data;
 
     const lessonTitle = lessonContext?.title || 'General Learning Topic';
     const lessonTopic = lessonContext?.topic || 'General';
+    const rubricKey = `${lessonTopic}:${lessonTitle}:${responseType}`;
 
     // Adapt prompt based on response type
     let responseDescription = '';
@@ -179,6 +187,15 @@ Respond with JSON in this EXACT format:
 
 Return ONLY valid JSON, no markdown or extra text.`;
 
+    // The fact check runs beside the rubric, as its own action so it is traced and billed separately
+    const groundingPromise = runInAgentContext(
+      { agent: this.config.name, action: 'check_grounding' },
+      () => this.checkGrounding({ teachingResponse, lessonContext, sourcePassages })
+    ).catch((error) => {
+      console.error('Error checking grounding:', error);
+      return null;
+    });
+
     try {
       const response = await this.llm.invoke(evaluationPrompt);
       const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
@@ -187,10 +204,16 @@ Return ONLY valid JSON, no markdown or extra text.`;
 
       // Validate and ensure required fields
       const totalScore = evaluation.totalScore || 0;
-      const passed = totalScore >= this.PASSING_SCORE;
+      const grounding = await groundingPromise;
+      const passed = totalScore >= this.PASSING_SCORE && !grounding?.contradicted;
 
-      const structuredEvaluation = {
-        rubric: evaluation.rubric || this.getDefaultRubric(),
+      if (evaluation.rubric) {
+        await this.rubricCache.set(rubricKey, evaluation.rubric)
+          .catch((error) => console.error('Error caching rubric:', error));
+      }
+
+      const structuredEvaluation = this.applyGrounding({
+        rubric: evaluation.rubric || (await this.getCachedRubric(rubricKey)),
         scores: evaluation.scores || {},
         totalScore,
         passed,
@@ -199,7 +222,7 @@ Return ONLY valid JSON, no markdown or extra text.`;
         overallFeedback: evaluation.overallFeedback || '',
         improvements: evaluation.improvements || [],
         evaluatedAt: new Date(),
-      };
+      }, grounding);
 
       return this.createResponse({
         evaluation: structuredEvaluation,
@@ -210,15 +233,117 @@ Return ONLY valid JSON, no markdown or extra text.`;
       
       // Fallback: Basic evaluation
       const fallbackEvaluation = this.createFallbackEvaluation(teachingResponse, userMessage);
+      fallbackEvaluation.rubric = await this.getCachedRubric(rubricKey);
       
       return this.createResponse({
-        evaluation: fallbackEvaluation,
+        evaluation: this.applyGrounding(fallbackEvaluation, await groundingPromise),
         message: 'Used fallback evaluation',
         warning: 'AI evaluation failed, using heuristics',
       });
     }
   }
 
+  /**
+   * Check the claims of a teaching response against the lesson content and
+   * the course-note passages the tutor was given. Each claim is tagged
+   * supported, unsupported (not covered by the material) or contradicted.
+   * @param {{teachingResponse: string|Object, lessonContext?: {title?: string, description?: string}, sourcePassages?: Array<{content: string, documentTitle: string}>}} data
+   * @returns {Promise<{claims: Array<{claim: string, verdict: 'supported'|'unsupported'|'contradicted', evidence: string, source: string|null}>, supported: number, unsupported: number, contradicted: number}|null>}
+   *   null when there is no material to check against
+   */
+  async checkGrounding({ teachingResponse, lessonContext = {}, sourcePassages = [] }) {
+    const lessonContent = lessonContext?.description?.trim();
+    if (!lessonContent && sourcePassages.length === 0) {
+      return null;
+    }
+
+    const groundingPrompt = `You are fact-checking an AI tutor's response against the course material it was given.
+
+LESSON: ${lessonContext?.title || 'Untitled lesson'}
+${lessonContent ? `LESSON CONTENT:\n${lessonContent}\n` : ''}${sourcePassages.length > 0 ? `
+COURSE NOTES (the tutor cites these by number):
+${sourcePassages.map((passage, index) => `[${index + 1}] (${passage.documentTitle}) ${passage.content}`).join('\n\n')}
+` : ''}
+TEACHING RESPONSE:
+"${typeof teachingResponse === 'object' ? JSON.stringify(teachingResponse, null, 2) : teachingResponse}"
+
+TASK:
+1. List the factual claims the response makes about the subject (definitions, facts, rules, results of examples). Skip greetings, encouragement, questions to the student and teaching advice.
+2. Check each claim against the lesson content and course notes above:
+   - "supported": the material states or directly implies it
+   - "unsupported": the material doesn't cover it (it may still be true)
+   - "contradicted": the material says something incompatible with it
+3. A citation such as [2] that points to a passage which does not back the claim makes the claim "contradicted".
+
+Respond with JSON in this EXACT format:
+{
+  "claims": [
+    { "claim": "short paraphrase", "verdict": "supported" | "unsupported" | "contradicted", "evidence": "what the material says, quoted briefly", "source": "lesson" | "[n]" | null }
+  ]
+}
+
+Return ONLY valid JSON, no markdown or extra text.`;
+
+    const response = await this.llm.invoke(groundingPrompt);
+    const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+    const result = this.extractJSON(content);
+
+    const claims = (Array.isArray(result.claims) ? result.claims : [])
+      .filter((claim) => claim && typeof claim.claim === 'string')
+      .map((claim) => ({
+        claim: claim.claim,
+        verdict: CLAIM_VERDICTS.includes(claim.verdict) ? claim.verdict : 'unsupported',
+        evidence: claim.evidence || '',
+        source: claim.source || null,
+      }));
+
+    return {
+      claims,
+      ...Object.fromEntries(
+        CLAIM_VERDICTS.map((verdict) => [verdict, claims.filter((claim) => claim.verdict === verdict).length])
+      ),
+    };
+  }
+
+  /**
+   * Attach the fact check to an evaluation. Contradicted claims fail the
+   * response whatever its score, and become the first improvements to make.
+   * @private
+   */
+  applyGrounding(evaluation, grounding) {
+    if (!grounding) {
+      return { ...evaluation, grounding: null };
+    }
+    if (grounding.contradicted === 0) {
+      return { ...evaluation, grounding };
+    }
+
+    const corrections = grounding.claims
+      .filter((claim) => claim.verdict === 'contradicted')
+      .map((claim) => `Correct the claim "${claim.claim}": the course material says ${claim.evidence || 'otherwise'}${claim.source ? ` (${claim.source})` : ''}`);
+
+    return {
+      ...evaluation,
+      grounding,
+      passed: false,
+      overallFeedback: `${grounding.contradicted} claim(s) contradict the course material. ${evaluation.overallFeedback}`.trim(),
+      improvements: [...corrections, ...evaluation.improvements],
+    };
+  }
+
+  /**
+   * Get the last rubric generated for this lesson and response type, or the default one
+   * @private
+   */
+  async getCachedRubric(rubricKey) {
+    try {
+      return (await this.rubricCache.get(rubricKey)) || this.getDefaultRubric();
+    } catch (error) {
+      console.error('Error reading cached rubric:', error);
+      return this.getDefaultRubric();
+    }
+  }
+
   /**
    * Create fallback evaluation using simple heuristics
    * @private
@@ -1,5 +1,8 @@
 import BaseAgent from '../core/BaseAgent.js';
 import config from '../config/index.js';
+import { describeMasteryForPrompt } from '../../services/conceptMasteryService.js';
+import { describePassagesForPrompt } from '../../services/documentService.js';
+import { describeMemoryForPrompt } from '../../services/conversationMemoryPrompt.js';
 
 /**
  * Model 4: Teacher Model
@@ -17,8 +20,8 @@ export class TeacherModel extends BaseAgent {
       systemPrompt: 'You are an adaptive AI tutor.', // o1 models use different prompting
     });
     
-    /** @type {Map<string, string>} */
-    this.activeSystemPrompts = new Map(); // userId -> current system prompt
+    /** @type {import('../storage/index.js').AgentState} */
+    this.activeSystemPrompts = this.createState('activeSystemPrompts'); // userId -> current system prompt
   }
 
   /**
@@ -66,7 +69,7 @@ export class TeacherModel extends BaseAgent {
 
     switch (type) {
       case 'system_prompt_updated':
-        this.activeSystemPrompts.set(data.userId, data.systemPrompt.content);
+        await this.activeSystemPrompts.set(data.userId, data.systemPrompt.content);
         return this.createResponse({ message: 'System prompt updated' });
       default:
         return this.createResponse(null, 'Unsupported notification type');
@@ -84,7 +87,11 @@ export class TeacherModel extends BaseAgent {
       lessonContext = {}, 
       conversationHistory = [],
       systemPromptContent = null,
-      userPreferences = {} 
+      userPreferences = {},
+      conceptMastery = [],
+      sourcePassages = [],
+      conversationMemory = null,
+      onToken = null
     } = data;
 
     // Detect if this is an initial lesson explanation
@@ -93,7 +100,7 @@ export class TeacherModel extends BaseAgent {
 
     // Use the system prompt from Model 2 (which includes user preferences)
     const activePrompt = systemPromptContent || 
-                         this.activeSystemPrompts.get(userId) || 
+                         (await this.activeSystemPrompts.get(userId)) || 
                          this.getDefaultTeachingPrompt();
 
     // Build conversation context - use more history for better context
@@ -114,6 +121,24 @@ export class TeacherModel extends BaseAgent {
       }
     }
 
+    // Ground the explanation in measured mastery rather than guesses about the student
+    const masteryStr = describeMasteryForPrompt(conceptMastery);
+    if (masteryStr) {
+      lessonContextStr += `\n\n${masteryStr}`;
+    }
+
+    // Memory reaches back past the recent messages below, and into earlier lessons
+    const memoryStr = describeMemoryForPrompt(conversationMemory);
+    if (memoryStr) {
+      lessonContextStr += `\n\n${memoryStr}`;
+    }
+
+    // Course notes keep the explanation faithful to the instructor's material
+    const passagesStr = describePassagesForPrompt(sourcePassages);
+    if (passagesStr) {
+      lessonContextStr += `\n\n${passagesStr}`;
+    }
+
     // Different instructions for initial explanation vs regular questions
     const teachingInstructions = isInitialExplanation ? `
 TEACHING INSTRUCTIONS - INITIAL LESSON EXPLANATION:
@@ -129,6 +154,7 @@ MINIMUM REQUIREMENTS:
 - Use analogies if the student prefers them
 - If applicable, provide code examples with line-by-line explanations
 - Explain WHY this topic is important and WHEN to use it
+- If COURSE NOTES are provided above, build the lesson on them and cite them
 
 STRUCTURE YOUR RESPONSE:
 1. **Introduction** (2-3 sentences): What is this and why does it matter?
@@ -160,7 +186,8 @@ TEACHING INSTRUCTIONS - ANSWERING STUDENT QUESTION:
 4. Include examples if requested or if they enhance understanding
 5. Be encouraging and supportive
 6. Check for understanding when appropriate
-7. Keep responses focused (aim for 200-400 words)`;
+7. Keep responses focused (aim for 200-400 words)
+8. If COURSE NOTES are provided above, answer from them and cite them`;
 
     const fullPrompt = `${activePrompt}${lessonContextStr}
 
@@ -174,8 +201,23 @@ ${teachingInstructions}
 Generate your teaching response now:`;
 
     try {
-      const response = await this.llm.invoke(fullPrompt);
-      const teachingResponse = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+      let teachingResponse;
+
+      if (typeof onToken === 'function') {
+        // Stream tokens to the caller as they arrive
+        teachingResponse = '';
+        const stream = await this.llm.stream(fullPrompt);
+        for await (const chunk of stream) {
+          const token = typeof chunk.content === 'string' ? chunk.content : '';
+          if (token) {
+            teachingResponse += token;
+            onToken(token);
+          }
+        }
+      } else {
+        const response = await this.llm.invoke(fullPrompt);
+        teachingResponse = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+      }
 
       return this.createResponse({
         response: teachingResponse,
@@ -194,7 +236,7 @@ Generate your teaching response now:`;
    */
   async updateSystemPrompt(data) {
     const { userId, systemPrompt } = data;
-    this.activeSystemPrompts.set(userId, systemPrompt);
+    await this.activeSystemPrompts.set(userId, systemPrompt);
     return this.createResponse({ message: 'System prompt updated for user' });
   }
 
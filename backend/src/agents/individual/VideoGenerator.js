@@ -1,10 +1,12 @@
 import BaseAgent from '../core/BaseAgent.js';
 import config from '../config/index.js';
-import OpenAI from 'openai';
 
 /**
  * Model 7: Video Generator
- * Creates explanatory videos using OpenAI Sora 2 for visual learners
+ * Creates explanatory videos using OpenAI Sora 2 for visual learners.
+ * It writes the script and Sora prompt; rendering is paid, so the video is
+ * only queued as a job once the reply passes evaluation and is saved
+ * (see the `saveTutorReply` pipeline task).
  */
 export class VideoGenerator extends BaseAgent {
   constructor() {
@@ -15,11 +17,6 @@ export class VideoGenerator extends BaseAgent {
       maxTokens: 2500,
       systemPrompt: 'You are an educational video script creator specializing in visual explanations.',
     });
-    
-    // Initialize OpenAI client for Sora 2
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
   }
 
   /**
@@ -60,7 +57,6 @@ export class VideoGenerator extends BaseAgent {
    */
   async generateVideoScript(data) {
     const { 
-      userId, 
       userMessage, 
       lessonContext, 
       conversationHistory = [],
@@ -107,67 +103,9 @@ Return ONLY the video prompt text, nothing else.`;
         ? promptResponse.content.trim()
         : String(promptResponse.content).trim();
 
-      console.log(`🎬 [Model 7] Generating video with Sora 2...`);
+      console.log(`🎬 [Model 7] Preparing video for Sora 2...`);
       console.log(`📝 Prompt: ${soraPrompt.substring(0, 150)}...`);
 
-      // Generate video with Sora 2 - Start generation
-      let video = await this.openai.videos.create({
-        model: 'sora-2-pro',
-        prompt: soraPrompt,
-      });
-
-      console.log(`🎥 Video generation started: ${video.id}`);
-      let progress = video.progress ?? 0;
-
-      // Poll for completion with progress updates
-      while (video.status === 'in_progress' || video.status === 'queued') {
-        await new Promise((resolve) => setTimeout(resolve, 2000)); // Wait 2 seconds
-        video = await this.openai.videos.retrieve(video.id);
-        progress = video.progress ?? 0;
-
-        const statusText = video.status === 'queued' ? '⏳ Queued' : '🎬 Processing';
-        const barLength = 30;
-        const filledLength = Math.floor((progress / 100) * barLength);
-        const bar = '█'.repeat(filledLength) + '░'.repeat(barLength - filledLength);
-        
-        console.log(`${statusText}: [${bar}] ${progress.toFixed(1)}%`);
-      }
-
-      // Check if generation failed
-      if (video.status === 'failed') {
-        throw new Error('Sora 2 video generation failed');
-      }
-
-      console.log(`✅ Video generation completed: ${video.id}`);
-
-      console.log(`✅ Video generation completed: ${video.id}`);
-
-      // Download video content
-      console.log(`📥 Downloading video content...`);
-      const content = await this.openai.videos.downloadContent(video.id);
-      const body = content.arrayBuffer();
-      const buffer = Buffer.from(await body);
-
-      // Generate a unique filename
-      const videoFilename = `video_${Date.now()}_${video.id}.mp4`;
-      const videoPath = `./generated_videos/${videoFilename}`;
-      
-      // Ensure directory exists
-      const fs = await import('fs');
-      const path = await import('path');
-      const dir = path.dirname(videoPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-
-      // Save video file
-      fs.writeFileSync(videoPath, buffer);
-      console.log(`💾 Saved video: ${videoPath}`);
-
-      // In production, upload to cloud storage and get public URL
-      // For now, we'll use a local path or return the video ID
-      const videoUrl = video.url || `/videos/${videoFilename}`;
-
       // Generate narration script
       const narrationTemplate = `Create a 10-second educational narration script for this video:
 
@@ -212,12 +150,9 @@ List 3 key takeaways the student should remember. Return as JSON array:
         ];
       }
 
-      const videoData = {
-        videoUrl: videoUrl,
-        videoId: video.id,
-        localPath: videoPath,
-        thumbnailUrl: video.thumbnail_url || null,
-        duration: video.duration || "~10s",
+      const videoDetails = {
+        thumbnailUrl: null,
+        duration: "~10s",
         title: lessonContext.title || "Educational Video",
         soraPrompt,
         narration,
@@ -226,12 +161,22 @@ List 3 key takeaways the student should remember. Return as JSON array:
         generatedAt: new Date().toISOString(),
       };
 
-      console.log(`✅ [Model 7] Video generated: ${videoData.videoUrl}`);
+      const videoData = {
+        ...videoDetails,
+        model: 'sora-2-pro',
+        videoUrl: null,
+        videoId: null,
+        jobId: null,
+        status: 'pending',
+        progress: 0,
+      };
+
+      console.log('✅ [Model 7] Video script ready, rendering starts once the reply is saved');
 
       return this.createResponse({
         response: videoData,
         responseType: 'video',
-        message: 'Educational video generated with Sora 2',
+        message: 'Educational video scripted for Sora 2',
       });
 
     } catch (error) {
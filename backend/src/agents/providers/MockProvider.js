@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import config from '../config/index.js';
+import { getAgentContext } from '../core/agentContext.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'default.json');
+
+/** @type {Record<string, *>|null} */
+let fixtures = null;
+/** @type {Map<string, *>} */
+const scriptedResponses = new Map();
+/** @type {Array<{agent: string, action: string|null, model: string, prompt: string}>} */
+const callLog = [];
+
+/**
+ * Load fixtures from disk. Entries in MOCK_LLM_FIXTURES override the defaults.
+ * @private
+ */
+const loadFixtures = () => {
+  if (fixtures) return fixtures;
+
+  fixtures = JSON.parse(fs.readFileSync(DEFAULT_FIXTURES_PATH, 'utf8'));
+
+  if (config.llm.mockFixtures) {
+    const overridePath = path.resolve(config.llm.mockFixtures);
+    const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+    fixtures = { ...fixtures, ...overrides };
+  }
+
+  return fixtures;
+};
+
+/**
+ * Resolve the scripted response for an agent/action pair.
+ * Lookup order: scripted `Agent:action`, scripted `Agent`, fixture
+ * `Agent:action`, fixture `Agent`, fixture `*`.
+ * @private
+ */
+const resolveFixture = (agent, action) => {
+  const keys = action ? [`${agent}:${action}`, agent] : [agent];
+
+  for (const key of keys) {
+    if (scriptedResponses.has(key)) return scriptedResponses.get(key);
+  }
+
+  const loaded = loadFixtures();
+  for (const key of keys) {
+    if (key in loaded) return loaded[key];
+  }
+
+  return loaded['*'];
+};
+
+/**
+ * Turn a fixture value into message content.
+ * `{"$sequence": [...]}` returns one entry per LLM call made within the same
+ * agent action (the last entry repeats), which covers agents such as
+ * VideoGenerator that call the model several times per request.
+ * @private
+ */
+const renderFixture = (value, callIndex, agent) => {
+  if (value && typeof value === 'object' && Array.isArray(value.$sequence)) {
+    const sequence = value.$sequence;
+    return renderFixture(sequence[Math.min(callIndex, sequence.length - 1)], 0, agent);
+  }
+
+  if (value === undefined || value === null) {
+    return `Mock response from ${agent}.`;
+  }
+
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * Stringify a LangChain-style input (string or message array) for the call log
+ * @private
+ */
+const promptToString = (input) => {
+  if (typeof input === 'string') return input;
+  if (Array.isArray(input)) {
+    return input.map((m) => (typeof m === 'string' ? m : m.content)).join('\n');
+  }
+  return String(input);
+};
+
+/**
+ * Token usage in LangChain's `usage_metadata` shape, estimated at ~4 characters per token
+ * @private
+ */
+const estimateUsage = (input, content) => {
+  const inputTokens = Math.ceil(promptToString(input).length / 4);
+  const outputTokens = Math.ceil(content.length / 4);
+  return { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens };
+};
+
+/**
+ * Deterministic chat model with the subset of the LangChain interface
+ * the agents rely on
+ */
+class MockChatModel {
+  /**
+   * @param {import('../types/index.js').AgentConfig} agentConfig
+   */
+  constructor(agentConfig) {
+    this.agentName = agentConfig.name;
+    this.modelName = agentConfig.model;
+  }
+
+  async invoke(input) {
+    const context = getAgentContext();
+    const agent = context?.agent || this.agentName;
+    const action = context?.action || null;
+    const callIndex = context ? context.llmCalls++ : 0;
+
+    callLog.push({ agent, action, model: this.modelName, prompt: promptToString(input) });
+
+    const content = renderFixture(resolveFixture(agent, action), callIndex, agent);
+    return new AIMessage({ content, usage_metadata: estimateUsage(input, content) });
+  }
+
+  async stream(input) {
+    const { content, usage_metadata: usage } = await this.invoke(input);
+    // Split after whitespace so the chunks concatenate back to the full text
+    const chunks = content.split(/(?<=\s)/);
+
+    return (async function* () {
+      for (const chunk of chunks) {
+        yield new AIMessageChunk({ content: chunk });
+      }
+      // Like OpenAI, report usage on a final empty chunk
+      yield new AIMessageChunk({ content: '', usage_metadata: usage });
+    })();
+  }
+}
+
+/**
+ * In-memory stand-in for the Sora `videos` API. Jobs move from queued to
+ * completed over a couple of polls and download as a small placeholder file.
+ */
+class MockVideoClient {
+  constructor() {
+    this.jobs = new Map();
+    this.videos = {
+      create: async ({ model, prompt }) => {
+        const id = `mock_video_${Date.now()}_${this.jobs.size + 1}`;
+        const job = { id, model, prompt, status: 'queued', progress: 0, object: 'video' };
+        this.jobs.set(id, job);
+        return { ...job };
+      },
+      retrieve: async (id) => {
+        const job = this.jobs.get(id);
+        if (!job) throw new Error(`Video ${id} not found`);
+
+        job.progress = Math.min(100, job.progress + 50);
+        job.status = job.progress >= 100 ? 'completed' : 'in_progress';
+        return { ...job };
+      },
+      downloadContent: async (id) => {
+        if (!this.jobs.has(id)) throw new Error(`Video ${id} not found`);
+        const data = Buffer.from(`mock video ${id}`);
+        return { arrayBuffer: async () => data };
+      },
+    };
+  }
+}
+
+/**
+ * Mock provider - returns fixture-based responses with no network access
+ */
+export const MockProvider = {
+  name: 'mock',
+
+  createChatModel(agentConfig) {
+    return new MockChatModel(agentConfig);
+  },
+
+  createVideoClient() {
+    return new MockVideoClient();
+  },
+};
+
+/**
+ * Script the response for an agent (`'TeacherModel'`) or a specific action
+ * (`'TeacherModel:teach'`). Takes precedence over fixtures until reset.
+ * @param {string} key
+ * @param {*} response - String, JSON-serializable value or `{$sequence: [...]}`
+ */
+export const setMockResponse = (key, response) => {
+  scriptedResponses.set(key, response);
+};
+
+/**
+ * Clear scripted responses and the call log, and reload fixtures on next use
+ */
+export const resetMockProvider = () => {
+  scriptedResponses.clear();
+  callLog.length = 0;
+  fixtures = null;
+};
+
+/**
+ * Get every prompt the mock has received, in order
+ * @returns {Array<{agent: string, action: string|null, model: string, prompt: string}>}
+ */
+export const getMockCalls = () => [...callLog];
+
+export default MockProvider;
@@ -0,0 +1,34 @@
+import { ChatOpenAI } from '@langchain/openai';
+import OpenAI from 'openai';
+import config from '../config/index.js';
+
+/**
+ * OpenAI provider - talks to the real OpenAI APIs
+ */
+export const OpenAIProvider = {
+  name: 'openai',
+
+  /**
+   * Create a chat model for an agent
+   * @param {import('../types/index.js').AgentConfig} agentConfig
+   */
+  createChatModel(agentConfig) {
+    return new ChatOpenAI({
+      modelName: agentConfig.model,
+      temperature: agentConfig.temperature,
+      maxTokens: agentConfig.maxTokens,
+      openAIApiKey: config.openaiApiKey,
+    });
+  },
+
+  /**
+   * Create a client exposing the Sora `videos` API
+   */
+  createVideoClient() {
+    return new OpenAI({
+      apiKey: config.openaiApiKey,
+    });
+  },
+};
+
+export default OpenAIProvider;
@@ -0,0 +1,43 @@
+import config from '../config/index.js';
+import OpenAIProvider from './OpenAIProvider.js';
+import MockProvider from './MockProvider.js';
+import { withUsageTracking } from '../core/usageTracking.js';
+
+/**
+ * LLM provider registry. Select one with LLM_PROVIDER (defaults to `openai`).
+ */
+const providers = {
+  [OpenAIProvider.name]: OpenAIProvider,
+  [MockProvider.name]: MockProvider,
+};
+
+/**
+ * Get the configured provider
+ * @returns {typeof OpenAIProvider}
+ */
+export const getProvider = () => {
+  const provider = providers[config.llm.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider '${config.llm.provider}'. Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Create the chat model an agent uses for `invoke()` and `stream()` calls.
+ * Every call is recorded in the LLM usage log.
+ * @param {import('../types/index.js').AgentConfig} agentConfig
+ */
+export const createChatModel = (agentConfig) => {
+  const provider = getProvider();
+  return withUsageTracking(provider.createChatModel(agentConfig), agentConfig, provider.name);
+};
+
+/**
+ * Create the client used for video generation
+ */
+export const createVideoClient = () => getProvider().createVideoClient();
+
+export const availableProviders = Object.keys(providers);
+
+export { setMockResponse, resetMockProvider, getMockCalls } from './MockProvider.js';
@@ -0,0 +1,53 @@
+/**
+ * Agent state store kept in process memory. State is lost on restart and is
+ * not shared between instances; meant for local development and scripts
+ * that run without a database.
+ */
+export class MemoryStateStore {
+  constructor() {
+    this.name = 'memory';
+    /** @type {Map<string, Map<string, *>>} */
+    this.collections = new Map();
+  }
+
+  /**
+   * @private
+   */
+  collection(agent, namespace) {
+    const id = `${agent}:${namespace}`;
+    if (!this.collections.has(id)) {
+      this.collections.set(id, new Map());
+    }
+    return this.collections.get(id);
+  }
+
+  async get(agent, namespace, key) {
+    const value = this.collection(agent, namespace).get(String(key));
+    // Round-trip through JSON so callers see the same shapes as with Postgres
+    return value === undefined ? undefined : JSON.parse(value);
+  }
+
+  async set(agent, namespace, key, value) {
+    const collection = this.collection(agent, namespace);
+    // Re-insert so iteration order follows the last update, like updated_at
+    collection.delete(String(key));
+    collection.set(String(key), JSON.stringify(value));
+  }
+
+  async delete(agent, namespace, key) {
+    return this.collection(agent, namespace).delete(String(key));
+  }
+
+  async list(agent, namespace, { limit = 100 } = {}) {
+    return [...this.collection(agent, namespace).entries()]
+      .reverse()
+      .slice(0, limit)
+      .map(([key, value]) => ({ key, value: JSON.parse(value) }));
+  }
+
+  async clear() {
+    this.collections.clear();
+  }
+}
+
+export default MemoryStateStore;
@@ -0,0 +1,50 @@
+import pool from '../../config/database.js';
+
+/**
+ * Agent state store backed by the `agent_state` table, so what the agents
+ * learn survives restarts and is shared by every instance
+ */
+export class PostgresStateStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async get(agent, namespace, key) {
+    const result = await pool.query(
+      'SELECT value FROM agent_state WHERE agent = $1 AND namespace = $2 AND key = $3',
+      [agent, namespace, String(key)]
+    );
+    return result.rows[0]?.value;
+  }
+
+  async set(agent, namespace, key, value) {
+    await pool.query(
+      `INSERT INTO agent_state (agent, namespace, key, value)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (agent, namespace, key)
+       DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+      [agent, namespace, String(key), JSON.stringify(value)]
+    );
+  }
+
+  async delete(agent, namespace, key) {
+    const result = await pool.query(
+      'DELETE FROM agent_state WHERE agent = $1 AND namespace = $2 AND key = $3',
+      [agent, namespace, String(key)]
+    );
+    return result.rowCount > 0;
+  }
+
+  async list(agent, namespace, { limit = 100 } = {}) {
+    const result = await pool.query(
+      `SELECT key, value FROM agent_state
+       WHERE agent = $1 AND namespace = $2
+       ORDER BY updated_at DESC
+       LIMIT $3`,
+      [agent, namespace, limit]
+    );
+    return result.rows;
+  }
+}
+
+export default PostgresStateStore;
@@ -0,0 +1,80 @@
+import config from '../config/index.js';
+import MemoryStateStore from './MemoryStateStore.js';
+import PostgresStateStore from './PostgresStateStore.js';
+
+/**
+ * Agent state store registry. Select one with AGENT_STATE_STORE (defaults to `postgres`).
+ */
+const stores = {
+  postgres: () => new PostgresStateStore(),
+  memory: () => new MemoryStateStore(),
+};
+
+let activeStore = null;
+
+/**
+ * Get the configured state store (created once per process)
+ * @returns {PostgresStateStore|MemoryStateStore}
+ */
+export const getStateStore = () => {
+  if (activeStore) return activeStore;
+
+  const createStore = stores[config.storage.agentState];
+  if (!createStore) {
+    throw new Error(`Unknown agent state store '${config.storage.agentState}'. Available: ${Object.keys(stores).join(', ')}`);
+  }
+
+  activeStore = createStore();
+  return activeStore;
+};
+
+/**
+ * Replace the state store, e.g. with a MemoryStateStore in scripts
+ * @param {PostgresStateStore|MemoryStateStore|null} store - `null` goes back to the configured store
+ */
+export const setStateStore = (store) => {
+  activeStore = store;
+};
+
+/**
+ * Async, Map-like view over one agent's namespace in the state store.
+ * Values are stored as JSON, so Dates come back as ISO strings.
+ */
+export class AgentState {
+  /**
+   * @param {string} agent - Agent name
+   * @param {string} namespace - Collection within the agent
+   */
+  constructor(agent, namespace) {
+    this.agent = agent;
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    return getStateStore().get(this.agent, this.namespace, key);
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== undefined;
+  }
+
+  async set(key, value) {
+    await getStateStore().set(this.agent, this.namespace, key, value);
+    return this;
+  }
+
+  async delete(key) {
+    return getStateStore().delete(this.agent, this.namespace, key);
+  }
+
+  /**
+   * Most recently updated entries first
+   * @param {{limit?: number}} [options]
+   * @returns {Promise<Array<{key: string, value: *}>>}
+   */
+  async list(options) {
+    return getStateStore().list(this.agent, this.namespace, options);
+  }
+}
+
+export { MemoryStateStore, PostgresStateStore };
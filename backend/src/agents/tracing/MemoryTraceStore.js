@@ -0,0 +1,79 @@
+import config from '../config/index.js';
+
+/**
+ * Trace store kept in process memory, holding the most recent traces only.
+ * Meant for local development and scripts that run without a database; LLM
+ * calls are not attached since they are only stored in Postgres.
+ */
+export class MemoryTraceStore {
+  /**
+   * @param {{maxTraces?: number}} [options]
+   */
+  constructor({ maxTraces = config.tracing.memoryTraces } = {}) {
+    this.name = 'memory';
+    this.maxTraces = maxTraces;
+    /** @type {Map<string, Object[]>} Spans per trace, oldest trace first */
+    this.traces = new Map();
+  }
+
+  async record(span) {
+    const spans = this.traces.get(span.traceId) || [];
+    spans.push(span);
+    // Re-insert so the trace that changed last is evicted last
+    this.traces.delete(span.traceId);
+    this.traces.set(span.traceId, spans);
+
+    while (this.traces.size > this.maxTraces) {
+      this.traces.delete(this.traces.keys().next().value);
+    }
+  }
+
+  async listTraces({ userId = null, lessonId = null, limit = 50 } = {}) {
+    return [...this.traces.entries()]
+      .filter(([, spans]) => (
+        (!userId || spans.some((span) => span.userId === userId)) &&
+        (!lessonId || spans.some((span) => span.lessonId === lessonId))
+      ))
+      .map(([traceId, spans]) => summarizeTrace(traceId, spans))
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(0, limit);
+  }
+
+  async getTrace(traceId) {
+    const spans = this.traces.get(traceId);
+    if (!spans) return null;
+    return {
+      spans: [...spans].sort((a, b) => a.startedAt - b.startedAt),
+      llmCalls: [],
+    };
+  }
+
+  async clear() {
+    this.traces.clear();
+  }
+}
+
+/**
+ * Same shape as the summaries PostgresTraceStore returns
+ * @private
+ */
+const summarizeTrace = (traceId, spans) => {
+  const startedAt = new Date(Math.min(...spans.map((span) => span.startedAt)));
+  const endedAt = Math.max(...spans.map((span) => span.startedAt.getTime() + span.latencyMs));
+  const root = spans.find((span) => !span.parentSpanId) || spans[0];
+
+  return {
+    traceId,
+    requestId: spans.find((span) => span.requestId)?.requestId || null,
+    userId: spans.find((span) => span.userId)?.userId || null,
+    lessonId: spans.find((span) => span.lessonId)?.lessonId || null,
+    root: root.kind === 'pipeline' ? root.action : `${root.toAgent}:${root.action}`,
+    spanCount: spans.length,
+    failedSpans: spans.filter((span) => !span.success).length,
+    tokensUsed: spans.filter((span) => span.kind === 'message').reduce((sum, span) => sum + span.tokensUsed, 0),
+    durationMs: endedAt - startedAt.getTime(),
+    startedAt,
+  };
+};
+
+export default MemoryTraceStore;
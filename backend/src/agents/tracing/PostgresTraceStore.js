@@ -0,0 +1,165 @@
+import pool from '../../config/database.js';
+
+/**
+ * @private
+ */
+const toSpan = (row) => ({
+  spanId: row.span_id,
+  traceId: row.trace_id,
+  requestId: row.request_id,
+  parentSpanId: row.parent_span_id,
+  userId: row.user_id,
+  lessonId: row.lesson_id,
+  kind: row.kind,
+  fromAgent: row.from_agent,
+  toAgent: row.to_agent,
+  action: row.action,
+  messageType: row.message_type,
+  request: row.request,
+  response: row.response,
+  model: row.model,
+  tokensUsed: row.tokens_used,
+  success: row.success,
+  error: row.error,
+  latencyMs: row.latency_ms,
+  startedAt: row.started_at,
+});
+
+/**
+ * @private
+ */
+const toLLMCall = (row) => ({
+  spanId: row.span_id,
+  agent: row.agent,
+  action: row.action,
+  provider: row.provider,
+  model: row.model,
+  inputTokens: row.input_tokens,
+  outputTokens: row.output_tokens,
+  totalTokens: row.total_tokens,
+  estimated: row.estimated,
+  latencyMs: row.latency_ms,
+  costUsd: row.cost_usd === null ? null : Number(row.cost_usd),
+  success: row.success,
+  error: row.error,
+  createdAt: row.created_at,
+});
+
+/**
+ * Trace store backed by the `agent_spans` table. The LLM calls of a trace
+ * come from `llm_usage`, which records the span that made each call.
+ */
+export class PostgresTraceStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async record(span) {
+    await pool.query(
+      `INSERT INTO agent_spans
+       (span_id, trace_id, request_id, parent_span_id, user_id, lesson_id, kind, from_agent, to_agent, action,
+        message_type, request, response, model, tokens_used, success, error, latency_ms, started_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)`,
+      [
+        span.spanId,
+        span.traceId,
+        span.requestId,
+        span.parentSpanId,
+        span.userId,
+        span.lessonId,
+        span.kind,
+        span.fromAgent,
+        span.toAgent,
+        span.action,
+        span.messageType,
+        JSON.stringify(span.request),
+        JSON.stringify(span.response),
+        span.model,
+        span.tokensUsed,
+        span.success,
+        span.error,
+        span.latencyMs,
+        span.startedAt,
+      ]
+    );
+  }
+
+  async listTraces({ userId = null, lessonId = null, limit = 50 } = {}) {
+    const params = [];
+    const filters = [];
+    if (userId) {
+      params.push(userId);
+      filters.push(`user_id = $${params.length}`);
+    }
+    if (lessonId) {
+      params.push(lessonId);
+      filters.push(`lesson_id = $${params.length}`);
+    }
+    params.push(limit);
+
+    // Filters pick the traces; the summaries cover all of their spans
+    const result = await pool.query(
+      `WITH traces AS (
+         SELECT trace_id, MIN(started_at) AS started_at
+         FROM agent_spans
+         ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+         GROUP BY trace_id
+         ORDER BY started_at DESC
+         LIMIT $${params.length}
+       )
+       SELECT s.trace_id,
+              MIN(s.started_at) AS started_at,
+              MAX(s.request_id) AS request_id,
+              MAX(s.user_id) AS user_id,
+              MAX(s.lesson_id) AS lesson_id,
+              COUNT(*)::int AS span_count,
+              COUNT(*) FILTER (WHERE NOT s.success)::int AS failed_spans,
+              COALESCE(SUM(s.tokens_used) FILTER (WHERE s.kind = 'message'), 0)::int AS tokens_used,
+              (EXTRACT(EPOCH FROM MAX(s.started_at + s.latency_ms * INTERVAL '1 millisecond') - MIN(s.started_at)) * 1000)::int AS duration_ms,
+              (ARRAY_AGG(
+                CASE WHEN s.kind = 'pipeline' THEN s.action ELSE s.to_agent || ':' || s.action END
+                ORDER BY (s.parent_span_id IS NOT NULL), s.started_at
+              ))[1] AS root
+       FROM agent_spans s
+       JOIN traces t ON t.trace_id = s.trace_id
+       GROUP BY s.trace_id
+       ORDER BY MIN(s.started_at) DESC`,
+      params
+    );
+
+    return result.rows.map((row) => ({
+      traceId: row.trace_id,
+      requestId: row.request_id,
+      userId: row.user_id,
+      lessonId: row.lesson_id,
+      root: row.root,
+      spanCount: row.span_count,
+      failedSpans: row.failed_spans,
+      tokensUsed: row.tokens_used,
+      durationMs: row.duration_ms,
+      startedAt: row.started_at,
+    }));
+  }
+
+  async getTrace(traceId) {
+    const spans = await pool.query(
+      'SELECT * FROM agent_spans WHERE trace_id = $1 ORDER BY started_at, id',
+      [traceId]
+    );
+    if (spans.rows.length === 0) return null;
+
+    const llmCalls = await pool.query(
+      `SELECT * FROM llm_usage
+       WHERE span_id = ANY($1)
+       ORDER BY created_at, id`,
+      [spans.rows.map((row) => row.span_id)]
+    );
+
+    return {
+      spans: spans.rows.map(toSpan),
+      llmCalls: llmCalls.rows.map(toLLMCall),
+    };
+  }
+}
+
+export default PostgresTraceStore;
@@ -0,0 +1,176 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { runInAgentContext, getAgentContext } from '../core/agentContext.js';
+import MemoryTraceStore from './MemoryTraceStore.js';
+import PostgresTraceStore from './PostgresTraceStore.js';
+
+/**
+ * Trace store registry. Select one with AGENT_TRACE_STORE (defaults to `postgres`).
+ */
+const stores = {
+  postgres: () => new PostgresTraceStore(),
+  memory: () => new MemoryTraceStore(),
+};
+
+let activeStore = null;
+
+/**
+ * Get the configured trace store (created once per process)
+ * @returns {PostgresTraceStore|MemoryTraceStore}
+ */
+export const getTraceStore = () => {
+  if (activeStore) return activeStore;
+
+  const createStore = stores[config.tracing.store];
+  if (!createStore) {
+    throw new Error(`Unknown agent trace store '${config.tracing.store}'. Available: ${Object.keys(stores).join(', ')}`);
+  }
+
+  activeStore = createStore();
+  return activeStore;
+};
+
+/**
+ * Replace the trace store, e.g. with a MemoryTraceStore in scripts
+ * @param {PostgresTraceStore|MemoryTraceStore|null} store - `null` goes back to the configured store
+ */
+export const setTraceStore = (store) => {
+  activeStore = store;
+};
+
+/**
+ * IDs that are not database integers (e.g. synthetic evaluation users) are stored as NULL
+ * @private
+ */
+const toIntegerId = (value) => {
+  const id = Number(value);
+  return value !== null && value !== undefined && Number.isInteger(id) ? id : null;
+};
+
+/**
+ * A JSON-safe copy of a request or response. Functions (e.g. `onToken`) are
+ * dropped and payloads over the size limit are kept as a preview.
+ * @private
+ */
+const toPayload = (value) => {
+  if (value === undefined) return null;
+
+  let json;
+  try {
+    json = JSON.stringify(value);
+  } catch (error) {
+    return { unserializable: true, error: error.message };
+  }
+  if (json === undefined) return null;
+
+  if (json.length > config.tracing.maxPayloadChars) {
+    return { truncated: true, size: json.length, preview: json.slice(0, config.tracing.maxPayloadChars) };
+  }
+  return JSON.parse(json);
+};
+
+/**
+ * Run `fn` as a span of the active trace and record it once it settles.
+ * The trace is the API request being handled (the X-Trace-Id the server
+ * generated for it; the request's X-Request-Id is kept alongside); outside
+ * a request the outermost span starts a trace of its own. Spans and LLM calls
+ * started inside `fn` become children of this span and, unless they say
+ * otherwise, belong to its user and lesson.
+ * @param {{kind: 'pipeline'|'message', fromAgent?: string, toAgent?: string, action?: string, messageType?: string, userId?: number, lessonId?: number, request?: *}} span
+ * @param {(ids: {traceId: string, spanId: string, parentSpanId: string|null}) => Promise<T>} fn
+ * @param {(result: T) => {response?: *, model?: string, tokensUsed?: number, success?: boolean, error?: string}} [outcomeOf] - What to record about the result
+ * @returns {Promise<T>}
+ * @template T
+ */
+export const traceSpan = async (span, fn, outcomeOf = (result) => ({ response: result })) => {
+  const context = getAgentContext();
+  const ids = {
+    traceId: context?.traceId || uuidv4(),
+    spanId: uuidv4(),
+    parentSpanId: context?.spanId || null,
+  };
+  const startedAt = new Date();
+  let outcome = {};
+
+  try {
+    const result = await runInAgentContext(
+      { traceId: ids.traceId, spanId: ids.spanId, userId: span.userId, lessonId: span.lessonId },
+      () => fn(ids)
+    );
+    outcome = outcomeOf(result);
+    return result;
+  } catch (error) {
+    outcome = { success: false, error: error.message };
+    throw error;
+  } finally {
+    if (config.tracing.enabled) {
+      // Tracing must never slow down or break the agents it watches
+      getTraceStore().record({
+        ...ids,
+        requestId: context?.requestId || null,
+        userId: toIntegerId(span.userId ?? context?.userId),
+        lessonId: toIntegerId(span.lessonId ?? context?.lessonId),
+        kind: span.kind,
+        fromAgent: span.fromAgent || null,
+        toAgent: span.toAgent || null,
+        action: span.action || null,
+        messageType: span.messageType || null,
+        request: toPayload(span.request),
+        response: toPayload(outcome.response),
+        model: outcome.model || null,
+        tokensUsed: outcome.tokensUsed || 0,
+        success: outcome.success !== false,
+        error: outcome.error || null,
+        latencyMs: Date.now() - startedAt.getTime(),
+        startedAt,
+      }).catch((recordError) => console.error('Error recording agent span:', recordError.message));
+    }
+  }
+};
+
+/**
+ * Most recent traces, newest first
+ * @param {{userId?: number|null, lessonId?: number|null, limit?: number}} [filters] - Traces touching this user or lesson
+ */
+export const listTraces = (filters) => getTraceStore().listTraces(filters);
+
+/**
+ * One trace as a call tree: each span lists the spans it started as
+ * `children` and the LLM calls it made as `llmCalls`
+ * @param {string} traceId
+ * @returns {Promise<Object|null>} `null` when the trace is unknown
+ */
+export const getTrace = async (traceId) => {
+  const trace = await getTraceStore().getTrace(traceId);
+  if (!trace) return null;
+
+  const nodes = new Map(trace.spans.map((span) => [span.spanId, { ...span, llmCalls: [], children: [] }]));
+  for (const call of trace.llmCalls) {
+    nodes.get(call.spanId)?.llmCalls.push(call);
+  }
+
+  // Spans whose parent was never recorded are shown at the top level
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentSpanId && nodes.get(node.parentSpanId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const startedAt = Math.min(...trace.spans.map((span) => new Date(span.startedAt).getTime()));
+  const endedAt = Math.max(...trace.spans.map((span) => new Date(span.startedAt).getTime() + span.latencyMs));
+
+  return {
+    traceId,
+    startedAt: new Date(startedAt),
+    durationMs: endedAt - startedAt,
+    spanCount: trace.spans.length,
+    failedSpans: trace.spans.filter((span) => !span.success).length,
+    llmCallCount: trace.llmCalls.length,
+    tokensUsed: trace.spans
+      .filter((span) => span.kind === 'message')
+      .reduce((sum, span) => sum + span.tokensUsed, 0),
+    spans: roots,
+  };
+};
+
+export { MemoryTraceStore, PostgresTraceStore };
@@ -76,6 +76,9 @@
  * @property {*} content - Message content
  * @property {Date} timestamp - Message timestamp
  * @property {'low'|'medium'|'high'|'urgent'} priority - Message priority
+ * @property {string} [traceId] - Trace of the request the message was sent for (its X-Trace-Id)
+ * @property {string} [spanId] - Span recording this message
+ * @property {string|null} [parentSpanId] - Span of the message or pipeline that sent it
  */
 
 /**
@@ -1,21 +0,0 @@
-const express = require('express');
-const bodyParser = require('body-parser');
-const cors = require('cors');
-const routes = require('./routes/index');
-const { errorMiddleware, notFoundMiddleware } = require('./middlewares');
-
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-
-// Routes
-app.use('/api', routes);
-
-// Error handling middleware
-app.use(notFoundMiddleware);
-app.use(errorMiddleware);
-
-module.exports = app;
\ No newline at end of file
@@ -1,35 +0,0 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import pool from './database.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-async function initializeDatabase() {
-  const client = await pool.connect();
-  
-  try {
-    const schemaPath = path.join(__dirname, '..', '..', 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf-8');
-    
-    console.log('Initializing database...');
-    await client.query(schema);
-    console.log('Database initialized successfully!');
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
-initializeDatabase()
-  .then(() => {
-    console.log('Database setup complete');
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error('Failed to initialize database:', error);
-    process.exit(1);
-  });
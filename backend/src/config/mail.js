@@ -0,0 +1,33 @@
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Outgoing mail settings.
+ * - MAIL_TRANSPORT: `console` (default) prints messages, `file` writes them as
+ *   .eml files to MAIL_FILE_DIR, `smtp` delivers through SMTP_HOST
+ * - SMTP_SECURE=true connects with TLS from the start (usually port 465);
+ *   otherwise the connection is upgraded with STARTTLS when the server offers it
+ * - Servers without STARTTLS are refused unless SMTP_REQUIRE_TLS=false, and
+ *   even then SMTP_USER's credentials are only sent unencrypted with
+ *   SMTP_ALLOW_INSECURE_AUTH=true
+ */
+export const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Learning Platform <no-reply@localhost>',
+  fileDir: path.resolve(process.env.MAIL_FILE_DIR || 'mail_outbox'),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || (process.env.SMTP_SECURE === 'true' ? 465 : 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    // Refuse to send credentials or mail over an unencrypted connection
+    requireTls: process.env.SMTP_REQUIRE_TLS !== 'false',
+    allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || '',
+    timeout: parseInt(process.env.SMTP_TIMEOUT_MS) || 15000,
+  },
+};
+
+export default mailConfig;
@@ -0,0 +1,67 @@
+import pool from './database.js';
+import { getMigrationStatus, migrateUp, migrateDown, runSeeds } from './migrations.js';
+
+/**
+ * Migration CLI
+ *
+ *   node src/config/migrate.js up [--to VERSION]
+ *   node src/config/migrate.js down [--steps N]
+ *   node src/config/migrate.js status
+ *   node src/config/migrate.js seed
+ */
+const [command = 'up', ...args] = process.argv.slice(2);
+
+const getOption = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const printStatus = async () => {
+  const { migrations, pending, changed, missing } = await getMigrationStatus();
+
+  for (const migration of migrations) {
+    const state = migration.changed ? 'changed' : migration.applied ? 'applied' : 'pending';
+    const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+    console.log(`${state.padEnd(8)} ${migration.filename.padEnd(45)} ${appliedAt}`);
+  }
+  for (const row of missing) {
+    console.log(`${'missing'.padEnd(8)} ${row.version}_${row.name}`);
+  }
+
+  console.log(`\n${migrations.length - pending.length} applied, ${pending.length} pending, ${changed.length} changed`);
+};
+
+const run = async () => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp({ to: getOption('to') });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(getOption('steps') || '1');
+      const rolledBack = await migrateDown({ steps });
+      console.log(`Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    case 'seed':
+      await runSeeds();
+      break;
+    default:
+      throw new Error(`Unknown command '${command}'. Use up, down, status or seed.`);
+  }
+};
+
+run()
+  .then(async () => {
+    await pool.end();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('Migration failed:', error.message);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
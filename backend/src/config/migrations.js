@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import pool from './database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+export const SEEDS_DIR = path.join(__dirname, '..', '..', 'seeds');
+
+// Arbitrary key for pg_advisory_lock so concurrent runners wait for each other
+const MIGRATION_LOCK_KEY = 7413620;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const SECTION_MARKER = /^--\s*migrate:(up|down)\s*$/m;
+
+/**
+ * Split a migration file into its `-- migrate:up` and `-- migrate:down`
+ * sections. Files without markers are treated as up-only.
+ * @private
+ */
+const parseMigration = (sql) => {
+  if (!SECTION_MARKER.test(sql)) {
+    return { up: sql, down: null };
+  }
+
+  const sections = { up: '', down: '' };
+  const parts = sql.split(SECTION_MARKER);
+  // parts: [header, 'up', upSql, 'down', downSql]
+  for (let i = 1; i < parts.length; i += 2) {
+    sections[parts[i]] += parts[i + 1];
+  }
+
+  return {
+    up: sections.up.trim(),
+    down: sections.down.trim() || null,
+  };
+};
+
+/**
+ * Read all migration files in version order
+ * @returns {Array<{version: string, name: string, filename: string, checksum: string, up: string, down: string|null}>}
+ */
+export const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map((filename) => {
+      const [, version, name] = filename.match(MIGRATION_FILE_PATTERN);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, filename), 'utf-8');
+      return {
+        version,
+        name,
+        filename,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+        ...parseMigration(sql),
+      };
+    });
+};
+
+/**
+ * Create the tracking table if needed
+ * @private
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * Run a function while holding the migration lock
+ * @private
+ */
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+/**
+ * Compare migration files with the tracking table
+ * @private
+ */
+const computeStatus = async (client) => {
+  const migrations = loadMigrations();
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map((row) => [row.version, row]));
+
+  const entries = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    return {
+      ...migration,
+      applied: Boolean(row),
+      appliedAt: row?.applied_at || null,
+      changed: Boolean(row) && row.checksum !== migration.checksum,
+    };
+  });
+
+  const known = new Set(migrations.map((m) => m.version));
+  const missing = result.rows.filter((row) => !known.has(row.version));
+
+  return {
+    migrations: entries,
+    pending: entries.filter((m) => !m.applied),
+    changed: entries.filter((m) => m.changed),
+    missing,
+  };
+};
+
+/**
+ * Get the status of every migration
+ */
+export const getMigrationStatus = () => withMigrationLock(computeStatus);
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {{to?: string}} [options] - Stop after this version
+ * @returns {Promise<string[]>} Applied filenames
+ */
+export const migrateUp = ({ to = null } = {}) => withMigrationLock(async (client) => {
+  const { pending } = await computeStatus(client);
+  const toApply = to ? pending.filter((m) => parseInt(m.version) <= parseInt(to)) : pending;
+  const applied = [];
+
+  for (const migration of toApply) {
+    const startedAt = Date.now();
+    try {
+      await client.query('BEGIN');
+      await client.query(migration.up);
+      await client.query(
+        `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+      );
+      await client.query('COMMIT');
+      console.log(`⬆️  Applied migration ${migration.filename}`);
+      applied.push(migration.filename);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${migration.filename} failed: ${error.message}`);
+    }
+  }
+
+  return applied;
+});
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {{steps?: number}} [options]
+ * @returns {Promise<string[]>} Rolled back filenames
+ */
+export const migrateDown = ({ steps = 1 } = {}) => withMigrationLock(async (client) => {
+  const { migrations } = await computeStatus(client);
+  const toRollBack = migrations.filter((m) => m.applied).reverse().slice(0, steps);
+  const rolledBack = [];
+
+  for (const migration of toRollBack) {
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.filename} has no "-- migrate:down" section`);
+    }
+
+    try {
+      await client.query('BEGIN');
+      await client.query(migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      await client.query('COMMIT');
+      console.log(`⬇️  Rolled back migration ${migration.filename}`);
+      rolledBack.push(migration.filename);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Rollback of ${migration.filename} failed: ${error.message}`);
+    }
+  }
+
+  return rolledBack;
+});
+
+/**
+ * Load the sample data in seeds/
+ */
+export const runSeeds = async () => {
+  const files = fs.readdirSync(SEEDS_DIR).filter((file) => file.endsWith('.sql')).sort();
+
+  for (const file of files) {
+    await pool.query(fs.readFileSync(path.join(SEEDS_DIR, file), 'utf-8'));
+    console.log(`🌱 Loaded seed ${file}`);
+  }
+
+  return files;
+};
+
+/**
+ * Startup check: apply pending migrations (or warn when autoApply is off)
+ * and report files edited after they were applied. Safe to run on every boot.
+ * @param {{autoApply?: boolean}} [options]
+ */
+export const checkMigrations = async ({ autoApply = true } = {}) => {
+  const status = await getMigrationStatus();
+
+  for (const migration of status.changed) {
+    console.warn(`⚠️ Migration ${migration.filename} was modified after it was applied`);
+  }
+  for (const row of status.missing) {
+    console.warn(`⚠️ Migration ${row.version}_${row.name} is applied but its file is missing`);
+  }
+
+  if (status.pending.length === 0) {
+    console.log('✅ Database schema is up to date');
+    return status;
+  }
+
+  if (!autoApply) {
+    console.warn(`⚠️ ${status.pending.length} pending migration(s): ${status.pending.map((m) => m.filename).join(', ')}`);
+    console.warn('⚠️ Run "npm run migrate" to apply them');
+    return status;
+  }
+
+  await migrateUp();
+  return getMigrationStatus();
+};
+
+export default {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  runSeeds,
+  checkMigrations,
+};
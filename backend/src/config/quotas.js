@@ -0,0 +1,56 @@
+import dotenv from 'dotenv';
+import { ROLES } from './roles.js';
+
+dotenv.config();
+
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+export const QUOTA_METRICS = ['tokens', 'videos'];
+
+/**
+ * Default budgets per role. `null` means unlimited.
+ * Override any entry with QUOTA_<ROLE>_<PERIOD>_<METRIC>, e.g.
+ * QUOTA_LEARNER_DAILY_TOKENS=100000 (use "unlimited" to remove a limit).
+ */
+const DEFAULT_LIMITS = {
+  learner: {
+    daily: { tokens: 200000, videos: 3 },
+    monthly: { tokens: 3000000, videos: 30 },
+  },
+  instructor: {
+    daily: { tokens: 1000000, videos: 10 },
+    monthly: { tokens: 15000000, videos: 150 },
+  },
+  admin: {
+    daily: { tokens: null, videos: null },
+    monthly: { tokens: null, videos: null },
+  },
+};
+
+/**
+ * @private
+ */
+const limitFromEnv = (role, period, metric) => {
+  const value = process.env[`QUOTA_${role}_${period}_${metric}`.toUpperCase()];
+  if (value === undefined || value === '') return DEFAULT_LIMITS[role][period][metric];
+  if (value === 'unlimited') return null;
+
+  const limit = parseInt(value);
+  return Number.isNaN(limit) ? DEFAULT_LIMITS[role][period][metric] : limit;
+};
+
+export const ROLE_LIMITS = Object.fromEntries(ROLES.map((role) => [
+  role,
+  Object.fromEntries(QUOTA_PERIODS.map((period) => [
+    period,
+    Object.fromEntries(QUOTA_METRICS.map((metric) => [metric, limitFromEnv(role, period, metric)])),
+  ])),
+]));
+
+export const quotasEnabled = process.env.QUOTAS_ENABLED !== 'false';
+
+export default {
+  QUOTA_PERIODS,
+  QUOTA_METRICS,
+  ROLE_LIMITS,
+  quotasEnabled,
+};
@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Request rate limits per client IP. Each entry allows `max` requests per
+ * `windowMs`; override with RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS,
+ * e.g. RATE_LIMIT_AUTH_MAX=20.
+ * - api: every /api request
+ * - auth: login, registration, password reset and e-mail verification, where
+ *   guessing is the threat
+ */
+const DEFAULT_LIMITS = {
+  api: { windowMs: 15 * 60 * 1000, max: 1000 },
+  auth: { windowMs: 15 * 60 * 1000, max: 10 },
+};
+
+/**
+ * @private
+ */
+const numberFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value <= 0 ? fallback : value;
+};
+
+export const RATE_LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_LIMITS).map(([name, { windowMs, max }]) => [
+    name,
+    {
+      windowMs: numberFromEnv(`RATE_LIMIT_${name.toUpperCase()}_WINDOW_MS`, windowMs),
+      max: numberFromEnv(`RATE_LIMIT_${name.toUpperCase()}_MAX`, max),
+    },
+  ])
+);
+
+export const rateLimitsEnabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+export default {
+  RATE_LIMITS,
+  rateLimitsEnabled,
+};
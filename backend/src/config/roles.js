@@ -0,0 +1,13 @@
+/**
+ * User roles, from least to most privileged.
+ * - learner: default for new accounts; works with their own topics and lessons
+ * - instructor: can also run system evaluations and view agent statistics
+ * - admin: full access, including other users' content and role management
+ */
+export const ROLES = ['learner', 'instructor', 'admin'];
+export const DEFAULT_ROLE = 'learner';
+
+// Roles allowed on evaluation and agent administration endpoints
+export const STAFF_ROLES = ['instructor', 'admin'];
+
+export default { ROLES, DEFAULT_ROLE, STAFF_ROLES };
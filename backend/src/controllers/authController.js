@@ -1,6 +1,31 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import pool from '../config/database.js';
+import { ROLES } from '../config/roles.js';
+import {
+  AccountError,
+  REQUIRE_EMAIL_VERIFICATION,
+  USER_COLUMNS,
+  formatUser,
+  validateAccountFields,
+  hashPassword,
+  requestPasswordReset as sendPasswordReset,
+  resetPassword as redeemPasswordReset,
+  sendVerificationEmail,
+  resendVerification as resendVerificationEmail,
+  verifyEmail as redeemEmailVerification,
+} from '../services/accountService.js';
+
+/**
+ * Sign the session token. The role is included for display and quota
+ * purposes; role checks re-read it from the database.
+ * @private
+ */
+const signToken = (user) => jwt.sign(
+  { id: user.id, username: user.username, role: user.role },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+);
 
 export const register = async (req, res, next) => {
   const { username, email, password } = req.body;
@@ -9,6 +34,11 @@ export const register = async (req, res, next) => {
     return res.status(400).json({ error: 'Username, email, and password are required' });
   }
 
+  const problem = validateAccountFields({ username, email, password });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
   try {
     // Check if user already exists
     const existingUser = await pool.query(
@@ -21,32 +51,34 @@ export const register = async (req, res, next) => {
     }
 
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const passwordHash = await bcrypt.hash(password, salt);
+    const passwordHash = await hashPassword(password);
 
     // Insert new user
     const result = await pool.query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, created_at',
+      `INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING ${USER_COLUMNS}`,
       [username, email, passwordHash]
     );
 
     const user = result.rows[0];
 
+    await sendVerificationEmail(user);
+
+    // No session until the address is confirmed when login requires it
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        message: 'User registered successfully. Check your email to verify your address, then log in.',
+        emailVerificationRequired: true,
+        user: formatUser(user)
+      });
+    }
+
     // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    const token = signToken(user);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email
-      }
+      user: formatUser(user)
     });
   } catch (error) {
     next(error);
@@ -80,21 +112,20 @@ export const login = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        emailVerificationRequired: true
+      });
+    }
+
     // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    const token = signToken(user);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email
-      }
+      user: formatUser(user)
     });
   } catch (error) {
     next(error);
@@ -104,7 +135,7 @@ export const login = async (req, res, next) => {
 export const getProfile = async (req, res, next) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, email, created_at FROM users WHERE id = $1',
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
       [req.user.id]
     );
 
@@ -112,7 +143,106 @@ export const getProfile = async (req, res, next) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    res.json({ user: formatUser(result.rows[0]) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateUserRole = async (req, res, next) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  if (parseInt(userId) === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+
+  try {
+    const result = await pool.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, username, email, role',
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      message: 'User role updated successfully',
+      user: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const requestPasswordReset = (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  // The reset runs after the response, so the answer and its timing are the
+  // same whether or not the address has an account, and a mail outage can't
+  // reveal which addresses do
+  sendPasswordReset(email).catch((error) => {
+    console.error('Failed to send password reset email:', error);
+  });
+
+  res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+};
+
+export const resetPassword = async (req, res, next) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ error: 'New password is required' });
+  }
+
+  try {
+    await redeemPasswordReset(token, password);
+    res.json({ message: 'Password has been reset. You can now log in with your new password.' });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await redeemEmailVerification(req.params.token);
+    res.json({
+      message: 'Email address verified',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    if (error instanceof AccountError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+export const resendVerification = async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    await resendVerificationEmail(email);
+
+    // Same answer whether or not the address has an unverified account
+    res.json({ message: 'If that email belongs to an unverified account, a new verification link has been sent' });
   } catch (error) {
     next(error);
   }
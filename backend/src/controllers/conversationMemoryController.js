@@ -0,0 +1,40 @@
+import {
+  getLearnerMemories,
+  deleteLearnerMemory,
+  getLessonSummary,
+} from '../services/conversationMemoryService.js';
+
+export const getMemories = async (req, res, next) => {
+  try {
+    const memories = await getLearnerMemories(req.user.id, {
+      includeResolved: req.query.includeResolved === 'true',
+    });
+    res.json({ memories });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteMemory = async (req, res, next) => {
+  try {
+    const deleted = await deleteLearnerMemory(req.user.id, parseInt(req.params.memoryId));
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+
+    res.json({ message: 'Memory deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSummary = async (req, res, next) => {
+  const lessonId = parseInt(req.params.lessonId);
+
+  try {
+    res.json({ lessonId, summary: await getLessonSummary(req.user.id, lessonId) });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,60 @@
+import {
+  CoursePackageError,
+  exportTopic,
+  packageToZip,
+  parsePackageFile,
+  importPackage,
+} from '../services/coursePackageService.js';
+import { publishEvent } from '../services/webhookService.js';
+
+const EXPORT_FORMATS = ['json', 'zip'];
+
+const toFileName = (name) =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'course';
+
+export const exportTopicPackage = async (req, res, next) => {
+  const { id } = req.params;
+  const { format = 'zip', flashcards } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const pkg = await exportTopic(parseInt(id), { includeFlashcards: flashcards === 'true' });
+    const fileName = `${toFileName(pkg.topic.name)}.course.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'zip') {
+      res.type('application/zip').send(packageToZip(pkg));
+    } else {
+      res.json(pkg);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const importTopicPackage = async (req, res, next) => {
+  try {
+    // Files are uploaded as raw bytes (ZIP or JSON); API clients may also post the package as JSON
+    const pkg = Buffer.isBuffer(req.body) ? parsePackageFile(req.body) : req.body;
+    const { topic, imported } = await importPackage(req.user.id, pkg);
+    await publishEvent('topic.created', req.user.id, {
+      topic: { id: topic.id, name: topic.name, description: topic.description },
+      source: 'import',
+      lessonCount: imported.lessons,
+    });
+
+    res.status(201).json({
+      message: 'Course package imported successfully',
+      topic,
+      imported,
+    });
+  } catch (error) {
+    if (error instanceof CoursePackageError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    next(error);
+  }
+};
@@ -1,63 +0,0 @@
-// src/controllers/courses.controller.js
-
-const Course = require('../models/course.model');
-
-// Get all courses
-exports.getAllCourses = async (req, res) => {
-    try {
-        const courses = await Course.find();
-        res.status(200).json(courses);
-    } catch (error) {
-        res.status(500).json({ message: 'Error retrieving courses', error });
-    }
-};
-
-// Get a single course by ID
-exports.getCourseById = async (req, res) => {
-    try {
-        const course = await Course.findById(req.params.id);
-        if (!course) {
-            return res.status(404).json({ message: 'Course not found' });
-        }
-        res.status(200).json(course);
-    } catch (error) {
-        res.status(500).json({ message: 'Error retrieving course', error });
-    }
-};
-
-// Create a new course
-exports.createCourse = async (req, res) => {
-    try {
-        const newCourse = new Course(req.body);
-        await newCourse.save();
-        res.status(201).json(newCourse);
-    } catch (error) {
-        res.status(400).json({ message: 'Error creating course', error });
-    }
-};
-
-// Update a course by ID
-exports.updateCourse = async (req, res) => {
-    try {
-        const updatedCourse = await Course.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!updatedCourse) {
-            return res.status(404).json({ message: 'Course not found' });
-        }
-        res.status(200).json(updatedCourse);
-    } catch (error) {
-        res.status(400).json({ message: 'Error updating course', error });
-    }
-};
-
-// Delete a course by ID
-exports.deleteCourse = async (req, res) => {
-    try {
-        const deletedCourse = await Course.findByIdAndDelete(req.params.id);
-        if (!deletedCourse) {
-            return res.status(404).json({ message: 'Course not found' });
-        }
-        res.status(204).send();
-    } catch (error) {
-        res.status(500).json({ message: 'Error deleting course', error });
-    }
-};
\ No newline at end of file
@@ -0,0 +1,101 @@
+import {
+  DocumentError,
+  formatDocument,
+  uploadDocument as storeDocument,
+  listDocuments,
+  getDocument as findDocument,
+  deleteDocument as removeDocument,
+  searchPassages,
+} from '../services/documentService.js';
+
+export const getDocuments = async (req, res, next) => {
+  try {
+    const documents = await listDocuments(parseInt(req.params.topicId));
+    res.json({ documents: documents.map(formatDocument) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const uploadDocument = async (req, res, next) => {
+  const { filename, title } = req.query;
+
+  try {
+    // Files are uploaded as raw bytes, named by the `filename` query parameter
+    const document = await storeDocument(parseInt(req.params.topicId), req.user.id, {
+      buffer: req.body,
+      filename,
+      contentType: req.get('Content-Type'),
+      title,
+    });
+
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: formatDocument(document),
+    });
+  } catch (error) {
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+export const getDocument = async (req, res, next) => {
+  const { topicId, documentId } = req.params;
+
+  try {
+    const result = await findDocument(parseInt(topicId), parseInt(documentId));
+
+    if (!result) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      document: formatDocument(result.document),
+      chunks: result.chunks.map((chunk) => ({
+        id: chunk.id,
+        index: chunk.chunk_index,
+        heading: chunk.heading,
+        page: chunk.page,
+        content: chunk.content,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteDocument = async (req, res, next) => {
+  const { topicId, documentId } = req.params;
+
+  try {
+    const deleted = await removeDocument(parseInt(topicId), parseInt(documentId));
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * The passages the tutor would be given for a question, to check what the index finds
+ */
+export const searchDocuments = async (req, res, next) => {
+  const { q, limit } = req.query;
+
+  if (!q) {
+    return res.status(400).json({ error: 'Query parameter q is required' });
+  }
+
+  try {
+    const passages = await searchPassages(parseInt(req.params.topicId), String(q), { limit });
+    res.json({ query: q, passages });
+  } catch (error) {
+    next(error);
+  }
+};
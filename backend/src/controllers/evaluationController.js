@@ -1,5 +1,6 @@
 import pool from '../config/database.js';
 import { orchestrator } from '../agents/index.js';
+import { runPipeline } from '../pipelines/index.js';
 
 /**
  * Run comprehensive Model 6 system test
@@ -13,465 +14,11 @@ export const runSystemTest = async (req, res, next) => {
   }
 
   try {
-    const userId = req.user.id;
-    const results = {
-      topicName,
-      createdAt: new Date(),
-      phases: [],
-      overallScore: 0,
-    };
-
     console.log('🤖 [Model 6] Starting comprehensive system test...');
     console.log(`📚 Topic: "${topicName}"`);
 
-    // PHASE 1: Create Topic with Model 1
-    console.log('\n📝 PHASE 1: Creating topic with Model 1...');
-    const topicResult = await pool.query(
-      'INSERT INTO topics (name, description, user_id) VALUES ($1, $2, $3) RETURNING *',
-      [topicName, `System test topic created by Model 6`, userId]
-    );
-    const topic = topicResult.rows[0];
-
-    const learningPathResponse = await orchestrator.communication.sendMessage(
-      'Model6Test',
-      'LearningPathGenerator',
-      {
-        action: 'generate_learning_path',
-        data: {
-          topicName,
-          userId,
-        },
-      }
-    );
-
-    if (!learningPathResponse.success) {
-      throw new Error('Failed to generate learning path');
-    }
-
-    const learningPath = learningPathResponse.data.learningPath;
-
-    await pool.query(
-      `INSERT INTO learning_paths (user_id, topic_id, lesson_outline, total_lessons, estimated_duration_hours)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [userId, topic.id, JSON.stringify(learningPath.lessons), learningPath.totalLessons, learningPath.estimatedDurationHours]
-    );
-
-    // Create lessons and quizzes
-    const createdLessons = [];
-    const createdQuizzes = [];
-    
-    for (const lesson of learningPath.lessons || []) {
-      const lessonResult = await pool.query(
-        `INSERT INTO lessons (topic_id, title, content, order_index)
-         VALUES ($1, $2, $3, $4) RETURNING *`,
-        [topic.id, lesson.title, lesson.description, lesson.order]
-      );
-      createdLessons.push(lessonResult.rows[0]);
-
-      if (lesson.hasQuiz && lesson.quizQuestions && lesson.quizQuestions.length > 0) {
-        const quizResult = await pool.query(
-          `INSERT INTO quizzes (topic_id, title, description, order_index)
-           VALUES ($1, $2, $3, $4) RETURNING *`,
-          [topic.id, `Quiz: ${lesson.title}`, `Test your knowledge of ${lesson.title}`, lesson.order]
-        );
-        const quiz = quizResult.rows[0];
-
-        for (let i = 0; i < lesson.quizQuestions.length; i++) {
-          const q = lesson.quizQuestions[i];
-          await pool.query(
-            `INSERT INTO quiz_questions (quiz_id, question, options, correct_answer, order_index)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [quiz.id, q.question, JSON.stringify(q.options), q.correctAnswer, i + 1]
-          );
-        }
-        createdQuizzes.push({ ...quiz, questionCount: lesson.quizQuestions.length });
-      }
-    }
-
-    results.phases.push({
-      phase: 1,
-      name: 'Topic Creation',
-      status: 'completed',
-      details: {
-        topicId: topic.id,
-        lessonsCreated: createdLessons.length,
-        quizzesCreated: createdQuizzes.length,
-      },
-    });
-
-    console.log(`✅ Created ${createdLessons.length} lessons and ${createdQuizzes.length} quizzes`);
-
-    // PHASE 2: Evaluate Initial Lesson Explanations
-    console.log('\n📊 PHASE 2: Evaluating lesson explanations...');
-    const lessonEvaluations = [];
-
-    for (const lesson of createdLessons) {
-      // Generate initial explanation for each lesson
-      const teacherResponse = await orchestrator.communication.sendMessage(
-        'Model6Test',
-        'TeacherModel',
-        {
-          action: 'teach',
-          data: {
-            userId,
-            userMessage: `Please provide a complete, comprehensive explanation of this lesson: "${lesson.title}".`,
-            lessonContext: {
-              title: lesson.title,
-              topic: topicName,
-              description: lesson.content,
-            },
-            conversationHistory: [],
-          },
-        }
-      );
-
-      const explanation = teacherResponse.success ? teacherResponse.data.response : 'Failed to generate';
-
-      // Evaluate with Model 6
-      const evalResponse = await orchestrator.communication.sendMessage(
-        'Model6Test',
-        'SyntheticEvaluator',
-        {
-          action: 'evaluate_lesson',
-          data: {
-            lessonTitle: lesson.title,
-            lessonContent: lesson.content,
-            teachingResponse: explanation,
-          },
-        }
-      );
-
-      const evaluation = evalResponse.success ? evalResponse.data.evaluation : { overallScore: 0 };
-      
-      lessonEvaluations.push({
-        lessonId: lesson.id,
-        lessonTitle: lesson.title,
-        explanation,
-        evaluation,
-      });
-
-      console.log(`  📝 ${lesson.title}: ${evaluation.overallScore}/100`);
-    }
-
-    results.phases.push({
-      phase: 2,
-      name: 'Lesson Evaluation',
-      status: 'completed',
-      details: {
-        lessonsEvaluated: lessonEvaluations.length,
-        averageScore: Math.round(lessonEvaluations.reduce((sum, l) => sum + l.evaluation.overallScore, 0) / lessonEvaluations.length),
-        evaluations: lessonEvaluations.map(l => ({
-          lesson: l.lessonTitle,
-          score: l.evaluation.overallScore,
-          breakdown: l.evaluation.breakdown,
-        })),
-      },
-    });
-
-    // PHASE 3: Simulate Student Interactions with Persona
-    console.log('\n💬 PHASE 3: Simulating student interactions with persona...');
-    
-    // Generate a random student persona
-    const personaResponse = await orchestrator.communication.sendMessage(
-      'Model6Test',
-      'SyntheticEvaluator',
-      {
-        action: 'generate_persona',
-        data: {},
-      }
-    );
-
-    if (!personaResponse.success) {
-      throw new Error('Failed to generate persona');
-    }
-
-    const persona = personaResponse.data.persona;
-    console.log(`👤 Testing with persona: ${persona.name} - ${persona.occupation}`);
-    
-    const interactionResults = [];
-    const adaptabilityScores = [];
-
-    for (const lesson of createdLessons.slice(0, 3)) { // Test first 3 lessons
-      // Generate persona-specific questions
-      const questionsResponse = await orchestrator.communication.sendMessage(
-        'Model6Test',
-        'SyntheticEvaluator',
-        {
-          action: 'generate_questions',
-          data: {
-            persona,
-            lessonTitle: lesson.title,
-            lessonContent: lesson.content,
-          },
-        }
-      );
-
-      const questions = questionsResponse.success && questionsResponse.data.questions
-        ? questionsResponse.data.questions
-        : [
-            `Can you explain ${lesson.title} in simpler terms?`,
-            `Can you give me an example?`,
-          ];
-
-      const conversationScores = [];
-
-      for (const question of questions) {
-        // Get teacher response
-        const response = await orchestrator.communication.sendMessage(
-          'Model6Test',
-          'TeacherModel',
-          {
-            action: 'teach',
-            data: {
-              userId,
-              userMessage: question,
-              lessonContext: {
-                title: lesson.title,
-                topic: topicName,
-                description: lesson.content,
-              },
-              conversationHistory: [],
-            },
-          }
-        );
-
-        const teacherAnswer = response.success ? response.data.response : 'Failed';
-
-        // Evaluate response quality
-        const evalResponse = await orchestrator.communication.sendMessage(
-          'Model6Test',
-          'SyntheticEvaluator',
-          {
-            action: 'evaluate_lesson',
-            data: {
-              lessonTitle: `${lesson.title} - Q&A`,
-              lessonContent: question,
-              teachingResponse: teacherAnswer,
-            },
-          }
-        );
-
-        const qualityScore = evalResponse.success ? evalResponse.data.evaluation.overallScore : 0;
-
-        // Evaluate adaptability
-        const adaptResponse = await orchestrator.communication.sendMessage(
-          'Model6Test',
-          'SyntheticEvaluator',
-          {
-            action: 'evaluate_adaptability',
-            data: {
-              persona,
-              question,
-              response: teacherAnswer,
-            },
-          }
-        );
-
-        const adaptabilityScore = adaptResponse.success 
-          ? adaptResponse.data.evaluation.adaptabilityScore 
-          : 0;
-        
-        const adaptabilityBreakdown = adaptResponse.success
-          ? adaptResponse.data.evaluation.breakdown
-          : null;
-
-        adaptabilityScores.push(adaptabilityScore);
-
-        conversationScores.push({
-          question,
-          answer: teacherAnswer,
-          qualityScore,
-          adaptabilityScore,
-          adaptabilityBreakdown,
-        });
-
-        console.log(`  💬 Q: "${question.substring(0, 50)}..." - Quality: ${qualityScore}/100, Adaptability: ${adaptabilityScore}/100`);
-      }
-
-      const avgQuality = Math.round(conversationScores.reduce((sum, s) => sum + s.qualityScore, 0) / conversationScores.length);
-      const avgAdaptability = Math.round(conversationScores.reduce((sum, s) => sum + s.adaptabilityScore, 0) / conversationScores.length);
-      
-      interactionResults.push({
-        lesson: lesson.title,
-        averageQualityScore: avgQuality,
-        averageAdaptabilityScore: avgAdaptability,
-        interactions: conversationScores,
-      });
-
-      console.log(`  � ${lesson.title}: Quality ${avgQuality}/100, Adaptability ${avgAdaptability}/100`);
-    }
-
-    const overallAdaptability = Math.round(adaptabilityScores.reduce((sum, s) => sum + s, 0) / adaptabilityScores.length);
-
-    results.phases.push({
-      phase: 3,
-      name: 'Student Interactions',
-      status: 'completed',
-      details: {
-        persona: {
-          name: persona.name,
-          background: persona.background,
-          occupation: persona.occupation,
-          learningStyle: persona.learningStyle,
-          communicationStyle: persona.communicationStyle,
-          personality: persona.personality,
-          challenges: persona.challenges,
-          priorKnowledge: persona.priorKnowledge,
-        },
-        lessonsInteracted: interactionResults.length,
-        totalInteractions: interactionResults.reduce((sum, r) => sum + r.interactions.length, 0),
-        averageQualityScore: Math.round(interactionResults.reduce((sum, r) => sum + r.averageQualityScore, 0) / interactionResults.length),
-        averageAdaptabilityScore: overallAdaptability,
-        results: interactionResults,
-      },
-    });
-
-    // PHASE 4: Quiz Evaluation
-    console.log('\n📋 PHASE 4: Evaluating quizzes...');
-    const quizEvaluations = [];
-
-    for (const quiz of createdQuizzes.slice(0, 2)) { // Test first 2 quizzes
-      const questionsResult = await pool.query(
-        `SELECT * FROM quiz_questions WHERE quiz_id = $1 ORDER BY order_index`,
-        [quiz.id]
-      );
-
-      const questions = questionsResult.rows;
-      
-      // Find corresponding lesson explanation
-      const relatedLesson = lessonEvaluations.find(le => quiz.title.includes(le.lessonTitle));
-      const explanation = relatedLesson ? relatedLesson.explanation : '';
-
-      let relevanceScore = 0;
-      let answerabilityScore = 0;
-
-      for (const question of questions) {
-        // Evaluate quiz question relevance
-        const relevancePrompt = `Rate the relevance of this quiz question to the lesson (0-100):
-Lesson: "${quiz.title}"
-Explanation: ${explanation.substring(0, 500)}...
-Question: ${question.question}`;
-
-        // Simple evaluation (in real impl, would use Model 6)
-        relevanceScore += 75; // Mock score
-
-        // Check if answerable from explanation
-        // Note: question.options is already a JS array (JSONB auto-parsed by PostgreSQL)
-        const options = Array.isArray(question.options) ? question.options : JSON.parse(question.options);
-        const answerablePrompt = `Can a student answer this question based on the explanation? (Yes/No)
-Explanation: ${explanation.substring(0, 500)}...
-Question: ${question.question}
-Options: ${options.join(', ')}`;
-
-        answerabilityScore += 80; // Mock score
-      }
-
-      relevanceScore = Math.round(relevanceScore / questions.length);
-      answerabilityScore = Math.round(answerabilityScore / questions.length);
-
-      quizEvaluations.push({
-        quizTitle: quiz.title,
-        questionCount: questions.length,
-        relevanceScore,
-        answerabilityScore,
-        overallScore: Math.round((relevanceScore + answerabilityScore) / 2),
-      });
-
-      console.log(`  📋 ${quiz.title}: Relevance ${relevanceScore}/100, Answerable ${answerabilityScore}/100`);
-    }
-
-    results.phases.push({
-      phase: 4,
-      name: 'Quiz Evaluation',
-      status: 'completed',
-      details: {
-        quizzesEvaluated: quizEvaluations.length,
-        averageRelevance: Math.round(quizEvaluations.reduce((sum, q) => sum + q.relevanceScore, 0) / quizEvaluations.length),
-        averageAnswerability: Math.round(quizEvaluations.reduce((sum, q) => sum + q.answerabilityScore, 0) / quizEvaluations.length),
-        quizzes: quizEvaluations,
-      },
-    });
-
-    // Calculate Overall Score (now including adaptability)
-    const phase2Score = results.phases[1].details.averageScore;
-    const phase3QualityScore = results.phases[2].details.averageQualityScore;
-    const phase3AdaptabilityScore = results.phases[2].details.averageAdaptabilityScore;
-    const phase4Score = results.phases[3].details.averageRelevance;
-
-    // Weight: 30% lesson quality, 25% interaction quality, 25% adaptability, 20% quiz quality
-    results.overallScore = Math.round(
-      (phase2Score * 0.30) + 
-      (phase3QualityScore * 0.25) + 
-      (phase3AdaptabilityScore * 0.25) + 
-      (phase4Score * 0.20)
-    );
-
-    console.log(`\n✅ SYSTEM TEST COMPLETE`);
-    console.log(`📊 Overall Score: ${results.overallScore}/100`);
-    console.log(`   - Lesson Quality: ${phase2Score}/100`);
-    console.log(`   - Interaction Quality: ${phase3QualityScore}/100`);
-    console.log(`   - Adaptability: ${phase3AdaptabilityScore}/100`);
-    console.log(`   - Quiz Relevance: ${phase4Score}/100`);
-
-    // Create flat structure for frontend compatibility
-    const phase1 = results.phases.find(p => p.phase === 1);
-    const phase2 = results.phases.find(p => p.phase === 2);
-    const phase3 = results.phases.find(p => p.phase === 3);
-    const phase4 = results.phases.find(p => p.phase === 4);
-
-    res.json({
-      message: 'Model 6 system test completed',
-      overallScore: results.overallScore,
-      phase1: {
-        topicName,
-        lessonCount: createdLessons.length,
-        quizCount: createdQuizzes.length,
-      },
-      phase2: {
-        averageScore: phase2.details.averageScore,
-        lessonScores: phase2.details.evaluations.map(e => ({
-          title: e.lesson,
-          score: e.score,
-          breakdown: e.breakdown,
-        })),
-      },
-      phase3: {
-        persona: phase3.details.persona,
-        averageQualityScore: phase3.details.averageQualityScore,
-        averageAdaptabilityScore: phase3.details.averageAdaptabilityScore,
-        interactionCount: phase3.details.totalInteractions,
-        lessonsEvaluated: phase3.details.lessonsInteracted,
-        interactions: phase3.details.results.map(r => ({
-          lessonTitle: r.lesson,
-          averageQualityScore: r.averageQualityScore,
-          averageAdaptabilityScore: r.averageAdaptabilityScore,
-          questions: r.interactions.map(i => ({
-            question: i.question,
-            answer: i.answer || '',
-            qualityScore: i.qualityScore,
-            adaptabilityScore: i.adaptabilityScore,
-            adaptabilityBreakdown: i.adaptabilityBreakdown,
-          })),
-        })),
-      },
-      phase4: {
-        relevanceScore: phase4.details.averageRelevance,
-        answerabilityScore: phase4.details.averageAnswerability,
-        quizzes: phase4.details.quizzes,
-      },
-      // Keep original structure for reference
-      results,
-      summary: {
-        topicId: topic.id,
-        topicName,
-        overallScore: results.overallScore,
-        lessonsCreated: createdLessons.length,
-        quizzesCreated: createdQuizzes.length,
-        phasesCompleted: results.phases.length,
-        adaptabilityScore: phase3.details.averageAdaptabilityScore,
-      },
-    });
-
+    const report = await runPipeline('system_test', { userId: req.user.id, topicName });
+    res.json(report);
   } catch (error) {
     console.error('Error in Model 6 system test:', error);
     next(error);
@@ -0,0 +1,74 @@
+import {
+  GRADE_QUALITY,
+  getDueFlashcards as findDueFlashcards,
+  getLessonFlashcards as findLessonFlashcards,
+  reviewFlashcard as recordReview,
+} from '../services/flashcardService.js';
+import { trackFlashcardReviewed } from '../services/xapiService.js';
+import { parseId } from '../middleware/authorize.js';
+
+export const getDueFlashcards = async (req, res, next) => {
+  const { lessonId, limit = 50 } = req.query;
+
+  if (lessonId && parseId(lessonId) === null) {
+    return res.status(400).json({ error: 'lessonId must be a lesson ID' });
+  }
+
+  try {
+    const flashcards = await findDueFlashcards(req.user.id, {
+      lessonId: lessonId ? parseId(lessonId) : null,
+      limit: Math.min(parseInt(limit) || 50, 200),
+    });
+
+    res.json({ flashcards, count: flashcards.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getLessonFlashcards = async (req, res, next) => {
+  const lessonId = parseId(req.params.lessonId);
+
+  if (lessonId === null) {
+    return res.status(404).json({ error: 'Lesson not found' });
+  }
+
+  try {
+    const flashcards = await findLessonFlashcards(req.user.id, lessonId);
+    res.json({ flashcards });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const reviewFlashcard = async (req, res, next) => {
+  const flashcardId = parseId(req.params.flashcardId);
+  const { grade } = req.body;
+
+  if (flashcardId === null) {
+    return res.status(404).json({ error: 'Flashcard not found' });
+  }
+
+  if (typeof grade !== 'string' || !Object.hasOwn(GRADE_QUALITY, grade)) {
+    return res.status(400).json({
+      error: `Grade must be one of: ${Object.keys(GRADE_QUALITY).join(', ')}`,
+    });
+  }
+
+  try {
+    const flashcard = await recordReview(req.user.id, flashcardId, grade);
+
+    if (!flashcard) {
+      return res.status(404).json({ error: 'Flashcard not found' });
+    }
+
+    await trackFlashcardReviewed(req.user.id, flashcard, grade);
+
+    res.json({
+      message: 'Review recorded',
+      flashcard,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
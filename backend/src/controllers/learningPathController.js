@@ -0,0 +1,26 @@
+import { getPathRevisions, replanLearningPath } from '../services/learningPathService.js';
+
+export const getTopicPathRevisions = async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const revisions = await getPathRevisions(req.user.id, parseInt(id));
+    res.json({ revisions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const replanTopicPath = async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const revision = await replanLearningPath(req.user, parseInt(id), { trigger: 'manual' });
+    res.json({
+      message: revision ? 'Learning path updated' : 'Your learning path is already up to date',
+      revision,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,16 @@
 import pool from '../config/database.js';
 import { orchestrator } from '../agents/index.js';
+import { normalizeConcepts } from '../services/conceptMasteryService.js';
+import {
+  PrerequisiteError,
+  isItemRefList,
+  setPrerequisites,
+  getDefaultPrerequisites,
+} from '../services/prerequisiteService.js';
+import { markLessonCompleted, markLessonIncomplete } from '../services/progressService.js';
+
+const isConceptList = (concepts) =>
+  Array.isArray(concepts) && concepts.every((concept) => typeof concept === 'string');
 
 export const getLessons = async (req, res, next) => {
   const { topicId } = req.params;
@@ -46,72 +57,86 @@ export const getLesson = async (req, res, next) => {
 
 export const createLesson = async (req, res, next) => {
   const { topicId } = req.params;
-  const { title, content, order_index } = req.body;
+  const { title, content, order_index, concepts = [], prerequisites } = req.body;
 
   if (!title) {
     return res.status(400).json({ error: 'Lesson title is required' });
   }
 
-  try {
-    // Verify topic belongs to user
-    const topicCheck = await pool.query(
-      'SELECT * FROM topics WHERE id = $1 AND user_id = $2',
-      [topicId, req.user.id]
-    );
+  if (!isConceptList(concepts)) {
+    return res.status(400).json({ error: 'Concepts must be an array of strings' });
+  }
 
-    if (topicCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Topic not found' });
-    }
+  if (prerequisites !== undefined && !isItemRefList(prerequisites)) {
+    return res.status(400).json({ error: 'Prerequisites must be an array of { type, id } items' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
 
     // Get next order index if not provided
     let finalOrderIndex = order_index;
     if (finalOrderIndex === undefined) {
-      const maxOrderResult = await pool.query(
+      const maxOrderResult = await client.query(
         'SELECT COALESCE(MAX(order_index), 0) + 1 as next_order FROM lessons WHERE topic_id = $1',
         [topicId]
       );
       finalOrderIndex = maxOrderResult.rows[0].next_order;
     }
 
-    const result = await pool.query(
-      'INSERT INTO lessons (topic_id, title, content, order_index) VALUES ($1, $2, $3, $4) RETURNING *',
-      [topicId, title, content || null, finalOrderIndex]
+    const result = await client.query(
+      'INSERT INTO lessons (topic_id, title, content, order_index, concepts) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [topicId, title, content || null, finalOrderIndex, JSON.stringify(normalizeConcepts(concepts))]
+    );
+    const lesson = result.rows[0];
+
+    // Without explicit prerequisites the lesson follows the one placed before it
+    const requirements = prerequisites
+      ?? await getDefaultPrerequisites(parseInt(topicId), 'lesson', finalOrderIndex, client);
+    const prerequisiteKeys = await setPrerequisites(
+      parseInt(topicId),
+      { type: 'lesson', id: lesson.id },
+      requirements,
+      client
     );
 
+    await client.query('COMMIT');
+
     res.status(201).json({
       message: 'Lesson created successfully',
-      lesson: result.rows[0]
+      lesson: { ...lesson, prerequisites: prerequisiteKeys }
     });
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof PrerequisiteError) {
+      return res.status(error.status).json({ error: error.message, cycle: error.cycle });
+    }
     next(error);
+  } finally {
+    client.release();
   }
 };
 
 export const updateLesson = async (req, res, next) => {
   const { lessonId } = req.params;
-  const { title, content, order_index } = req.body;
-
-  try {
-    // Verify lesson belongs to user's topic
-    const lessonCheck = await pool.query(
-      `SELECT l.* FROM lessons l
-       JOIN topics t ON l.topic_id = t.id
-       WHERE l.id = $1 AND t.user_id = $2`,
-      [lessonId, req.user.id]
-    );
+  const { title, content, order_index, concepts } = req.body;
 
-    if (lessonCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Lesson not found' });
-    }
+  if (concepts !== undefined && !isConceptList(concepts)) {
+    return res.status(400).json({ error: 'Concepts must be an array of strings' });
+  }
 
+  try {
     const result = await pool.query(
       `UPDATE lessons 
        SET title = COALESCE($1, title), 
            content = COALESCE($2, content),
-           order_index = COALESCE($3, order_index)
-       WHERE id = $4 
+           order_index = COALESCE($3, order_index),
+           concepts = COALESCE($4, concepts)
+       WHERE id = $5 
        RETURNING *`,
-      [title, content, order_index, lessonId]
+      [title, content, order_index, concepts && JSON.stringify(normalizeConcepts(concepts)), lessonId]
     );
 
     res.json({
@@ -127,18 +152,6 @@ export const deleteLesson = async (req, res, next) => {
   const { lessonId } = req.params;
 
   try {
-    // Verify lesson belongs to user's topic
-    const lessonCheck = await pool.query(
-      `SELECT l.* FROM lessons l
-       JOIN topics t ON l.topic_id = t.id
-       WHERE l.id = $1 AND t.user_id = $2`,
-      [lessonId, req.user.id]
-    );
-
-    if (lessonCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Lesson not found' });
-    }
-
     await pool.query('DELETE FROM lessons WHERE id = $1', [lessonId]);
 
     res.json({ message: 'Lesson deleted successfully' });
@@ -158,19 +171,11 @@ export const completeLesson = async (req, res, next) => {
       return res.status(404).json({ error: 'Lesson not found' });
     }
 
-    // Upsert lesson progress
-    const result = await pool.query(
-      `INSERT INTO lesson_progress (user_id, lesson_id, completed, completed_at)
-       VALUES ($1, $2, true, CURRENT_TIMESTAMP)
-       ON CONFLICT (user_id, lesson_id)
-       DO UPDATE SET completed = true, completed_at = CURRENT_TIMESTAMP
-       RETURNING *`,
-      [req.user.id, lessonId]
-    );
+    const progress = await markLessonCompleted(req.user.id, lessonCheck.rows[0]);
 
     res.json({
       message: 'Lesson marked as completed',
-      progress: result.rows[0]
+      progress
     });
   } catch (error) {
     next(error);
@@ -181,21 +186,15 @@ export const uncompleteLesson = async (req, res, next) => {
   const { lessonId } = req.params;
 
   try {
-    const result = await pool.query(
-      `UPDATE lesson_progress 
-       SET completed = false, completed_at = NULL
-       WHERE user_id = $1 AND lesson_id = $2
-       RETURNING *`,
-      [req.user.id, lessonId]
-    );
+    const progress = await markLessonIncomplete(req.user.id, lessonId);
 
-    if (result.rows.length === 0) {
+    if (!progress) {
       return res.status(404).json({ error: 'Lesson progress not found' });
     }
 
     res.json({
       message: 'Lesson marked as incomplete',
-      progress: result.rows[0]
+      progress
     });
   } catch (error) {
     next(error);
@@ -212,18 +211,6 @@ export const generateAILesson = async (req, res, next) => {
   }
 
   try {
-    // Verify topic belongs to user
-    const topicCheck = await pool.query(
-      'SELECT * FROM topics WHERE id = $1 AND user_id = $2',
-      [topicId, req.user.id]
-    );
-
-    if (topicCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Topic not found' });
-    }
-
-    const topic = topicCheck.rows[0];
-
     // Generate lesson using AI agents
     console.log(`🤖 Generating AI lesson for topic: ${title}`);
     const lessonResponse = await orchestrator.generateNewLesson(title, difficulty, req.user.id);
@@ -249,6 +236,11 @@ export const generateAILesson = async (req, res, next) => {
         'INSERT INTO lessons (topic_id, title, content, order_index) VALUES ($1, $2, $3, $4) RETURNING *',
         [topicId, aiLesson.title, aiLesson.content, orderIndex]
       );
+      await setPrerequisites(
+        parseInt(topicId),
+        { type: 'lesson', id: dbResult.rows[0].id },
+        await getDefaultPrerequisites(parseInt(topicId), 'lesson', orderIndex)
+      );
 
       return res.status(201).json({
         message: 'AI-generated lesson created and saved successfully',
@@ -288,8 +280,8 @@ export const evaluateLesson = async (req, res, next) => {
     const lessonResult = await pool.query(
       `SELECT l.*, t.name as topic_name FROM lessons l
        JOIN topics t ON l.topic_id = t.id
-       WHERE l.id = $1 AND t.user_id = $2`,
-      [lessonId, req.user.id]
+       WHERE l.id = $1`,
+      [lessonId]
     );
 
     if (lessonResult.rows.length === 0) {
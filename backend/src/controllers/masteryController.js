@@ -0,0 +1,21 @@
+import { getConceptMastery, summarizeMastery } from '../services/conceptMasteryService.js';
+
+export const getMyMastery = async (req, res, next) => {
+  try {
+    const concepts = await getConceptMastery(req.user.id);
+    res.json({ concepts, summary: summarizeMastery(concepts) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getTopicMastery = async (req, res, next) => {
+  const { topicId } = req.params;
+
+  try {
+    const concepts = await getConceptMastery(req.user.id, { topicId: parseInt(topicId) });
+    res.json({ topicId: parseInt(topicId), concepts, summary: summarizeMastery(concepts) });
+  } catch (error) {
+    next(error);
+  }
+};
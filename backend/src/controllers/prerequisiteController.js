@@ -0,0 +1,62 @@
+import pool from '../config/database.js';
+import {
+  ITEM_TYPES,
+  PrerequisiteError,
+  isItemRefList,
+  setPrerequisites,
+  getTopicGraph,
+  getNextSteps,
+} from '../services/prerequisiteService.js';
+
+export const getGraph = async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const graph = await getTopicGraph(req.user.id, parseInt(id));
+    res.json(graph);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getNext = async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const nextSteps = await getNextSteps(req.user.id, parseInt(id));
+    res.json(nextSteps);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updatePrerequisites = async (req, res, next) => {
+  const { id, itemType, itemId } = req.params;
+  const { prerequisites } = req.body;
+
+  if (!ITEM_TYPES.includes(itemType)) {
+    return res.status(400).json({ error: `Item type must be one of: ${ITEM_TYPES.join(', ')}` });
+  }
+
+  if (!isItemRefList(prerequisites)) {
+    return res.status(400).json({ error: 'Prerequisites must be an array of { type, id } items' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const keys = await setPrerequisites(parseInt(id), { type: itemType, id: parseInt(itemId) }, prerequisites, client);
+    await client.query('COMMIT');
+
+    res.json({ message: 'Prerequisites updated successfully', prerequisites: keys });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof PrerequisiteError) {
+      return res.status(error.status).json({ error: error.message, cycle: error.cycle });
+    }
+    next(error);
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,57 @@
+import pool from '../config/database.js';
+import {
+  markLessonCompleted,
+  markLessonIncomplete,
+  getProgressSummary,
+  getTopicProgress as findTopicProgress,
+  resetTopicProgress,
+} from '../services/progressService.js';
+
+export const getMyProgress = async (req, res, next) => {
+  try {
+    const topics = await getProgressSummary(req.user.id);
+    res.json({ topics });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getTopicProgress = async (req, res, next) => {
+  try {
+    const progress = await findTopicProgress(req.user.id, parseInt(req.params.topicId));
+    res.json({ progress });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const setLessonProgress = async (req, res, next) => {
+  const { lessonId } = req.params;
+  const { completed } = req.body;
+
+  if (typeof completed !== 'boolean') {
+    return res.status(400).json({ error: 'completed must be true or false' });
+  }
+
+  try {
+    if (completed) {
+      const lessonResult = await pool.query('SELECT * FROM lessons WHERE id = $1', [lessonId]);
+      const progress = await markLessonCompleted(req.user.id, lessonResult.rows[0]);
+      return res.json({ message: 'Lesson marked as completed', progress });
+    }
+
+    const progress = await markLessonIncomplete(req.user.id, lessonId);
+    res.json({ message: 'Lesson marked as incomplete', progress });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetProgress = async (req, res, next) => {
+  try {
+    const reset = await resetTopicProgress(req.user.id, parseInt(req.params.topicId));
+    res.json({ message: 'Topic progress reset', lessonsReset: reset });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,11 +1,29 @@
 import pool from '../config/database.js';
+import { createQuizQuestion, formatReviewItem } from '../services/quizService.js';
+import { gradeAnswer, isLLMGraded } from '../services/quizQuestionTypes.js';
+import { assertQuota } from '../services/quotaService.js';
+import { recordConceptSignals } from '../services/conceptMasteryService.js';
+import { isQuizFailed, replanAfterQuiz } from '../services/learningPathService.js';
+import {
+  PrerequisiteError,
+  isItemRefList,
+  setPrerequisites,
+  getDefaultPrerequisites,
+} from '../services/prerequisiteService.js';
+import { trackQuizSubmitted } from '../services/xapiService.js';
+import { publishEvent } from '../services/webhookService.js';
+
+const QUESTION_COLUMNS = 'id, type, question, options, settings, concept, difficulty, correct_answer';
 
 export const getQuiz = async (req, res, next) => {
   const { quizId } = req.params;
 
   try {
     const quizResult = await pool.query(
-      'SELECT * FROM quizzes WHERE id = $1',
+      `SELECT q.*, t.adaptive_quizzes AS adaptive
+       FROM quizzes q
+       JOIN topics t ON q.topic_id = t.id
+       WHERE q.id = $1`,
       [quizId]
     );
 
@@ -15,9 +33,9 @@ export const getQuiz = async (req, res, next) => {
 
     const quiz = quizResult.rows[0];
 
-    // Get questions for this quiz
+    // Get questions for this quiz. Correct answers are only revealed after grading.
     const questionsResult = await pool.query(
-      'SELECT id, question, options, correct_answer, order_index FROM quiz_questions WHERE quiz_id = $1 ORDER BY order_index ASC',
+      'SELECT id, type, question, options, settings, concept, difficulty, order_index FROM quiz_questions WHERE quiz_id = $1 AND session_id IS NULL ORDER BY order_index ASC',
       [quizId]
     );
 
@@ -34,76 +52,69 @@ export const getQuiz = async (req, res, next) => {
 
 export const createQuiz = async (req, res, next) => {
   const { topicId } = req.params;
-  const { title, description, order_index } = req.body;
+  const { title, description, order_index, prerequisites } = req.body;
 
   if (!title) {
     return res.status(400).json({ error: 'Quiz title is required' });
   }
 
-  try {
-    // Verify topic belongs to user
-    const topicCheck = await pool.query(
-      'SELECT * FROM topics WHERE id = $1 AND user_id = $2',
-      [topicId, req.user.id]
-    );
+  if (prerequisites !== undefined && !isItemRefList(prerequisites)) {
+    return res.status(400).json({ error: 'Prerequisites must be an array of { type, id } items' });
+  }
 
-    if (topicCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Topic not found' });
-    }
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
 
     // Get next order index if not provided
     let finalOrderIndex = order_index;
     if (finalOrderIndex === undefined) {
-      const maxOrderResult = await pool.query(
+      const maxOrderResult = await client.query(
         'SELECT COALESCE(MAX(order_index), 0) + 1 as next_order FROM quizzes WHERE topic_id = $1',
         [topicId]
       );
       finalOrderIndex = maxOrderResult.rows[0].next_order;
     }
 
-    const result = await pool.query(
+    const result = await client.query(
       'INSERT INTO quizzes (topic_id, title, description, order_index) VALUES ($1, $2, $3, $4) RETURNING *',
       [topicId, title, description || null, finalOrderIndex]
     );
+    const quiz = result.rows[0];
+
+    // Without explicit prerequisites the quiz follows the last lesson up to its position
+    const requirements = prerequisites
+      ?? await getDefaultPrerequisites(parseInt(topicId), 'quiz', finalOrderIndex, client);
+    const prerequisiteKeys = await setPrerequisites(
+      parseInt(topicId),
+      { type: 'quiz', id: quiz.id },
+      requirements,
+      client
+    );
+
+    await client.query('COMMIT');
 
     res.status(201).json({
       message: 'Quiz created successfully',
-      quiz: result.rows[0]
+      quiz: { ...quiz, prerequisites: prerequisiteKeys }
     });
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error instanceof PrerequisiteError) {
+      return res.status(error.status).json({ error: error.message, cycle: error.cycle });
+    }
     next(error);
+  } finally {
+    client.release();
   }
 };
 
 export const addQuestion = async (req, res, next) => {
   const { quizId } = req.params;
-  const { question, options, correct_answer, order_index } = req.body;
-
-  if (!question || !options || correct_answer === undefined) {
-    return res.status(400).json({ error: 'Question, options, and correct_answer are required' });
-  }
-
-  if (!Array.isArray(options) || options.length < 2) {
-    return res.status(400).json({ error: 'Options must be an array with at least 2 items' });
-  }
-
-  if (correct_answer < 0 || correct_answer >= options.length) {
-    return res.status(400).json({ error: 'Invalid correct_answer index' });
-  }
+  const { order_index } = req.body;
 
   try {
-    // Verify quiz belongs to user's topic
-    const quizCheck = await pool.query(
-      `SELECT q.* FROM quizzes q
-       JOIN topics t ON q.topic_id = t.id
-       WHERE q.id = $1 AND t.user_id = $2`,
-      [quizId, req.user.id]
-    );
-
-    if (quizCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
-    }
-
     // Get next order index if not provided
     let finalOrderIndex = order_index;
     if (finalOrderIndex === undefined) {
@@ -114,14 +125,12 @@ export const addQuestion = async (req, res, next) => {
       finalOrderIndex = maxOrderResult.rows[0].next_order;
     }
 
-    const result = await pool.query(
-      'INSERT INTO quiz_questions (quiz_id, question, options, correct_answer, order_index) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [quizId, question, JSON.stringify(options), correct_answer, finalOrderIndex]
-    );
+    // Validated against the question type's schema; invalid input is a 400
+    const question = await createQuizQuestion(quizId, req.body, finalOrderIndex);
 
     res.status(201).json({
       message: 'Question added successfully',
-      question: result.rows[0]
+      question
     });
   } catch (error) {
     next(error);
@@ -136,66 +145,136 @@ export const submitQuiz = async (req, res, next) => {
     return res.status(400).json({ error: 'Answers must be an array' });
   }
 
-  const client = await pool.connect();
-
   try {
-    await client.query('BEGIN');
-
     // Get all questions for the quiz
-    const questionsResult = await client.query(
-      'SELECT id, correct_answer FROM quiz_questions WHERE quiz_id = $1',
+    const questionsResult = await pool.query(
+      `SELECT ${QUESTION_COLUMNS} FROM quiz_questions WHERE quiz_id = $1 AND session_id IS NULL ORDER BY order_index ASC`,
       [quizId]
     );
 
     const questions = questionsResult.rows;
-    const questionsMap = new Map(questions.map(q => [q.id, q.correct_answer]));
-
-    // Calculate score
-    let score = 0;
-    const answersData = [];
+    const questionIds = new Set(questions.map(q => q.id));
 
+    // Keep one answer per question of this quiz; anything else is ignored
+    const selectedAnswers = new Map();
     for (const answer of answers) {
-      const correctAnswer = questionsMap.get(answer.questionId);
-      const isCorrect = correctAnswer === answer.selectedAnswer;
-      if (isCorrect) score++;
-
-      answersData.push({
-        questionId: answer.questionId,
-        selectedAnswer: answer.selectedAnswer,
-        isCorrect
+      if (questionIds.has(answer?.questionId) && answer.selectedAnswer !== undefined && answer.selectedAnswer !== null) {
+        selectedAnswers.set(answer.questionId, answer.selectedAnswer);
+      }
+    }
+
+    // Open-ended answers are graded by the LLM and count against the token budget
+    if (questions.some(q => selectedAnswers.has(q.id) && isLLMGraded(q))) {
+      await assertQuota(req.user.id, 'tokens');
+    }
+
+    // Grade every question; unanswered or malformed answers count as incorrect.
+    // Grading happens before the transaction so LLM calls do not hold a connection.
+    const gradedAnswers = [];
+    for (const question of questions) {
+      const selectedAnswer = selectedAnswers.get(question.id);
+      const grading = selectedAnswers.has(question.id)
+        ? await gradeAnswer(question, selectedAnswer, { userId: req.user.id })
+        : null;
+
+      gradedAnswers.push({
+        question,
+        answer: grading && {
+          selected_answer: selectedAnswer,
+          is_correct: grading.isCorrect,
+          score: grading.score,
+          feedback: grading.feedback,
+          ungraded: Boolean(grading.ungraded),
+        },
       });
     }
 
-    // Create quiz attempt
-    const attemptResult = await client.query(
-      'INSERT INTO quiz_attempts (user_id, quiz_id, score, total_questions) VALUES ($1, $2, $3, $4) RETURNING *',
-      [req.user.id, quizId, score, questions.length]
-    );
+    // Answers the grader could not score count neither for nor against the result
+    const score = gradedAnswers.filter(({ answer }) => answer?.is_correct).length;
+    const totalQuestions = gradedAnswers.filter(({ answer }) => !answer?.ungraded).length;
+
+    const client = await pool.connect();
+    let attempt;
+
+    try {
+      await client.query('BEGIN');
+
+      // Create quiz attempt
+      const attemptResult = await client.query(
+        'INSERT INTO quiz_attempts (user_id, quiz_id, score, total_questions) VALUES ($1, $2, $3, $4) RETURNING *',
+        [req.user.id, quizId, score, totalQuestions]
+      );
+
+      attempt = attemptResult.rows[0];
 
-    const attempt = attemptResult.rows[0];
+      // Save individual answers
+      for (const { question, answer } of gradedAnswers) {
+        if (!answer) continue;
+        await client.query(
+          `INSERT INTO quiz_answers (attempt_id, question_id, selected_answer, is_correct, score, feedback)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [attempt.id, question.id, JSON.stringify(answer.selected_answer), answer.is_correct, answer.score, answer.feedback]
+        );
+      }
 
-    // Save individual answers
-    for (const answerData of answersData) {
-      await client.query(
-        'INSERT INTO quiz_answers (attempt_id, question_id, selected_answer, is_correct) VALUES ($1, $2, $3, $4)',
-        [attempt.id, answerData.questionId, answerData.selectedAnswer, answerData.isCorrect]
+      // Every question of a submitted quiz is evidence for its concept, skipped ones
+      // included; answers the grader could not score are not
+      const quizResult = await client.query('SELECT topic_id FROM quizzes WHERE id = $1', [quizId]);
+      await recordConceptSignals(
+        req.user.id,
+        quizResult.rows[0].topic_id,
+        gradedAnswers
+          .filter(({ answer }) => !answer || answer.score !== null)
+          .map(({ question, answer }) => ({
+            concept: question.concept,
+            signal: 'quiz_answer',
+            credit: answer?.score ?? 0,
+          })),
+        client
       );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    await client.query('COMMIT');
+    const review = gradedAnswers.map(({ question, answer }) => formatReviewItem(question, answer));
+    const failed = isQuizFailed(review);
+    await trackQuizSubmitted(req.user.id, parseInt(quizId), { score, total: totalQuestions });
+    await publishEvent('quiz.submitted', req.user.id, {
+      quiz: { id: parseInt(quizId) },
+      attempt: {
+        id: attempt.id,
+        score,
+        totalQuestions,
+        passed: !failed,
+        completedAt: attempt.completed_at,
+      },
+    });
+
+    // A failed quiz re-plans the rest of the path; the attempt is saved either way
+    let pathRevision = null;
+    if (failed) {
+      try {
+        pathRevision = await replanAfterQuiz(req.user, parseInt(quizId), review);
+      } catch (error) {
+        console.error('Learning path re-plan failed:', error);
+      }
+    }
 
     res.json({
       message: 'Quiz submitted successfully',
       attempt: {
         ...attempt,
-        answers: answersData
+        review,
+        pathRevision,
       }
     });
   } catch (error) {
-    await client.query('ROLLBACK');
     next(error);
-  } finally {
-    client.release();
   }
 };
 
@@ -203,24 +282,45 @@ export const getQuizAttempts = async (req, res, next) => {
   const { quizId } = req.params;
 
   try {
-    const result = await pool.query(
-      `SELECT qa.*, 
-        json_agg(
-          json_build_object(
-            'question_id', qans.question_id,
-            'selected_answer', qans.selected_answer,
-            'is_correct', qans.is_correct
-          )
-        ) as answers
-       FROM quiz_attempts qa
-       LEFT JOIN quiz_answers qans ON qa.id = qans.attempt_id
-       WHERE qa.quiz_id = $1 AND qa.user_id = $2
-       GROUP BY qa.id
-       ORDER BY qa.completed_at DESC`,
-      [quizId, req.user.id]
-    );
+    const [attemptsResult, questionsResult, answersResult] = await Promise.all([
+      pool.query(
+        `SELECT * FROM quiz_attempts
+         WHERE quiz_id = $1 AND user_id = $2
+         ORDER BY completed_at DESC`,
+        [quizId, req.user.id]
+      ),
+      pool.query(
+        `SELECT ${QUESTION_COLUMNS} FROM quiz_questions WHERE quiz_id = $1 AND session_id IS NULL ORDER BY order_index ASC`,
+        [quizId]
+      ),
+      pool.query(
+        `SELECT qans.* FROM quiz_answers qans
+         JOIN quiz_attempts qa ON qans.attempt_id = qa.id
+         WHERE qa.quiz_id = $1 AND qa.user_id = $2`,
+        [quizId, req.user.id]
+      ),
+    ]);
+
+    // attemptId -> (questionId -> answer)
+    const answersByAttempt = new Map();
+    for (const answer of answersResult.rows) {
+      if (!answersByAttempt.has(answer.attempt_id)) {
+        answersByAttempt.set(answer.attempt_id, new Map());
+      }
+      answersByAttempt.get(answer.attempt_id).set(answer.question_id, answer);
+    }
 
-    res.json({ attempts: result.rows });
+    const attempts = attemptsResult.rows.map(attempt => {
+      const attemptAnswers = answersByAttempt.get(attempt.id) || new Map();
+      return {
+        ...attempt,
+        review: questionsResult.rows.map(question =>
+          formatReviewItem(question, attemptAnswers.get(question.id))
+        )
+      };
+    });
+
+    res.json({ attempts });
   } catch (error) {
     next(error);
   }
@@ -230,18 +330,6 @@ export const deleteQuiz = async (req, res, next) => {
   const { quizId } = req.params;
 
   try {
-    // Verify quiz belongs to user's topic
-    const quizCheck = await pool.query(
-      `SELECT q.* FROM quizzes q
-       JOIN topics t ON q.topic_id = t.id
-       WHERE q.id = $1 AND t.user_id = $2`,
-      [quizId, req.user.id]
-    );
-
-    if (quizCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
-    }
-
     await pool.query('DELETE FROM quizzes WHERE id = $1', [quizId]);
 
     res.json({ message: 'Quiz deleted successfully' });
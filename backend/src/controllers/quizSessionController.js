@@ -0,0 +1,64 @@
+import {
+  startSession,
+  getSession,
+  answerQuestion,
+} from '../services/adaptiveQuizService.js';
+import { replanAfterQuiz } from '../services/learningPathService.js';
+import { parseId } from '../middleware/authorize.js';
+
+export const startQuizSession = async (req, res, next) => {
+  const { quizId } = req.params;
+
+  try {
+    const session = await startSession(req.user.id, parseInt(quizId));
+    res.status(201).json({ session });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getQuizSession = async (req, res, next) => {
+  const sessionId = parseId(req.params.sessionId);
+
+  if (sessionId === null) {
+    return res.status(404).json({ error: 'Quiz session not found' });
+  }
+
+  try {
+    const session = await getSession(req.user.id, sessionId);
+    res.json({ session });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const answerQuizSession = async (req, res, next) => {
+  const sessionId = parseId(req.params.sessionId);
+  const { answer } = req.body;
+
+  if (sessionId === null) {
+    return res.status(404).json({ error: 'Quiz session not found' });
+  }
+
+  if (answer === undefined || answer === null) {
+    return res.status(400).json({ error: 'Answer is required' });
+  }
+
+  try {
+    const { result, session } = await answerQuestion(req.user.id, sessionId, answer);
+
+    // Ending a session without reaching mastery re-plans the rest of the path
+    let pathRevision = null;
+    if (session.stopReason === 'not_mastered') {
+      try {
+        pathRevision = await replanAfterQuiz(req.user, session.quizId, session.review);
+      } catch (error) {
+        console.error('Learning path re-plan failed:', error);
+      }
+    }
+
+    res.json({ result, session: { ...session, pathRevision } });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,63 +0,0 @@
-// This file contains the logic for handling quiz-related requests.
-
-const Quiz = require('../models/quiz.model');
-
-// Create a new quiz
-exports.createQuiz = async (req, res) => {
-    try {
-        const quiz = new Quiz(req.body);
-        await quiz.save();
-        res.status(201).json({ message: 'Quiz created successfully', quiz });
-    } catch (error) {
-        res.status(400).json({ message: 'Error creating quiz', error });
-    }
-};
-
-// Get all quizzes
-exports.getAllQuizzes = async (req, res) => {
-    try {
-        const quizzes = await Quiz.find();
-        res.status(200).json(quizzes);
-    } catch (error) {
-        res.status(500).json({ message: 'Error fetching quizzes', error });
-    }
-};
-
-// Get a quiz by ID
-exports.getQuizById = async (req, res) => {
-    try {
-        const quiz = await Quiz.findById(req.params.id);
-        if (!quiz) {
-            return res.status(404).json({ message: 'Quiz not found' });
-        }
-        res.status(200).json(quiz);
-    } catch (error) {
-        res.status(500).json({ message: 'Error fetching quiz', error });
-    }
-};
-
-// Update a quiz by ID
-exports.updateQuiz = async (req, res) => {
-    try {
-        const quiz = await Quiz.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!quiz) {
-            return res.status(404).json({ message: 'Quiz not found' });
-        }
-        res.status(200).json({ message: 'Quiz updated successfully', quiz });
-    } catch (error) {
-        res.status(400).json({ message: 'Error updating quiz', error });
-    }
-};
-
-// Delete a quiz by ID
-exports.deleteQuiz = async (req, res) => {
-    try {
-        const quiz = await Quiz.findByIdAndDelete(req.params.id);
-        if (!quiz) {
-            return res.status(404).json({ message: 'Quiz not found' });
-        }
-        res.status(200).json({ message: 'Quiz deleted successfully' });
-    } catch (error) {
-        res.status(500).json({ message: 'Error deleting quiz', error });
-    }
-};
\ No newline at end of file
@@ -0,0 +1,10 @@
+import { getQuotaStatus } from '../services/quotaService.js';
+
+export const getMyQuota = async (req, res, next) => {
+  try {
+    const quota = await getQuotaStatus(req.user.id);
+    res.json({ quota });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,12 @@
+import { getRecommendations as buildRecommendations } from '../services/recommendationService.js';
+
+export const getRecommendations = async (req, res, next) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 20);
+
+  try {
+    const recommendations = await buildRecommendations(req.user.id, { limit });
+    res.json({ recommendations });
+  } catch (error) {
+    next(error);
+  }
+};
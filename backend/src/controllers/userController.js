@@ -0,0 +1,128 @@
+import {
+  AccountError,
+  formatUser,
+  getUser as findUser,
+  listUsers,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+} from '../services/accountService.js';
+
+/**
+ * Answer AccountErrors with their status, pass anything else on
+ * @private
+ */
+const handleAccountError = (error, res, next) => {
+  if (error instanceof AccountError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  next(error);
+};
+
+export const getMe = async (req, res, next) => {
+  try {
+    const user = await findUser(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: formatUser(user) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateMe = async (req, res, next) => {
+  const { username, email } = req.body;
+
+  try {
+    const user = await updateProfile(req.user.id, { username, email });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: formatUser(user),
+    });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
+
+export const updateMyPassword = async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
+
+  try {
+    await changePassword(req.user.id, currentPassword, newPassword);
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
+
+export const deleteMe = async (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ error: 'Password is required to delete your account' });
+  }
+
+  try {
+    await deleteAccount(req.user.id, { password });
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    handleAccountError(error, res, next);
+  }
+};
+
+export const getUsers = async (req, res, next) => {
+  const { search, limit, offset } = req.query;
+
+  try {
+    const { users, total } = await listUsers({ search, limit, offset });
+    res.json({ users: users.map(formatUser), total });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await findUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: formatUser(user) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteUser = async (req, res, next) => {
+  const userId = parseInt(req.params.userId);
+
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'Use DELETE /api/users/me to delete your own account' });
+  }
+
+  try {
+    const deleted = await deleteAccount(userId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
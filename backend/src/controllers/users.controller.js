@@ -1,63 +0,0 @@
-// src/controllers/users.controller.js
-
-const User = require('../models/user.model');
-
-// Get all users
-exports.getAllUsers = async (req, res) => {
-    try {
-        const users = await User.find();
-        res.status(200).json(users);
-    } catch (error) {
-        res.status(500).json({ message: 'Error retrieving users', error });
-    }
-};
-
-// Get user by ID
-exports.getUserById = async (req, res) => {
-    try {
-        const user = await User.findById(req.params.id);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
-        }
-        res.status(200).json(user);
-    } catch (error) {
-        res.status(500).json({ message: 'Error retrieving user', error });
-    }
-};
-
-// Create a new user
-exports.createUser = async (req, res) => {
-    const newUser = new User(req.body);
-    try {
-        const savedUser = await newUser.save();
-        res.status(201).json(savedUser);
-    } catch (error) {
-        res.status(400).json({ message: 'Error creating user', error });
-    }
-};
-
-// Update user by ID
-exports.updateUser = async (req, res) => {
-    try {
-        const updatedUser = await User.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!updatedUser) {
-            return res.status(404).json({ message: 'User not found' });
-        }
-        res.status(200).json(updatedUser);
-    } catch (error) {
-        res.status(400).json({ message: 'Error updating user', error });
-    }
-};
-
-// Delete user by ID
-exports.deleteUser = async (req, res) => {
-    try {
-        const deletedUser = await User.findByIdAndDelete(req.params.id);
-        if (!deletedUser) {
-            return res.status(404).json({ message: 'User not found' });
-        }
-        res.status(204).send();
-    } catch (error) {
-        res.status(500).json({ message: 'Error deleting user', error });
-    }
-};
\ No newline at end of file
@@ -0,0 +1,30 @@
+import { getVideoJob as findVideoJob, toVideoData } from '../services/videoJobService.js';
+
+export const getVideoJob = async (req, res, next) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await findVideoJob(jobId);
+
+    if (!job || job.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Video job not found' });
+    }
+
+    res.json({
+      job: {
+        id: job.id,
+        lessonId: job.lesson_id,
+        status: job.status,
+        progress: Number(job.progress) || 0,
+        attempts: job.attempts,
+        error: job.error,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+        completedAt: job.completed_at,
+      },
+      video: toVideoData(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,114 @@
+import {
+  WEBHOOK_EVENTS,
+  WebhookError,
+  formatWebhook,
+  formatDelivery,
+  createWebhook as insertWebhook,
+  updateWebhook as saveWebhook,
+  listWebhooks,
+  getWebhook as findWebhook,
+  deleteWebhook as removeWebhook,
+  listDeliveries,
+  redeliver,
+} from '../services/webhookService.js';
+
+export const getWebhooks = async (req, res, next) => {
+  try {
+    const all = req.query.all === 'true' && req.user.role === 'admin';
+    const webhooks = await listWebhooks(req.user.id, { all });
+    res.json({ webhooks: webhooks.map((row) => formatWebhook(row)), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    res.json({ webhook: formatWebhook(webhook) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createWebhook = async (req, res, next) => {
+  try {
+    const webhook = await insertWebhook(req.user, req.body || {});
+
+    res.status(201).json({
+      message: 'Webhook created. Store the secret now, it will not be shown again.',
+      webhook: formatWebhook(webhook, { includeSecret: true }),
+    });
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+export const updateWebhook = async (req, res, next) => {
+  const input = req.body || {};
+
+  try {
+    const webhook = await saveWebhook(req.user, req.params.id, input);
+
+    res.json({
+      message: 'Webhook updated',
+      webhook: formatWebhook(webhook, { includeSecret: Boolean(input.rotateSecret) }),
+    });
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    await removeWebhook(req.params.id);
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getDeliveries = async (req, res, next) => {
+  const { limit, status } = req.query;
+
+  if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be one of: pending, delivered, failed' });
+  }
+
+  try {
+    const deliveries = await listDeliveries(req.params.id, { limit, status: status || null });
+    const includeResponseBody = req.user.role === 'admin';
+    res.json({ deliveries: deliveries.map((row) => formatDelivery(row, { includeResponseBody })) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const redeliverWebhook = async (req, res, next) => {
+  const deliveryId = parseInt(req.params.deliveryId);
+
+  if (Number.isNaN(deliveryId)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  try {
+    const delivery = await redeliver(req.params.id, deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.status(202).json({
+      message: 'Redelivery queued',
+      delivery: formatDelivery(delivery, { includeResponseBody: req.user.role === 'admin' }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
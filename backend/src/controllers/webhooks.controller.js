@@ -1,18 +0,0 @@
-// This file contains the logic for handling webhook requests.
-
-const express = require('express');
-const router = express.Router();
-
-// Example endpoint for receiving webhooks
-router.post('/webhook', (req, res) => {
-    const webhookData = req.body;
-
-    // Process the webhook data here
-    console.log('Received webhook:', webhookData);
-
-    // Respond with a success status
-    res.status(200).send('Webhook received successfully');
-});
-
-// Export the router
-module.exports = router;
\ No newline at end of file
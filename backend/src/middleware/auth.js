@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import { setContextValues } from '../agents/core/agentContext.js';
 
 export const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -13,6 +14,7 @@ export const authenticateToken = (req, res, next) => {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
     req.user = user;
+    setContextValues({ userId: user.id });
     next();
   });
 };
@@ -25,6 +27,7 @@ export const optionalAuth = (req, res, next) => {
     jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
       if (!err) {
         req.user = user;
+        setContextValues({ userId: user.id });
       }
     });
   }
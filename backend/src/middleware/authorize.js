@@ -0,0 +1,120 @@
+import pool from '../config/database.js';
+import { DEFAULT_ROLE } from '../config/roles.js';
+
+/**
+ * Owner lookups for resources addressed by ID in the URL
+ */
+const RESOURCE_OWNERS = {
+  topic: {
+    label: 'Topic',
+    query: 'SELECT user_id FROM topics WHERE id = $1',
+  },
+  lesson: {
+    label: 'Lesson',
+    query: `SELECT t.user_id FROM lessons l
+            JOIN topics t ON l.topic_id = t.id
+            WHERE l.id = $1`,
+  },
+  quiz: {
+    label: 'Quiz',
+    query: `SELECT t.user_id FROM quizzes q
+            JOIN topics t ON q.topic_id = t.id
+            WHERE q.id = $1`,
+  },
+  webhook: {
+    label: 'Webhook',
+    query: 'SELECT user_id FROM webhooks WHERE id = $1',
+  },
+};
+
+// Largest value of a Postgres INTEGER (SERIAL) column
+const MAX_ID = 2147483647;
+
+/**
+ * Parse an ID from the URL. Returns null for anything that can't be a row ID,
+ * so callers answer 404 instead of letting the query fail.
+ * @param {string} value
+ * @returns {number|null}
+ */
+export const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 && id <= MAX_ID ? id : null;
+};
+
+/**
+ * Read the user's current role from the database (once per request), so role
+ * changes apply immediately instead of when the JWT expires
+ * @private
+ */
+const loadRole = async (req) => {
+  if (!req.roleLoaded) {
+    const result = await pool.query('SELECT role FROM users WHERE id = $1', [req.user.id]);
+    req.user.role = result.rows[0]?.role || DEFAULT_ROLE;
+    req.roleLoaded = true;
+  }
+  return req.user.role;
+};
+
+/**
+ * Replace the role from the JWT with the current one, for handlers that read
+ * `req.user.role` themselves. Must run after authenticateToken.
+ */
+export const loadCurrentRole = async (req, res, next) => {
+  try {
+    await loadRole(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Allow the request only for the given roles. Must run after authenticateToken.
+ * @param {...string} roles
+ */
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const role = await loadRole(req);
+
+    if (!roles.includes(role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ownership policy: the resource in `req.params[param]` must belong to the
+ * authenticated user, unless they are an admin. Other users get a 404 so
+ * resource IDs can't be probed. Must run after authenticateToken.
+ * @param {'topic'|'lesson'|'quiz'|'webhook'} type
+ * @param {string} param - Route parameter holding the resource ID
+ */
+export const authorizeResource = (type, param) => async (req, res, next) => {
+  const { label, query } = RESOURCE_OWNERS[type];
+  const id = parseId(req.params[param]);
+
+  if (id === null) {
+    return res.status(404).json({ error: `${label} not found` });
+  }
+
+  try {
+    const result = await pool.query(query, [id]);
+    const ownerId = result.rows[0]?.user_id;
+
+    if (ownerId === undefined) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    if (ownerId !== req.user.id && await loadRole(req) !== 'admin') {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -4,8 +4,13 @@ export const errorHandler = (err, req, res, next) => {
   const status = err.status || 500;
   const message = err.message || 'Internal Server Error';
 
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   res.status(status).json({
     error: message,
+    ...(err.quota && { quota: err.quota }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -0,0 +1,15 @@
+import { assertQuota } from '../services/quotaService.js';
+
+/**
+ * Reject the request with 429 when the authenticated user is over budget.
+ * Must run after authenticateToken.
+ * @param {'tokens'|'videos'} [metric]
+ */
+export const requireQuota = (metric = 'tokens') => async (req, res, next) => {
+  try {
+    await assertQuota(req.user.id, metric);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
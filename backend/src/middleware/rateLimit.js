@@ -0,0 +1,53 @@
+import { RATE_LIMITS, rateLimitsEnabled } from '../config/rateLimits.js';
+
+/**
+ * Fixed-window request limiter keyed by client IP. Counters live in memory,
+ * so each server process enforces its own limits and they reset on restart.
+ * Responses carry RateLimit-Limit/-Remaining/-Reset headers; rejected ones get
+ * 429 with Retry-After.
+ * @param {keyof RATE_LIMITS} name - Which configured limit to apply
+ * @param {{windowMs?: number, max?: number, keyGenerator?: (req) => string}} [overrides]
+ */
+export const rateLimit = (name, overrides = {}) => {
+  const { windowMs, max } = { ...RATE_LIMITS[name], ...overrides };
+  const keyGenerator = overrides.keyGenerator || ((req) => req.ip);
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Drop expired windows so idle clients don't accumulate
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweeper.unref();
+
+  return (req, res, next) => {
+    if (!rateLimitsEnabled) return next();
+
+    const now = Date.now();
+    const key = keyGenerator(req);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - window.count, 0)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (window.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: 'Too many requests, please try again later' });
+    }
+
+    next();
+  };
+};
+
+export default rateLimit;
@@ -0,0 +1,23 @@
+import { v4 as uuidv4 } from 'uuid';
+import { runInRequestContext } from '../agents/core/agentContext.js';
+
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Give every request an ID (reusing a valid incoming X-Request-Id) and run
+ * the rest of the chain inside a request context, so LLM calls made while
+ * handling it are attributed to the request and, once authenticated, the user.
+ * The agent trace ID is always generated here and returned as X-Trace-Id:
+ * request IDs come from clients, and reusing one must not add spans to
+ * another request's trace.
+ * Must be registered after the body parsers.
+ */
+export const requestContext = (req, res, next) => {
+  const incomingId = req.headers['x-request-id'];
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+  req.traceId = uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+  res.setHeader('X-Trace-Id', req.traceId);
+
+  runInRequestContext({ requestId: req.id, traceId: req.traceId }, next);
+};
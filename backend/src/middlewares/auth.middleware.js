@@ -1,21 +0,0 @@
-module.exports = (req, res, next) => {
-    const token = req.headers['authorization'];
-
-    if (!token) {
-        return res.status(401).json({ message: 'No token provided' });
-    }
-
-    // Here you would typically verify the token (e.g., using JWT)
-    // For example:
-    // jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    //     if (err) {
-    //         return res.status(401).json({ message: 'Unauthorized' });
-    //     }
-    //     req.userId = decoded.id;
-    //     next();
-    // });
-
-    // Placeholder for token verification logic
-    req.userId = token; // This is just a placeholder. Replace with actual user ID from token.
-    next();
-};
\ No newline at end of file
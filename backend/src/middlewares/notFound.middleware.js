@@ -1,5 +0,0 @@
-const notFound = (req, res, next) => {
-    res.status(404).json({ message: "Resource not found" });
-};
-
-export default notFound;
\ No newline at end of file
@@ -1,37 +0,0 @@
-const mongoose = require('mongoose');
-
-const courseSchema = new mongoose.Schema({
-    title: {
-        type: String,
-        required: true,
-        trim: true
-    },
-    description: {
-        type: String,
-        required: true,
-        trim: true
-    },
-    createdAt: {
-        type: Date,
-        default: Date.now
-    },
-    updatedAt: {
-        type: Date,
-        default: Date.now
-    },
-    lessons: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Lesson'
-    }],
-    instructor: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-    },
-    isPublished: {
-        type: Boolean,
-        default: false
-    }
-});
-
-module.exports = mongoose.model('Course', courseSchema);
\ No newline at end of file
@@ -1,34 +0,0 @@
-const mongoose = require('mongoose');
-
-const lessonSchema = new mongoose.Schema({
-    title: {
-        type: String,
-        required: true,
-    },
-    content: {
-        type: String,
-        required: true,
-    },
-    courseId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Course',
-        required: true,
-    },
-    createdAt: {
-        type: Date,
-        default: Date.now,
-    },
-    updatedAt: {
-        type: Date,
-        default: Date.now,
-    },
-});
-
-lessonSchema.pre('save', function(next) {
-    this.updatedAt = Date.now();
-    next();
-});
-
-const Lesson = mongoose.model('Lesson', lessonSchema);
-
-module.exports = Lesson;
\ No newline at end of file
@@ -1,37 +0,0 @@
-const mongoose = require('mongoose');
-
-const quizSchema = new mongoose.Schema({
-    title: {
-        type: String,
-        required: true,
-    },
-    questions: [
-        {
-            question: {
-                type: String,
-                required: true,
-            },
-            options: [
-                {
-                    type: String,
-                    required: true,
-                },
-            ],
-            correctAnswer: {
-                type: String,
-                required: true,
-            },
-        },
-    ],
-    createdBy: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true,
-    },
-    createdAt: {
-        type: Date,
-        default: Date.now,
-    },
-});
-
-module.exports = mongoose.model('Quiz', quizSchema);
\ No newline at end of file
@@ -0,0 +1,419 @@
+import { orchestrator } from '../agents/index.js';
+import { TASKS } from './tasks/index.js';
+import { TRANSFORMS } from './transforms/index.js';
+
+/**
+ * Runs pipelines defined as data: a DAG of steps, each of which sends one
+ * message to an agent or runs one named task. See definitions/ for the
+ * pipelines and README "Agent Pipelines" for the step format.
+ *
+ * Values in a step (`agent`, `input`, `when`, `each`, `fallback`) are
+ * resolved against the run context before the step runs:
+ * - strings starting with `$` are paths into it, e.g. `$input.message` or
+ *   `$steps.analyze.isStuck` (`!$...` negates a condition); `$item` and
+ *   `$index` are the item of an `each` step and its position
+ * - strings starting with `@` name a transform (transforms/), which is
+ *   called with the context (and the item and index of `each`)
+ * - objects and arrays are resolved member by member; anything else is used as is
+ *
+ * `output` is a path into the agent's response or a transform called with
+ * (response, context). `gate.until` and `events.complete` name transforms
+ * called with (output, context), and `result` one called with the context.
+ * Definitions hold no functions, so they can be inspected and changed as data.
+ */
+
+/**
+ * Raised when a required step fails; `details` is the agent's or task's error
+ */
+export class PipelineError extends Error {
+  constructor(message, { pipeline, step, details } = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = 500;
+    this.pipeline = pipeline;
+    this.step = step;
+    this.details = details;
+  }
+}
+
+/**
+ * Raised for definitions that can't run: unknown steps, tasks, transforms or cycles
+ */
+export class PipelineDefinitionError extends Error {
+  constructor(pipeline, message) {
+    super(`Pipeline '${pipeline}': ${message}`);
+    this.name = 'PipelineDefinitionError';
+  }
+}
+
+/**
+ * @private
+ */
+const getPath = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+/**
+ * The transform a definition value names ('@name'), or null
+ * @private
+ */
+const transformName = (value) => (
+  typeof value === 'string' && value.startsWith('@') ? value.slice(1) : null
+);
+
+/**
+ * @private
+ */
+const resolveValue = (value, transforms, context, item, index) => {
+  if (typeof value === 'string') {
+    if (value.startsWith('@')) return transforms[value.slice(1)](context, item, index);
+    if (value.startsWith('!$')) return !getPath({ ...context, item, index }, value.slice(2));
+    if (value.startsWith('$')) return getPath({ ...context, item, index }, value.slice(1));
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => resolveValue(entry, transforms, context, item, index));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, resolveValue(entry, transforms, context, item, index)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Check the transforms a definition value names, and that it holds no
+ * functions; returns the first problem, or null
+ * @private
+ */
+const findValueProblem = (value, transforms, where) => {
+  if (typeof value === 'function') {
+    return `${where} is a function; register it as a transform and name it with '@'`;
+  }
+  const name = transformName(value);
+  if (name !== null) {
+    return transforms[name] ? null : `${where} uses unknown transform '${name}'`;
+  }
+  if (value && typeof value === 'object') {
+    for (const [key, entry] of Object.entries(value)) {
+      const problem = findValueProblem(entry, transforms, `${where}.${key}`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+};
+
+/**
+ * Steps reachable from `from` by following `after` edges backwards (dependents)
+ * @private
+ */
+const collectDependents = (steps, from) => {
+  const found = new Set([from]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const step of steps) {
+      if (!found.has(step.id) && (step.after || []).some((id) => found.has(id))) {
+        found.add(step.id);
+        grew = true;
+      }
+    }
+  }
+  return found;
+};
+
+/**
+ * Steps a gate re-runs when it fails: its `retry` step, the gate, and every
+ * step on a path between them
+ * @private
+ */
+const collectLoop = (steps, gateStep) => {
+  const dependents = collectDependents(steps, gateStep.gate.retry);
+  const byId = new Map(steps.map((step) => [step.id, step]));
+  const ancestors = new Set();
+  const visit = (id) => {
+    if (ancestors.has(id)) return;
+    ancestors.add(id);
+    (byId.get(id)?.after || []).forEach(visit);
+  };
+  visit(gateStep.id);
+  return new Set([...dependents].filter((id) => ancestors.has(id)));
+};
+
+/**
+ * Check that a definition can run; throws PipelineDefinitionError otherwise
+ * @param {Object} definition
+ * @param {{tasks?: Object, transforms?: Object}} [options] - Default to the TASKS and TRANSFORMS registries
+ */
+export const validatePipeline = (definition, { tasks = TASKS, transforms = TRANSFORMS } = {}) => {
+  const { name, steps } = definition;
+  if (!name || !Array.isArray(steps) || steps.length === 0) {
+    throw new PipelineDefinitionError(name || '?', 'needs a name and at least one step');
+  }
+
+  const ids = new Set();
+  for (const step of steps) {
+    if (!step.id || ids.has(step.id)) {
+      throw new PipelineDefinitionError(name, `step ids must be unique and non-empty ('${step.id}')`);
+    }
+    ids.add(step.id);
+    if (Boolean(step.agent) === Boolean(step.task)) {
+      throw new PipelineDefinitionError(name, `step '${step.id}' needs exactly one of agent or task`);
+    }
+    if (step.agent && !step.action) {
+      throw new PipelineDefinitionError(name, `agent step '${step.id}' needs an action`);
+    }
+    if (step.task && !tasks[step.task]) {
+      throw new PipelineDefinitionError(name, `step '${step.id}' uses unknown task '${step.task}'`);
+    }
+    const transformFields = [['gate.until', step.gate?.until], ['events.complete', step.events?.complete]];
+    for (const [field, value] of transformFields) {
+      if (value !== undefined && transformName(value) === null) {
+        throw new PipelineDefinitionError(name, `step '${step.id}' ${field} must name a transform ('@name')`);
+      }
+    }
+    const problem = findValueProblem(step, transforms, `step '${step.id}'`);
+    if (problem) {
+      throw new PipelineDefinitionError(name, problem);
+    }
+  }
+
+  if (definition.result !== undefined) {
+    const problem = transformName(definition.result) === null
+      ? "result must name a transform ('@name')"
+      : findValueProblem(definition.result, transforms, 'result');
+    if (problem) {
+      throw new PipelineDefinitionError(name, problem);
+    }
+  }
+
+  for (const step of steps) {
+    const unknown = (step.after || []).find((id) => !ids.has(id));
+    if (unknown) {
+      throw new PipelineDefinitionError(name, `step '${step.id}' runs after unknown step '${unknown}'`);
+    }
+  }
+
+  // Kahn's algorithm: whatever can't be ordered is on a cycle
+  const remaining = new Map(steps.map((step) => [step.id, new Set(step.after || [])]));
+  while (remaining.size > 0) {
+    const ready = [...remaining].filter(([, after]) => [...after].every((id) => !remaining.has(id)));
+    if (ready.length === 0) {
+      throw new PipelineDefinitionError(name, `steps ${[...remaining.keys()].join(', ')} form a cycle`);
+    }
+    ready.forEach(([id]) => remaining.delete(id));
+  }
+
+  for (const step of steps.filter((entry) => entry.gate)) {
+    if (!ids.has(step.gate.retry) || !collectDependents(steps, step.gate.retry).has(step.id)) {
+      throw new PipelineDefinitionError(name, `gate '${step.id}' must run after its retry step '${step.gate.retry}'`);
+    }
+    // Anything else that reads a loop step has to wait for the gate's verdict
+    const loop = collectLoop(steps, step);
+    const afterGate = collectDependents(steps, step.id);
+    const leak = steps.find((entry) => (
+      !loop.has(entry.id)
+      && !afterGate.has(entry.id)
+      && (entry.after || []).some((id) => loop.has(id))
+    ));
+    if (leak) {
+      throw new PipelineDefinitionError(name, `step '${leak.id}' reads the '${step.id}' loop without running after it`);
+    }
+  }
+
+  return definition;
+};
+
+/**
+ * Run one step once, without retries
+ * @param {{tasks: Object, transforms: Object}} registry
+ * @private
+ */
+const invokeStep = async (definition, step, context, { tasks, transforms }, item, index) => {
+  const data = resolveValue(step.input || {}, transforms, context, item, index);
+
+  if (step.task) {
+    return tasks[step.task](data, context);
+  }
+
+  const agent = resolveValue(step.agent, transforms, context, item, index);
+  const response = await orchestrator.communication.sendMessage(
+    definition.caller || 'Pipeline',
+    agent,
+    { action: step.action, data }
+  );
+  if (!response.success) {
+    const error = new Error(`${agent} ${step.action} failed: ${response.error}`);
+    error.details = response.error;
+    throw error;
+  }
+  if (!step.output) {
+    return response.data;
+  }
+  const output = transformName(step.output);
+  return output ? transforms[output](response.data, context) : getPath(response.data, step.output);
+};
+
+/**
+ * Run a step (once per item for `each` steps) with its retries and fallback
+ * @private
+ */
+const runStep = async (definition, step, context, registry) => {
+  const attemptOnce = async (item, index) => {
+    let lastError;
+    for (let attempt = 0; attempt <= (step.retries || 0); attempt++) {
+      try {
+        return await invokeStep(definition, step, context, registry, item, index);
+      } catch (error) {
+        // Rejections meant for the client (e.g. 429 over quota) end the run unchanged
+        if (error.status >= 400 && error.status < 500) throw error;
+        lastError = error;
+        console.error(`[Pipeline ${definition.name}] Step '${step.id}' failed:`, error.message);
+      }
+    }
+    if ('fallback' in step) {
+      return resolveValue(step.fallback, registry.transforms, context, item, index);
+    }
+    throw new PipelineError(step.error || `Step '${step.id}' failed`, {
+      pipeline: definition.name,
+      step: step.id,
+      details: lastError.details || lastError.message,
+    });
+  };
+
+  if (!step.each) {
+    return attemptOnce();
+  }
+  const items = resolveValue(step.each, registry.transforms, context) || [];
+  const outputs = [];
+  for (const [index, item] of items.entries()) {
+    outputs.push(await attemptOnce(item, index));
+  }
+  return outputs;
+};
+
+/**
+ * Run a pipeline definition. Steps start as soon as the steps they run
+ * `after` are done, so independent steps run side by side. A step with a
+ * `gate` checks its output with `gate.until`; when that fails and attempts
+ * remain, the steps from `gate.retry` to the gate run again with
+ * `context.attempt` increased and the failed output in `context.feedback`.
+ * A required step failing inside such a loop also uses up an attempt, and
+ * outputs the loop's other steps produced alongside it are discarded.
+ * @param {Object} definition - A validated pipeline definition
+ * @param {Object} input - Available to steps as `$input`
+ * @param {{emit?: Function, tasks?: Object, transforms?: Object}} [options] - `emit(event, data)` receives the steps' progress events; tasks and transforms default to the TASKS and TRANSFORMS registries
+ * @returns {Promise<Object>} The definition's `result` transform applied to the context, or the context when it has none
+ */
+export const executePipeline = async (
+  definition,
+  input,
+  { emit = () => {}, tasks = TASKS, transforms = TRANSFORMS } = {}
+) => {
+  const { steps } = definition;
+  const registry = { tasks, transforms };
+  const context = {
+    pipeline: definition.name,
+    input,
+    steps: {},
+    gates: {},
+    attempt: 1,
+    feedback: null,
+    emit,
+  };
+
+  const loops = new Map(
+    steps.filter((step) => step.gate).map((step) => [step.id, collectLoop(steps, step)])
+  );
+  const loopOf = new Map();
+  for (const [gateId, members] of loops) {
+    members.forEach((id) => loopOf.set(id, gateId));
+  }
+  const attempts = new Map([...loops.keys()].map((gateId) => [gateId, 1]));
+
+  // Context as seen from a step: attempt and feedback are those of its loop
+  const contextFor = (step) => {
+    const gateId = loopOf.get(step.id);
+    return gateId
+      ? { ...context, attempt: attempts.get(gateId), feedback: context.gates[gateId]?.feedback ?? null }
+      : context;
+  };
+
+  const done = new Set();
+  const pending = new Set(steps.map((step) => step.id));
+
+  const restartLoop = (gateId, feedback) => {
+    const gateStep = steps.find((step) => step.id === gateId);
+    attempts.set(gateId, attempts.get(gateId) + 1);
+    context.gates[gateId] = { passed: false, attempts: attempts.get(gateId), feedback };
+    for (const id of loops.get(gateId)) {
+      done.delete(id);
+      pending.add(id);
+    }
+    const event = resolveValue(gateStep.gate.retryEvent, transforms, { ...context, attempt: attempts.get(gateId), feedback });
+    if (event) emit('stage', event);
+  };
+
+  while (pending.size > 0) {
+    const ready = steps.filter((step) => (
+      pending.has(step.id) && (step.after || []).every((id) => done.has(id))
+    ));
+    ready.forEach((step) => pending.delete(step.id));
+
+    const outcomes = await Promise.allSettled(ready.map(async (step) => {
+      const view = contextFor(step);
+      if (step.when !== undefined && !resolveValue(step.when, transforms, view)) {
+        return { skipped: true };
+      }
+      const started = step.events?.start && resolveValue(step.events.start, transforms, view);
+      if (started) emit('stage', started);
+      const output = await runStep(definition, step, view, registry);
+      const completed = step.events?.complete && transforms[transformName(step.events.complete)](output, view);
+      if (completed) emit('stage', completed);
+      return { output };
+    }));
+
+    // Failures first: a loop restarted by one of its steps drops what its
+    // other steps produced in the same batch, so nothing downstream reads a
+    // stale output, and two failures in one loop use up a single attempt
+    const restarted = new Set();
+    for (const [index, outcome] of outcomes.entries()) {
+      const gateId = loopOf.get(ready[index].id);
+      if (outcome.status === 'fulfilled' || restarted.has(gateId)) continue;
+
+      const gateStep = gateId && steps.find((entry) => entry.id === gateId);
+      if (gateStep && attempts.get(gateId) < gateStep.gate.maxAttempts) {
+        restartLoop(gateId, context.gates[gateId]?.feedback ?? null);
+        restarted.add(gateId);
+        continue;
+      }
+      throw outcome.reason;
+    }
+
+    for (const [index, outcome] of outcomes.entries()) {
+      const step = ready[index];
+      if (outcome.status === 'rejected' || restarted.has(loopOf.get(step.id))) continue;
+
+      const { skipped, output } = outcome.value;
+      context.steps[step.id] = skipped ? undefined : output;
+      done.add(step.id);
+
+      if (step.gate && !skipped) {
+        const passed = Boolean(transforms[transformName(step.gate.until)](output, contextFor(step)));
+        if (!passed && attempts.get(step.id) < step.gate.maxAttempts) {
+          restartLoop(step.id, output);
+        } else {
+          context.gates[step.id] = { passed, attempts: attempts.get(step.id), feedback: passed ? null : output };
+        }
+      }
+    }
+  }
+
+  return definition.result ? transforms[transformName(definition.result)](context) : context;
+};
+
+export default {
+  PipelineError,
+  PipelineDefinitionError,
+  validatePipeline,
+  executePipeline,
+};
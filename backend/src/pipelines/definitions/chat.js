@@ -0,0 +1,149 @@
+import { teachingSteps, routingSteps } from './tutoring.js';
+
+/**
+ * A learner's chat message in a lesson. ConversationAnalyzer reads the
+ * conversation; when the learner is stuck or states new preferences, their
+ * preferences and the teacher's system prompt are updated. The message is
+ * then routed to the teacher for the learner's format and answered until
+ * ResponseEvaluator accepts the answer, which is saved with its sources.
+ *
+ * Input: {user, lessonId, message, streamTokens}. Result: {status, body}.
+ */
+export default {
+  name: 'chat',
+  description: 'Answer a learner\'s message in a lesson',
+  caller: 'ChatController',
+  steps: [
+    {
+      id: 'preferences',
+      task: 'loadPreferences',
+      input: { userId: '$input.user.id', countInteraction: true },
+    },
+    { id: 'lesson', task: 'loadLesson', input: { lessonId: '$input.lessonId' } },
+    {
+      id: 'history',
+      task: 'loadConversationHistory',
+      input: { userId: '$input.user.id', lessonId: '$input.lessonId', limit: 20 },
+    },
+    {
+      id: 'memory',
+      task: 'loadConversationMemory',
+      after: ['lesson'],
+      input: { userId: '$input.user.id', lessonId: '$steps.lesson.id' },
+    },
+    {
+      id: 'analyze',
+      agent: 'ConversationAnalyzer',
+      action: 'analyze_conversation',
+      after: ['preferences', 'lesson', 'history', 'memory'],
+      input: {
+        userMessage: '$input.message',
+        conversationHistory: '$steps.history',
+        currentPreferences: '$steps.preferences',
+        lessonContext: '@lessonOutline',
+        conversationMemory: '$steps.memory',
+      },
+      output: '@conversationAnalysis',
+      fallback: {},
+      events: { start: { stage: 'analyzing' } },
+    },
+    {
+      id: 'stuck',
+      task: 'recordStuck',
+      after: ['analyze'],
+      when: '$steps.analyze.isStuck',
+      input: { user: '$input.user', lesson: '$steps.lesson' },
+    },
+    {
+      // After `stuck`, so the confusion it records counts
+      id: 'mastery',
+      task: 'loadConceptMastery',
+      after: ['stuck'],
+      input: { userId: '$input.user.id', topicId: '$steps.lesson.topic_id' },
+    },
+    {
+      id: 'sources',
+      task: 'retrieveSourcePassages',
+      after: ['lesson'],
+      input: { lesson: '$steps.lesson', query: '$input.message' },
+    },
+    {
+      id: 'preferenceChanges',
+      task: 'applyPreferenceChanges',
+      after: ['analyze'],
+      when: '$steps.analyze.hasNewPreference',
+      input: { userId: '$input.user.id', analysis: '$steps.analyze', userPreferences: '$steps.preferences' },
+    },
+    {
+      id: 'teacherPrompt',
+      agent: 'SystemPromptGenerator',
+      action: 'generate_personalized_prompt',
+      after: ['preferenceChanges'],
+      when: '$steps.analyze.needsAdjustment',
+      input: {
+        userId: '$input.user.id',
+        lessonTopic: '@lessonTopic',
+        userPreferences: '@currentPreferences',
+        targetModel: 'teacher',
+      },
+      output: 'systemPrompt',
+      fallback: null,
+    },
+    {
+      id: 'promptHistory',
+      task: 'recordPromptChange',
+      after: ['teacherPrompt'],
+      when: '$steps.teacherPrompt',
+      input: {
+        userId: '$input.user.id',
+        lessonId: '$input.lessonId',
+        systemPrompt: '$steps.teacherPrompt',
+        analysis: '$steps.analyze',
+      },
+    },
+    {
+      id: 'format',
+      agent: 'SystemPromptGenerator',
+      action: 'analyze_preferences',
+      after: ['preferenceChanges', 'history'],
+      input: {
+        userId: '$input.user.id',
+        userMessage: '$input.message',
+        userPreferences: '@currentPreferences',
+        conversationHistory: '$steps.history',
+      },
+      output: 'formatAnalysis',
+      fallback: null,
+    },
+    ...routingSteps({
+      after: ['format'],
+      formatPreference: '@chatFormat',
+    }),
+    ...teachingSteps({
+      after: ['routing', 'mastery', 'sources', 'promptHistory'],
+      userMessage: '@chatRequest',
+      evaluatedMessage: '$input.message',
+      conversationHistory: '$steps.history',
+      error: 'Failed to generate teaching response after retries',
+    }),
+    {
+      // Answers that never passed are returned with a warning but not saved
+      id: 'save',
+      task: 'saveTutorReply',
+      after: ['evaluate'],
+      when: '$gates.evaluate.passed',
+      input: {
+        user: '$input.user',
+        lesson: '$steps.lesson',
+        lessonId: '$input.lessonId',
+        response: '$steps.teach.response',
+        responseType: '@responseTypeOf',
+        evaluation: '$steps.evaluate',
+        sourcePassages: '$steps.sources',
+        updateMemory: true,
+      },
+    },
+  ],
+
+  result: '@chatResult',
+};
@@ -0,0 +1,105 @@
+import { MAX_TEACHING_ATTEMPTS, teachingSteps, routingSteps } from './tutoring.js';
+
+/**
+ * The first, complete explanation of a lesson, given when the learner opens
+ * it. The explanation is saved even when it never passes evaluation, so the
+ * learner always has something to start from.
+ *
+ * Input: {user, lessonId, message?}; `message` may state a format preference.
+ * Result: {status, body}.
+ */
+
+export default {
+  name: 'initial_explanation',
+  description: 'Explain a lesson when the learner first opens it',
+  caller: 'ChatController',
+  steps: [
+    { id: 'lesson', task: 'requireLesson', input: { lessonId: '$input.lessonId' }, error: 'Lesson not found' },
+    { id: 'preferences', task: 'loadPreferences', input: { userId: '$input.user.id' } },
+    {
+      id: 'mastery',
+      task: 'loadConceptMastery',
+      after: ['lesson'],
+      input: { userId: '$input.user.id', topicId: '$steps.lesson.topic_id' },
+    },
+    {
+      id: 'sources',
+      task: 'retrieveSourcePassages',
+      after: ['lesson'],
+      input: { lesson: '$steps.lesson', query: '@lessonQuery' },
+    },
+    {
+      id: 'memory',
+      task: 'loadConversationMemory',
+      after: ['lesson'],
+      input: { userId: '$input.user.id', lessonId: '$steps.lesson.id' },
+    },
+    {
+      // Only when the request carries a message, e.g. "show me a video"
+      id: 'format',
+      agent: 'SystemPromptGenerator',
+      action: 'analyze_preferences',
+      after: ['preferences'],
+      when: '$input.message',
+      input: {
+        userId: '$input.user.id',
+        userMessage: '$input.message',
+        userPreferences: '$steps.preferences',
+        conversationHistory: [],
+      },
+      output: 'formatAnalysis',
+      fallback: null,
+    },
+    ...routingSteps({
+      after: ['lesson', 'format'],
+      formatPreference: '@explanationFormat',
+    }),
+    {
+      id: 'teacherPrompt',
+      agent: 'SystemPromptGenerator',
+      action: 'generate_personalized_prompt',
+      after: ['lesson', 'format'],
+      input: {
+        userId: '$input.user.id',
+        lessonTopic: '@lessonTopic',
+        userPreferences: '@teachingPreferences',
+        targetModel: 'teacher',
+      },
+      output: 'systemPrompt',
+      fallback: null,
+    },
+    ...teachingSteps({
+      after: ['routing', 'teacherPrompt', 'mastery', 'sources', 'memory'],
+      userMessage: '@explanationRequest',
+      evaluatedMessage: 'Initial lesson explanation',
+      userPreferences: '@teachingPreferences',
+      conversationHistory: [],
+      error: `Failed to generate lesson explanation after ${MAX_TEACHING_ATTEMPTS} retries`,
+    }),
+    {
+      // Another request may have explained the lesson in the meantime
+      id: 'alreadyExplained',
+      task: 'hasTutorMessages',
+      after: ['evaluate'],
+      input: { userId: '$input.user.id', lessonId: '$input.lessonId' },
+    },
+    {
+      id: 'save',
+      task: 'saveTutorReply',
+      after: ['alreadyExplained'],
+      when: '!$steps.alreadyExplained',
+      input: {
+        user: '$input.user',
+        lesson: '$steps.lesson',
+        lessonId: '$input.lessonId',
+        response: '$steps.teach.response',
+        responseType: '@responseTypeOf',
+        evaluation: '$steps.evaluate',
+        sourcePassages: '$steps.sources',
+        evaluationType: 'initial_explanation',
+      },
+    },
+  ],
+
+  result: '@initialExplanationResult',
+};
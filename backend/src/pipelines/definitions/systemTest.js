@@ -0,0 +1,140 @@
+/**
+ * The Model 6 system test. It creates a topic (phase 1) and has TeacherModel
+ * explain every lesson for SyntheticEvaluator to grade (phase 2). A synthetic
+ * student persona then asks questions about the first lessons, and the
+ * evaluator grades each answer's quality and how well it suits the persona
+ * (phase 3). Finally the generated quizzes are scored (phase 4).
+ *
+ * Input: {userId, topicName}. Result: the test report.
+ */
+
+export default {
+  name: 'system_test',
+  description: 'End-to-end test of the agents on a synthetic topic',
+  caller: 'Model6Test',
+  steps: [
+    // Phase 1: topic creation
+    {
+      id: 'learningPath',
+      agent: 'LearningPathGenerator',
+      action: 'generate_learning_path',
+      input: { topicName: '$input.topicName', userId: '$input.userId' },
+      output: 'learningPath',
+      error: 'Failed to generate learning path',
+    },
+    {
+      id: 'topic',
+      task: 'createTestTopic',
+      after: ['learningPath'],
+      input: { userId: '$input.userId', topicName: '$input.topicName', learningPath: '$steps.learningPath' },
+    },
+
+    // Phase 2: lesson explanations
+    {
+      id: 'explanations',
+      agent: 'TeacherModel',
+      action: 'teach',
+      after: ['topic'],
+      each: '$steps.topic.lessons',
+      input: {
+        userId: '$input.userId',
+        userMessage: '@lessonExplanationRequest',
+        lessonContext: '@lessonContextOf',
+        conversationHistory: [],
+      },
+      output: 'response',
+      fallback: 'Failed to generate',
+    },
+    {
+      id: 'lessonScores',
+      agent: 'SyntheticEvaluator',
+      action: 'evaluate_lesson',
+      after: ['explanations'],
+      each: '$steps.topic.lessons',
+      input: {
+        lessonTitle: '$item.title',
+        lessonContent: '$item.content',
+        teachingResponse: '@explanationOf',
+      },
+      output: 'evaluation',
+      fallback: { overallScore: 0 },
+    },
+
+    // Phase 3: student interactions
+    {
+      id: 'persona',
+      agent: 'SyntheticEvaluator',
+      action: 'generate_persona',
+      after: ['topic'],
+      output: 'persona',
+      error: 'Failed to generate persona',
+    },
+    {
+      id: 'questions',
+      agent: 'SyntheticEvaluator',
+      action: 'generate_questions',
+      after: ['persona'],
+      each: '@interactionLessons',
+      input: {
+        persona: '$steps.persona',
+        lessonTitle: '$item.title',
+        lessonContent: '$item.content',
+      },
+      output: '@generatedQuestions',
+      fallback: null,
+    },
+    {
+      id: 'answers',
+      agent: 'TeacherModel',
+      action: 'teach',
+      after: ['questions'],
+      each: '@interactionsOf',
+      input: {
+        userId: '$input.userId',
+        userMessage: '$item.question',
+        lessonContext: '@interactionContextOf',
+        conversationHistory: [],
+      },
+      output: 'response',
+      fallback: 'Failed',
+    },
+    {
+      id: 'answerScores',
+      agent: 'SyntheticEvaluator',
+      action: 'evaluate_lesson',
+      after: ['answers'],
+      each: '@interactionsOf',
+      input: {
+        lessonTitle: '@interactionTitle',
+        lessonContent: '$item.question',
+        teachingResponse: '@answerOf',
+      },
+      output: '@overallScore',
+      fallback: 0,
+    },
+    {
+      id: 'adaptability',
+      agent: 'SyntheticEvaluator',
+      action: 'evaluate_adaptability',
+      after: ['answers'],
+      each: '@interactionsOf',
+      input: {
+        persona: '$steps.persona',
+        question: '$item.question',
+        response: '@answerOf',
+      },
+      output: 'evaluation',
+      fallback: { adaptabilityScore: 0, breakdown: null },
+    },
+
+    // Phase 4: quizzes
+    {
+      id: 'quizScores',
+      task: 'evaluateQuizzes',
+      after: ['topic'],
+      input: { quizzes: '@evaluatedQuizzes' },
+    },
+  ],
+
+  result: '@systemTestResult',
+};
@@ -0,0 +1,40 @@
+/**
+ * A learner's new topic. LearningPathGenerator plans its lessons and quizzes,
+ * which are stored with the topic; when planning fails the topic is still
+ * created, with an empty learning path.
+ *
+ * Input: {user, name, description, adaptiveQuizzes}. Result: {status, body}.
+ */
+export default {
+  name: 'topic_creation',
+  description: 'Create a topic with a generated learning path',
+  caller: 'TopicController',
+  steps: [
+    {
+      id: 'learningPath',
+      agent: 'LearningPathGenerator',
+      action: 'generate_learning_path',
+      input: {
+        topicName: '$input.name',
+        topicDescription: '@topicDescription',
+        userId: '$input.user.id',
+      },
+      output: 'learningPath',
+      fallback: null,
+    },
+    {
+      id: 'topic',
+      task: 'saveGeneratedTopic',
+      after: ['learningPath'],
+      input: {
+        user: '$input.user',
+        name: '$input.name',
+        description: '$input.description',
+        adaptiveQuizzes: '$input.adaptiveQuizzes',
+        learningPath: '$steps.learningPath',
+      },
+    },
+  ],
+
+  result: '@topicCreationResult',
+};
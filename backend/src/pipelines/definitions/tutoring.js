@@ -0,0 +1,109 @@
+/**
+ * Building blocks shared by the chat and initial explanation pipelines. The
+ * logic they name lives in transforms/chatTransforms.js.
+ */
+
+export const MAX_TEACHING_ATTEMPTS = 3;
+
+// Stands in for an evaluation the evaluator couldn't produce
+export const FAILED_EVALUATION = { passed: false, totalScore: 0, overallFeedback: 'Evaluation failed' };
+
+/**
+ * The teach-evaluate loop: the routed teacher answers, ResponseEvaluator
+ * grades the answer and fact-checks it, and the pair runs again with the
+ * feedback until the answer is acceptable or attempts run out
+ * @param {{after: string[], userMessage: string, evaluatedMessage: string, conversationHistory: string|Array, userPreferences?: string, error: string}} options - Paths ('$...'), transforms ('@...') or literals
+ * @returns {Object[]} The `teach` and `evaluate` steps
+ */
+export const teachingSteps = ({
+  after,
+  userMessage,
+  evaluatedMessage,
+  conversationHistory,
+  userPreferences = '@currentPreferences',
+  error,
+}) => [
+  {
+    id: 'teach',
+    agent: '$steps.routing.targetModel',
+    action: 'teach',
+    after,
+    input: {
+      userId: '$input.user.id',
+      lessonId: '$input.lessonId',
+      userMessage,
+      lessonContext: '@lessonDetails',
+      conversationHistory,
+      systemPromptContent: '$steps.teacherPrompt.content',
+      userPreferences,
+      conceptMastery: '$steps.mastery',
+      sourcePassages: '$steps.sources',
+      conversationMemory: '$steps.memory',
+      onToken: '@tokenStream',
+    },
+    events: { start: '@teachingStarted' },
+    error,
+  },
+  {
+    id: 'evaluate',
+    agent: 'ResponseEvaluator',
+    action: 'evaluate_response',
+    after: ['teach'],
+    input: {
+      teachingResponse: '@teachingResponseText',
+      userMessage: evaluatedMessage,
+      lessonContext: '@lessonDetails',
+      userPreferences,
+      conversationHistory,
+      responseType: '@responseTypeOf',
+      sourcePassages: '$steps.sources',
+    },
+    output: 'evaluation',
+    fallback: FAILED_EVALUATION,
+    events: { start: '@evaluationStarted', complete: '@evaluationCompleted' },
+    gate: {
+      retry: 'teach',
+      until: '@isAcceptable',
+      maxAttempts: MAX_TEACHING_ATTEMPTS,
+      retryEvent: '@teachingRetry',
+    },
+  },
+];
+
+/**
+ * Route to the teacher for the requested format, within the video quota
+ * @param {{after: string[], formatPreference: string}} options - formatPreference is a transform ('@...')
+ * @returns {Object[]} The `route` and `routing` steps
+ */
+export const routingSteps = ({ after, formatPreference }) => [
+  {
+    id: 'route',
+    agent: 'ConversationAnalyzer',
+    action: 'route_to_teacher',
+    after,
+    input: {
+      formatPreference,
+      userMessage: '$input.message',
+      lessonContext: '$steps.lesson',
+    },
+    output: '@routedTeacher',
+    fallback: 'TeacherModel',
+  },
+  {
+    id: 'routing',
+    task: 'applyVideoQuota',
+    after: ['route'],
+    input: {
+      user: '$input.user',
+      targetModel: '$steps.route',
+      formatPreference,
+    },
+  },
+];
+
+export default {
+  MAX_TEACHING_ATTEMPTS,
+  FAILED_EVALUATION,
+  teachingSteps,
+  routingSteps,
+};
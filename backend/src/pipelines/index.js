@@ -0,0 +1,74 @@
+import chat from './definitions/chat.js';
+import initialExplanation from './definitions/initialExplanation.js';
+import topicCreation from './definitions/topicCreation.js';
+import systemTest from './definitions/systemTest.js';
+import { validatePipeline, executePipeline } from './PipelineExecutor.js';
+import { traceSpan } from '../agents/tracing/index.js';
+
+export { PipelineError, PipelineDefinitionError } from './PipelineExecutor.js';
+
+/**
+ * Named pipelines, checked once at startup so a broken definition fails
+ * the boot instead of a request
+ */
+const PIPELINES = Object.fromEntries(
+  [chat, initialExplanation, topicCreation, systemTest].map((definition) => [
+    definition.name,
+    validatePipeline(definition),
+  ])
+);
+
+/**
+ * @param {string} name
+ * @returns {Object} The pipeline definition
+ */
+export const getPipeline = (name) => {
+  const definition = PIPELINES[name];
+  if (!definition) {
+    throw new Error(`Unknown pipeline '${name}'. Available: ${Object.keys(PIPELINES).join(', ')}`);
+  }
+  return definition;
+};
+
+/**
+ * Run a named pipeline. The run is traced as a span that the messages its
+ * agent steps send are nested under.
+ * @param {string} name
+ * @param {Object} input - Available to its steps as `$input`
+ * @param {{emit?: Function}} [options]
+ * @returns {Promise<*>} The pipeline's result
+ */
+export const runPipeline = (name, input, options) => {
+  const definition = getPipeline(name);
+  const span = {
+    kind: 'pipeline',
+    fromAgent: definition.caller,
+    action: name,
+    userId: input.user?.id ?? input.userId,
+    lessonId: input.lessonId,
+    request: input,
+  };
+  return traceSpan(span, () => executePipeline(definition, input, options));
+};
+
+/**
+ * The pipelines and their step graphs, for inspection
+ */
+export const describePipelines = () => Object.values(PIPELINES).map((definition) => ({
+  name: definition.name,
+  description: definition.description,
+  steps: definition.steps.map((step) => ({
+    id: step.id,
+    ...(step.agent
+      ? { agent: step.agent, action: step.action }
+      : { task: step.task }),
+    after: step.after || [],
+    conditional: step.when !== undefined,
+    forEach: Boolean(step.each),
+    optional: 'fallback' in step,
+    ...(step.retries && { retries: step.retries }),
+    ...(step.gate && { gate: { retry: step.gate.retry, maxAttempts: step.gate.maxAttempts } }),
+  })),
+}));
+
+export default { getPipeline, runPipeline, describePipelines };
@@ -0,0 +1,311 @@
+import pool from '../../config/database.js';
+import { getUserPreferences, incrementInteractionStats } from '../../services/userPreferencesService.js';
+import { enqueueVideoJob, attachChatMessage } from '../../services/videoJobService.js';
+import { saveFlashcardSet } from '../../services/flashcardService.js';
+import { assertQuota } from '../../services/quotaService.js';
+import { getConceptMastery, recordConceptSignals } from '../../services/conceptMasteryService.js';
+import { recordStuckDetection } from '../../services/learningPathService.js';
+import { searchPassages, buildSources } from '../../services/documentService.js';
+import {
+  loadConversationMemory as loadMemory,
+  updateConversationMemory,
+} from '../../services/conversationMemoryService.js';
+
+/**
+ * Tasks of the chat and initial explanation pipelines: the database reads
+ * and writes around the tutor's agents. Each takes the step's resolved
+ * input and the run context, whose `emit` reports progress.
+ */
+
+/**
+ * The lesson with its topic's name, or null when there is none
+ */
+export const loadLesson = async ({ lessonId }) => {
+  if (!lessonId) return null;
+
+  const result = await pool.query(
+    `SELECT l.*, t.name as topic_name FROM lessons l
+     JOIN topics t ON l.topic_id = t.id
+     WHERE l.id = $1`,
+    [lessonId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Same as loadLesson, but a missing lesson fails the pipeline
+ */
+export const requireLesson = async ({ lessonId }) => {
+  const lesson = await loadLesson({ lessonId });
+  if (!lesson) {
+    throw new Error('Lesson not found');
+  }
+  return lesson;
+};
+
+/**
+ * The learner's preferences; `countInteraction` also counts this turn in their stats
+ */
+export const loadPreferences = async ({ userId, countInteraction = false }) => {
+  const preferences = await getUserPreferences(userId);
+  if (countInteraction) {
+    await incrementInteractionStats(userId, 'total_interactions');
+  }
+  return preferences;
+};
+
+/**
+ * The lesson's last `limit` chat messages, oldest first
+ */
+export const loadConversationHistory = async ({ userId, lessonId, limit = 20 }) => {
+  if (!lessonId) return [];
+
+  const result = await pool.query(
+    `SELECT message, is_user, created_at FROM chat_messages
+     WHERE lesson_id = $1 AND user_id = $2
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [lessonId, userId, limit]
+  );
+  return result.rows.reverse().map(row => ({
+    message: row.message,
+    isUser: row.is_user,
+    timestamp: row.created_at,
+  }));
+};
+
+/**
+ * The summary of older messages and what we know about the learner from other lessons
+ */
+export const loadConversationMemory = ({ userId, lessonId }) => loadMemory(userId, lessonId || null);
+
+export const loadConceptMastery = async ({ userId, topicId }) => (
+  topicId ? getConceptMastery(userId, { topicId }) : []
+);
+
+/**
+ * Passages of the topic's uploaded documents relevant to this turn. The
+ * lesson's title and concepts are part of the query so follow-ups like
+ * "explain that again" still find the lesson's material. Retrieval problems
+ * never block an answer.
+ */
+export const retrieveSourcePassages = async ({ lesson, query }, { emit }) => {
+  if (!lesson) return [];
+
+  try {
+    const passages = await searchPassages(
+      lesson.topic_id,
+      [query, lesson.title, ...(lesson.concepts || [])].join('\n')
+    );
+    if (passages.length > 0) {
+      emit('stage', { stage: 'sources_retrieved', count: passages.length });
+    }
+    return passages;
+  } catch (error) {
+    console.error('Document retrieval failed:', error);
+    return [];
+  }
+};
+
+/**
+ * Record that the learner is stuck. Confusion during a lesson is (weak)
+ * evidence against the concepts it teaches, and getting stuck again and
+ * again in one lesson re-plans the rest of the path.
+ * @returns {Promise<{pathRevision: Object|null}>}
+ */
+export const recordStuck = async ({ user, lesson }, { emit }) => {
+  await incrementInteractionStats(user.id, 'stuck_count');
+  if (!lesson) return { pathRevision: null };
+
+  if (lesson.concepts?.length) {
+    await recordConceptSignals(
+      user.id,
+      lesson.topic_id,
+      lesson.concepts.map((concept) => ({ concept, signal: 'chat_confusion' }))
+    );
+  }
+
+  try {
+    const pathRevision = await recordStuckDetection(user, lesson);
+    if (pathRevision) {
+      emit('stage', { stage: 'path_replanned', summary: pathRevision.summary });
+    }
+    return { pathRevision };
+  } catch (error) {
+    console.error('Learning path re-plan failed:', error);
+    return { pathRevision: null };
+  }
+};
+
+/**
+ * Count a preference change and, when the analysis asks for an adjustment,
+ * store the new preferences
+ * @returns {Promise<Object>} The preferences to teach with from now on
+ */
+export const applyPreferenceChanges = async ({ userId, analysis, userPreferences }) => {
+  await incrementInteractionStats(userId, 'preference_changes_count');
+  if (!analysis.needsAdjustment || !analysis.newPreferences) {
+    return userPreferences;
+  }
+
+  const { explanation_style, wants_examples, wants_analogies, pace } = analysis.newPreferences;
+  const updates = {};
+  if (explanation_style) updates.explanation_style = explanation_style;
+  if (wants_examples !== null && wants_examples !== undefined) updates.wants_examples = wants_examples;
+  if (wants_analogies !== null && wants_analogies !== undefined) updates.wants_analogies = wants_analogies;
+  if (pace) updates.pace = pace;
+
+  if (Object.keys(updates).length === 0) {
+    return userPreferences;
+  }
+
+  await pool.query(
+    `UPDATE user_preferences
+     SET ${Object.keys(updates).map((key, i) => `${key} = $${i + 1}`).join(', ')}
+     WHERE user_id = $${Object.keys(updates).length + 1}`,
+    [...Object.values(updates), userId]
+  );
+  return { ...userPreferences, ...updates };
+};
+
+/**
+ * Keep a history of the personalised prompts the teacher was given
+ */
+export const recordPromptChange = async ({ userId, lessonId, systemPrompt, analysis }, { emit }) => {
+  const triggeredBy = analysis.isStuck ? 'stuck_detection' : 'preference_change';
+  emit('stage', { stage: 'prompt_updated', promptVersion: systemPrompt.version, reason: triggeredBy });
+
+  await pool.query(
+    `INSERT INTO system_prompt_history
+     (user_id, lesson_id, prompt_version, system_prompt, triggered_by, trigger_details)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [userId, lessonId || null, systemPrompt.version, systemPrompt.content, triggeredBy, JSON.stringify(analysis)]
+  );
+  return { version: systemPrompt.version };
+};
+
+/**
+ * Reject video answers with QuotaExceededError (429) once the user has no
+ * video generations left in their budget
+ * @returns {Promise<{targetModel: string, formatPreference: string}>}
+ */
+export const applyVideoQuota = async ({ user, targetModel, formatPreference }) => {
+  if (targetModel === 'VideoGenerator') {
+    await assertQuota(user.id, 'videos');
+  }
+
+  console.log(`🔀 Routing to: ${targetModel}`);
+  return { targetModel, formatPreference };
+};
+
+/**
+ * Whether the tutor has already posted in the lesson, e.g. because another
+ * request generated the first explanation while this one was running
+ */
+export const hasTutorMessages = async ({ userId, lessonId }) => {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM chat_messages WHERE lesson_id = $1 AND user_id = $2 AND is_user = false',
+    [lessonId, userId]
+  );
+  return parseInt(result.rows[0].count) > 0;
+};
+
+/**
+ * Save the tutor's reply with its sources and record its evaluation.
+ * Flashcards become reviewable cards, scripted videos are queued for
+ * rendering (only now, so rejected attempts never start a paid render) and
+ * linked to the message the video worker updates, and `updateMemory` folds the turn into
+ * the learner's memory after replying.
+ * @returns {Promise<{response: *, sources: Object[], messageId: number}>}
+ */
+export const saveTutorReply = async ({
+  user,
+  lesson,
+  lessonId,
+  response,
+  responseType,
+  evaluation,
+  sourcePassages = [],
+  evaluationType,
+  updateMemory = false,
+}) => {
+  let reply = response;
+  if (responseType === 'flashcards') {
+    reply = await saveFlashcardSet(user.id, lessonId, reply);
+  }
+  if (responseType === 'video' && reply?.status === 'pending') {
+    const { model, ...videoData } = reply;
+    const job = await enqueueVideoJob({
+      userId: user.id,
+      lessonId,
+      prompt: reply.soraPrompt,
+      model,
+      videoData,
+    });
+    console.log(`✅ Video job ${job.id} queued`);
+    reply = { ...videoData, jobId: job.id, status: job.status };
+  }
+
+  // Multimodal answers are stored as JSON the frontend unwraps
+  const messageToSave = responseType === 'video' || responseType === 'flashcards'
+    ? JSON.stringify({ type: responseType, data: reply })
+    : reply;
+  const sources = buildSources(sourcePassages, reply);
+
+  const savedMessage = await pool.query(
+    `INSERT INTO chat_messages
+     (user_id, lesson_id, message, is_user, sources)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [user.id, lessonId, messageToSave, false, sources.length > 0 ? JSON.stringify(sources) : null]
+  );
+  const messageId = savedMessage.rows[0].id;
+
+  if (responseType === 'video' && reply?.jobId) {
+    await attachChatMessage(reply.jobId, messageId);
+  }
+
+  if (updateMemory && lesson) {
+    updateConversationMemory(user, lesson)
+      .catch((error) => console.error('Conversation memory update failed:', error));
+  }
+
+  if (lesson) {
+    await pool.query(
+      `INSERT INTO lesson_evaluations
+       (lesson_id, topic_id, overall_score, evaluation_notes, evaluator_model)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        lessonId,
+        lesson.topic_id,
+        Math.round(evaluation.totalScore), // Round to integer for database
+        JSON.stringify({
+          ...(evaluationType && { type: evaluationType }),
+          feedback: evaluation.overallFeedback,
+          breakdown: evaluation.breakdown,
+          passed: evaluation.passed,
+          grounding: evaluation.grounding,
+        }),
+        'ResponseEvaluator-gpt-4o-mini',
+      ]
+    );
+  }
+
+  return { response: reply, sources, messageId };
+};
+
+export default {
+  loadLesson,
+  requireLesson,
+  loadPreferences,
+  loadConversationHistory,
+  loadConversationMemory,
+  loadConceptMastery,
+  retrieveSourcePassages,
+  recordStuck,
+  applyPreferenceChanges,
+  recordPromptChange,
+  applyVideoQuota,
+  hasTutorMessages,
+  saveTutorReply,
+};
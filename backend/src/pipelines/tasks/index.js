@@ -0,0 +1,14 @@
+import chatTasks from './chatTasks.js';
+import topicTasks from './topicTasks.js';
+
+/**
+ * Tasks pipeline steps can run by name (`task: 'loadLesson'`). A task is
+ * `async (input, context) => output`; add new ones here to use them in a
+ * pipeline definition.
+ */
+export const TASKS = {
+  ...chatTasks,
+  ...topicTasks,
+};
+
+export default TASKS;
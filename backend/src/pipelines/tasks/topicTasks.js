@@ -0,0 +1,180 @@
+import pool from '../../config/database.js';
+import { saveGeneratedQuestions } from '../../services/quizService.js';
+import { normalizeConcepts } from '../../services/conceptMasteryService.js';
+import { linkGeneratedPath } from '../../services/prerequisiteService.js';
+import { publishEvent } from '../../services/webhookService.js';
+
+/**
+ * Tasks of the topic creation and system test pipelines
+ */
+
+/**
+ * Create the lessons and quizzes of a generated learning path and link them
+ * by their prerequisites
+ * @private
+ */
+const createPathContent = async (db, topic, lessons, { quizTitle, quizDescription, requireQuestions }) => {
+  const createdLessons = [];
+  const createdQuizzes = [];
+
+  for (const lesson of lessons) {
+    const lessonResult = await db.query(
+      `INSERT INTO lessons (topic_id, title, content, order_index, concepts)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [
+        topic.id,
+        lesson.title,
+        lesson.description || `Content for ${lesson.title}`,
+        lesson.order,
+        JSON.stringify(normalizeConcepts(lesson.concepts)),
+      ]
+    );
+    const createdLesson = lessonResult.rows[0];
+    createdLessons.push({ ...createdLesson, prerequisites: lesson.prerequisites });
+
+    const hasQuestions = Array.isArray(lesson.quizQuestions) && lesson.quizQuestions.length > 0;
+    if (!lesson.hasQuiz || (requireQuestions && !hasQuestions)) {
+      continue;
+    }
+
+    const quizResult = await db.query(
+      `INSERT INTO quizzes (topic_id, title, description, order_index)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [topic.id, quizTitle(lesson, createdQuizzes.length + 1), quizDescription(lesson), lesson.order]
+    );
+    const quiz = quizResult.rows[0];
+
+    let questionCount = 0;
+    if (hasQuestions) {
+      questionCount = await saveGeneratedQuestions(quiz.id, lesson.quizQuestions, db);
+      console.log(`✅ Created quiz with ${questionCount} questions for: ${lesson.title}`);
+    } else {
+      console.warn(`⚠️ No questions generated for quiz: ${lesson.title}`);
+    }
+    createdQuizzes.push({ ...quiz, lessonId: createdLesson.id, questionCount });
+  }
+
+  // Lessons unlock from the generated prerequisites instead of strictly in order
+  await linkGeneratedPath(topic.id, createdLessons, createdQuizzes, db);
+
+  return { lessons: createdLessons, quizzes: createdQuizzes };
+};
+
+/**
+ * Store a new topic with its learning path, lessons and quizzes in one
+ * transaction and announce it. Without a learning path (generation failed)
+ * the topic gets an empty one.
+ * @returns {Promise<{topic: Object, lessonCount: number, quizCount: number}>}
+ */
+export const saveGeneratedTopic = async ({ user, name, description, adaptiveQuizzes, learningPath }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const topicResult = await client.query(
+      'INSERT INTO topics (name, description, user_id, adaptive_quizzes) VALUES ($1, $2, $3, $4) RETURNING *',
+      [name, description || null, user.id, Boolean(adaptiveQuizzes)]
+    );
+    const topic = topicResult.rows[0];
+
+    await client.query(
+      `INSERT INTO learning_paths (user_id, topic_id, lesson_outline, total_lessons, estimated_duration_hours)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        user.id,
+        topic.id,
+        JSON.stringify(learningPath?.lessons || []),
+        learningPath?.totalLessons || 0,
+        learningPath?.estimatedDurationHours ?? null,
+      ]
+    );
+
+    const { lessons, quizzes } = await createPathContent(client, topic, learningPath?.lessons || [], {
+      quizTitle: (lesson, number) => `Quiz ${number}: ${lesson.title}`,
+      quizDescription: (lesson) => `Test your understanding of ${lesson.title}`,
+      requireQuestions: false,
+    });
+
+    await client.query('COMMIT');
+    await publishEvent('topic.created', user.id, {
+      topic: { id: topic.id, name: topic.name, description: topic.description },
+      source: 'generated',
+      lessonCount: lessons.length,
+    });
+
+    return { topic, lessonCount: lessons.length, quizCount: quizzes.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Store a system test's topic. Unlike learner topics, only quizzes that
+ * came with questions are created.
+ * @returns {Promise<{topic: Object, lessons: Object[], quizzes: Object[]}>}
+ */
+export const createTestTopic = async ({ userId, topicName, learningPath }) => {
+  const topicResult = await pool.query(
+    'INSERT INTO topics (name, description, user_id) VALUES ($1, $2, $3) RETURNING *',
+    [topicName, `System test topic created by Model 6`, userId]
+  );
+  const topic = topicResult.rows[0];
+
+  await pool.query(
+    `INSERT INTO learning_paths (user_id, topic_id, lesson_outline, total_lessons, estimated_duration_hours)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, topic.id, JSON.stringify(learningPath.lessons), learningPath.totalLessons, learningPath.estimatedDurationHours]
+  );
+
+  const { lessons, quizzes } = await createPathContent(pool, topic, learningPath.lessons || [], {
+    quizTitle: (lesson) => `Quiz: ${lesson.title}`,
+    quizDescription: (lesson) => `Test your knowledge of ${lesson.title}`,
+    requireQuestions: true,
+  });
+
+  console.log(`✅ Created ${lessons.length} lessons and ${quizzes.length} quizzes`);
+  return { topic, lessons, quizzes };
+};
+
+/**
+ * Score a system test's quizzes
+ * @param {{quizzes: Object[]}} input
+ */
+export const evaluateQuizzes = async ({ quizzes }) => {
+  const quizEvaluations = [];
+
+  for (const quiz of quizzes) {
+    const questionsResult = await pool.query(
+      `SELECT * FROM quiz_questions WHERE quiz_id = $1 AND session_id IS NULL ORDER BY order_index`,
+      [quiz.id]
+    );
+    const questions = questionsResult.rows;
+
+    // Simple evaluation (in real impl, would use Model 6 to rate relevance to
+    // the lesson and whether the explanation is enough to answer)
+    const relevanceScore = questions.length > 0 ? 75 : 0;
+    const answerabilityScore = questions.length > 0 ? 80 : 0;
+
+    quizEvaluations.push({
+      quizTitle: quiz.title,
+      questionCount: questions.length,
+      relevanceScore,
+      answerabilityScore,
+      overallScore: Math.round((relevanceScore + answerabilityScore) / 2),
+    });
+
+    console.log(`  📋 ${quiz.title}: Relevance ${relevanceScore}/100, Answerable ${answerabilityScore}/100`);
+  }
+
+  return quizEvaluations;
+};
+
+export default {
+  saveGeneratedTopic,
+  createTestTopic,
+  evaluateQuizzes,
+};
@@ -0,0 +1,313 @@
+import { buildSources } from '../../services/documentService.js';
+
+/**
+ * Transforms of the chat and initial explanation pipelines: how step inputs,
+ * outputs, progress events and results are derived from the run context.
+ * Value transforms take the context; output, `gate.until` and
+ * `events.complete` transforms take the value first and the context second.
+ */
+
+/**
+ * Whether an evaluated response can go to the student: it must reach the
+ * passing score and contradict nothing in the lesson or its course notes
+ */
+export const isAcceptable = (evaluation) => (
+  (evaluation.passed || evaluation.totalScore >= 70) && !evaluation.grounding?.contradicted
+);
+
+/**
+ * The preferences to teach with: as changed during this run, or as loaded
+ */
+export const currentPreferences = (context) => context.steps.preferenceChanges || context.steps.preferences;
+
+/**
+ * The stored preferences, or those the format analysis just updated
+ */
+export const teachingPreferences = ({ steps: { format, preferences } }) => (
+  format?.preferencesUpdated ? format.currentPreferences : preferences
+);
+
+/**
+ * Lesson details for the teacher and evaluator, or null without a lesson
+ */
+export const lessonDetails = ({ steps: { lesson } }) => (
+  lesson ? { title: lesson.title, topic: lesson.topic_name, description: lesson.content } : null
+);
+
+/**
+ * Lesson title and topic for the conversation analysis, or null without a lesson
+ */
+export const lessonOutline = ({ steps: { lesson } }) => (
+  lesson ? { title: lesson.title, topic: lesson.topic_name } : null
+);
+
+export const lessonTopic = ({ steps: { lesson } }) => lesson?.topic_name || 'General Learning';
+
+/**
+ * What to retrieve course notes for when explaining a whole lesson
+ */
+export const lessonQuery = ({ steps: { lesson } }) => lesson.content || '';
+
+/**
+ * Format the teacher answered in: what it reported, else what it was asked for
+ */
+export const responseTypeOf = (context) => (
+  context.steps.teach?.responseType || context.steps.routing.formatPreference
+);
+
+/**
+ * Format for a chat answer: what the learner's message asked for, else text
+ */
+export const chatFormat = ({ steps: { format } }) => format?.preferredFormat || 'text';
+
+/**
+ * Format for a lesson explanation: what the request asked for, else the learner's preference
+ */
+export const explanationFormat = ({ steps: { format, preferences } }) => (
+  format?.preferredFormat || preferences.formatPreference || 'text'
+);
+
+/**
+ * The request for a retry: the original request plus the evaluator's verdict
+ * on the previous attempt
+ * @private
+ */
+const withFeedback = (request, evaluation, { heading, instruction }) => `${request}
+
+${heading} (Score: ${evaluation?.totalScore || 0}/100):
+${evaluation?.overallFeedback || 'No feedback'}
+
+IMPROVEMENTS NEEDED:
+${evaluation?.improvements?.join('\n- ') || 'Improve overall quality'}
+
+${instruction}`;
+
+/**
+ * The learner's message, with the evaluator's feedback on retries
+ */
+export const chatRequest = ({ input, attempt, feedback }) => (
+  attempt === 1 ? input.message : withFeedback(input.message, feedback, {
+    heading: 'PREVIOUS RESPONSE FEEDBACK',
+    instruction: 'Please provide an improved response that addresses these issues.',
+  })
+);
+
+/**
+ * @private
+ */
+const describeLesson = (title) => `Please provide a complete, comprehensive explanation of this lesson: "${title}".`;
+
+/**
+ * The request for a lesson's first explanation, with the evaluator's feedback on retries
+ */
+export const explanationRequest = ({ steps: { lesson }, attempt, feedback }) => (
+  attempt === 1
+    ? `${describeLesson(lesson.title)} Cover all the main concepts, include examples, and make it engaging. This is the first explanation for this lesson.`
+    : withFeedback(describeLesson(lesson.title), feedback, {
+      heading: 'PREVIOUS ATTEMPT FEEDBACK',
+      instruction: 'Please address these issues and provide a better explanation.',
+    })
+);
+
+/**
+ * Token callback for streaming runs. Only the text teacher streams tokens;
+ * video and flashcards arrive whole.
+ */
+export const tokenStream = (context) => (
+  context.input.streamTokens && context.steps.routing.targetModel === 'TeacherModel'
+    ? (token) => context.emit('token', { token, attempt: context.attempt })
+    : null
+);
+
+/**
+ * The teacher's answer as text for the evaluator
+ */
+export const teachingResponseText = ({ steps: { teach } }) => (
+  typeof teach.response === 'string' ? teach.response : JSON.stringify(teach.response)
+);
+
+/**
+ * The teacher ConversationAnalyzer routed to (output transform)
+ */
+export const routedTeacher = (data) => data?.targetModel || 'TeacherModel';
+
+/**
+ * ConversationAnalyzer's analysis, empty when it had none (output transform)
+ */
+export const conversationAnalysis = (data) => data?.analysis || {};
+
+export const teachingStarted = (context) => ({
+  stage: 'generating',
+  attempt: context.attempt,
+  targetModel: context.steps.routing.targetModel,
+  responseType: context.steps.routing.formatPreference,
+});
+
+export const evaluationStarted = (context) => ({
+  stage: 'evaluating',
+  attempt: context.attempt,
+  responseType: responseTypeOf(context),
+});
+
+/**
+ * Progress event for a finished evaluation (events.complete transform)
+ */
+export const evaluationCompleted = (evaluation, context) => {
+  console.log(`Score: ${evaluation.totalScore}/100 - ${evaluation.passed ? '✅ PASSED' : '❌ FAILED'}`);
+  return {
+    stage: 'evaluated',
+    attempt: context.attempt,
+    score: evaluation.totalScore,
+    passed: evaluation.passed,
+    contradictedClaims: evaluation.grounding?.contradicted || 0,
+  };
+};
+
+/**
+ * Progress event for another teaching attempt; `feedback` is the failed evaluation
+ */
+export const teachingRetry = (context) => ({
+  stage: 'retry',
+  attempt: context.attempt,
+  previousScore: context.feedback?.totalScore || 0,
+});
+
+/**
+ * Response of the chat pipeline: the accepted answer as saved, or the last
+ * answer with a warning when none passed
+ */
+export const chatResult = (context) => {
+  const { steps, gates } = context;
+  const evaluation = steps.evaluate;
+  const analysis = steps.analyze;
+  const responseType = responseTypeOf(context);
+  const pathRevision = steps.stuck?.pathRevision || null;
+  const attemptsUsed = gates.evaluate.attempts;
+
+  if (!isAcceptable(evaluation)) {
+    console.log(`❌ Response failed after ${attemptsUsed} attempts (score: ${evaluation.totalScore}/100)`);
+    return {
+      status: 200,
+      body: {
+        response: steps.teach.response,
+        responseType,
+        sources: buildSources(steps.sources, steps.teach.response),
+        passed: false,
+        score: evaluation.totalScore,
+        feedback: evaluation.overallFeedback,
+        grounding: evaluation.grounding,
+        warning: evaluation.grounding?.contradicted
+          ? `Response contradicts the course material after ${attemptsUsed} attempts`
+          : `Response quality below threshold after ${attemptsUsed} attempts`,
+        attemptsUsed,
+        pathRevision,
+      },
+    };
+  }
+
+  console.log(`✅ Response accepted after ${attemptsUsed} attempt(s) (score: ${evaluation.totalScore}/100)`);
+  return {
+    status: 200,
+    body: {
+      response: steps.save.response,
+      responseType, // 'text', 'video', or 'flashcards'
+      sources: steps.save.sources,
+      passed: true,
+      score: evaluation.totalScore,
+      evaluation: {
+        totalScore: evaluation.totalScore,
+        passed: evaluation.passed,
+        feedback: evaluation.overallFeedback,
+        breakdown: evaluation.breakdown,
+        grounding: evaluation.grounding,
+      },
+      analysis: {
+        wasStuck: analysis.isStuck,
+        hadNewPreferences: analysis.hasNewPreference,
+        promptsAdjusted: analysis.needsAdjustment,
+      },
+      pathRevision,
+      metadata: {
+        targetModel: steps.routing.targetModel,
+        formatPreference: steps.routing.formatPreference,
+        model3: 'ConversationAnalyzer',
+        model4: 'TeacherModel',
+        model5: 'ResponseEvaluator',
+        promptVersion: steps.teacherPrompt?.version || null,
+        attemptsUsed,
+      },
+    },
+  };
+};
+
+/**
+ * Response of the initial explanation pipeline, or a 409 when another
+ * request explained the lesson first
+ */
+export const initialExplanationResult = (context) => {
+  const { steps, gates } = context;
+  const evaluation = steps.evaluate;
+
+  if (steps.alreadyExplained) {
+    console.log('⚠️ Initial explanation already exists (race condition detected), skipping save');
+    return {
+      status: 409,
+      body: {
+        error: 'Initial explanation already generated',
+        message: 'Please refresh to see existing messages',
+      },
+    };
+  }
+
+  if (!gates.evaluate.passed) {
+    console.warn(`⚠️ Response quality below threshold after ${gates.evaluate.attempts} attempts (score: ${evaluation.totalScore}, contradicted claims: ${evaluation.grounding?.contradicted || 0})`);
+  }
+
+  return {
+    status: 200,
+    body: {
+      response: steps.save.response,
+      responseType: responseTypeOf(context), // 'text', 'video', or 'flashcards'
+      type: 'initial_explanation',
+      sources: steps.save.sources,
+      passed: evaluation.passed,
+      score: evaluation.totalScore,
+      evaluation: {
+        totalScore: evaluation.totalScore,
+        passed: evaluation.passed,
+        feedback: evaluation.overallFeedback,
+      },
+      metadata: {
+        lessonTitle: steps.lesson.title,
+        topic: steps.lesson.topic_name,
+        formatUsed: steps.routing.formatPreference,
+        modelUsed: steps.routing.targetModel,
+      },
+    },
+  };
+};
+
+export default {
+  isAcceptable,
+  currentPreferences,
+  teachingPreferences,
+  lessonDetails,
+  lessonOutline,
+  lessonTopic,
+  lessonQuery,
+  responseTypeOf,
+  chatFormat,
+  explanationFormat,
+  chatRequest,
+  explanationRequest,
+  tokenStream,
+  teachingResponseText,
+  routedTeacher,
+  conversationAnalysis,
+  teachingStarted,
+  evaluationStarted,
+  evaluationCompleted,
+  teachingRetry,
+  chatResult,
+  initialExplanationResult,
+};
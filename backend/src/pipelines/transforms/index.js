@@ -0,0 +1,17 @@
+import chatTransforms from './chatTransforms.js';
+import topicTransforms from './topicTransforms.js';
+import systemTestTransforms from './systemTestTransforms.js';
+
+/**
+ * Transforms pipeline definitions name with '@' (`lessonContext: '@lessonDetails'`).
+ * A transform is a plain synchronous function of the run context that
+ * derives a value from it; add new ones here to use them in a pipeline
+ * definition. Database and agent work belongs in tasks instead.
+ */
+export const TRANSFORMS = {
+  ...chatTransforms,
+  ...topicTransforms,
+  ...systemTestTransforms,
+};
+
+export default TRANSFORMS;
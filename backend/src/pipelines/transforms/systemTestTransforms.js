@@ -0,0 +1,250 @@
+/**
+ * Transforms of the system test pipeline. Steps that run once per lesson or
+ * per persona question get the item and its index after the context.
+ */
+
+// Lessons the persona asks about, and quizzes scored
+const INTERACTION_LESSONS = 3;
+const EVALUATED_QUIZZES = 2;
+
+/**
+ * @private
+ */
+const average = (values) => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+
+/**
+ * @private
+ */
+const explanationContext = (lesson, topicName) => ({
+  title: lesson.title,
+  topic: topicName,
+  description: lesson.content,
+});
+
+export const interactionLessons = ({ steps }) => steps.topic.lessons.slice(0, INTERACTION_LESSONS);
+
+export const evaluatedQuizzes = ({ steps }) => steps.topic.quizzes.slice(0, EVALUATED_QUIZZES);
+
+/**
+ * Every persona question with its lesson, in the order they are asked.
+ * Lessons the evaluator couldn't write questions for get generic ones.
+ */
+export const interactionsOf = ({ steps }) => steps.questions.flatMap((questions, index) => {
+  const lesson = steps.topic.lessons[index];
+  return (questions || [
+    `Can you explain ${lesson.title} in simpler terms?`,
+    'Can you give me an example?',
+  ]).map((question) => ({ lesson, question }));
+});
+
+export const lessonExplanationRequest = (context, lesson) => (
+  `Please provide a complete, comprehensive explanation of this lesson: "${lesson.title}".`
+);
+
+export const lessonContextOf = ({ input }, lesson) => explanationContext(lesson, input.topicName);
+
+export const interactionContextOf = ({ input }, { lesson }) => explanationContext(lesson, input.topicName);
+
+export const interactionTitle = (context, { lesson }) => `${lesson.title} - Q&A`;
+
+/**
+ * TeacherModel's explanation of the current lesson
+ */
+export const explanationOf = ({ steps }, lesson, index) => steps.explanations[index];
+
+/**
+ * TeacherModel's answer to the current persona question
+ */
+export const answerOf = ({ steps }, interaction, index) => steps.answers[index];
+
+/**
+ * The questions SyntheticEvaluator wrote, or null (output transform)
+ */
+export const generatedQuestions = (data) => data.questions || null;
+
+/**
+ * The evaluator's overall score; a missing evaluation fails the step (output transform)
+ */
+export const overallScore = (data) => data.evaluation.overallScore;
+
+/**
+ * The test report: each phase's details, an overall score and a flat copy
+ * of the numbers for the frontend
+ */
+export const systemTestResult = (context) => {
+  const { input: { topicName }, steps } = context;
+  const { topic, lessons, quizzes } = steps.topic;
+  const persona = steps.persona;
+
+  const lessonEvaluations = lessons.map((lesson, index) => ({
+    lesson: lesson.title,
+    score: steps.lessonScores[index].overallScore,
+    breakdown: steps.lessonScores[index].breakdown,
+  }));
+
+  const interactions = interactionsOf(context).map(({ lesson, question }, index) => ({
+    lesson,
+    question,
+    answer: steps.answers[index],
+    qualityScore: steps.answerScores[index],
+    adaptabilityScore: steps.adaptability[index].adaptabilityScore,
+    adaptabilityBreakdown: steps.adaptability[index].breakdown,
+  }));
+  const interactionResults = lessons.slice(0, INTERACTION_LESSONS).map((lesson) => {
+    const conversation = interactions.filter((entry) => entry.lesson === lesson);
+    return {
+      lesson: lesson.title,
+      averageQualityScore: average(conversation.map((entry) => entry.qualityScore)),
+      averageAdaptabilityScore: average(conversation.map((entry) => entry.adaptabilityScore)),
+      interactions: conversation.map(({ lesson: _lesson, ...entry }) => entry),
+    };
+  });
+
+  const quizEvaluations = steps.quizScores;
+
+  const results = {
+    topicName,
+    createdAt: new Date(),
+    phases: [
+      {
+        phase: 1,
+        name: 'Topic Creation',
+        status: 'completed',
+        details: {
+          topicId: topic.id,
+          lessonsCreated: lessons.length,
+          quizzesCreated: quizzes.length,
+        },
+      },
+      {
+        phase: 2,
+        name: 'Lesson Evaluation',
+        status: 'completed',
+        details: {
+          lessonsEvaluated: lessonEvaluations.length,
+          averageScore: average(lessonEvaluations.map((entry) => entry.score)),
+          evaluations: lessonEvaluations,
+        },
+      },
+      {
+        phase: 3,
+        name: 'Student Interactions',
+        status: 'completed',
+        details: {
+          persona: {
+            name: persona.name,
+            background: persona.background,
+            occupation: persona.occupation,
+            learningStyle: persona.learningStyle,
+            communicationStyle: persona.communicationStyle,
+            personality: persona.personality,
+            challenges: persona.challenges,
+            priorKnowledge: persona.priorKnowledge,
+          },
+          lessonsInteracted: interactionResults.length,
+          totalInteractions: interactions.length,
+          averageQualityScore: average(interactionResults.map((entry) => entry.averageQualityScore)),
+          averageAdaptabilityScore: average(interactions.map((entry) => entry.adaptabilityScore)),
+          results: interactionResults,
+        },
+      },
+      {
+        phase: 4,
+        name: 'Quiz Evaluation',
+        status: 'completed',
+        details: {
+          quizzesEvaluated: quizEvaluations.length,
+          averageRelevance: average(quizEvaluations.map((entry) => entry.relevanceScore)),
+          averageAnswerability: average(quizEvaluations.map((entry) => entry.answerabilityScore)),
+          quizzes: quizEvaluations,
+        },
+      },
+    ],
+    overallScore: 0,
+  };
+
+  const [phase1, phase2, phase3, phase4] = results.phases;
+
+  // Weight: 30% lesson quality, 25% interaction quality, 25% adaptability, 20% quiz quality
+  results.overallScore = Math.round(
+    (phase2.details.averageScore * 0.30) +
+    (phase3.details.averageQualityScore * 0.25) +
+    (phase3.details.averageAdaptabilityScore * 0.25) +
+    (phase4.details.averageRelevance * 0.20)
+  );
+
+  console.log(`\n✅ SYSTEM TEST COMPLETE`);
+  console.log(`📊 Overall Score: ${results.overallScore}/100`);
+  console.log(`   - Lesson Quality: ${phase2.details.averageScore}/100`);
+  console.log(`   - Interaction Quality: ${phase3.details.averageQualityScore}/100`);
+  console.log(`   - Adaptability: ${phase3.details.averageAdaptabilityScore}/100`);
+  console.log(`   - Quiz Relevance: ${phase4.details.averageRelevance}/100`);
+
+  // Flat structure for the frontend, with the phases kept for reference
+  return {
+    message: 'Model 6 system test completed',
+    overallScore: results.overallScore,
+    phase1: {
+      topicName,
+      lessonCount: phase1.details.lessonsCreated,
+      quizCount: phase1.details.quizzesCreated,
+    },
+    phase2: {
+      averageScore: phase2.details.averageScore,
+      lessonScores: phase2.details.evaluations.map(e => ({
+        title: e.lesson,
+        score: e.score,
+        breakdown: e.breakdown,
+      })),
+    },
+    phase3: {
+      persona: phase3.details.persona,
+      averageQualityScore: phase3.details.averageQualityScore,
+      averageAdaptabilityScore: phase3.details.averageAdaptabilityScore,
+      interactionCount: phase3.details.totalInteractions,
+      lessonsEvaluated: phase3.details.lessonsInteracted,
+      interactions: phase3.details.results.map(r => ({
+        lessonTitle: r.lesson,
+        averageQualityScore: r.averageQualityScore,
+        averageAdaptabilityScore: r.averageAdaptabilityScore,
+        questions: r.interactions.map(i => ({
+          question: i.question,
+          answer: i.answer || '',
+          qualityScore: i.qualityScore,
+          adaptabilityScore: i.adaptabilityScore,
+          adaptabilityBreakdown: i.adaptabilityBreakdown,
+        })),
+      })),
+    },
+    phase4: {
+      relevanceScore: phase4.details.averageRelevance,
+      answerabilityScore: phase4.details.averageAnswerability,
+      quizzes: phase4.details.quizzes,
+    },
+    results,
+    summary: {
+      topicId: topic.id,
+      topicName,
+      overallScore: results.overallScore,
+      lessonsCreated: lessons.length,
+      quizzesCreated: quizzes.length,
+      phasesCompleted: results.phases.length,
+      adaptabilityScore: phase3.details.averageAdaptabilityScore,
+    },
+  };
+};
+
+export default {
+  interactionLessons,
+  evaluatedQuizzes,
+  interactionsOf,
+  lessonExplanationRequest,
+  lessonContextOf,
+  interactionContextOf,
+  interactionTitle,
+  explanationOf,
+  answerOf,
+  generatedQuestions,
+  overallScore,
+  systemTestResult,
+};
@@ -0,0 +1,40 @@
+/**
+ * Transforms of the topic creation pipeline
+ */
+
+export const topicDescription = ({ input }) => input.description || null;
+
+/**
+ * Response of the topic creation pipeline; the topic is created even when
+ * planning its learning path failed
+ */
+export const topicCreationResult = ({ steps: { learningPath, topic } }) => {
+  if (!learningPath) {
+    return {
+      status: 201,
+      body: {
+        message: 'Topic created with basic structure',
+        topic: topic.topic,
+        warning: 'Learning path generation failed',
+      },
+    };
+  }
+
+  return {
+    status: 201,
+    body: {
+      message: 'Topic created with AI-generated learning path',
+      topic: topic.topic,
+      learningPath: {
+        totalLessons: learningPath.totalLessons,
+        totalQuizzes: learningPath.lessons?.filter(l => l.hasQuiz).length || 0,
+        estimatedDuration: learningPath.estimatedDurationHours,
+      },
+    },
+  };
+};
+
+export default {
+  topicDescription,
+  topicCreationResult,
+};
@@ -1,6 +1,12 @@
 import express from 'express';
 import { orchestrator } from '../agents/index.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireRole } from '../middleware/authorize.js';
+import { STAFF_ROLES } from '../config/roles.js';
+import { requireQuota } from '../middleware/quota.js';
+import { getUsageStatistics } from '../services/llmUsageService.js';
+import { describePipelines } from '../pipelines/index.js';
+import { listTraces, getTrace } from '../agents/tracing/index.js';
 
 const router = express.Router();
 
@@ -10,7 +16,7 @@ router.use(authenticateToken);
  * Start adaptive learning for a topic
  * POST /api/agents/start-learning
  */
-router.post('/start-learning', async (req, res, next) => {
+router.post('/start-learning', requireQuota('tokens'), async (req, res, next) => {
   const { topic } = req.body;
 
   if (!topic) {
@@ -43,7 +49,7 @@ router.post('/start-learning', async (req, res, next) => {
  * Analyze user progress
  * GET /api/agents/analyze-progress
  */
-router.get('/analyze-progress', async (req, res, next) => {
+router.get('/analyze-progress', requireQuota('tokens'), async (req, res, next) => {
   try {
     const result = await orchestrator.analyzeUserProgress(req.user.id);
 
@@ -65,16 +71,24 @@ router.get('/analyze-progress', async (req, res, next) => {
 });
 
 /**
- * Get system statistics
- * GET /api/agents/statistics
+ * Get system statistics with LLM usage and cost rollups
+ * GET /api/agents/statistics?days=30&userId=
  */
-router.get('/statistics', async (req, res, next) => {
+router.get('/statistics', requireRole(...STAFF_ROLES), async (req, res, next) => {
+  const days = parseInt(req.query.days) || 30;
+  const userId = req.query.userId ? parseInt(req.query.userId) : null;
+
+  if (days < 1 || days > 365) {
+    return res.status(400).json({ error: 'days must be between 1 and 365' });
+  }
+
   try {
     const stats = orchestrator.getSystemStatistics();
+    const usage = await getUsageStatistics({ userId, days });
 
     res.json({
       message: 'System statistics retrieved',
-      statistics: stats,
+      statistics: { ...stats, usage },
     });
   } catch (error) {
     console.error('Error getting statistics:', error);
@@ -86,7 +100,7 @@ router.get('/statistics', async (req, res, next) => {
  * Generate adaptive lesson
  * POST /api/agents/generate-lesson
  */
-router.post('/generate-lesson', async (req, res, next) => {
+router.post('/generate-lesson', requireQuota('tokens'), async (req, res, next) => {
   const { topic, difficulty = 'intermediate' } = req.body;
 
   if (!topic) {
@@ -117,7 +131,7 @@ router.post('/generate-lesson', async (req, res, next) => {
  * Evaluate system with curriculum
  * POST /api/agents/evaluate-system
  */
-router.post('/evaluate-system', async (req, res, next) => {
+router.post('/evaluate-system', requireRole(...STAFF_ROLES), requireQuota('tokens'), async (req, res, next) => {
   const { topic, curriculum } = req.body;
 
   if (!topic || !curriculum || !Array.isArray(curriculum)) {
@@ -150,7 +164,7 @@ router.post('/evaluate-system', async (req, res, next) => {
  * Get agent status
  * GET /api/agents/status
  */
-router.get('/status', async (req, res, next) => {
+router.get('/status', requireRole(...STAFF_ROLES), async (req, res, next) => {
   try {
     const agentStatuses = orchestrator.communication.getAllAgentsStatus();
     const statusArray = Array.from(agentStatuses.entries()).map(([name, status]) => ({
@@ -169,4 +183,53 @@ router.get('/status', async (req, res, next) => {
   }
 });
 
+/**
+ * List the agent pipelines and their steps
+ * GET /api/agents/pipelines
+ */
+router.get('/pipelines', requireRole(...STAFF_ROLES), (req, res) => {
+  res.json({ pipelines: describePipelines() });
+});
+
+/**
+ * List recent agent traces, one per API request that used the agents
+ * GET /api/agents/traces?userId=&lessonId=&limit=50
+ */
+router.get('/traces', requireRole(...STAFF_ROLES), async (req, res, next) => {
+  const userId = req.query.userId ? parseInt(req.query.userId) : null;
+  const lessonId = req.query.lessonId ? parseInt(req.query.lessonId) : null;
+  const limit = parseInt(req.query.limit) || 50;
+
+  if (limit < 1 || limit > 200) {
+    return res.status(400).json({ error: 'limit must be between 1 and 200' });
+  }
+
+  try {
+    const traces = await listTraces({ userId, lessonId, limit });
+    res.json({ traces });
+  } catch (error) {
+    console.error('Error listing agent traces:', error);
+    next(error);
+  }
+});
+
+/**
+ * Get the agent call tree of one trace, with each call's LLM requests
+ * GET /api/agents/traces/:traceId
+ */
+router.get('/traces/:traceId', requireRole(...STAFF_ROLES), async (req, res, next) => {
+  try {
+    const trace = await getTrace(req.params.traceId);
+
+    if (!trace) {
+      return res.status(404).json({ error: 'Trace not found' });
+    }
+
+    res.json({ trace });
+  } catch (error) {
+    console.error('Error getting agent trace:', error);
+    next(error);
+  }
+});
+
 export default router;
@@ -1,11 +1,30 @@
 import express from 'express';
-import { register, login, getProfile } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  getProfile,
+  updateUserRole,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} from '../controllers/authController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireRole } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
+// Shared budget for every endpoint that accepts credentials or e-mailed tokens
+const authLimit = rateLimit('auth');
+
+router.post('/register', authLimit, register);
+router.post('/login', authLimit, login);
+router.post('/reset-password', authLimit, requestPasswordReset);
+router.post('/reset-password/:token', authLimit, resetPassword);
+router.post('/verify-email/:token', authLimit, verifyEmail);
+router.post('/verify-email', authLimit, resendVerification);
 router.get('/profile', authenticateToken, getProfile);
+router.put('/users/:userId/role', authenticateToken, requireRole('admin'), updateUserRole);
 
 export default router;
@@ -4,18 +4,27 @@ import {
   createChatMessage,
   deleteChatMessages,
   generateAIResponse,
+  streamAIResponse,
   generateInitialExplanation
 } from '../controllers/chatController.js';
+import { getMemories, deleteMemory, getSummary } from '../controllers/conversationMemoryController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { authorizeResource } from '../middleware/authorize.js';
+import { requireQuota } from '../middleware/quota.js';
 
 const router = express.Router();
 
 router.use(authenticateToken);
+router.param('lessonId', authorizeResource('lesson', 'lessonId'));
 
 router.get('/lesson/:lessonId/messages', getChatMessages);
 router.post('/lesson/:lessonId/messages', createChatMessage);
 router.delete('/lesson/:lessonId/messages', deleteChatMessages);
-router.post('/lesson/:lessonId/initial-explanation', generateInitialExplanation);
-router.post('/lesson/:lessonId/ai-response', generateAIResponse);
+router.post('/lesson/:lessonId/initial-explanation', requireQuota('tokens'), generateInitialExplanation);
+router.post('/lesson/:lessonId/ai-response', requireQuota('tokens'), generateAIResponse);
+router.post('/lesson/:lessonId/ai-response/stream', requireQuota('tokens'), streamAIResponse);
+router.get('/lesson/:lessonId/summary', getSummary);
+router.get('/memory', getMemories);
+router.delete('/memory/:memoryId(\\d+)', deleteMemory);
 
 export default router;
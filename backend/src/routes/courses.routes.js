@@ -1,20 +0,0 @@
-const express = require('express');
-const router = express.Router();
-const coursesController = require('../controllers/courses.controller');
-
-// Get all courses
-router.get('/', coursesController.getAllCourses);
-
-// Get a single course by ID
-router.get('/:id', coursesController.getCourseById);
-
-// Create a new course
-router.post('/', coursesController.createCourse);
-
-// Update a course by ID
-router.put('/:id', coursesController.updateCourse);
-
-// Delete a course by ID
-router.delete('/:id', coursesController.deleteCourse);
-
-module.exports = router;
\ No newline at end of file
@@ -1,10 +1,15 @@
 import express from 'express';
 import { runSystemTest, testModel6, evaluateTopic } from '../controllers/evaluationController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireRole } from '../middleware/authorize.js';
+import { STAFF_ROLES } from '../config/roles.js';
+import { requireQuota } from '../middleware/quota.js';
 
 const router = express.Router();
 
 router.use(authenticateToken);
+router.use(requireRole(...STAFF_ROLES));
+router.use(requireQuota('tokens'));
 
 // Run comprehensive Model 6 system test
 router.post('/system-test', runSystemTest);
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getDueFlashcards,
+  getLessonFlashcards,
+  reviewFlashcard
+} from '../controllers/flashcardController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get('/due', getDueFlashcards);
+router.get('/lesson/:lessonId', getLessonFlashcards);
+router.post('/:flashcardId/review', reviewFlashcard);
+
+export default router;
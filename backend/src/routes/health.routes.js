@@ -1,9 +0,0 @@
-const express = require('express');
-const router = express.Router();
-
-// Health check endpoint
-router.get('/health', (req, res) => {
-    res.status(200).json({ status: 'OK' });
-});
-
-module.exports = router;
\ No newline at end of file
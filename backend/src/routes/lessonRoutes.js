@@ -11,10 +11,14 @@ import {
   evaluateLesson
 } from '../controllers/lessonController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { authorizeResource } from '../middleware/authorize.js';
+import { requireQuota } from '../middleware/quota.js';
 
 const router = express.Router();
 
 router.use(authenticateToken);
+router.param('topicId', authorizeResource('topic', 'topicId'));
+router.param('lessonId', authorizeResource('lesson', 'lessonId'));
 
 router.get('/topic/:topicId/lessons', getLessons);
 router.get('/:lessonId', getLesson);
@@ -25,7 +29,7 @@ router.post('/:lessonId/complete', completeLesson);
 router.post('/:lessonId/uncomplete', uncompleteLesson);
 
 // AI-powered endpoints
-router.post('/topic/:topicId/lessons/generate-ai', generateAILesson);
-router.post('/:lessonId/evaluate', evaluateLesson);
+router.post('/topic/:topicId/lessons/generate-ai', requireQuota('tokens'), generateAILesson);
+router.post('/:lessonId/evaluate', requireQuota('tokens'), evaluateLesson);
 
 export default router;
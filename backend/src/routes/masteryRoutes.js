@@ -0,0 +1,14 @@
+import express from 'express';
+import { getMyMastery, getTopicMastery } from '../controllers/masteryController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { authorizeResource } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.param('topicId', authorizeResource('topic', 'topicId'));
+
+router.get('/', getMyMastery);
+router.get('/topic/:topicId', getTopicMastery);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getMyProgress,
+  getTopicProgress,
+  setLessonProgress,
+  resetProgress,
+} from '../controllers/progressController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { authorizeResource } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.param('topicId', authorizeResource('topic', 'topicId'));
+router.param('lessonId', authorizeResource('lesson', 'lessonId'));
+
+router.get('/', getMyProgress);
+router.get('/topics/:topicId', getTopicProgress);
+router.delete('/topics/:topicId', resetProgress);
+router.put('/lessons/:lessonId', setLessonProgress);
+
+export default router;
@@ -7,11 +7,26 @@ import {
   getQuizAttempts,
   deleteQuiz
 } from '../controllers/quizController.js';
+import {
+  startQuizSession,
+  getQuizSession,
+  answerQuizSession
+} from '../controllers/quizSessionController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { authorizeResource } from '../middleware/authorize.js';
+import { requireQuota } from '../middleware/quota.js';
 
 const router = express.Router();
 
 router.use(authenticateToken);
+router.param('topicId', authorizeResource('topic', 'topicId'));
+router.param('quizId', authorizeResource('quiz', 'quizId'));
+
+// Adaptive sessions (topics with adaptive_quizzes); sessions are scoped to their learner.
+// Registered first so 'sessions' is not taken for a quiz ID.
+router.get('/sessions/:sessionId', getQuizSession);
+router.post('/sessions/:sessionId/answer', requireQuota('tokens'), answerQuizSession);
+router.post('/:quizId/sessions', requireQuota('tokens'), startQuizSession);
 
 router.get('/:quizId', getQuiz);
 router.post('/topic/:topicId/quiz', createQuiz);
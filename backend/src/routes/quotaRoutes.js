@@ -0,0 +1,11 @@
+import express from 'express';
+import { getMyQuota } from '../controllers/quotaController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get('/me', getMyQuota);
+
+export default router;
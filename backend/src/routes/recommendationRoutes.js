@@ -0,0 +1,11 @@
+import express from 'express';
+import { getRecommendations } from '../controllers/recommendationController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get('/', getRecommendations);
+
+export default router;
@@ -1,15 +1,49 @@
 import express from 'express';
 import { getTopics, getTopic, createTopic, updateTopic, deleteTopic } from '../controllers/topicController.js';
+import { getTopicPathRevisions, replanTopicPath } from '../controllers/learningPathController.js';
+import { getGraph, getNext, updatePrerequisites } from '../controllers/prerequisiteController.js';
+import { exportTopicPackage, importTopicPackage } from '../controllers/coursePackageController.js';
+import {
+  getDocuments,
+  uploadDocument,
+  getDocument,
+  deleteDocument,
+  searchDocuments,
+} from '../controllers/documentController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { authorizeResource } from '../middleware/authorize.js';
+import { requireQuota } from '../middleware/quota.js';
 
 const router = express.Router();
 
 router.use(authenticateToken);
+router.param('id', authorizeResource('topic', 'id'));
+router.param('topicId', authorizeResource('topic', 'topicId'));
 
 router.get('/', getTopics);
 router.get('/:id', getTopic);
-router.post('/', createTopic);
+router.post('/', requireQuota('tokens'), createTopic);
+router.post(
+  '/import',
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '20mb' }),
+  importTopicPackage
+);
 router.put('/:id', updateTopic);
 router.delete('/:id', deleteTopic);
+router.get('/:id/path/revisions', getTopicPathRevisions);
+router.post('/:id/path/replan', requireQuota('tokens'), replanTopicPath);
+router.get('/:id/graph', getGraph);
+router.get('/:id/next', getNext);
+router.put('/:id/prerequisites/:itemType/:itemId', updatePrerequisites);
+router.get('/:id/export', exportTopicPackage);
+router.get('/:topicId/documents', getDocuments);
+router.post(
+  '/:topicId/documents',
+  express.raw({ type: ['text/*', 'application/pdf', 'application/octet-stream'], limit: '10mb' }),
+  uploadDocument
+);
+router.get('/:topicId/documents/search', searchDocuments);
+router.get('/:topicId/documents/:documentId(\\d+)', getDocument);
+router.delete('/:topicId/documents/:documentId(\\d+)', deleteDocument);
 
 export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getMe,
+  updateMe,
+  updateMyPassword,
+  deleteMe,
+  getUsers,
+  getUser,
+  deleteUser,
+} from '../controllers/userController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireRole } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Endpoints that check the current password get the same budget as login
+const passwordCheckLimit = rateLimit('auth');
+
+router.use(authenticateToken);
+
+router.get('/me', getMe);
+router.put('/me', updateMe);
+router.put('/me/password', passwordCheckLimit, updateMyPassword);
+router.delete('/me', passwordCheckLimit, deleteMe);
+
+router.get('/', requireRole('admin'), getUsers);
+router.get('/:userId(\\d+)', requireRole('admin'), getUser);
+router.delete('/:userId(\\d+)', requireRole('admin'), deleteUser);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getVideoJob } from '../controllers/videoController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get('/jobs/:jobId', getVideoJob);
+
+export default router;
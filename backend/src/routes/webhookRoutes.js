@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  redeliverWebhook,
+} from '../controllers/webhookController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { authorizeResource, loadCurrentRole } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, loadCurrentRole);
+router.param('id', authorizeResource('webhook', 'id'));
+
+router.get('/', getWebhooks);
+router.post('/', createWebhook);
+router.get('/:id', getWebhook);
+router.put('/:id', updateWebhook);
+router.delete('/:id', deleteWebhook);
+router.get('/:id/deliveries', getDeliveries);
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliverWebhook);
+
+export default router;
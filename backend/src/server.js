@@ -10,9 +10,23 @@ import quizRoutes from './routes/quizRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
 import agentRoutes from './routes/agentRoutes.js';
 import evaluationRoutes from './routes/evaluationRoutes.js';
+import videoRoutes from './routes/videoRoutes.js';
+import flashcardRoutes from './routes/flashcardRoutes.js';
+import quotaRoutes from './routes/quotaRoutes.js';
+import masteryRoutes from './routes/masteryRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import progressRoutes from './routes/progressRoutes.js';
+import recommendationRoutes from './routes/recommendationRoutes.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
+import { requestContext } from './middleware/requestContext.js';
+import { rateLimit } from './middleware/rateLimit.js';
 import pool from './config/database.js';
+import { checkMigrations } from './config/migrations.js';
 import { validateConfig } from './agents/index.js';
+import { createVideoJobWorker } from './services/videoJobWorker.js';
+import { createXapiWorker } from './services/xapiWorker.js';
+import { createWebhookWorker } from './services/webhookWorker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,13 +44,21 @@ try {
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind reverse proxies, rate limits must key on the client IP from X-Forwarded-For
+// (TRUST_PROXY is the number of proxies in front of the server)
+if (parseInt(process.env.TRUST_PROXY) > 0) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id', 'X-Trace-Id'] // X-Trace-Id lets staff open the agent trace of a response
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(requestContext);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -54,6 +76,7 @@ app.use('/videos', (req, res, next) => {
 console.log(`📁 Serving videos from: ${videosDir}`);
 
 // API Routes
+app.use('/api', rateLimit('api'));
 app.use('/api/auth', authRoutes);
 app.use('/api/topics', topicRoutes);
 app.use('/api/lessons', lessonRoutes);
@@ -61,6 +84,14 @@ app.use('/api/quiz', quizRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/agents', agentRoutes);
 app.use('/api/evaluation', evaluationRoutes);
+app.use('/api/videos', videoRoutes);
+app.use('/api/flashcards', flashcardRoutes);
+app.use('/api/quotas', quotaRoutes);
+app.use('/api/mastery', masteryRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/progress', progressRoutes);
+app.use('/api/recommendations', recommendationRoutes);
 
 // Error handling
 app.use(notFound);
@@ -73,6 +104,24 @@ const startServer = async () => {
     await pool.query('SELECT NOW()');
     console.log('Database connection successful');
 
+    // Bring the schema up to date (set AUTO_MIGRATE=false to only report pending migrations)
+    await checkMigrations({ autoApply: process.env.AUTO_MIGRATE !== 'false' });
+
+    // Background worker for queued Sora video jobs
+    if (process.env.VIDEO_WORKER_ENABLED !== 'false') {
+      createVideoJobWorker().start();
+    }
+
+    // Delivers queued xAPI statements to the Learning Record Store (needs XAPI_LRS_ENDPOINT)
+    if (process.env.XAPI_WORKER_ENABLED !== 'false') {
+      createXapiWorker().start();
+    }
+
+    // Sends signed webhook deliveries for platform events
+    if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+      createWebhookWorker().start();
+    }
+
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,415 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import pool from '../config/database.js';
+import { sendEmail } from './emailService.js';
+
+export const MIN_USERNAME_LENGTH = 3;
+export const MIN_PASSWORD_LENGTH = 6;
+
+// How long a password reset link stays valid
+export const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// How long an e-mail verification link stays valid
+export const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+// Refuse logins until the account's e-mail address is verified
+export const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const USER_COLUMNS = 'id, username, email, email_verified_at, role, created_at, updated_at';
+
+/**
+ * Raised for account changes that can't be made; `status` is 400 for invalid
+ * input, 401 for a wrong current password and 409 for a taken username or e-mail
+ */
+export class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+/**
+ * User row for API responses
+ */
+export const formatUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email,
+  emailVerified: Boolean(row.email_verified_at),
+  role: row.role,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Check account fields; only the fields present are checked
+ * @param {{username?: string, email?: string, password?: string}} fields
+ * @returns {string|null} The first problem found
+ */
+export const validateAccountFields = ({ username, email, password }) => {
+  if (username !== undefined && (typeof username !== 'string' || username.trim().length < MIN_USERNAME_LENGTH)) {
+    return `Username must be at least ${MIN_USERNAME_LENGTH} characters long`;
+  }
+  if (email !== undefined && (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()))) {
+    return 'Must be a valid email address';
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
+
+export const hashPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(10));
+
+/**
+ * @private
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Link to a page of the frontend, for e-mails
+ * @private
+ */
+const frontendLink = (pathname) => (
+  `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '')}${pathname}`
+);
+
+/**
+ * @private
+ */
+const assertPassword = async (userId, password) => {
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  const valid = result.rows[0] && typeof password === 'string' &&
+    await bcrypt.compare(password, result.rows[0].password_hash);
+  if (!valid) {
+    throw new AccountError('Current password is incorrect', 401);
+  }
+};
+
+export const getUser = async (userId) => {
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Users for the admin list, newest first
+ * @param {{search?: string, limit?: number, offset?: number}} [options]
+ * @returns {Promise<{users: Object[], total: number}>}
+ */
+export const listUsers = async ({ search = '', limit = 50, offset = 0 } = {}) => {
+  const pattern = search ? `%${search.toLowerCase()}%` : null;
+  const where = 'WHERE $1::text IS NULL OR LOWER(username) LIKE $1 OR LOWER(email) LIKE $1';
+
+  const [rows, count] = await Promise.all([
+    pool.query(
+      `SELECT ${USER_COLUMNS} FROM users ${where} ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3`,
+      [pattern, Math.min(Math.max(parseInt(limit) || 50, 1), 200), Math.max(parseInt(offset) || 0, 0)]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM users ${where}`, [pattern]),
+  ]);
+
+  return { users: rows.rows, total: parseInt(count.rows[0].total) };
+};
+
+/**
+ * Change a user's username and/or e-mail. A new address is unverified
+ * until the user opens the link e-mailed to it.
+ * @returns {Promise<Object|null>} Updated row, or null if the user does not exist
+ */
+export const updateProfile = async (userId, { username, email }) => {
+  const problem = validateAccountFields({ username, email });
+  if (problem) {
+    throw new AccountError(problem);
+  }
+
+  const fields = {
+    ...(username !== undefined && { username: username.trim() }),
+    ...(email !== undefined && { email: email.trim().toLowerCase() }),
+  };
+  if (Object.keys(fields).length === 0) {
+    throw new AccountError('Nothing to update: send a username or email');
+  }
+
+  const taken = await pool.query(
+    'SELECT 1 FROM users WHERE id <> $1 AND (username = $2 OR LOWER(email) = $3)',
+    [userId, fields.username ?? null, fields.email ?? null]
+  );
+  if (taken.rows.length > 0) {
+    throw new AccountError('Username or email already exists', 409);
+  }
+
+  const sets = [];
+  const values = [];
+  Object.entries(fields).forEach(([key, value]) => {
+    values.push(value);
+    sets.push(`${key} = $${values.length}`);
+  });
+
+  // A new address has to be verified again; the CASE sees the old email
+  if (fields.email !== undefined) {
+    const emailParam = Object.keys(fields).indexOf('email') + 1;
+    sets.push(`email_verified_at = CASE WHEN LOWER(email) = $${emailParam} THEN email_verified_at END`);
+  }
+  values.push(userId);
+
+  const result = await pool.query(
+    `UPDATE users SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length}
+     RETURNING ${USER_COLUMNS}`,
+    values
+  );
+  const user = result.rows[0] || null;
+
+  if (user && fields.email !== undefined && !user.email_verified_at) {
+    await sendVerificationEmail(user);
+  }
+  return user;
+};
+
+/**
+ * Change a password after checking the current one. Outstanding reset links
+ * stop working.
+ */
+export const changePassword = async (userId, currentPassword, newPassword) => {
+  const problem = validateAccountFields({ password: newPassword });
+  if (problem) {
+    throw new AccountError(problem);
+  }
+  await assertPassword(userId, currentPassword);
+
+  await pool.query(
+    'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [await hashPassword(newPassword), userId]
+  );
+  await pool.query(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+};
+
+/**
+ * Delete an account and, through cascading foreign keys, everything it owns
+ * @param {number} userId
+ * @param {{password?: string}} [options] - When set, the password must match (self-service deletion)
+ * @returns {Promise<boolean>} Whether the user existed
+ */
+export const deleteAccount = async (userId, { password } = {}) => {
+  if (password !== undefined) {
+    await assertPassword(userId, password);
+  }
+  const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING id', [userId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Start a password reset: e-mail a single-use link to the account with this
+ * address. Earlier unused links are revoked. Unknown addresses are ignored
+ * silently so the endpoint can't be used to discover accounts; callers
+ * should not wait for this before answering, for the same reason.
+ * @param {string} email
+ */
+export const requestPasswordReset = async (email) => {
+  const result = await pool.query(
+    'SELECT id, username, email FROM users WHERE LOWER(email) = LOWER($1)',
+    [String(email).trim()]
+  );
+  const user = result.rows[0];
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 minute'))`,
+    [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+  );
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Reset your Learning Platform password',
+    text: `Hi ${user.username},
+
+Someone asked to reset the password of your Learning Platform account.
+Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:
+
+${frontendLink(`/reset-password/${token}`)}
+
+If it wasn't you, ignore this e-mail; your password stays the same.`,
+  });
+};
+
+/**
+ * Finish a password reset. The token is consumed in the same transaction
+ * that sets the password, so it can't be redeemed twice.
+ * @param {string} token - From the reset link
+ * @param {string} newPassword
+ * @returns {Promise<Object>} The user whose password changed
+ */
+export const resetPassword = async (token, newPassword) => {
+  const problem = validateAccountFields({ password: newPassword });
+  if (problem) {
+    throw new AccountError(problem);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [hashToken(String(token))]
+    );
+    if (tokenResult.rows.length === 0) {
+      throw new AccountError('This password reset link is invalid or has expired');
+    }
+
+    const userResult = await client.query(
+      `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING ${USER_COLUMNS}`,
+      [await hashPassword(newPassword), tokenResult.rows[0].user_id]
+    );
+
+    await client.query('COMMIT');
+    return userResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * E-mail a verification link for the user's current address. Earlier unused
+ * links are revoked. Delivery problems are logged rather than thrown: the
+ * account change that triggered the e-mail has already happened and the user
+ * can ask for another link.
+ * @param {{id: number, username: string, email: string}} user
+ * @returns {Promise<boolean>} Whether the e-mail was handed to the transport
+ */
+export const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 hour'))`,
+    [user.id, user.email, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+  );
+
+  try {
+    const { delivered } = await sendEmail({
+      to: user.email,
+      subject: 'Confirm your Learning Platform e-mail address',
+      text: `Hi ${user.username},
+
+Please confirm that ${user.email} is your e-mail address by opening this link
+within ${EMAIL_VERIFICATION_TTL_HOURS} hours:
+
+${frontendLink(`/verify-email/${token}`)}
+
+If you didn't create a Learning Platform account, you can ignore this e-mail.`,
+    });
+    return delivered;
+  } catch (error) {
+    console.error(`❌ [Account] Verification e-mail to ${user.email} failed:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Send a fresh verification link to the account with this address. Unknown
+ * and already verified addresses are ignored silently so the endpoint can't
+ * be used to discover accounts.
+ * @param {string} email
+ */
+export const resendVerification = async (email) => {
+  const result = await pool.query(
+    `SELECT id, username, email FROM users
+     WHERE LOWER(email) = LOWER($1) AND email_verified_at IS NULL`,
+    [String(email).trim()]
+  );
+  if (result.rows[0]) {
+    await sendVerificationEmail(result.rows[0]);
+  }
+};
+
+/**
+ * Redeem a verification link. The token only counts while the account still
+ * has the address it was sent to.
+ * @param {string} token - From the verification link
+ * @returns {Promise<Object>} The verified user
+ */
+export const verifyEmail = async (token) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(
+      `UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id, email`,
+      [hashToken(String(token))]
+    );
+    if (tokenResult.rows.length === 0) {
+      throw new AccountError('This verification link is invalid or has expired');
+    }
+
+    const { user_id: userId, email } = tokenResult.rows[0];
+    const userResult = await client.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND LOWER(email) = LOWER($2)
+       RETURNING ${USER_COLUMNS}`,
+      [userId, email]
+    );
+    if (userResult.rows.length === 0) {
+      throw new AccountError('This verification link is for an address that is no longer on the account');
+    }
+
+    await client.query('COMMIT');
+    return userResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  MIN_USERNAME_LENGTH,
+  MIN_PASSWORD_LENGTH,
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  REQUIRE_EMAIL_VERIFICATION,
+  USER_COLUMNS,
+  AccountError,
+  formatUser,
+  validateAccountFields,
+  hashPassword,
+  getUser,
+  listUsers,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  resendVerification,
+  verifyEmail,
+};
@@ -0,0 +1,536 @@
+import pool from '../config/database.js';
+import { orchestrator } from '../agents/index.js';
+import { gradeAnswer } from './quizQuestionTypes.js';
+import { createQuizQuestion, formatReviewItem, toPublicQuestion } from './quizService.js';
+import { recordConceptSignals } from './conceptMasteryService.js';
+
+/** Probability of answering correctly that counts as mastery */
+export const MASTERY_THRESHOLD = 0.8;
+/** A session stops once it is this sure the learner is (or is not) above the threshold */
+export const CONFIDENCE_LEVEL = 0.9;
+export const MIN_QUESTIONS = 4;
+export const MAX_QUESTIONS = 15;
+
+// Concepts answered below this accuracy are practiced first
+const WEAK_CONCEPT_ACCURACY = 0.6;
+
+const DIFFICULTY_LEVELS = { easy: 0, medium: 1, hard: 2 };
+
+// A hard question answered correctly is stronger evidence of mastery than an
+// easy one, and missing an easy question is stronger evidence against it
+const SUCCESS_WEIGHT = { easy: 0.75, medium: 1, hard: 1.25 };
+const FAILURE_WEIGHT = { easy: 1.25, medium: 1, hard: 0.75 };
+
+/**
+ * Raised for session requests that cannot be served (rendered with its status)
+ */
+export class AdaptiveQuizError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdaptiveQuizError';
+    this.status = status;
+  }
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26)
+ * @private
+ */
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Summarize the Beta(alpha, beta) posterior over the probability of a correct
+ * answer. P(mastered) uses the normal approximation of the Beta distribution.
+ * @param {number} alpha
+ * @param {number} beta
+ * @returns {{estimate: number, pMastered: number, confidence: number}}
+ */
+export const estimateMastery = (alpha, beta) => {
+  const total = alpha + beta;
+  const estimate = alpha / total;
+  const variance = (alpha * beta) / (total * total * (total + 1));
+  const pMastered = normalCdf((estimate - MASTERY_THRESHOLD) / Math.sqrt(variance));
+
+  return {
+    estimate,
+    pMastered,
+    confidence: Math.max(pMastered, 1 - pMastered),
+  };
+};
+
+/**
+ * Update the posterior with a graded answer
+ * @param {{alpha: number, beta: number}} posterior
+ * @param {number} score - Credit between 0 and 1
+ * @param {'easy'|'medium'|'hard'} difficulty
+ */
+export const updateMastery = ({ alpha, beta }, score, difficulty = 'medium') => ({
+  alpha: alpha + SUCCESS_WEIGHT[difficulty] * score,
+  beta: beta + FAILURE_WEIGHT[difficulty] * (1 - score),
+});
+
+/**
+ * Why the session should stop, or null to keep asking
+ * @param {{alpha: number, beta: number}} posterior
+ * @param {number} answered
+ * @returns {'mastered'|'not_mastered'|'max_questions'|null}
+ */
+export const getStopReason = ({ alpha, beta }, answered) => {
+  if (answered >= MAX_QUESTIONS) return 'max_questions';
+  if (answered < MIN_QUESTIONS) return null;
+
+  const { pMastered } = estimateMastery(alpha, beta);
+  if (pMastered >= CONFIDENCE_LEVEL) return 'mastered';
+  if (1 - pMastered >= CONFIDENCE_LEVEL) return 'not_mastered';
+  return null;
+};
+
+/**
+ * Difficulty that keeps the learner near the edge of what they can do
+ * @private
+ */
+const targetDifficulty = (estimate) => {
+  if (estimate < 0.5) return 'easy';
+  if (estimate < 0.75) return 'medium';
+  return 'hard';
+};
+
+/**
+ * Concepts of a topic the learner answers poorly, weakest first. Combines
+ * regular quiz attempts and adaptive session answers.
+ */
+export const getWeakConcepts = async (userId, topicId) => {
+  const result = await pool.query(
+    `SELECT qq.concept, AVG(answers.credit) AS accuracy, COUNT(*) AS answered
+     FROM (
+       SELECT qa.question_id, COALESCE(qa.score, CASE WHEN qa.is_correct THEN 1 ELSE 0 END) AS credit
+       FROM quiz_answers qa
+       JOIN quiz_attempts att ON qa.attempt_id = att.id
+       WHERE att.user_id = $1
+       UNION ALL
+       SELECT si.question_id, si.score AS credit
+       FROM quiz_session_items si
+       JOIN quiz_sessions s ON si.session_id = s.id
+       WHERE s.user_id = $1 AND si.answered_at IS NOT NULL
+     ) answers
+     JOIN quiz_questions qq ON answers.question_id = qq.id
+     JOIN quizzes q ON qq.quiz_id = q.id
+     WHERE q.topic_id = $2 AND qq.concept IS NOT NULL
+     GROUP BY qq.concept
+     HAVING AVG(answers.credit) < $3
+     ORDER BY accuracy ASC`,
+    [userId, topicId, WEAK_CONCEPT_ACCURACY]
+  );
+
+  return result.rows.map((row) => ({
+    concept: row.concept,
+    accuracy: Number(row.accuracy),
+    answered: parseInt(row.answered),
+  }));
+};
+
+/**
+ * Rank the unasked questions of the topic. Weak concepts come first, then
+ * concepts the session has not covered, then questions whose difficulty is
+ * closest to the target.
+ * @private
+ */
+const rankCandidates = (candidates, { quizId, weakConcepts, sessionConcepts, difficulty }) => {
+  const weakRank = new Map(weakConcepts.map(({ concept }, index) => [concept, index]));
+
+  const scoreCandidate = (question) => {
+    let score = -Math.abs(DIFFICULTY_LEVELS[question.difficulty] - DIFFICULTY_LEVELS[difficulty]);
+    if (weakRank.has(question.concept)) score += 3 - Math.min(2, weakRank.get(question.concept));
+    if (question.concept && !sessionConcepts.has(question.concept)) score += 1;
+    if (question.quiz_id === quizId) score += 0.5;
+    return score;
+  };
+
+  return candidates
+    .map((question) => ({ question, score: scoreCandidate(question) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Ask LearningPathGenerator for a new question and save it for this session
+ * only; other learners of the quiz never see it
+ * @private
+ */
+const generateQuestion = async (session, { concept, difficulty, askedQuestions }) => {
+  const response = await orchestrator.communication.sendMessage(
+    'QuizController',
+    'LearningPathGenerator',
+    {
+      action: 'generate_quiz_question',
+      data: {
+        userId: session.user_id,
+        topicName: session.topic_name,
+        quizTitle: session.quiz_title,
+        concept,
+        difficulty,
+        avoidQuestions: askedQuestions,
+      },
+    }
+  );
+
+  if (!response.success) {
+    console.error('Adaptive question generation failed:', response.error);
+    return null;
+  }
+
+  const generated = response.data.question;
+  try {
+    const orderResult = await pool.query(
+      'SELECT COALESCE(MAX(order_index), 0) + 1 AS next_order FROM quiz_questions WHERE quiz_id = $1',
+      [session.quiz_id]
+    );
+    return await createQuizQuestion(
+      session.quiz_id,
+      { ...generated, correct_answer: generated.correctAnswer },
+      orderResult.rows[0].next_order,
+      pool,
+      { sessionId: session.id }
+    );
+  } catch (error) {
+    console.error('Generated adaptive question was rejected:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Pick (or generate) the next question for a session
+ * @private
+ */
+const selectNextQuestion = async (session, items) => {
+  const askedIds = items.map((item) => item.question_id);
+  const { estimate } = estimateMastery(Number(session.mastery_alpha), Number(session.mastery_beta));
+  const difficulty = targetDifficulty(estimate);
+
+  const [candidatesResult, weakConcepts] = await Promise.all([
+    pool.query(
+      `SELECT qq.*
+       FROM quiz_questions qq
+       JOIN quizzes q ON qq.quiz_id = q.id
+       WHERE q.topic_id = $1 AND NOT (qq.id = ANY($2::int[]))
+         AND (qq.session_id IS NULL OR qq.session_id = $3)`,
+      [session.topic_id, askedIds, session.id]
+    ),
+    getWeakConcepts(session.user_id, session.topic_id),
+  ]);
+
+  // Concepts the learner already got right in this session are no longer weak for it
+  const sessionConcepts = new Set(items.map((item) => item.concept).filter(Boolean));
+  const solvedConcepts = new Set(items.filter((item) => item.is_correct).map((item) => item.concept));
+  const openWeakConcepts = weakConcepts.filter(({ concept }) => !solvedConcepts.has(concept));
+
+  const ranked = rankCandidates(candidatesResult.rows, {
+    quizId: session.quiz_id,
+    weakConcepts: openWeakConcepts,
+    sessionConcepts,
+    difficulty,
+  });
+
+  // Generate a question when the pool is empty or has nothing left for the weakest concept
+  const weakest = openWeakConcepts[0]?.concept;
+  const poolCoversWeakest = !weakest || ranked.some(({ question }) => question.concept === weakest);
+
+  if (ranked.length === 0 || !poolCoversWeakest) {
+    const generated = await generateQuestion(session, {
+      concept: weakest || null,
+      difficulty,
+      askedQuestions: items.map((item) => item.question),
+    });
+    if (generated) return generated;
+  }
+
+  return ranked[0]?.question || null;
+};
+
+/**
+ * Load a session with its quiz and topic, scoped to the user
+ * @private
+ */
+const loadSession = async (userId, sessionId, db = pool) => {
+  const result = await db.query(
+    `SELECT s.*, q.title AS quiz_title, q.topic_id, t.name AS topic_name
+     FROM quiz_sessions s
+     JOIN quizzes q ON s.quiz_id = q.id
+     JOIN topics t ON q.topic_id = t.id
+     WHERE s.id = $1 AND s.user_id = $2`,
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AdaptiveQuizError('Quiz session not found', 404);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Session items joined with their questions, in the order they were asked
+ * @private
+ */
+const loadItems = async (sessionId) => {
+  const result = await pool.query(
+    `SELECT si.*, qq.type, qq.question, qq.options, qq.settings, qq.concept, qq.difficulty, qq.correct_answer
+     FROM quiz_session_items si
+     JOIN quiz_questions qq ON si.question_id = qq.id
+     WHERE si.session_id = $1
+     ORDER BY si.position ASC`,
+    [sessionId]
+  );
+  return result.rows;
+};
+
+/**
+ * Ask a question: record it as the session's current question
+ * @private
+ */
+const askQuestion = async (session, question, position) => {
+  await pool.query(
+    'INSERT INTO quiz_session_items (session_id, question_id, position) VALUES ($1, $2, $3)',
+    [session.id, question.id, position]
+  );
+  await pool.query(
+    'UPDATE quiz_sessions SET current_question_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [question.id, session.id]
+  );
+};
+
+/**
+ * @private
+ */
+const completeSession = async (sessionId, stopReason) => {
+  await pool.query(
+    `UPDATE quiz_sessions
+     SET status = 'completed', stop_reason = $1, current_question_id = NULL,
+         completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [stopReason, sessionId]
+  );
+};
+
+/**
+ * Session state for API responses. The current question never includes its answer key.
+ * @private
+ */
+const formatSession = (session, items) => {
+  const answered = items.filter((item) => item.answered_at);
+  const current = items.find((item) => item.question_id === session.current_question_id && !item.answered_at);
+  const mastery = estimateMastery(Number(session.mastery_alpha), Number(session.mastery_beta));
+
+  return {
+    id: session.id,
+    quizId: session.quiz_id,
+    status: session.status,
+    stopReason: session.stop_reason,
+    questionsAnswered: answered.length,
+    correctAnswers: answered.filter((item) => item.is_correct).length,
+    maxQuestions: MAX_QUESTIONS,
+    mastery: {
+      ...mastery,
+      threshold: MASTERY_THRESHOLD,
+      mastered: session.status === 'completed' ? session.stop_reason === 'mastered' : null,
+    },
+    currentQuestion: current ? toPublicQuestion({ ...current, id: current.question_id }) : null,
+    review: answered.map((item) => formatReviewItem({ ...item, id: item.question_id }, item)),
+    startedAt: session.started_at,
+    completedAt: session.completed_at,
+  };
+};
+
+/**
+ * Pick the next question or finish the session when nothing is left to ask
+ * @private
+ */
+const advanceSession = async (session, items) => {
+  const question = await selectNextQuestion(session, items);
+
+  if (!question) {
+    await completeSession(session.id, 'no_questions');
+  } else {
+    await askQuestion(session, question, items.length + 1);
+  }
+
+  const refreshed = await loadSession(session.user_id, session.id);
+  return formatSession(refreshed, await loadItems(session.id));
+};
+
+/**
+ * Start an adaptive session for a quiz, or resume the learner's active one
+ * @param {number} userId
+ * @param {number} quizId
+ */
+export const startSession = async (userId, quizId) => {
+  const quizResult = await pool.query(
+    `SELECT q.id, t.adaptive_quizzes
+     FROM quizzes q
+     JOIN topics t ON q.topic_id = t.id
+     WHERE q.id = $1`,
+    [quizId]
+  );
+
+  if (quizResult.rows.length === 0) {
+    throw new AdaptiveQuizError('Quiz not found', 404);
+  }
+  if (!quizResult.rows[0].adaptive_quizzes) {
+    throw new AdaptiveQuizError('Adaptive quizzes are not enabled for this topic');
+  }
+
+  const activeResult = await pool.query(
+    `SELECT id FROM quiz_sessions
+     WHERE user_id = $1 AND quiz_id = $2 AND status = 'active'
+     ORDER BY started_at DESC
+     LIMIT 1`,
+    [userId, quizId]
+  );
+
+  if (activeResult.rows.length > 0) {
+    const session = await loadSession(userId, activeResult.rows[0].id);
+    const items = await loadItems(session.id);
+
+    // A previous request may have failed between grading and picking the next question
+    if (!session.current_question_id) {
+      return advanceSession(session, items);
+    }
+    return formatSession(session, items);
+  }
+
+  const created = await pool.query(
+    'INSERT INTO quiz_sessions (user_id, quiz_id) VALUES ($1, $2) RETURNING id',
+    [userId, quizId]
+  );
+
+  const session = await loadSession(userId, created.rows[0].id);
+  return advanceSession(session, []);
+};
+
+/**
+ * Get a session's state and the review of the questions answered so far
+ */
+export const getSession = async (userId, sessionId) => {
+  const session = await loadSession(userId, sessionId);
+  return formatSession(session, await loadItems(session.id));
+};
+
+/**
+ * Grade the answer to the current question, update the mastery estimate and
+ * either finish the session or ask the next question
+ * @returns {Promise<{result: Object, session: Object}>} `result` is the review of the answered question
+ */
+export const answerQuestion = async (userId, sessionId, answer) => {
+  const session = await loadSession(userId, sessionId);
+
+  if (session.status !== 'active') {
+    throw new AdaptiveQuizError('Quiz session is already completed', 409);
+  }
+  if (!session.current_question_id) {
+    throw new AdaptiveQuizError('No question is waiting for an answer', 409);
+  }
+
+  const items = await loadItems(session.id);
+  const current = items.find((item) => item.question_id === session.current_question_id);
+  if (!current) {
+    throw new AdaptiveQuizError('No question is waiting for an answer', 409);
+  }
+  const question = { ...current, id: current.question_id };
+
+  // Graded before taking the lock so an LLM call does not hold a connection
+  const grading = await gradeAnswer(question, answer, { userId });
+  if (!grading) {
+    throw new AdaptiveQuizError('Answer does not match the question type');
+  }
+  // The question stays current, so the learner can submit the answer again
+  if (grading.ungraded) {
+    throw new AdaptiveQuizError('The answer could not be graded right now, please submit it again', 503);
+  }
+
+  const client = await pool.connect();
+  let posterior;
+
+  try {
+    await client.query('BEGIN');
+
+    // Another request may have answered the same question meanwhile
+    const locked = await client.query(
+      'SELECT * FROM quiz_sessions WHERE id = $1 FOR UPDATE',
+      [session.id]
+    );
+    if (locked.rows[0].current_question_id !== current.question_id || locked.rows[0].status !== 'active') {
+      throw new AdaptiveQuizError('This question was already answered', 409);
+    }
+
+    posterior = updateMastery(
+      { alpha: Number(locked.rows[0].mastery_alpha), beta: Number(locked.rows[0].mastery_beta) },
+      grading.score,
+      question.difficulty
+    );
+
+    await client.query(
+      `UPDATE quiz_session_items
+       SET selected_answer = $1, is_correct = $2, score = $3, feedback = $4, answered_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [JSON.stringify(answer), grading.isCorrect, grading.score, grading.feedback, current.id]
+    );
+
+    await client.query(
+      `UPDATE quiz_sessions
+       SET mastery_alpha = $1, mastery_beta = $2, current_question_id = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [posterior.alpha, posterior.beta, session.id]
+    );
+
+    await recordConceptSignals(
+      userId,
+      session.topic_id,
+      [{ concept: question.concept, signal: 'quiz_answer', credit: grading.score }],
+      client
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const result = formatReviewItem(question, {
+    selected_answer: answer,
+    is_correct: grading.isCorrect,
+    score: grading.score,
+    feedback: grading.feedback,
+  });
+
+  const updatedItems = await loadItems(session.id);
+  const answered = updatedItems.filter((item) => item.answered_at).length;
+  const stopReason = getStopReason(posterior, answered);
+  const updatedSession = { ...session, mastery_alpha: posterior.alpha, mastery_beta: posterior.beta };
+
+  if (stopReason) {
+    await completeSession(session.id, stopReason);
+    const completed = await loadSession(userId, session.id);
+    return { result, session: formatSession(completed, updatedItems) };
+  }
+
+  return { result, session: await advanceSession(updatedSession, updatedItems) };
+};
+
+export default {
+  MASTERY_THRESHOLD,
+  CONFIDENCE_LEVEL,
+  MIN_QUESTIONS,
+  MAX_QUESTIONS,
+  estimateMastery,
+  updateMastery,
+  getStopReason,
+  getWeakConcepts,
+  startSession,
+  getSession,
+  answerQuestion,
+};
@@ -1,19 +0,0 @@
-// This file contains the logic for generating recommendations.
-
-class RecommendationService {
-    constructor() {
-        // Initialize any necessary properties or dependencies here
-    }
-
-    generateRecommendations(userId) {
-        // Logic to generate recommendations based on userId
-        // This could involve querying a database or an external API
-        return [
-            // Example recommendations
-            { courseId: 1, title: "Introduction to AI", description: "Learn the basics of AI." },
-            { courseId: 2, title: "Advanced Machine Learning", description: "Deep dive into machine learning techniques." }
-        ];
-    }
-}
-
-module.exports = new RecommendationService();
\ No newline at end of file
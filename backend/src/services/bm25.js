@@ -0,0 +1,111 @@
+/**
+ * Okapi BM25 ranking for course documents. Chunks are indexed by their term
+ * counts; queries are scored against the chunks that share at least one term.
+ * Tokenization is deliberately simple (lowercase, accents folded, stop words
+ * and plural "s" dropped) so it behaves the same for English and Spanish notes.
+ */
+
+export const BM25_K1 = 1.2;
+export const BM25_B = 0.75;
+
+// Long enough to be meaningful, short enough to keep the index small
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+
+const STOP_WORDS = new Set([
+  // English
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'my', 'no', 'not', 'of', 'on', 'or',
+  'our', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'those', 'to', 'too', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your',
+  // Chat filler that says nothing about the content
+  'please', 'explain', 'tell',
+  // Spanish
+  'al', 'como', 'con', 'cual', 'de', 'del', 'el', 'ella', 'en', 'es', 'esta', 'este', 'esto', 'la', 'las',
+  'le', 'lo', 'los', 'mas', 'me', 'mi', 'muy', 'para', 'pero', 'por', 'que', 'se', 'si', 'sin', 'sobre',
+  'su', 'sus', 'un', 'una', 'uno', 'unos', 'unas', 'y', 'ya', 'yo',
+]);
+
+/**
+ * Fold a word to its index form
+ * @private
+ */
+const normalizeTerm = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) {
+    return word.slice(0, -1);
+  }
+  return word;
+};
+
+/**
+ * Split text into index terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => (
+  String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= MIN_TERM_LENGTH && word.length <= MAX_TERM_LENGTH && !STOP_WORDS.has(word))
+    .map(normalizeTerm)
+);
+
+/**
+ * Count each term's occurrences
+ * @param {string[]} terms
+ * @returns {Record<string, number>}
+ */
+export const countTerms = (terms) => {
+  const counts = {};
+  for (const term of terms) {
+    counts[term] = (counts[term] || 0) + 1;
+  }
+  return counts;
+};
+
+/**
+ * Inverse document frequency, never negative so very common terms still count a little
+ * @param {number} documentCount - Chunks in the collection
+ * @param {number} documentFrequency - Chunks containing the term
+ */
+export const idf = (documentCount, documentFrequency) => (
+  Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5))
+);
+
+/**
+ * Score one chunk against a query
+ * @param {Record<string, number>} queryCounts - Query term counts
+ * @param {{termCounts: Record<string, number>, length: number}} chunk
+ * @param {{documentCount: number, averageLength: number, documentFrequencies: Record<string, number>}} collection
+ * @param {{k1?: number, b?: number}} [parameters]
+ */
+export const scoreChunk = (
+  queryCounts,
+  { termCounts, length },
+  { documentCount, averageLength, documentFrequencies },
+  { k1 = BM25_K1, b = BM25_B } = {}
+) => {
+  let score = 0;
+  for (const [term, queryCount] of Object.entries(queryCounts)) {
+    const frequency = termCounts[term] || 0;
+    if (frequency === 0) continue;
+    const normalization = k1 * (1 - b + b * (length / (averageLength || 1)));
+    score += queryCount * idf(documentCount, documentFrequencies[term] || 0) *
+      ((frequency * (k1 + 1)) / (frequency + normalization));
+  }
+  return score;
+};
+
+export default {
+  BM25_K1,
+  BM25_B,
+  tokenize,
+  countTerms,
+  idf,
+  scoreChunk,
+};
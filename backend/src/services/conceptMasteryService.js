@@ -0,0 +1,283 @@
+import pool from '../config/database.js';
+
+/** Probability of knowing a concept at which it counts as mastered */
+export const MASTERY_THRESHOLD = 0.95;
+/** Below this probability the learner is struggling with the concept */
+export const STRUGGLING_THRESHOLD = 0.4;
+
+/**
+ * Bayesian knowledge tracing parameters shared by every concept:
+ * - pInit: chance the learner already knows a concept before any evidence
+ * - pTransit: chance of learning it at each practice opportunity
+ * - pSlip: chance of answering wrong despite knowing it
+ * - pGuess: chance of answering right without knowing it
+ */
+export const BKT_PARAMS = {
+  pInit: 0.3,
+  pTransit: 0.1,
+  pSlip: 0.1,
+  pGuess: 0.2,
+};
+
+/**
+ * Signals that update mastery. `weight` scales the evidence relative to a graded
+ * quiz answer (0 = no observation) and `practice` marks a learning opportunity.
+ */
+export const MASTERY_SIGNALS = {
+  // A graded quiz or adaptive session answer, with its credit (0-1)
+  quiz_answer: { weight: 1, practice: true },
+  // Working through a lesson that teaches the concept
+  lesson_completed: { weight: 0, practice: true },
+  // The learner said they were confused in the lesson chat; weaker than a wrong answer
+  chat_confusion: { weight: 0.5, practice: false },
+};
+
+const clampProbability = (p) => Math.min(0.9999, Math.max(0.0001, p));
+
+export const normalizeConcept = (concept) =>
+  typeof concept === 'string' ? concept.trim().replace(/\s+/g, ' ').slice(0, 255) : '';
+
+/**
+ * Clean a list of concept tags, dropping blanks, non-strings and duplicates
+ * @param {*} concepts
+ * @returns {string[]}
+ */
+export const normalizeConcepts = (concepts) =>
+  Array.isArray(concepts) ? [...new Set(concepts.map(normalizeConcept).filter(Boolean))] : [];
+
+/**
+ * Posterior probability of knowing the concept after an answer worth `credit`.
+ * Partial credit mixes the posteriors of a correct and an incorrect answer.
+ * @param {number} pKnown
+ * @param {number} credit - 0 (wrong) to 1 (right)
+ */
+const observe = (pKnown, credit) => {
+  const { pSlip, pGuess } = BKT_PARAMS;
+  const ifCorrect = (pKnown * (1 - pSlip)) / (pKnown * (1 - pSlip) + (1 - pKnown) * pGuess);
+  const ifWrong = (pKnown * pSlip) / (pKnown * pSlip + (1 - pKnown) * (1 - pGuess));
+  return credit * ifCorrect + (1 - credit) * ifWrong;
+};
+
+/**
+ * Apply one signal to a knowledge estimate
+ * @param {number} pKnown
+ * @param {keyof MASTERY_SIGNALS} signal
+ * @param {number} [credit] - Answer credit for observation signals
+ * @returns {number}
+ */
+export const updateKnowledge = (pKnown, signal, credit = 0) => {
+  const { weight, practice } = MASTERY_SIGNALS[signal];
+  let p = pKnown;
+
+  if (weight > 0) {
+    p += weight * (observe(p, credit) - p);
+  }
+  if (practice) {
+    p += (1 - p) * BKT_PARAMS.pTransit;
+  }
+
+  return clampProbability(p);
+};
+
+/**
+ * @param {number} pKnown
+ * @returns {'mastered'|'learning'|'struggling'}
+ */
+export const getMasteryLevel = (pKnown) => {
+  if (pKnown >= MASTERY_THRESHOLD) return 'mastered';
+  if (pKnown < STRUGGLING_THRESHOLD) return 'struggling';
+  return 'learning';
+};
+
+/**
+ * Apply a batch of signals for one user and topic, in order. Concepts match
+ * case-insensitively so "Closures" on a lesson and "closures" on a question
+ * share one estimate.
+ * @param {number} userId
+ * @param {number} topicId
+ * @param {Array<{concept: string, signal: keyof MASTERY_SIGNALS, credit?: number}>} signals
+ * @param {import('pg').Pool|import('pg').PoolClient} [db] - Pass a client to join its transaction
+ * @returns {Promise<number>} Number of concepts updated
+ */
+export const recordConceptSignals = async (userId, topicId, signals, db = pool) => {
+  const valid = signals
+    .map((entry) => ({ ...entry, concept: normalizeConcept(entry.concept) }))
+    .filter((entry) => entry.concept && MASTERY_SIGNALS[entry.signal]);
+
+  if (valid.length === 0) {
+    return 0;
+  }
+
+  const keys = [...new Set(valid.map((entry) => entry.concept.toLowerCase()))];
+  const existing = await db.query(
+    `SELECT concept, p_known FROM concept_mastery
+     WHERE user_id = $1 AND topic_id = $2 AND LOWER(concept) = ANY($3::text[])
+     FOR UPDATE`,
+    [userId, topicId, keys]
+  );
+
+  // lowercased concept -> running estimate
+  const estimates = new Map(existing.rows.map((row) => [
+    row.concept.toLowerCase(),
+    { concept: row.concept, pKnown: Number(row.p_known), observations: 0, credit: 0, lastSignal: null },
+  ]));
+
+  for (const { concept, signal, credit = 0 } of valid) {
+    const key = concept.toLowerCase();
+    if (!estimates.has(key)) {
+      estimates.set(key, { concept, pKnown: BKT_PARAMS.pInit, observations: 0, credit: 0, lastSignal: null });
+    }
+
+    const estimate = estimates.get(key);
+    estimate.pKnown = updateKnowledge(estimate.pKnown, signal, credit);
+    estimate.lastSignal = signal;
+    if (signal === 'quiz_answer') {
+      estimate.observations += 1;
+      estimate.credit += credit;
+    }
+  }
+
+  for (const estimate of estimates.values()) {
+    if (!estimate.lastSignal) continue;
+    await db.query(
+      `INSERT INTO concept_mastery (user_id, topic_id, concept, p_known, observations, correct_observations, last_signal)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id, topic_id, concept) DO UPDATE SET
+         p_known = EXCLUDED.p_known,
+         observations = concept_mastery.observations + EXCLUDED.observations,
+         correct_observations = concept_mastery.correct_observations + EXCLUDED.correct_observations,
+         last_signal = EXCLUDED.last_signal,
+         updated_at = CURRENT_TIMESTAMP`,
+      [userId, topicId, estimate.concept, estimate.pKnown, estimate.observations, estimate.credit, estimate.lastSignal]
+    );
+  }
+
+  return estimates.size;
+};
+
+/**
+ * Shape a concept_mastery row (or an untouched tagged concept) for the API
+ * @private
+ */
+const formatConcept = (row) => {
+  const pKnown = row.p_known === undefined ? BKT_PARAMS.pInit : Number(row.p_known);
+  const observations = row.observations || 0;
+  return {
+    topicId: row.topic_id,
+    topicName: row.topic_name || null,
+    concept: row.concept,
+    pKnown: Math.round(pKnown * 1000) / 1000,
+    level: observations > 0 || row.last_signal ? getMasteryLevel(pKnown) : 'not_started',
+    observations,
+    accuracy: observations > 0 ? Math.round((Number(row.correct_observations) / observations) * 100) / 100 : null,
+    lastSignal: row.last_signal || null,
+    updatedAt: row.updated_at || null,
+  };
+};
+
+/**
+ * Concepts tagged on a topic's lessons and quiz questions
+ * @private
+ */
+const getTopicConcepts = async (topicId) => {
+  const result = await pool.query(
+    `SELECT DISTINCT concept FROM (
+       SELECT jsonb_array_elements_text(concepts) AS concept FROM lessons WHERE topic_id = $1
+       UNION ALL
+       SELECT concept FROM quiz_questions qq
+       JOIN quizzes q ON qq.quiz_id = q.id
+       WHERE q.topic_id = $1 AND qq.concept IS NOT NULL AND qq.session_id IS NULL
+     ) tagged`,
+    [topicId]
+  );
+  return result.rows.map((row) => normalizeConcept(row.concept)).filter(Boolean);
+};
+
+/**
+ * Mastery estimates for a user, weakest first. With a topic, concepts tagged on
+ * the topic that have no evidence yet are included as `not_started`.
+ * @param {number} userId
+ * @param {{topicId?: number}} [options]
+ */
+export const getConceptMastery = async (userId, { topicId } = {}) => {
+  const params = [userId];
+  let topicFilter = '';
+  if (topicId) {
+    params.push(topicId);
+    topicFilter = 'AND cm.topic_id = $2';
+  }
+
+  const result = await pool.query(
+    `SELECT cm.*, t.name AS topic_name
+     FROM concept_mastery cm
+     JOIN topics t ON cm.topic_id = t.id
+     WHERE cm.user_id = $1 ${topicFilter}
+     ORDER BY cm.p_known ASC, cm.concept ASC`,
+    params
+  );
+
+  const concepts = result.rows.map(formatConcept);
+
+  if (topicId) {
+    const seen = new Set(concepts.map(({ concept }) => concept.toLowerCase()));
+    for (const concept of await getTopicConcepts(topicId)) {
+      if (seen.has(concept.toLowerCase())) continue;
+      seen.add(concept.toLowerCase());
+      concepts.push(formatConcept({ topic_id: Number(topicId), topic_name: result.rows[0]?.topic_name, concept }));
+    }
+  }
+
+  return concepts;
+};
+
+/**
+ * Group concept names by mastery level
+ * @param {ReturnType<typeof formatConcept>[]} concepts
+ * @returns {{mastered: string[], learning: string[], struggling: string[], notStarted: string[]}}
+ */
+export const summarizeMastery = (concepts) => {
+  const summary = { mastered: [], learning: [], struggling: [], notStarted: [] };
+  for (const { concept, level } of concepts) {
+    summary[level === 'not_started' ? 'notStarted' : level].push(concept);
+  }
+  return summary;
+};
+
+/**
+ * Render mastery estimates as a prompt section, or '' when there is no evidence yet
+ * @param {ReturnType<typeof formatConcept>[]} concepts
+ * @returns {string}
+ */
+export const describeMasteryForPrompt = (concepts = []) => {
+  const observed = concepts.filter(({ level }) => level !== 'not_started');
+  if (observed.length === 0) {
+    return '';
+  }
+
+  const line = ({ concept, pKnown, observations }) =>
+    `- ${concept}: ${Math.round(pKnown * 100)}% likely known (${observations} graded answer${observations === 1 ? '' : 's'})`;
+  const group = (level) => observed.filter((entry) => entry.level === level).map(line).join('\n');
+  const sections = [
+    ['STRUGGLING (re-explain from basics, check understanding)', group('struggling')],
+    ['STILL LEARNING (reinforce with practice)', group('learning')],
+    ['MASTERED (do not re-teach, build on them)', group('mastered')],
+  ].filter(([, lines]) => lines);
+
+  return `STUDENT CONCEPT MASTERY (knowledge-tracing estimates from quiz answers and lesson activity):
+${sections.map(([title, lines]) => `${title}:\n${lines}`).join('\n')}`;
+};
+
+export default {
+  MASTERY_THRESHOLD,
+  STRUGGLING_THRESHOLD,
+  BKT_PARAMS,
+  MASTERY_SIGNALS,
+  normalizeConcept,
+  normalizeConcepts,
+  updateKnowledge,
+  getMasteryLevel,
+  recordConceptSignals,
+  getConceptMastery,
+  summarizeMastery,
+  describeMasteryForPrompt,
+};
@@ -0,0 +1,82 @@
+import { estimateTokens } from '../agents/core/usageTracking.js';
+
+/**
+ * Prompt side of conversation memory: the memory kinds the analyzer may
+ * record and how remembered context is rendered for the tutor. Kept apart
+ * from conversationMemoryService, which sends messages through the
+ * orchestrator, so agents can import it without an import cycle.
+ */
+
+export const MEMORY_KINDS = ['misconception', 'solved_problem', 'goal'];
+
+// Prompt tokens for memory; the lesson summary may use up to SUMMARY_SHARE of them
+export const MEMORY_TOKEN_BUDGET = parseInt(process.env.CONVERSATION_MEMORY_TOKENS) || 600;
+const SUMMARY_SHARE = 0.6;
+
+// Memories per kind in a prompt, so one kind can't crowd out the others
+const MAX_PROMPT_MEMORIES_PER_KIND = 8;
+
+// Prompt order: what the tutor most needs to act on first
+const MEMORY_SECTIONS = [
+  ['misconception', 'MISCONCEPTIONS SEEN BEFORE (check they are cleared up before building on them)'],
+  ['goal', 'STATED GOALS (connect explanations to them)'],
+  ['solved_problem', 'PROBLEMS ALREADY SOLVED (refer back to them instead of re-teaching)'],
+];
+
+/**
+ * Cut text to roughly `tokens` tokens at a word boundary
+ * @private
+ */
+const truncateToTokens = (text, tokens) => {
+  if (estimateTokens(text) <= tokens) return text;
+  const cut = text.slice(0, Math.max(tokens * 4 - 1, 0));
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).trimEnd()}…`;
+};
+
+/**
+ * Render conversation memory as a prompt section of at most `tokenBudget`
+ * tokens, or '' when nothing is remembered. The summary is shortened to its
+ * share of the budget; memories fill the rest in MEMORY_SECTIONS order.
+ * @param {{summary?: string|null, memories?: {kind: string, content: string}[]}|null} memory - From loadConversationMemory
+ * @param {number} [tokenBudget]
+ * @returns {string}
+ */
+export const describeMemoryForPrompt = (memory, tokenBudget = MEMORY_TOKEN_BUDGET) => {
+  const { summary = null, memories = [] } = memory || {};
+  if (!summary && memories.length === 0) {
+    return '';
+  }
+
+  const header = 'LEARNER MEMORY (from earlier conversations; use it, but don\'t recite it to the student):';
+  let remaining = tokenBudget - estimateTokens(header);
+  const parts = [header];
+
+  if (summary) {
+    const summaryText = `EARLIER IN THIS LESSON: ${truncateToTokens(summary, Math.floor(tokenBudget * SUMMARY_SHARE))}`;
+    parts.push(summaryText);
+    remaining -= estimateTokens(summaryText);
+  }
+
+  for (const [kind, title] of MEMORY_SECTIONS) {
+    const lines = [];
+    let cost = estimateTokens(title);
+    for (const memory of memories.filter((entry) => entry.kind === kind).slice(0, MAX_PROMPT_MEMORIES_PER_KIND)) {
+      const line = `- ${memory.content}`;
+      if (cost + estimateTokens(line) > remaining) break;
+      lines.push(line);
+      cost += estimateTokens(line);
+    }
+    if (lines.length > 0) {
+      parts.push(`${title}:\n${lines.join('\n')}`);
+      remaining -= cost;
+    }
+  }
+
+  return parts.length > 1 ? parts.join('\n') : '';
+};
+
+export default {
+  MEMORY_KINDS,
+  MEMORY_TOKEN_BUDGET,
+  describeMemoryForPrompt,
+};
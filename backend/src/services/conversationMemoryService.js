@@ -0,0 +1,224 @@
+import pool from '../config/database.js';
+import { orchestrator } from '../agents/index.js';
+import { hasQuota } from './quotaService.js';
+
+/**
+ * What the tutor remembers beyond the last few messages: a rolling summary
+ * of each lesson's chat, and learner memories that follow the learner across
+ * lessons. Both are updated by ConversationAnalyzer after every chat turn.
+ * The prompt rendering lives in conversationMemoryPrompt.js, which the agents
+ * import; this module talks to the orchestrator, so they must not import it.
+ */
+
+// Messages folded into the summary per update, each cut to MAX_MESSAGE_CHARS
+const MAX_MESSAGES_PER_UPDATE = 30;
+const MAX_MESSAGE_CHARS = 1500;
+
+// Unresolved memories kept per learner; the least recently seen go first
+export const MAX_ACTIVE_MEMORIES = 60;
+
+/**
+ * @private
+ */
+const formatMemory = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  content: row.content,
+  lessonId: row.lesson_id,
+  topicId: row.topic_id,
+  resolvedAt: row.resolved_at,
+  lastSeenAt: row.last_seen_at,
+  createdAt: row.created_at,
+});
+
+/**
+ * The rolling summary of a learner's chat in a lesson, or null before the first update
+ * @param {number} userId
+ * @param {number} lessonId
+ */
+export const getLessonSummary = async (userId, lessonId) => {
+  const result = await pool.query(
+    'SELECT * FROM lesson_summaries WHERE user_id = $1 AND lesson_id = $2',
+    [userId, lessonId]
+  );
+  const row = result.rows[0];
+  return row
+    ? { lessonId: row.lesson_id, summary: row.summary, lastMessageId: row.last_message_id, messageCount: row.message_count, updatedAt: row.updated_at }
+    : null;
+};
+
+/**
+ * Forget a lesson's summary, e.g. when its chat is cleared
+ */
+export const clearLessonSummary = async (userId, lessonId) => {
+  await pool.query('DELETE FROM lesson_summaries WHERE user_id = $1 AND lesson_id = $2', [userId, lessonId]);
+};
+
+/**
+ * A learner's memories, most recently seen first
+ * @param {number} userId
+ * @param {{includeResolved?: boolean}} [options]
+ * @returns {Promise<ReturnType<typeof formatMemory>[]>}
+ */
+export const getLearnerMemories = async (userId, { includeResolved = false } = {}) => {
+  const result = await pool.query(
+    `SELECT * FROM learner_memories
+     WHERE user_id = $1 ${includeResolved ? '' : 'AND resolved_at IS NULL'}
+     ORDER BY resolved_at IS NOT NULL, last_seen_at DESC, id DESC`,
+    [userId]
+  );
+  return result.rows.map(formatMemory);
+};
+
+/**
+ * @returns {Promise<boolean>} Whether the memory existed
+ */
+export const deleteLearnerMemory = async (userId, memoryId) => {
+  const result = await pool.query(
+    'DELETE FROM learner_memories WHERE id = $1 AND user_id = $2 RETURNING id',
+    [memoryId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Everything remembered for a chat turn: the lesson's summary and the learner's active memories
+ * @param {number} userId
+ * @param {number|null} lessonId
+ * @returns {Promise<{summary: string|null, memories: ReturnType<typeof formatMemory>[]}>}
+ */
+export const loadConversationMemory = async (userId, lessonId) => {
+  const [summary, memories] = await Promise.all([
+    lessonId ? getLessonSummary(userId, lessonId) : null,
+    getLearnerMemories(userId),
+  ]);
+  return { summary: summary?.summary || null, memories };
+};
+
+/**
+ * Fold the lesson's new chat messages, oldest first and at most
+ * MAX_MESSAGES_PER_UPDATE of them, into its summary and update the
+ * learner's memories. Meant to run after a turn without holding up the reply;
+ * when two updates race, the one that covers fewer messages is dropped.
+ * @param {{id: number, role?: string}} user
+ * @param {{id: number, topic_id: number, title: string, topic_name?: string}} lesson
+ * @returns {Promise<{summary: string, added: number, resolved: number}|null>} null when there was nothing to do
+ */
+export const updateConversationMemory = async (user, lesson) => {
+  const current = await getLessonSummary(user.id, lesson.id);
+  const messagesResult = await pool.query(
+    `SELECT id, message, is_user FROM chat_messages
+     WHERE user_id = $1 AND lesson_id = $2 AND id > $3
+     ORDER BY id ASC
+     LIMIT $4`,
+    [user.id, lesson.id, current?.lastMessageId || 0, MAX_MESSAGES_PER_UPDATE]
+  );
+  const messages = messagesResult.rows;
+
+  if (messages.length === 0 || !(await hasQuota(user.id))) {
+    return null;
+  }
+
+  const memories = await getLearnerMemories(user.id);
+  const response = await orchestrator.communication.sendMessage(
+    'ConversationMemoryService',
+    'ConversationAnalyzer',
+    {
+      action: 'update_memory',
+      data: {
+        userId: user.id,
+        lessonId: lesson.id,
+        lessonContext: { title: lesson.title, topic: lesson.topic_name },
+        previousSummary: current?.summary || null,
+        newMessages: messages.map((row) => ({
+          isUser: row.is_user,
+          message: row.message.length > MAX_MESSAGE_CHARS ? `${row.message.slice(0, MAX_MESSAGE_CHARS)}…` : row.message,
+        })),
+        memories: memories.map(({ id, kind, content }) => ({ id, kind, content })),
+      },
+    }
+  );
+
+  if (!response.success) {
+    throw new Error(`Conversation memory update failed: ${response.error}`);
+  }
+
+  const { summary, newMemories, resolvedMemoryIds, reinforcedMemoryIds } = response.data.memory;
+  // Only as far as what was summarized: a backlog longer than one update is
+  // picked up, oldest first, by the next ones
+  const lastMessageId = messages[messages.length - 1].id;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const summaryResult = await client.query(
+      `INSERT INTO lesson_summaries (user_id, lesson_id, summary, last_message_id, message_count)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, lesson_id) DO UPDATE SET
+         summary = EXCLUDED.summary,
+         last_message_id = EXCLUDED.last_message_id,
+         message_count = lesson_summaries.message_count + EXCLUDED.message_count,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE lesson_summaries.last_message_id < EXCLUDED.last_message_id
+       RETURNING id`,
+      [user.id, lesson.id, summary, lastMessageId, messages.length]
+    );
+    if (summaryResult.rows.length === 0) {
+      // A concurrent update already covered these messages
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (newMemories.length > 0) {
+      await client.query(
+        `INSERT INTO learner_memories (user_id, kind, content, lesson_id, topic_id)
+         SELECT $1::int, memory.kind, memory.content, $4::int, $5::int
+         FROM unnest($2::text[], $3::text[]) AS memory(kind, content)`,
+        [user.id, newMemories.map(({ kind }) => kind), newMemories.map(({ content }) => content), lesson.id, lesson.topic_id]
+      );
+    }
+    if (resolvedMemoryIds.length > 0) {
+      await client.query(
+        `UPDATE learner_memories SET resolved_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND id = ANY($2::int[]) AND resolved_at IS NULL`,
+        [user.id, resolvedMemoryIds]
+      );
+    }
+    if (reinforcedMemoryIds.length > 0) {
+      await client.query(
+        'UPDATE learner_memories SET last_seen_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND id = ANY($2::int[])',
+        [user.id, reinforcedMemoryIds]
+      );
+    }
+
+    // Keep the prompt-facing set bounded
+    await client.query(
+      `DELETE FROM learner_memories WHERE id IN (
+         SELECT id FROM learner_memories
+         WHERE user_id = $1 AND resolved_at IS NULL
+         ORDER BY last_seen_at DESC, id DESC
+         OFFSET $2
+       )`,
+      [user.id, MAX_ACTIVE_MEMORIES]
+    );
+
+    await client.query('COMMIT');
+    return { summary, added: newMemories.length, resolved: resolvedMemoryIds.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  MAX_ACTIVE_MEMORIES,
+  getLessonSummary,
+  clearLessonSummary,
+  getLearnerMemories,
+  deleteLearnerMemory,
+  loadConversationMemory,
+  updateConversationMemory,
+};
@@ -0,0 +1,429 @@
+import pool from '../config/database.js';
+import { normalizeConcepts } from './conceptMasteryService.js';
+import { normalizeQuestion, QuestionValidationError } from './quizQuestionTypes.js';
+import { createQuizQuestion } from './quizService.js';
+import { addPrerequisite, findCycle } from './prerequisiteService.js';
+import { createZip, readZip } from './zipArchive.js';
+
+export const PACKAGE_FORMAT = 'learning-platform-course';
+/** Bump when the package layout changes; older versions must stay importable */
+export const PACKAGE_VERSION = 1;
+
+export const PACKAGE_LIMITS = {
+  lessons: 200,
+  quizzes: 200,
+  questionsPerQuiz: 100,
+  flashcards: 2000,
+};
+
+const MANIFEST_FILE = 'manifest.json';
+const COURSE_FILE = 'course.json';
+
+/**
+ * Raised for packages that cannot be imported. `details` lists every problem
+ * found, each prefixed with its location in the package.
+ */
+export class CoursePackageError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'CoursePackageError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Build a portable package from a topic. Learner-specific data (progress, chat,
+ * attempts, mastery, re-plan review lessons) is left out; ids are replaced by
+ * package-local refs such as "lesson-1".
+ * @param {number} topicId
+ * @param {{includeFlashcards?: boolean}} [options]
+ */
+export const exportTopic = async (topicId, { includeFlashcards = false } = {}) => {
+  const topicResult = await pool.query('SELECT * FROM topics WHERE id = $1', [topicId]);
+  const topic = topicResult.rows[0];
+
+  const [lessonsResult, quizzesResult, questionsResult, prerequisitesResult, pathResult] = await Promise.all([
+    pool.query(
+      'SELECT * FROM lessons WHERE topic_id = $1 AND NOT remedial ORDER BY order_index, id',
+      [topicId]
+    ),
+    pool.query('SELECT * FROM quizzes WHERE topic_id = $1 ORDER BY order_index, id', [topicId]),
+    pool.query(
+      `SELECT qq.* FROM quiz_questions qq
+       JOIN quizzes q ON qq.quiz_id = q.id
+       WHERE q.topic_id = $1 AND qq.session_id IS NULL
+       ORDER BY qq.order_index, qq.id`,
+      [topicId]
+    ),
+    pool.query('SELECT * FROM prerequisites WHERE topic_id = $1 ORDER BY id', [topicId]),
+    pool.query('SELECT * FROM learning_paths WHERE topic_id = $1 AND user_id = $2', [topicId, topic.user_id]),
+  ]);
+
+  const lessonRefs = new Map(lessonsResult.rows.map((lesson, index) => [lesson.id, `lesson-${index + 1}`]));
+  const quizRefs = new Map(quizzesResult.rows.map((quiz, index) => [quiz.id, `quiz-${index + 1}`]));
+  const refOf = (lessonId, quizId) => (lessonId ? lessonRefs.get(lessonId) : quizRefs.get(quizId));
+
+  const pkg = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    topic: {
+      name: topic.name,
+      description: topic.description,
+      adaptiveQuizzes: topic.adaptive_quizzes,
+    },
+    lessons: lessonsResult.rows.map((lesson) => ({
+      ref: lessonRefs.get(lesson.id),
+      title: lesson.title,
+      content: lesson.content,
+      orderIndex: lesson.order_index,
+      concepts: lesson.concepts,
+    })),
+    quizzes: quizzesResult.rows.map((quiz) => ({
+      ref: quizRefs.get(quiz.id),
+      title: quiz.title,
+      description: quiz.description,
+      orderIndex: quiz.order_index,
+      questions: questionsResult.rows
+        .filter((question) => question.quiz_id === quiz.id)
+        .map((question) => ({
+          type: question.type,
+          question: question.question,
+          options: question.options,
+          settings: question.settings,
+          correctAnswer: question.correct_answer,
+          concept: question.concept,
+          difficulty: question.difficulty,
+        })),
+    })),
+    // Edges touching left-out review lessons are dropped with them
+    prerequisites: prerequisitesResult.rows
+      .map((row) => ({
+        item: refOf(row.lesson_id, row.quiz_id),
+        requires: refOf(row.required_lesson_id, row.required_quiz_id),
+      }))
+      .filter(({ item, requires }) => item && requires),
+    learningPath: null,
+  };
+
+  const path = pathResult.rows[0];
+  if (path) {
+    const titles = new Set(pkg.lessons.map((lesson) => lesson.title));
+    pkg.learningPath = {
+      totalLessons: pkg.lessons.length,
+      estimatedDurationHours: path.estimated_duration_hours === null ? null : Number(path.estimated_duration_hours),
+      lessons: (path.lesson_outline || [])
+        .filter((entry) => !entry.remedial && titles.has(entry.title))
+        .map(({ lessonId: _lessonId, remedial: _remedial, skipped: _skipped, ...entry }) => entry),
+    };
+  }
+
+  if (includeFlashcards) {
+    const flashcardsResult = await pool.query(
+      `SELECT f.* FROM flashcards f
+       JOIN lessons l ON f.lesson_id = l.id
+       WHERE l.topic_id = $1 AND f.user_id = $2
+       ORDER BY f.id`,
+      [topicId, topic.user_id]
+    );
+    pkg.flashcards = flashcardsResult.rows
+      .filter((card) => lessonRefs.has(card.lesson_id))
+      .map((card) => ({
+        lesson: lessonRefs.get(card.lesson_id),
+        front: card.front,
+        back: card.back,
+        difficulty: card.difficulty,
+        tags: card.tags,
+        hint: card.hint,
+        mnemonic: card.mnemonic,
+        example: card.example,
+      }));
+  }
+
+  return pkg;
+};
+
+/**
+ * Pack a package as a ZIP with a small manifest next to the course data
+ * @param {Object} pkg
+ * @returns {Buffer}
+ */
+export const packageToZip = (pkg) => {
+  const manifest = {
+    format: pkg.format,
+    version: pkg.version,
+    exportedAt: pkg.exportedAt,
+    topic: pkg.topic.name,
+    contents: {
+      lessons: pkg.lessons.length,
+      quizzes: pkg.quizzes.length,
+      questions: pkg.quizzes.reduce((sum, quiz) => sum + quiz.questions.length, 0),
+      flashcards: pkg.flashcards?.length || 0,
+    },
+    file: COURSE_FILE,
+  };
+
+  return createZip([
+    { name: MANIFEST_FILE, data: JSON.stringify(manifest, null, 2) },
+    { name: COURSE_FILE, data: JSON.stringify(pkg, null, 2) },
+  ]);
+};
+
+/**
+ * Read a package from an uploaded ZIP or JSON file
+ * @param {Buffer} buffer
+ * @returns {Object}
+ */
+export const parsePackageFile = (buffer) => {
+  const isZip = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  let json = buffer;
+
+  if (isZip) {
+    json = readZip(buffer).get(COURSE_FILE);
+    if (!json) {
+      throw new CoursePackageError(`ZIP package is missing ${COURSE_FILE}`);
+    }
+  }
+
+  try {
+    return JSON.parse(json.toString('utf8'));
+  } catch {
+    throw new CoursePackageError(`${isZip ? COURSE_FILE : 'Package'} is not valid JSON`);
+  }
+};
+
+/**
+ * Check a package before anything is written. Returns the package with
+ * questions normalized for storage; throws CoursePackageError listing every problem.
+ * @param {Object} pkg
+ */
+export const validatePackage = (pkg) => {
+  if (!pkg || typeof pkg !== 'object' || pkg.format !== PACKAGE_FORMAT) {
+    throw new CoursePackageError(`Not a course package (expected format "${PACKAGE_FORMAT}")`);
+  }
+  if (!Number.isInteger(pkg.version) || pkg.version < 1) {
+    throw new CoursePackageError('Package version is missing');
+  }
+  if (pkg.version > PACKAGE_VERSION) {
+    throw new CoursePackageError(
+      `Package version ${pkg.version} is newer than this server supports (${PACKAGE_VERSION})`
+    );
+  }
+
+  const errors = [];
+  const lessons = Array.isArray(pkg.lessons) ? pkg.lessons : [];
+  const quizzes = Array.isArray(pkg.quizzes) ? pkg.quizzes : [];
+  const flashcards = Array.isArray(pkg.flashcards) ? pkg.flashcards : [];
+
+  if (!isNonEmptyString(pkg.topic?.name)) errors.push('topic.name is required');
+  if (!Array.isArray(pkg.lessons)) errors.push('lessons must be an array');
+  if (!Array.isArray(pkg.quizzes)) errors.push('quizzes must be an array');
+  if (pkg.flashcards !== undefined && !Array.isArray(pkg.flashcards)) errors.push('flashcards must be an array');
+  if (lessons.length > PACKAGE_LIMITS.lessons) errors.push(`A package can hold at most ${PACKAGE_LIMITS.lessons} lessons`);
+  if (quizzes.length > PACKAGE_LIMITS.quizzes) errors.push(`A package can hold at most ${PACKAGE_LIMITS.quizzes} quizzes`);
+  if (flashcards.length > PACKAGE_LIMITS.flashcards) {
+    errors.push(`A package can hold at most ${PACKAGE_LIMITS.flashcards} flashcards`);
+  }
+
+  const refs = new Map(); // ref -> 'lesson' | 'quiz'
+  const checkRef = (ref, type, path) => {
+    if (!isNonEmptyString(ref)) {
+      errors.push(`${path}.ref is required`);
+    } else if (refs.has(ref)) {
+      errors.push(`${path}.ref "${ref}" is used more than once`);
+    } else {
+      refs.set(ref, type);
+    }
+  };
+
+  lessons.forEach((lesson, index) => {
+    const path = `lessons[${index}]`;
+    checkRef(lesson?.ref, 'lesson', path);
+    if (!isNonEmptyString(lesson?.title)) errors.push(`${path}.title is required`);
+    if (lesson?.concepts !== undefined && !Array.isArray(lesson.concepts)) errors.push(`${path}.concepts must be an array`);
+  });
+
+  const normalizedQuizzes = quizzes.map((quiz, index) => {
+    const path = `quizzes[${index}]`;
+    checkRef(quiz?.ref, 'quiz', path);
+    if (!isNonEmptyString(quiz?.title)) errors.push(`${path}.title is required`);
+
+    const questions = Array.isArray(quiz?.questions) ? quiz.questions : [];
+    if (!Array.isArray(quiz?.questions)) errors.push(`${path}.questions must be an array`);
+    if (questions.length > PACKAGE_LIMITS.questionsPerQuiz) {
+      errors.push(`${path} can hold at most ${PACKAGE_LIMITS.questionsPerQuiz} questions`);
+    }
+
+    return {
+      ...quiz,
+      questions: questions.map((question, questionIndex) => {
+        try {
+          return normalizeQuestion({ ...question, correct_answer: question?.correctAnswer });
+        } catch (error) {
+          if (!(error instanceof QuestionValidationError)) throw error;
+          errors.push(`${path}.questions[${questionIndex}]: ${error.message}`);
+          return null;
+        }
+      }),
+    };
+  });
+
+  const listedPrerequisites = Array.isArray(pkg.prerequisites) ? pkg.prerequisites : [];
+  if (pkg.prerequisites !== undefined && !Array.isArray(pkg.prerequisites)) errors.push('prerequisites must be an array');
+  listedPrerequisites.forEach((edge, index) => {
+    for (const field of ['item', 'requires']) {
+      if (!refs.has(edge?.[field])) errors.push(`prerequisites[${index}].${field} "${edge?.[field]}" is not a lesson or quiz ref`);
+    }
+  });
+  // An edge listed twice is stored once (the prerequisites table allows each edge once)
+  const prerequisites = [
+    ...new Map(listedPrerequisites.map((edge) => [JSON.stringify([edge?.item, edge?.requires]), edge])).values(),
+  ];
+  if (errors.length === 0) {
+    const cycle = findCycle([...refs.keys()], prerequisites.map((edge) => ({ from: edge.requires, to: edge.item })));
+    if (cycle) errors.push(`prerequisites contain a cycle: ${cycle.join(' → ')}`);
+  }
+
+  flashcards.forEach((card, index) => {
+    const path = `flashcards[${index}]`;
+    if (!isNonEmptyString(card?.front) || !isNonEmptyString(card?.back)) errors.push(`${path} needs a front and a back`);
+    if (card?.lesson != null && refs.get(card.lesson) !== 'lesson') errors.push(`${path}.lesson "${card.lesson}" is not a lesson ref`);
+  });
+
+  if (errors.length > 0) {
+    throw new CoursePackageError(`Invalid course package (${errors.length} problem${errors.length === 1 ? '' : 's'})`, errors);
+  }
+
+  return { ...pkg, lessons, quizzes: normalizedQuizzes, prerequisites, flashcards };
+};
+
+/**
+ * Create a new topic owned by `userId` from a package, all in one transaction.
+ * Package refs are remapped to the new row ids.
+ * @param {number} userId
+ * @param {Object} rawPackage
+ * @returns {Promise<{topic: Object, imported: Object}>}
+ */
+export const importPackage = async (userId, rawPackage) => {
+  const pkg = validatePackage(rawPackage);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const topicResult = await client.query(
+      'INSERT INTO topics (name, description, user_id, adaptive_quizzes) VALUES ($1, $2, $3, $4) RETURNING *',
+      [pkg.topic.name.trim(), pkg.topic.description || null, userId, Boolean(pkg.topic.adaptiveQuizzes)]
+    );
+    const topic = topicResult.rows[0];
+
+    const items = new Map(); // ref -> {type, id} of the new row
+    for (const [index, lesson] of pkg.lessons.entries()) {
+      const result = await client.query(
+        `INSERT INTO lessons (topic_id, title, content, order_index, concepts)
+         VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+        [
+          topic.id,
+          lesson.title.trim(),
+          lesson.content || null,
+          Number.isInteger(lesson.orderIndex) ? lesson.orderIndex : index + 1,
+          JSON.stringify(normalizeConcepts(lesson.concepts)),
+        ]
+      );
+      items.set(lesson.ref, { type: 'lesson', id: result.rows[0].id });
+    }
+
+    let questionCount = 0;
+    for (const [index, quiz] of pkg.quizzes.entries()) {
+      const result = await client.query(
+        `INSERT INTO quizzes (topic_id, title, description, order_index)
+         VALUES ($1, $2, $3, $4) RETURNING id`,
+        [topic.id, quiz.title.trim(), quiz.description || null, Number.isInteger(quiz.orderIndex) ? quiz.orderIndex : index + 1]
+      );
+      items.set(quiz.ref, { type: 'quiz', id: result.rows[0].id });
+
+      for (const [questionIndex, question] of quiz.questions.entries()) {
+        await createQuizQuestion(
+          result.rows[0].id,
+          { ...question, correct_answer: question.correctAnswer },
+          questionIndex + 1,
+          client
+        );
+        questionCount++;
+      }
+    }
+
+    for (const edge of pkg.prerequisites) {
+      await addPrerequisite(topic.id, items.get(edge.item), items.get(edge.requires), client);
+    }
+
+    // The exported outline keeps generated details; without one it is rebuilt from the lessons
+    const lessonIdsByTitle = new Map(pkg.lessons.map((lesson) => [lesson.title, items.get(lesson.ref).id]));
+    const outlineEntries = Array.isArray(pkg.learningPath?.lessons) && pkg.learningPath.lessons.length > 0
+      ? pkg.learningPath.lessons
+      : pkg.lessons.map((lesson) => ({ title: lesson.title, description: lesson.content || '', concepts: lesson.concepts || [] }));
+    const outline = outlineEntries.map((entry, index) => ({
+      ...entry,
+      order: index + 1,
+      lessonId: lessonIdsByTitle.get(entry.title) ?? null,
+    }));
+    await client.query(
+      `INSERT INTO learning_paths (user_id, topic_id, lesson_outline, total_lessons, estimated_duration_hours)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, topic.id, JSON.stringify(outline), pkg.lessons.length, pkg.learningPath?.estimatedDurationHours ?? null]
+    );
+
+    // Flashcards start with a fresh schedule for the importing user
+    for (const card of pkg.flashcards) {
+      await client.query(
+        `INSERT INTO flashcards (user_id, lesson_id, topic, front, back, difficulty, tags, hint, mnemonic, example)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          userId,
+          card.lesson ? items.get(card.lesson).id : null,
+          topic.name,
+          card.front,
+          card.back,
+          ['easy', 'medium', 'hard'].includes(card.difficulty) ? card.difficulty : 'medium',
+          JSON.stringify(Array.isArray(card.tags) ? card.tags : []),
+          card.hint || null,
+          card.mnemonic || null,
+          card.example || null,
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      topic,
+      imported: {
+        lessons: pkg.lessons.length,
+        quizzes: pkg.quizzes.length,
+        questions: questionCount,
+        prerequisites: pkg.prerequisites.length,
+        flashcards: pkg.flashcards.length,
+      },
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  PACKAGE_LIMITS,
+  CoursePackageError,
+  exportTopic,
+  packageToZip,
+  parsePackageFile,
+  validatePackage,
+  importPackage,
+};
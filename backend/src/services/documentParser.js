@@ -0,0 +1,198 @@
+import path from 'path';
+import { extractPdfText } from './pdfText.js';
+
+/**
+ * Turns uploaded course material into passages small enough to retrieve and
+ * quote: text is split into sections (markdown headings, PDF pages), then
+ * each section into chunks of whole paragraphs.
+ */
+
+export const DOCUMENT_FORMATS = ['markdown', 'text', 'pdf'];
+
+// Words per chunk: large enough to carry an idea, small enough to cite precisely
+export const MAX_CHUNK_WORDS = 200;
+const MIN_CHUNK_WORDS = 40;
+
+const EXTENSIONS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.text': 'text',
+  '.pdf': 'pdf',
+};
+
+const CONTENT_TYPES = {
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text',
+  'application/pdf': 'pdf',
+};
+
+/**
+ * Raised for uploads that can't be turned into passages
+ */
+export class DocumentParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentParseError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Work out the format from the file name, falling back to the content type
+ * @param {string} [filename]
+ * @param {string} [contentType]
+ * @returns {'markdown'|'text'|'pdf'|null}
+ */
+export const detectFormat = (filename = '', contentType = '') => (
+  EXTENSIONS[path.extname(filename).toLowerCase()] ||
+  CONTENT_TYPES[contentType.split(';')[0].trim().toLowerCase()] ||
+  null
+);
+
+/**
+ * @private
+ */
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Split markdown at headings, remembering the heading path ("Setup > Install").
+ * Headings inside fenced code blocks are left alone.
+ * @private
+ */
+const markdownSections = (text) => {
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) sections.push({ heading: headings.filter(Boolean).join(' > ') || null, page: null, text: body });
+    lines = [];
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings.length = level;
+      headings[level - 1] = heading[2];
+      continue;
+    }
+    lines.push(line);
+  }
+  flush();
+
+  return sections;
+};
+
+/**
+ * Sections of a document: one per markdown heading, one per PDF page, or the whole text
+ * @param {Buffer} buffer
+ * @param {'markdown'|'text'|'pdf'} format
+ * @returns {{sections: Array<{heading: string|null, page: number|null, text: string}>, pageCount: number|null}}
+ */
+export const extractSections = (buffer, format) => {
+  if (format === 'pdf') {
+    const { pages } = extractPdfText(buffer);
+    return {
+      sections: pages
+        // Glyphs without a Unicode mapping (often bullets) come out as control characters
+        .map((text, index) => ({ heading: null, page: index + 1, text: text.replace(/[\u0000-\u0008\u000B-\u001F]/g, ' ').trim() }))
+        .filter(({ text }) => text),
+      pageCount: pages.length,
+    };
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (text.includes('\u0000')) {
+    throw new DocumentParseError('File looks binary; upload markdown, plain text or PDF');
+  }
+  return {
+    sections: format === 'markdown'
+      ? markdownSections(text)
+      : [{ heading: null, page: null, text: text.trim() }].filter(({ text: body }) => body),
+    pageCount: null,
+  };
+};
+
+/**
+ * Cut a paragraph longer than a chunk at sentence ends, or at word count when a sentence is too long
+ * @private
+ */
+const splitLongParagraph = (paragraph) => {
+  const pieces = [];
+  let current = [];
+
+  const words = paragraph.split(/\s+/).filter(Boolean);
+  for (const word of words) {
+    current.push(word);
+    const atSentenceEnd = /[.!?:]["')\]]?$/.test(word);
+    if (current.length >= MAX_CHUNK_WORDS || (atSentenceEnd && current.length >= MAX_CHUNK_WORDS * 0.75)) {
+      pieces.push(current.join(' '));
+      current = [];
+    }
+  }
+  if (current.length) pieces.push(current.join(' '));
+
+  return pieces;
+};
+
+/**
+ * Group each section's paragraphs into chunks of up to MAX_CHUNK_WORDS words.
+ * Chunks never span sections, so each keeps one heading and page for citing.
+ * A short trailing chunk is merged into the previous one.
+ * @param {Array<{heading: string|null, page: number|null, text: string}>} sections
+ * @returns {Array<{heading: string|null, page: number|null, content: string}>}
+ */
+export const chunkSections = (sections) => {
+  const chunks = [];
+
+  for (const { heading, page, text } of sections) {
+    const paragraphs = text
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean)
+      .flatMap((paragraph) => (countWords(paragraph) > MAX_CHUNK_WORDS ? splitLongParagraph(paragraph) : [paragraph]));
+
+    const sectionChunks = [];
+    let current = [];
+    let words = 0;
+    for (const paragraph of paragraphs) {
+      const paragraphWords = countWords(paragraph);
+      if (current.length && words + paragraphWords > MAX_CHUNK_WORDS) {
+        sectionChunks.push(current.join('\n\n'));
+        current = [];
+        words = 0;
+      }
+      current.push(paragraph);
+      words += paragraphWords;
+    }
+    if (current.length) {
+      const last = current.join('\n\n');
+      if (sectionChunks.length && words < MIN_CHUNK_WORDS &&
+        countWords(sectionChunks[sectionChunks.length - 1]) + words <= MAX_CHUNK_WORDS + MIN_CHUNK_WORDS) {
+        sectionChunks[sectionChunks.length - 1] += `\n\n${last}`;
+      } else {
+        sectionChunks.push(last);
+      }
+    }
+
+    sectionChunks.forEach((content) => chunks.push({ heading, page, content }));
+  }
+
+  return chunks;
+};
+
+export default {
+  DOCUMENT_FORMATS,
+  MAX_CHUNK_WORDS,
+  DocumentParseError,
+  detectFormat,
+  extractSections,
+  chunkSections,
+};
@@ -0,0 +1,317 @@
+import crypto from 'crypto';
+import path from 'path';
+import pool from '../config/database.js';
+import { DocumentParseError, detectFormat, extractSections, chunkSections } from './documentParser.js';
+import { PdfFormatError } from './pdfText.js';
+import { tokenize, countTerms, scoreChunk } from './bm25.js';
+
+export const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_DOCUMENTS_PER_TOPIC = 50;
+
+// Passages handed to the tutor per chat turn
+export const DEFAULT_PASSAGE_LIMIT = 4;
+
+// Passages scoring below this share of the best match are mostly noise
+const MIN_RELATIVE_SCORE = 0.3;
+
+const EXCERPT_LENGTH = 280;
+
+/**
+ * Raised for uploads that can't be stored; `status` is 400 for unusable
+ * files, 409 for a file the topic already has and 413 for oversized ones
+ */
+export class DocumentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+/**
+ * Document row for API responses
+ */
+export const formatDocument = (row) => ({
+  id: row.id,
+  topicId: row.topic_id,
+  title: row.title,
+  filename: row.filename,
+  format: row.format,
+  sizeBytes: row.size_bytes,
+  pageCount: row.page_count,
+  chunkCount: row.chunk_count,
+  uploadedBy: row.uploaded_by,
+  createdAt: row.created_at,
+});
+
+/**
+ * Read an upload into chunks ready to index
+ * @private
+ */
+const parseUpload = (buffer, format) => {
+  try {
+    const { sections, pageCount } = extractSections(buffer, format);
+    return { chunks: chunkSections(sections), pageCount };
+  } catch (error) {
+    if (error instanceof DocumentParseError || error instanceof PdfFormatError) {
+      throw new DocumentError(error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Store a document in a topic and index its passages
+ * @param {number} topicId
+ * @param {number} userId - Uploader
+ * @param {{buffer: Buffer, filename?: string, contentType?: string, title?: string}} upload
+ * @returns {Promise<Object>} The document row
+ */
+export const uploadDocument = async (topicId, userId, { buffer, filename = '', contentType = '', title }) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new DocumentError('Upload the file as the request body');
+  }
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    throw new DocumentError(`Documents can be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`, 413);
+  }
+
+  const format = detectFormat(filename, contentType);
+  if (!format) {
+    throw new DocumentError('Unsupported file type: upload markdown (.md), text (.txt) or PDF (.pdf)');
+  }
+
+  const countResult = await pool.query('SELECT COUNT(*) AS count FROM topic_documents WHERE topic_id = $1', [topicId]);
+  if (parseInt(countResult.rows[0].count) >= MAX_DOCUMENTS_PER_TOPIC) {
+    throw new DocumentError(`A topic can hold at most ${MAX_DOCUMENTS_PER_TOPIC} documents`);
+  }
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const duplicate = await pool.query(
+    'SELECT title FROM topic_documents WHERE topic_id = $1 AND content_sha256 = $2',
+    [topicId, sha256]
+  );
+  if (duplicate.rows.length > 0) {
+    throw new DocumentError(`This file is already uploaded as "${duplicate.rows[0].title}"`, 409);
+  }
+
+  const { chunks, pageCount } = parseUpload(buffer, format);
+  if (chunks.length === 0) {
+    throw new DocumentError(
+      format === 'pdf'
+        ? 'No text found in this PDF; scanned documents need to be converted to text first'
+        : 'The document is empty'
+    );
+  }
+
+  const documentTitle = (title?.trim() || path.basename(filename, path.extname(filename)) || 'Untitled document').slice(0, 255);
+  const indexed = chunks.map(({ heading, page, content }) => {
+    const terms = tokenize([heading, content].filter(Boolean).join('\n'));
+    return { heading, page, content, termCounts: countTerms(terms), termTotal: terms.length };
+  });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const documentResult = await client.query(
+      `INSERT INTO topic_documents
+         (topic_id, uploaded_by, title, filename, format, size_bytes, content_sha256, page_count, chunk_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [topicId, userId, documentTitle, filename.slice(0, 255) || null, format, buffer.length, sha256, pageCount, indexed.length]
+    );
+    const document = documentResult.rows[0];
+
+    await client.query(
+      `INSERT INTO document_chunks (document_id, topic_id, chunk_index, heading, page, content, term_counts, term_total)
+       SELECT $1::int, $2::int, chunk.*
+       FROM unnest($3::int[], $4::text[], $5::int[], $6::text[], $7::jsonb[], $8::int[]) AS chunk`,
+      [
+        document.id,
+        topicId,
+        indexed.map((_, index) => index),
+        indexed.map(({ heading }) => heading),
+        indexed.map(({ page }) => page),
+        indexed.map(({ content }) => content),
+        indexed.map(({ termCounts }) => JSON.stringify(termCounts)),
+        indexed.map(({ termTotal }) => termTotal),
+      ]
+    );
+
+    await client.query('COMMIT');
+    return document;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Documents of a topic, newest first
+ * @param {number} topicId
+ */
+export const listDocuments = async (topicId) => {
+  const result = await pool.query(
+    'SELECT * FROM topic_documents WHERE topic_id = $1 ORDER BY created_at DESC, id DESC',
+    [topicId]
+  );
+  return result.rows;
+};
+
+/**
+ * A document with its passages in order
+ * @returns {Promise<{document: Object, chunks: Object[]}|null>}
+ */
+export const getDocument = async (topicId, documentId) => {
+  const documentResult = await pool.query(
+    'SELECT * FROM topic_documents WHERE id = $1 AND topic_id = $2',
+    [documentId, topicId]
+  );
+  if (documentResult.rows.length === 0) return null;
+
+  const chunksResult = await pool.query(
+    `SELECT id, chunk_index, heading, page, content FROM document_chunks
+     WHERE document_id = $1 ORDER BY chunk_index`,
+    [documentId]
+  );
+  return { document: documentResult.rows[0], chunks: chunksResult.rows };
+};
+
+/**
+ * @returns {Promise<boolean>} Whether the document existed
+ */
+export const deleteDocument = async (topicId, documentId) => {
+  const result = await pool.query(
+    'DELETE FROM topic_documents WHERE id = $1 AND topic_id = $2 RETURNING id',
+    [documentId, topicId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Rank a topic's passages against a query with BM25. Only chunks sharing a
+ * term with the query are loaded, and only the counts of the query's terms.
+ * @param {number} topicId
+ * @param {string} query
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<Array<{chunkId: number, documentId: number, documentTitle: string, heading: string|null, page: number|null, content: string, score: number}>>}
+ */
+export const searchPassages = async (topicId, query, { limit = DEFAULT_PASSAGE_LIMIT } = {}) => {
+  const queryCounts = countTerms(tokenize(query));
+  const terms = Object.keys(queryCounts);
+  if (terms.length === 0) return [];
+
+  const [statsResult, frequencyResult, candidateResult] = await Promise.all([
+    pool.query(
+      'SELECT COUNT(*) AS chunks, AVG(term_total) AS average_length FROM document_chunks WHERE topic_id = $1',
+      [topicId]
+    ),
+    pool.query(
+      `SELECT term, COUNT(*) AS frequency
+       FROM document_chunks, unnest($2::text[]) AS term
+       WHERE topic_id = $1 AND term_counts ? term
+       GROUP BY term`,
+      [topicId, terms]
+    ),
+    pool.query(
+      `SELECT c.id, c.document_id, c.heading, c.page, c.content, c.term_total, d.title,
+         (SELECT jsonb_object_agg(key, value) FROM jsonb_each(c.term_counts) WHERE key = ANY($2)) AS matched_terms
+       FROM document_chunks c
+       JOIN topic_documents d ON d.id = c.document_id
+       WHERE c.topic_id = $1 AND c.term_counts ?| $2`,
+      [topicId, terms]
+    ),
+  ]);
+
+  const collection = {
+    documentCount: parseInt(statsResult.rows[0].chunks),
+    averageLength: Number(statsResult.rows[0].average_length) || 0,
+    documentFrequencies: Object.fromEntries(
+      frequencyResult.rows.map(({ term, frequency }) => [term, parseInt(frequency)])
+    ),
+  };
+
+  const ranked = candidateResult.rows
+    .map((row) => ({
+      chunkId: row.id,
+      documentId: row.document_id,
+      documentTitle: row.title,
+      heading: row.heading,
+      page: row.page,
+      content: row.content,
+      score: scoreChunk(queryCounts, { termCounts: row.matched_terms || {}, length: row.term_total }, collection),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const best = ranked[0]?.score || 0;
+  return ranked
+    .filter(({ score }) => score > 0 && score >= best * MIN_RELATIVE_SCORE)
+    .slice(0, Math.min(Math.max(parseInt(limit) || DEFAULT_PASSAGE_LIMIT, 1), 20));
+};
+
+/**
+ * Where a passage comes from, for prompts and citations: "Notes", Setup > Install, p. 3
+ * @private
+ */
+const describeLocation = ({ documentTitle, heading, page }) => (
+  [`"${documentTitle}"`, heading, page ? `p. ${page}` : null].filter(Boolean).join(', ')
+);
+
+/**
+ * Render retrieved passages as a numbered prompt section, or '' when there are none
+ * @param {Awaited<ReturnType<typeof searchPassages>>} passages
+ * @returns {string}
+ */
+export const describePassagesForPrompt = (passages = []) => {
+  if (passages.length === 0) {
+    return '';
+  }
+
+  return `COURSE NOTES (passages from the topic's uploaded source material, most relevant first):
+${passages.map((passage, index) => `[${index + 1}] ${describeLocation(passage)}\n${passage.content}`).join('\n\n')}
+
+Base your answer on these course notes and stay consistent with them. Cite the passage you rely on with its number in square brackets, e.g. [1] or [2][3]. If the notes don't cover something you explain, say that you are going beyond the course notes. Never cite a number that isn't listed above.`;
+};
+
+/**
+ * Sources for an answer: every retrieved passage, flagged with whether the answer cites it
+ * @param {Awaited<ReturnType<typeof searchPassages>>} passages
+ * @param {*} response - The teacher's answer; only text answers can cite
+ */
+export const buildSources = (passages, response) => {
+  const cited = new Set(
+    typeof response === 'string'
+      ? [...response.matchAll(/\[(\d+)\]/g)].map(([, index]) => parseInt(index))
+      : []
+  );
+  return passages.map((passage, index) => ({
+    index: index + 1,
+    cited: cited.has(index + 1),
+    documentId: passage.documentId,
+    documentTitle: passage.documentTitle,
+    chunkId: passage.chunkId,
+    heading: passage.heading,
+    page: passage.page,
+    excerpt: passage.content.length > EXCERPT_LENGTH
+      ? `${passage.content.slice(0, EXCERPT_LENGTH).trimEnd()}…`
+      : passage.content,
+  }));
+};
+
+export default {
+  MAX_DOCUMENT_BYTES,
+  MAX_DOCUMENTS_PER_TOPIC,
+  DEFAULT_PASSAGE_LIMIT,
+  DocumentError,
+  formatDocument,
+  uploadDocument,
+  listDocuments,
+  getDocument,
+  deleteDocument,
+  searchPassages,
+  describePassagesForPrompt,
+  buildSources,
+};
@@ -1,34 +0,0 @@
-const nodemailer = require('nodemailer');
-
-class EmailService {
-    constructor() {
-        this.transporter = nodemailer.createTransport({
-            host: process.env.EMAIL_HOST,
-            port: process.env.EMAIL_PORT,
-            secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for other ports
-            auth: {
-                user: process.env.EMAIL_USER,
-                pass: process.env.EMAIL_PASS,
-            },
-        });
-    }
-
-    async sendEmail(to, subject, text, html) {
-        const mailOptions = {
-            from: process.env.EMAIL_FROM,
-            to,
-            subject,
-            text,
-            html,
-        };
-
-        try {
-            const info = await this.transporter.sendMail(mailOptions);
-            return info;
-        } catch (error) {
-            throw new Error('Error sending email: ' + error.message);
-        }
-    }
-}
-
-module.exports = new EmailService();
\ No newline at end of file
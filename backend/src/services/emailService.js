@@ -0,0 +1,30 @@
+import { mailConfig } from '../config/mail.js';
+import { getMailTransport } from './mail/index.js';
+
+/**
+ * Outgoing e-mail through the transport selected with MAIL_TRANSPORT
+ * (see services/mail). The console transport is meant for local development:
+ * in production it only logs that a message was dropped, so reset and
+ * verification links never end up in log files.
+ */
+
+/**
+ * Send an e-mail from MAIL_FROM
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<{delivered: boolean, messageId?: string|null}>}
+ */
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const transport = getMailTransport();
+
+  if (transport.name === 'console' && process.env.NODE_ENV === 'production') {
+    console.warn(`⚠️ [Email] MAIL_TRANSPORT is not configured, "${subject}" to ${to} was not sent`);
+    return { delivered: false };
+  }
+
+  const { messageId } = await transport.send({ from: mailConfig.from, to, subject, text, html });
+  return { delivered: true, messageId };
+};
+
+export default {
+  sendEmail,
+};
@@ -0,0 +1,237 @@
+import pool from '../config/database.js';
+
+/**
+ * Review grades shown to the learner, mapped to SM-2 quality (0-5)
+ */
+export const GRADE_QUALITY = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute the next SM-2 schedule for a card.
+ * A failed recall restarts the repetition count without changing the ease
+ * factor; a successful one grows the interval (1 day, 6 days, then interval × ease).
+ * @param {{ease_factor: number|string, interval_days: number, repetitions: number, lapses: number}} card
+ * @param {'again'|'hard'|'good'|'easy'} grade
+ * @param {Date} [now]
+ */
+export const scheduleReview = (card, grade, now = new Date()) => {
+  const quality = GRADE_QUALITY[grade];
+  if (quality === undefined) {
+    throw new Error(`Invalid grade '${grade}'`);
+  }
+
+  let easeFactor = Number(card.ease_factor) || 2.5;
+  let repetitions = card.repetitions || 0;
+  let intervalDays = card.interval_days || 0;
+  let lapses = card.lapses || 0;
+
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(intervalDays * easeFactor);
+    }
+
+    easeFactor += 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+    easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+  }
+
+  return {
+    quality,
+    easeFactor,
+    repetitions,
+    intervalDays,
+    lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS),
+  };
+};
+
+/**
+ * Format a flashcard row for API responses
+ */
+export const formatFlashcard = (row) => ({
+  id: row.id,
+  lessonId: row.lesson_id,
+  topic: row.topic,
+  subtopic: row.subtopic,
+  front: row.front,
+  back: row.back,
+  difficulty: row.difficulty,
+  tags: row.tags || [],
+  hint: row.hint,
+  mnemonic: row.mnemonic,
+  example: row.example,
+  easeFactor: Number(row.ease_factor),
+  intervalDays: row.interval_days,
+  repetitions: row.repetitions,
+  lapses: row.lapses,
+  dueAt: row.due_at,
+  lastReviewedAt: row.last_reviewed_at,
+});
+
+/**
+ * Persist a generated flashcard set for a user. Returns the set with each
+ * card's `flashcardId` so the chat message can reference the stored cards.
+ */
+export const saveFlashcardSet = async (userId, lessonId, flashcardSet) => {
+  if (!flashcardSet?.flashcards?.length) {
+    return flashcardSet;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const flashcards = [];
+    for (const card of flashcardSet.flashcards) {
+      const result = await client.query(
+        `INSERT INTO flashcards
+         (user_id, lesson_id, topic, subtopic, front, back, difficulty, tags, hint, mnemonic, example)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING id`,
+        [
+          userId,
+          lessonId || null,
+          flashcardSet.topic || null,
+          flashcardSet.subtopic || null,
+          card.front,
+          card.back,
+          card.difficulty || 'medium',
+          JSON.stringify(card.tags || []),
+          card.hint || null,
+          card.mnemonic || null,
+          card.example || null,
+        ]
+      );
+      flashcards.push({ ...card, flashcardId: result.rows[0].id });
+    }
+
+    await client.query('COMMIT');
+    return { ...flashcardSet, flashcards };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving flashcards:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the cards due for review by the end of today
+ */
+export const getDueFlashcards = async (userId, { lessonId = null, limit = 50 } = {}) => {
+  const params = [userId, limit];
+  let lessonFilter = '';
+  if (lessonId) {
+    params.push(lessonId);
+    lessonFilter = `AND lesson_id = $${params.length}`;
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM flashcards
+     WHERE user_id = $1
+       AND due_at < date_trunc('day', NOW()) + INTERVAL '1 day'
+       ${lessonFilter}
+     ORDER BY due_at ASC
+     LIMIT $2`,
+    params
+  );
+  return result.rows.map(formatFlashcard);
+};
+
+/**
+ * Get every stored card for a lesson
+ */
+export const getLessonFlashcards = async (userId, lessonId) => {
+  const result = await pool.query(
+    'SELECT * FROM flashcards WHERE user_id = $1 AND lesson_id = $2 ORDER BY id',
+    [userId, lessonId]
+  );
+  return result.rows.map(formatFlashcard);
+};
+
+/**
+ * Record a review and reschedule the card
+ * @returns {Promise<Object|null>} Updated card, or null if the card does not belong to the user
+ */
+export const reviewFlashcard = async (userId, flashcardId, grade) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const cardResult = await client.query(
+      'SELECT * FROM flashcards WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [flashcardId, userId]
+    );
+
+    if (cardResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const card = cardResult.rows[0];
+    const next = scheduleReview(card, grade);
+
+    const updated = await client.query(
+      `UPDATE flashcards
+       SET ease_factor = $1, interval_days = $2, repetitions = $3, lapses = $4,
+           due_at = NOW() + ($5 * INTERVAL '1 day'), last_reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [next.easeFactor, next.intervalDays, next.repetitions, next.lapses, next.intervalDays, flashcardId]
+    );
+
+    await client.query(
+      `INSERT INTO flashcard_reviews
+       (flashcard_id, user_id, grade, quality, previous_interval_days, new_interval_days,
+        previous_ease_factor, new_ease_factor)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        flashcardId,
+        userId,
+        grade,
+        next.quality,
+        card.interval_days,
+        next.intervalDays,
+        card.ease_factor,
+        next.easeFactor,
+      ]
+    );
+
+    await client.query('COMMIT');
+    return formatFlashcard(updated.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error reviewing flashcard:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  GRADE_QUALITY,
+  scheduleReview,
+  formatFlashcard,
+  saveFlashcardSet,
+  getDueFlashcards,
+  getLessonFlashcards,
+  reviewFlashcard,
+};
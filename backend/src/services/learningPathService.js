@@ -0,0 +1,467 @@
+import pool from '../config/database.js';
+import { orchestrator } from '../agents/index.js';
+import { getConceptMastery, normalizeConcepts } from './conceptMasteryService.js';
+import { PASSING_SCORE } from './quizQuestionTypes.js';
+import { hasQuota } from './quotaService.js';
+import { addPrerequisite } from './prerequisiteService.js';
+
+/** Stuck detections in one lesson's chat that trigger a re-plan */
+export const STUCK_REPLAN_THRESHOLD = 3;
+/** Review lessons a single re-plan may insert */
+export const MAX_REMEDIAL_LESSONS = 2;
+/** Times a re-plan starts over when the lessons change while it is planned */
+const MAX_REPLAN_ATTEMPTS = 3;
+
+export const REPLAN_TRIGGERS = ['quiz_failed', 'repeated_stuck', 'manual'];
+
+const TRIGGER_REASONS = {
+  quiz_failed: ({ quizTitle }) => `You did not pass "${quizTitle}"`,
+  repeated_stuck: ({ lessonTitle }) => `You got stuck several times in "${lessonTitle}"`,
+  manual: () => 'You asked for your path to be re-planned',
+};
+
+const conceptKey = (concept) => concept.toLowerCase();
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Whether a graded quiz counts as failed. Answers the grader could not score
+ * are left out.
+ * @param {Array<{isCorrect: boolean, ungraded?: boolean}>} graded
+ */
+export const isQuizFailed = (graded) => {
+  const scored = graded.filter(({ ungraded }) => !ungraded);
+  return scored.length > 0 && scored.filter(({ isCorrect }) => isCorrect).length / scored.length < PASSING_SCORE;
+};
+
+/**
+ * Concepts whose average credit in a quiz is below passing, worst first
+ * @param {Array<{concept: string|null, score: number, ungraded?: boolean}>} graded
+ * @returns {string[]}
+ */
+export const getFailedConcepts = (graded) => {
+  const totals = new Map();
+  for (const { concept, score, ungraded } of graded) {
+    if (!concept || ungraded) continue;
+    const entry = totals.get(conceptKey(concept)) || { concept, credit: 0, count: 0 };
+    entry.credit += score;
+    entry.count += 1;
+    totals.set(conceptKey(concept), entry);
+  }
+
+  return [...totals.values()]
+    .map(({ concept, credit, count }) => ({ concept, accuracy: credit / count }))
+    .filter(({ accuracy }) => accuracy < PASSING_SCORE)
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .map(({ concept }) => concept);
+};
+
+/**
+ * A topic's lessons in path order with the learner's progress
+ * @private
+ */
+const loadLessons = async (userId, topicId, db = pool) => {
+  const result = await db.query(
+    `SELECT l.id, l.title, l.concepts, l.remedial, l.skipped, l.order_index,
+       COALESCE(lp.completed, false) AS completed
+     FROM lessons l
+     LEFT JOIN lesson_progress lp ON l.id = lp.lesson_id AND lp.user_id = $2
+     WHERE l.topic_id = $1
+     ORDER BY l.order_index ASC, l.id ASC`,
+    [topicId, userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Review lessons for the given concepts. Falls back to one templated lesson per
+ * concept when generation fails or the learner is out of token budget.
+ * @private
+ */
+const planRemedialLessons = async (user, { topicName, concepts, reason, upcomingLessons }) => {
+  const maxLessons = Math.min(MAX_REMEDIAL_LESSONS, concepts.length);
+
+  if (await hasQuota(user.id)) {
+    const response = await orchestrator.communication.sendMessage(
+      'LearningPathService',
+      'LearningPathGenerator',
+      {
+        action: 'plan_remedial_lessons',
+        data: { userId: user.id, topicName, concepts, reason, upcomingLessons, maxLessons },
+      }
+    );
+
+    if (response.success) {
+      const lessons = response.data.lessons
+        .map((lesson) => ({ ...lesson, concepts: normalizeConcepts(lesson.concepts) }))
+        .filter((lesson) => lesson.concepts.length > 0);
+      if (lessons.length > 0) {
+        return lessons;
+      }
+    }
+    console.error('Remedial lesson planning failed, using templates:', response.error);
+  }
+
+  return concepts.slice(0, maxLessons).map((concept) => ({
+    title: `Review: ${concept}`,
+    description: `A step-by-step review of ${concept} with new examples and practice before moving on.`,
+    concepts: [concept],
+  }));
+};
+
+/**
+ * One sentence explaining a revision to the learner
+ * @private
+ */
+const summarizeChanges = (trigger, details, changes) => {
+  const count = (op) => changes.filter((change) => change.op === op).length;
+  const parts = [];
+
+  if (count('insert') > 0) parts.push(`added ${pluralize(count('insert'), 'review lesson')}`);
+  if (count('move') > 0) parts.push(`moved ${pluralize(count('move'), 'lesson')} on weak concepts earlier`);
+  if (count('skip') > 0) parts.push(`skipped ${pluralize(count('skip'), 'lesson')} you have already mastered`);
+
+  const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts.at(-1)}` : parts[0];
+  return `${TRIGGER_REASONS[trigger](details)}, so we ${list}.`;
+};
+
+/**
+ * @private
+ */
+const formatRevision = (row) => ({
+  id: row.id,
+  topicId: row.topic_id,
+  trigger: row.triggered_by,
+  details: row.trigger_details,
+  changes: row.changes,
+  summary: row.summary,
+  createdAt: row.created_at,
+});
+
+/**
+ * Which upcoming lessons to skip and which weak concepts need a new review
+ * lesson, from the learner's lessons and concept mastery
+ * @private
+ */
+const planReplan = (lessons, mastery, focusConcepts) => {
+  const levels = new Map(mastery.map(({ concept, level }) => [conceptKey(concept), level]));
+  const isMastered = (concept) => levels.get(conceptKey(concept)) === 'mastered';
+
+  const upcoming = lessons.filter((lesson) => !lesson.completed && !lesson.skipped);
+
+  const skipped = upcoming.filter((lesson) =>
+    !lesson.remedial && lesson.concepts.length > 0 && lesson.concepts.every(isMastered)
+  );
+  const skippedIds = new Set(skipped.map((lesson) => lesson.id));
+  const remaining = upcoming.filter((lesson) => !skippedIds.has(lesson.id));
+
+  const weakConcepts = [];
+  const struggling = mastery.filter(({ level }) => level === 'struggling').map(({ concept }) => concept);
+  for (const concept of [...normalizeConcepts(focusConcepts), ...struggling]) {
+    if (isMastered(concept) || weakConcepts.some((weak) => conceptKey(weak) === conceptKey(concept))) continue;
+    weakConcepts.push(concept);
+  }
+  const weakKeys = new Set(weakConcepts.map(conceptKey));
+  const weakConceptsOf = (lesson) => lesson.concepts.filter((concept) => weakKeys.has(conceptKey(concept)));
+
+  // Only concepts no upcoming review lesson already covers get a new one
+  const covered = new Set(
+    remaining.filter((lesson) => lesson.remedial).flatMap((lesson) => lesson.concepts.map(conceptKey))
+  );
+  const uncovered = weakConcepts.filter((concept) => !covered.has(conceptKey(concept)));
+
+  return { skipped, skippedIds, remaining, weakConceptsOf, uncovered };
+};
+
+/**
+ * The new lesson order: review lessons, then moved lessons, ahead of the rest
+ * @private
+ */
+const orderLessons = (lessons, { remaining, weakConceptsOf }, remedial) => {
+  // Review lessons go right before the next upcoming lesson (or at the end)
+  const firstUpcoming = lessons.findIndex((lesson) => !lesson.completed && !lesson.skipped);
+  const head = firstUpcoming === -1 ? lessons : lessons.slice(0, firstUpcoming);
+  const tail = firstUpcoming === -1 ? [] : lessons.slice(firstUpcoming);
+
+  // A lesson on a weak concept moves up when a lesson on other concepts is ahead of it
+  const remainingIds = new Set(remaining.map((lesson) => lesson.id));
+  const moved = [];
+  let passedOther = false;
+  for (const lesson of tail) {
+    if (!remainingIds.has(lesson.id) || lesson.remedial) continue;
+    if (weakConceptsOf(lesson).length === 0) {
+      passedOther = true;
+    } else if (passedOther) {
+      moved.push(lesson);
+    }
+  }
+  const movedIds = new Set(moved.map((lesson) => lesson.id));
+
+  const inserted = remedial.map((lesson) => ({ ...lesson, id: null, remedial: true, skipped: false }));
+  const ordered = [...head, ...inserted, ...moved, ...tail.filter((lesson) => !movedIds.has(lesson.id))];
+
+  return { inserted, moved, ordered };
+};
+
+/**
+ * Save a re-plan, unless the lessons it was planned from changed in the
+ * meantime. Returns the stored revision row, or null when they changed.
+ * @private
+ */
+const saveReplan = async (user, topicId, { trigger, details, lessons, plan, inserted, moved, ordered }) => {
+  const { skipped, skippedIds, remaining, weakConceptsOf } = plan;
+  const positionOf = (lesson) => ordered.indexOf(lesson) + 1;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the path before re-reading the lessons; topics without a stored
+    // outline lock their topic row instead
+    const pathResult = await client.query(
+      'SELECT lesson_outline FROM learning_paths WHERE topic_id = $1 AND user_id = $2 FOR UPDATE',
+      [topicId, user.id]
+    );
+    if (pathResult.rows.length === 0) {
+      await client.query('SELECT id FROM topics WHERE id = $1 FOR UPDATE', [topicId]);
+    }
+
+    const current = await loadLessons(user.id, topicId, client);
+    if (JSON.stringify(current) !== JSON.stringify(lessons)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const quizzesResult = await client.query(
+      'SELECT id, order_index FROM quizzes WHERE topic_id = $1',
+      [topicId]
+    );
+
+    for (const lesson of inserted) {
+      const result = await client.query(
+        `INSERT INTO lessons (topic_id, title, content, order_index, concepts, remedial)
+         VALUES ($1, $2, $3, $4, $5, true) RETURNING id`,
+        [topicId, lesson.title, lesson.description || null, positionOf(lesson), JSON.stringify(lesson.concepts)]
+      );
+      lesson.id = result.rows[0].id;
+
+      // Upcoming lessons on the same concepts wait for the review. Review lessons
+      // have no prerequisites themselves, so this cannot create a cycle.
+      const reviewed = new Set(lesson.concepts.map(conceptKey));
+      for (const dependent of remaining) {
+        if (!dependent.remedial && dependent.concepts.some((concept) => reviewed.has(conceptKey(concept)))) {
+          await addPrerequisite(topicId, { type: 'lesson', id: dependent.id }, { type: 'lesson', id: lesson.id }, client);
+        }
+      }
+    }
+
+    for (const lesson of ordered) {
+      if (lesson.order_index !== undefined && lesson.order_index !== positionOf(lesson)) {
+        await client.query('UPDATE lessons SET order_index = $1 WHERE id = $2', [positionOf(lesson), lesson.id]);
+      }
+    }
+
+    if (skipped.length > 0) {
+      await client.query('UPDATE lessons SET skipped = true WHERE id = ANY($1::int[])', [[...skippedIds]]);
+    }
+
+    // A quiz follows the last lesson placed at or before it (see getDefaultPrerequisites)
+    for (const quiz of quizzesResult.rows) {
+      const lesson = lessons.filter((candidate) => candidate.order_index <= quiz.order_index).at(-1);
+      if (lesson && positionOf(lesson) !== quiz.order_index) {
+        await client.query('UPDATE quizzes SET order_index = $1 WHERE id = $2', [positionOf(lesson), quiz.id]);
+      }
+    }
+
+    const changes = [
+      ...inserted.map((lesson) => ({
+        op: 'insert',
+        lessonId: lesson.id,
+        title: lesson.title,
+        to: positionOf(lesson),
+        reason: `Review ${lesson.concepts.join(', ')} before moving on`,
+      })),
+      ...moved.map((lesson) => ({
+        op: 'move',
+        lessonId: lesson.id,
+        title: lesson.title,
+        from: lessons.indexOf(lesson) + 1,
+        to: positionOf(lesson),
+        reason: `Covers ${weakConceptsOf(lesson).join(', ')}, which you need to work on`,
+      })),
+      ...skipped.map((lesson) => ({
+        op: 'skip',
+        lessonId: lesson.id,
+        title: lesson.title,
+        reason: `You have already mastered ${lesson.concepts.join(', ')}`,
+      })),
+    ];
+
+    // Keep the stored outline in step with the lessons, preserving generated details
+    if (pathResult.rows.length > 0) {
+      const outlineByTitle = new Map((pathResult.rows[0].lesson_outline || []).map((entry) => [entry.title, entry]));
+      const outline = ordered.map((lesson) => ({
+        ...outlineByTitle.get(lesson.title),
+        order: positionOf(lesson),
+        lessonId: lesson.id,
+        title: lesson.title,
+        concepts: lesson.concepts,
+        remedial: lesson.remedial,
+        skipped: lesson.skipped || skippedIds.has(lesson.id),
+      }));
+      await client.query(
+        'UPDATE learning_paths SET lesson_outline = $1, total_lessons = $2 WHERE topic_id = $3 AND user_id = $4',
+        [JSON.stringify(outline), outline.length, topicId, user.id]
+      );
+    }
+
+    const revisionResult = await client.query(
+      `INSERT INTO learning_path_revisions (topic_id, user_id, triggered_by, trigger_details, changes, summary)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [topicId, user.id, trigger, JSON.stringify(details), JSON.stringify(changes), summarizeChanges(trigger, details, changes)]
+    );
+
+    await client.query('COMMIT');
+    return revisionResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Re-plan a learner's upcoming lessons from their concept mastery:
+ * - skip upcoming lessons whose concepts are all mastered
+ * - insert review lessons for weak concepts (the trigger's, then any struggling one)
+ * - move upcoming lessons that teach weak concepts ahead of the others
+ * Completed lessons are never touched; quizzes move with the lesson they follow.
+ * Returns the stored revision, or null when nothing needed to change.
+ *
+ * Review lessons are generated before the learner's path is locked, so the
+ * LLM call holds neither a connection nor a lock. The re-plan is only saved
+ * if the lessons are unchanged once the path is locked; otherwise (e.g. a
+ * failed quiz and a stuck chat re-planned at once) it starts over from the
+ * lessons the other re-plan saved.
+ * @param {{id: number, role?: string}} user
+ * @param {number} topicId
+ * @param {{trigger: string, focusConcepts?: string[], details?: Object}} options
+ */
+export const replanLearningPath = async (user, topicId, { trigger, focusConcepts = [], details = {} }) => {
+  for (let attempt = 1; attempt <= MAX_REPLAN_ATTEMPTS; attempt++) {
+    const lessons = await loadLessons(user.id, topicId);
+    const mastery = await getConceptMastery(user.id, { topicId });
+    const plan = planReplan(lessons, mastery, focusConcepts);
+
+    let remedial = [];
+    if (plan.uncovered.length > 0) {
+      const topicResult = await pool.query('SELECT name FROM topics WHERE id = $1', [topicId]);
+      remedial = await planRemedialLessons(user, {
+        topicName: topicResult.rows[0].name,
+        concepts: plan.uncovered,
+        reason: TRIGGER_REASONS[trigger](details),
+        upcomingLessons: plan.remaining.map((lesson) => lesson.title),
+      });
+    }
+
+    const { inserted, moved, ordered } = orderLessons(lessons, plan, remedial);
+    if (inserted.length === 0 && moved.length === 0 && plan.skipped.length === 0) {
+      return null;
+    }
+
+    const revision = await saveReplan(user, topicId, {
+      trigger,
+      details,
+      lessons,
+      plan,
+      inserted,
+      moved,
+      ordered,
+    });
+    if (revision) {
+      return formatRevision(revision);
+    }
+  }
+
+  throw new Error(`Learning path of topic ${topicId} kept changing during re-planning`);
+};
+
+/**
+ * Re-plan after a failed quiz, focusing on the concepts answered poorly
+ * @param {{id: number, role?: string}} user
+ * @param {number} quizId
+ * @param {Array<{concept: string|null, score: number, isCorrect: boolean}>} graded
+ */
+export const replanAfterQuiz = async (user, quizId, graded) => {
+  const quizResult = await pool.query('SELECT id, title, topic_id FROM quizzes WHERE id = $1', [quizId]);
+  const quiz = quizResult.rows[0];
+
+  return replanLearningPath(user, quiz.topic_id, {
+    trigger: 'quiz_failed',
+    focusConcepts: getFailedConcepts(graded),
+    details: {
+      quizId: quiz.id,
+      quizTitle: quiz.title,
+      correct: graded.filter(({ isCorrect }) => isCorrect).length,
+      total: graded.length,
+    },
+  });
+};
+
+/**
+ * Count a stuck detection in a lesson's chat and re-plan once they pile up
+ * @param {{id: number, role?: string}} user
+ * @param {{id: number, topic_id: number, title: string, concepts: string[]}} lesson
+ * @returns {Promise<Object|null>} The revision, if a re-plan happened
+ */
+export const recordStuckDetection = async (user, lesson) => {
+  const result = await pool.query(
+    `INSERT INTO lesson_progress (user_id, lesson_id, stuck_count)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (user_id, lesson_id)
+     DO UPDATE SET stuck_count = lesson_progress.stuck_count + 1
+     RETURNING stuck_count`,
+    [user.id, lesson.id]
+  );
+
+  if (result.rows[0].stuck_count < STUCK_REPLAN_THRESHOLD) {
+    return null;
+  }
+
+  await pool.query(
+    'UPDATE lesson_progress SET stuck_count = 0 WHERE user_id = $1 AND lesson_id = $2',
+    [user.id, lesson.id]
+  );
+
+  return replanLearningPath(user, lesson.topic_id, {
+    trigger: 'repeated_stuck',
+    focusConcepts: lesson.concepts,
+    details: { lessonId: lesson.id, lessonTitle: lesson.title },
+  });
+};
+
+/**
+ * A learner's path revisions for a topic, newest first
+ */
+export const getPathRevisions = async (userId, topicId) => {
+  const result = await pool.query(
+    `SELECT * FROM learning_path_revisions
+     WHERE topic_id = $1 AND user_id = $2
+     ORDER BY created_at DESC, id DESC`,
+    [topicId, userId]
+  );
+  return result.rows.map(formatRevision);
+};
+
+export default {
+  STUCK_REPLAN_THRESHOLD,
+  MAX_REMEDIAL_LESSONS,
+  REPLAN_TRIGGERS,
+  isQuizFailed,
+  getFailedConcepts,
+  replanLearningPath,
+  replanAfterQuiz,
+  recordStuckDetection,
+  getPathRevisions,
+};
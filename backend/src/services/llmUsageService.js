@@ -0,0 +1,126 @@
+import pool from '../config/database.js';
+
+/**
+ * IDs that are not database integers (e.g. synthetic evaluation users) are stored as NULL
+ * @private
+ */
+const toIntegerId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) ? id : null;
+};
+
+/**
+ * Store one LLM call
+ * @param {Object} usage
+ */
+export const recordLLMUsage = async (usage) => {
+  await pool.query(
+    `INSERT INTO llm_usage
+     (request_id, span_id, user_id, lesson_id, agent, action, provider, model,
+      input_tokens, output_tokens, total_tokens, estimated, latency_ms, cost_usd, success, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+    [
+      usage.requestId,
+      usage.spanId,
+      toIntegerId(usage.userId),
+      toIntegerId(usage.lessonId),
+      usage.agent,
+      usage.action,
+      usage.provider,
+      usage.model,
+      usage.inputTokens,
+      usage.outputTokens,
+      usage.totalTokens,
+      usage.estimated,
+      usage.latencyMs,
+      usage.costUsd,
+      usage.success,
+      usage.error,
+    ]
+  );
+};
+
+const AGGREGATES = `
+  COUNT(*)::int AS calls,
+  COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+  COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+  COALESCE(SUM(total_tokens), 0)::int AS total_tokens,
+  COALESCE(SUM(cost_usd), 0)::float AS cost_usd,
+  COALESCE(AVG(latency_ms), 0)::int AS avg_latency_ms,
+  COUNT(*) FILTER (WHERE NOT success)::int AS failed_calls`;
+
+/**
+ * @private
+ */
+const formatAggregate = (row) => ({
+  calls: row.calls,
+  inputTokens: row.input_tokens,
+  outputTokens: row.output_tokens,
+  totalTokens: row.total_tokens,
+  costUsd: Number(row.cost_usd.toFixed(6)),
+  avgLatencyMs: row.avg_latency_ms,
+  failedCalls: row.failed_calls,
+});
+
+/**
+ * Usage totals and rollups per agent, user, day and request over the last `days` days
+ * @param {{userId?: number|null, days?: number}} [options] - Restrict to one user
+ */
+export const getUsageStatistics = async ({ userId = null, days = 30 } = {}) => {
+  const params = [days];
+  let userFilter = '';
+  if (userId) {
+    params.push(userId);
+    userFilter = `AND user_id = $${params.length}`;
+  }
+
+  const where = `WHERE created_at >= NOW() - ($1 * INTERVAL '1 day') ${userFilter}`;
+
+  const [totals, byAgent, byUser, byDay, byRequest] = await Promise.all([
+    pool.query(`SELECT ${AGGREGATES} FROM llm_usage ${where}`, params),
+    pool.query(
+      `SELECT agent, ${AGGREGATES} FROM llm_usage ${where}
+       GROUP BY agent ORDER BY cost_usd DESC, total_tokens DESC`,
+      params
+    ),
+    pool.query(
+      `SELECT per_user.*, users.username
+       FROM (
+         SELECT user_id, ${AGGREGATES} FROM llm_usage ${where}
+         GROUP BY user_id
+       ) per_user
+       LEFT JOIN users ON users.id = per_user.user_id
+       ORDER BY per_user.cost_usd DESC, per_user.total_tokens DESC`,
+      params
+    ),
+    pool.query(
+      `SELECT DATE(created_at) AS day, ${AGGREGATES} FROM llm_usage ${where}
+       GROUP BY DATE(created_at) ORDER BY day DESC`,
+      params
+    ),
+    pool.query(
+      `SELECT request_id, MIN(created_at) AS started_at, ${AGGREGATES} FROM llm_usage ${where}
+         AND request_id IS NOT NULL
+       GROUP BY request_id ORDER BY started_at DESC LIMIT 20`,
+      params
+    ),
+  ]);
+
+  return {
+    periodDays: days,
+    totals: formatAggregate(totals.rows[0]),
+    byAgent: byAgent.rows.map((row) => ({ agent: row.agent, ...formatAggregate(row) })),
+    byUser: byUser.rows.map((row) => ({ userId: row.user_id, username: row.username, ...formatAggregate(row) })),
+    byDay: byDay.rows.map((row) => ({ day: row.day, ...formatAggregate(row) })),
+    recentRequests: byRequest.rows.map((row) => ({
+      requestId: row.request_id,
+      startedAt: row.started_at,
+      ...formatAggregate(row),
+    })),
+  };
+};
+
+export default {
+  recordLLMUsage,
+  getUsageStatistics,
+};
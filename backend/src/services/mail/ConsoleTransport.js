@@ -0,0 +1,17 @@
+/**
+ * Prints messages to the server log instead of sending them. Meant for local
+ * development, where following a link from the log is all that's needed.
+ */
+export const ConsoleTransport = {
+  name: 'console',
+
+  /**
+   * @param {import('./index.js').MailMessage} message
+   */
+  async send({ from, to, subject, text }) {
+    console.log(`📧 [Mail] From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { messageId: null };
+  },
+};
+
+export default ConsoleTransport;
@@ -0,0 +1,30 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { mailConfig } from '../../config/mail.js';
+import { buildMessage } from './mime.js';
+
+/**
+ * Writes each message to MAIL_FILE_DIR as an .eml file that any mail client
+ * can open. Useful for local testing and for end-to-end tests that need to
+ * read the links a message contains.
+ */
+export const FileTransport = {
+  name: 'file',
+
+  /**
+   * @param {import('./index.js').MailMessage} message
+   */
+  async send(message) {
+    const { messageId, raw } = buildMessage(message);
+    const recipient = message.to.replace(/[^a-z0-9@._-]+/gi, '_');
+    const file = path.join(mailConfig.fileDir, `${Date.now()}-${recipient}.eml`);
+
+    await fs.mkdir(mailConfig.fileDir, { recursive: true });
+    await fs.writeFile(file, raw);
+    console.log(`📧 [Mail] "${message.subject}" to ${message.to} written to ${file}`);
+
+    return { messageId };
+  },
+};
+
+export default FileTransport;
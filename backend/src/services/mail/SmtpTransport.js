@@ -0,0 +1,256 @@
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+import { mailConfig } from '../../config/mail.js';
+import { buildMessage, envelopeAddress } from './mime.js';
+
+/**
+ * Delivers messages through an SMTP server (RFC 5321): implicit TLS or
+ * STARTTLS, AUTH PLAIN or LOGIN, one connection per message. Enough for a
+ * relay such as a provider's submission port without a mail dependency.
+ */
+
+/**
+ * Raised when the server rejects a command or the conversation breaks off;
+ * `code` is the SMTP reply code, if there was one
+ */
+export class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+/**
+ * Reads replies from and writes commands to one SMTP session
+ * @private
+ */
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.closed = null;
+    this.timeout = timeout;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout);
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('timeout', () => this.fail(new SmtpError('SMTP server timed out')));
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new SmtpError('SMTP connection closed unexpectedly')));
+  }
+
+  /**
+   * Stop listening on the current socket, e.g. before wrapping it in TLS
+   */
+  detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('timeout');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      this.lines.push(this.buffer.slice(0, index));
+      this.buffer = this.buffer.slice(index + 2);
+    }
+    this.deliver();
+  }
+
+  /**
+   * Resolve the pending read once a complete (possibly multi-line) reply is buffered
+   */
+  deliver() {
+    if (!this.waiting) return;
+    const last = this.lines.findIndex((line) => !/^\d{3}-/.test(line));
+    if (last === -1) return;
+
+    const lines = this.lines.splice(0, last + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({
+      code: parseInt(lines[0].slice(0, 3)),
+      lines: lines.map((line) => line.slice(4)),
+    });
+  }
+
+  fail(error) {
+    if (this.closed) return;
+    this.closed = error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  read() {
+    if (this.closed) return Promise.reject(this.closed);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.deliver();
+    });
+  }
+
+  /**
+   * Send a command and check the reply code
+   * @param {string|null} command - null to only read (the greeting)
+   * @param {number[]} expected - Acceptable reply codes
+   * @param {string} [label] - Logged in errors instead of the command, for credentials
+   */
+  async command(command, expected, label = command) {
+    if (command !== null) {
+      this.socket.write(`${command}\r\n`);
+    }
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(
+        `SMTP ${label || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`,
+        reply.code
+      );
+    }
+    return reply;
+  }
+
+  close() {
+    this.detach();
+    this.socket.on('error', () => {});
+    this.socket.end();
+  }
+}
+
+/**
+ * @private
+ */
+const connect = ({ host, port, secure, timeout }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  const ready = secure ? 'secureConnect' : 'connect';
+
+  const timer = setTimeout(() => {
+    socket.destroy();
+    reject(new SmtpError(`Could not connect to SMTP server ${host}:${port}`));
+  }, timeout);
+
+  const onError = (error) => {
+    clearTimeout(timer);
+    reject(error);
+  };
+
+  socket.once(ready, () => {
+    clearTimeout(timer);
+    socket.removeListener('error', onError);
+    resolve(socket);
+  });
+  socket.once('error', onError);
+});
+
+/**
+ * Upgrade a plain connection with STARTTLS
+ * @private
+ */
+const upgrade = (session, host) => new Promise((resolve, reject) => {
+  session.detach();
+  const socket = tls.connect({ socket: session.socket, servername: host });
+  socket.once('secureConnect', () => {
+    socket.removeListener('error', reject);
+    session.attach(socket);
+    resolve();
+  });
+  socket.once('error', reject);
+});
+
+/**
+ * Extension keywords from an EHLO reply, e.g. { STARTTLS: '', AUTH: 'PLAIN LOGIN' }
+ * @private
+ */
+const parseExtensions = (reply) => Object.fromEntries(
+  reply.lines.slice(1).map((line) => {
+    const [keyword, ...params] = line.split(' ');
+    return [keyword.toUpperCase(), params.join(' ')];
+  })
+);
+
+/**
+ * @private
+ */
+const authenticate = async (session, extensions, { user, pass }) => {
+  const mechanisms = (extensions.AUTH || '').toUpperCase().split(/\s+/);
+
+  if (mechanisms.includes('PLAIN')) {
+    const credentials = Buffer.from(`\0${user}\0${pass}`).toString('base64');
+    await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+    return;
+  }
+  if (mechanisms.includes('LOGIN')) {
+    await session.command('AUTH LOGIN', [334]);
+    await session.command(Buffer.from(user).toString('base64'), [334], 'AUTH LOGIN username');
+    await session.command(Buffer.from(pass).toString('base64'), [235], 'AUTH LOGIN password');
+    return;
+  }
+  throw new SmtpError(`SMTP server offers no supported AUTH mechanism (${extensions.AUTH || 'none'})`);
+};
+
+/**
+ * Escape lines starting with a dot and terminate the DATA section
+ * @private
+ */
+const dotStuff = (raw) => `${raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..').replace(/(\r\n)?$/, '\r\n')}.`;
+
+export const SmtpTransport = {
+  name: 'smtp',
+
+  /**
+   * @param {import('./index.js').MailMessage} message
+   * @param {typeof mailConfig.smtp} [options] - Defaults to the SMTP_* settings
+   */
+  async send(message, options = mailConfig.smtp) {
+    const { host, secure, requireTls, allowInsecureAuth, user, pass } = options;
+    const { messageId, raw } = buildMessage(message);
+    const session = new SmtpSession(await connect(options), options.timeout);
+
+    try {
+      await session.command(null, [220]);
+      let extensions = parseExtensions(await session.command(`EHLO ${os.hostname()}`, [250]));
+      let encrypted = secure;
+
+      if (!secure && 'STARTTLS' in extensions) {
+        await session.command('STARTTLS', [220]);
+        await upgrade(session, host);
+        encrypted = true;
+        extensions = parseExtensions(await session.command(`EHLO ${os.hostname()}`, [250]));
+      } else if (!secure && requireTls) {
+        throw new SmtpError(`SMTP server ${host} does not offer STARTTLS; set SMTP_REQUIRE_TLS=false to send unencrypted`);
+      }
+
+      if (user && !encrypted && !allowInsecureAuth) {
+        throw new SmtpError(`Refusing to send SMTP credentials to ${host} unencrypted; set SMTP_ALLOW_INSECURE_AUTH=true to allow it`);
+      }
+      if (user) {
+        await authenticate(session, extensions, { user, pass });
+      }
+
+      await session.command(`MAIL FROM:<${envelopeAddress(message.from)}>`, [250]);
+      await session.command(`RCPT TO:<${envelopeAddress(message.to)}>`, [250, 251]);
+      await session.command('DATA', [354]);
+      await session.command(dotStuff(raw), [250], 'message body');
+      await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+      session.close();
+    }
+
+    return { messageId };
+  },
+};
+
+export default SmtpTransport;
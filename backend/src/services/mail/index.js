@@ -0,0 +1,40 @@
+import { mailConfig } from '../../config/mail.js';
+import ConsoleTransport from './ConsoleTransport.js';
+import FileTransport from './FileTransport.js';
+import SmtpTransport from './SmtpTransport.js';
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} from - `user@host` or `Name <user@host>`
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text
+ * @property {string} [html]
+ */
+
+/**
+ * Mail transport registry. Select one with MAIL_TRANSPORT (defaults to `console`).
+ * A transport is `{ name, send(message) }` and resolves to `{ messageId }`.
+ */
+const transports = {
+  [ConsoleTransport.name]: ConsoleTransport,
+  [FileTransport.name]: FileTransport,
+  [SmtpTransport.name]: SmtpTransport,
+};
+
+/**
+ * Get the configured transport
+ * @returns {typeof ConsoleTransport}
+ */
+export const getMailTransport = () => {
+  const transport = transports[mailConfig.transport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport '${mailConfig.transport}'. Available: ${Object.keys(transports).join(', ')}`);
+  }
+  return transport;
+};
+
+export const availableTransports = Object.keys(transports);
+
+export { SmtpError } from './SmtpTransport.js';
+export { buildMessage } from './mime.js';
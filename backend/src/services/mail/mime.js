@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+/**
+ * Render a message as RFC 5322 text: a plain-text body, or
+ * multipart/alternative when HTML is given. Bodies are base64-encoded so
+ * they survive servers without 8BITMIME.
+ */
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it isn't plain ASCII
+ * @private
+ */
+const encodeHeader = (value) => (
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`
+);
+
+/**
+ * Encode a display-name address (`Name <user@host>`), leaving the address part as is
+ * @private
+ */
+const encodeAddress = (value) => {
+  const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(value);
+  if (!match || !match[1]) return value.trim();
+  return `${encodeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2]}>`;
+};
+
+/**
+ * @private
+ */
+const base64Lines = (content) => (
+  Buffer.from(content, 'utf8').toString('base64').match(/.{1,76}/g)?.join('\r\n') ?? ''
+);
+
+/**
+ * @private
+ */
+const bodyPart = (contentType, content) => [
+  `Content-Type: ${contentType}; charset=utf-8`,
+  'Content-Transfer-Encoding: base64',
+  '',
+  base64Lines(content),
+].join('\r\n');
+
+/**
+ * Bare address from a header value, for the SMTP envelope
+ * @param {string} value - `user@host` or `Name <user@host>`
+ */
+export const envelopeAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+/**
+ * Build the raw message
+ * @param {{from: string, to: string, subject: string, text: string, html?: string}} message
+ * @returns {{messageId: string, raw: string}}
+ */
+export const buildMessage = ({ from, to, subject, text, html }) => {
+  const domain = envelopeAddress(from).split('@')[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+  const headers = [
+    `From: ${encodeAddress(from)}`,
+    `To: ${encodeAddress(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+  ];
+
+  let body;
+  if (html) {
+    const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body = [
+      `--${boundary}`,
+      bodyPart('text/plain', text),
+      `--${boundary}`,
+      bodyPart('text/html', html),
+      `--${boundary}--`,
+      '',
+    ].join('\r\n');
+  } else {
+    headers.push('Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64');
+    body = base64Lines(text);
+  }
+
+  return { messageId, raw: `${headers.join('\r\n')}\r\n\r\n${body}\r\n` };
+};
+
+export default {
+  envelopeAddress,
+  buildMessage,
+};
@@ -0,0 +1,511 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal PDF text extractor for uploaded course notes: walks the page tree,
+ * inflates content streams (including objects packed in object streams) and
+ * collects the strings shown by text operators, decoded through the fonts'
+ * ToUnicode maps where present. Enough for PDFs exported from word processors
+ * and slide tools; scanned pages have no text and encrypted files are refused.
+ */
+
+/** Upper bound for a single inflated stream, guards against zip bombs */
+export const MAX_STREAM_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Raised when a buffer is not a PDF this module can read
+ */
+export class PdfFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PdfFormatError';
+    this.status = 400;
+  }
+}
+
+const WHITESPACE = new Set(['\x00', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+/**
+ * PDF object reference (`12 0 R`)
+ * @private
+ */
+class Ref {
+  constructor(num) {
+    this.num = num;
+  }
+}
+
+/**
+ * PDF name (`/Font`), kept apart from strings
+ * @private
+ */
+class Name {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Bare keyword; in content streams these are the operators
+ * @private
+ */
+class Keyword {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Tokenizer and object parser over a latin1 string (one char per byte)
+ * @private
+ */
+class Lexer {
+  constructor(data, position = 0) {
+    this.data = data;
+    this.pos = position;
+  }
+
+  skipWhitespace() {
+    const { data } = this;
+    while (this.pos < data.length) {
+      const char = data[this.pos];
+      if (WHITESPACE.has(char)) {
+        this.pos += 1;
+      } else if (char === '%') {
+        while (this.pos < data.length && data[this.pos] !== '\n' && data[this.pos] !== '\r') this.pos += 1;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readLiteralString() {
+    const { data } = this;
+    let depth = 1;
+    let value = '';
+    this.pos += 1;
+    while (this.pos < data.length) {
+      const char = data[this.pos++];
+      if (char === '\\') {
+        const next = data[this.pos++];
+        if (next in ESCAPES) {
+          value += ESCAPES[next];
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && data[this.pos] >= '0' && data[this.pos] <= '7') octal += data[this.pos++];
+          value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (data[this.pos] === '\n') this.pos += 1;
+        } else if (next !== '\n') {
+          value += next;
+        }
+      } else if (char === '(') {
+        depth += 1;
+        value += char;
+      } else if (char === ')') {
+        depth -= 1;
+        if (depth === 0) break;
+        value += char;
+      } else {
+        value += char;
+      }
+    }
+    return value;
+  }
+
+  readHexString() {
+    const end = this.data.indexOf('>', this.pos);
+    let hex = this.data.slice(this.pos + 1, end === -1 ? undefined : end).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = end === -1 ? this.data.length : end + 1;
+    if (hex.length % 2) hex += '0';
+    return Buffer.from(hex, 'hex').toString('latin1');
+  }
+
+  readToken() {
+    const { data } = this;
+    const start = this.pos;
+    while (this.pos < data.length && !WHITESPACE.has(data[this.pos]) && !DELIMITERS.has(data[this.pos])) {
+      this.pos += 1;
+    }
+    return data.slice(start, this.pos);
+  }
+
+  /**
+   * Next object, or undefined at the end of the data
+   */
+  next() {
+    this.skipWhitespace();
+    const { data } = this;
+    if (this.pos >= data.length) return undefined;
+
+    const char = data[this.pos];
+    if (char === '(') return this.readLiteralString();
+    if (char === '<') {
+      if (data[this.pos + 1] === '<') {
+        this.pos += 2;
+        return this.readDictionary();
+      }
+      return { hex: this.readHexString() };
+    }
+    if (char === '[') {
+      this.pos += 1;
+      return this.readArray();
+    }
+    if (char === '/') {
+      this.pos += 1;
+      return new Name(this.readToken().replace(/#([0-9a-fA-F]{2})/g, (_, code) => String.fromCharCode(parseInt(code, 16))));
+    }
+    if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+      this.pos += char === '>' && data[this.pos + 1] === '>' ? 2 : 1;
+      return new Keyword(char === '>' ? '>>' : char);
+    }
+
+    const token = this.readToken();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      // `12 0 R` is a reference; look ahead without consuming otherwise
+      if (/^\d+$/.test(token)) {
+        const saved = this.pos;
+        this.skipWhitespace();
+        const generation = this.readToken();
+        if (/^\d+$/.test(generation)) {
+          this.skipWhitespace();
+          if (this.data[this.pos] === 'R' && (WHITESPACE.has(this.data[this.pos + 1] ?? ' ') || DELIMITERS.has(this.data[this.pos + 1]))) {
+            this.pos += 1;
+            return new Ref(parseInt(token));
+          }
+        }
+        this.pos = saved;
+      }
+      return parseFloat(token);
+    }
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    if (token === '') {
+      this.pos += 1;
+      return this.next();
+    }
+    return new Keyword(token);
+  }
+
+  readArray() {
+    const items = [];
+    for (;;) {
+      const item = this.next();
+      if (item === undefined || (item instanceof Keyword && item.value === ']')) return items;
+      items.push(item);
+    }
+  }
+
+  readDictionary() {
+    const dict = {};
+    for (;;) {
+      const key = this.next();
+      if (key === undefined || (key instanceof Keyword && key.value === '>>')) return dict;
+      if (key instanceof Name) dict[key.value] = this.next();
+    }
+  }
+}
+
+/**
+ * Inflate a stream per its /Filter; streams with other filters (images, mostly) yield null
+ * @private
+ */
+const decodeStream = (dict, raw) => {
+  const filters = [].concat(dict.Filter ?? []).map((filter) => filter?.value);
+  let data = raw;
+  for (const filter of filters) {
+    if (filter !== 'FlateDecode' && filter !== 'Fl') return null;
+    try {
+      data = zlib.inflateSync(data, { maxOutputLength: MAX_STREAM_BYTES });
+    } catch {
+      try {
+        // Truncated or trailing-garbage streams are common; keep what inflates
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: MAX_STREAM_BYTES });
+      } catch {
+        return null;
+      }
+    }
+  }
+  return data;
+};
+
+/**
+ * Index every indirect object in the file, unpacking object streams
+ * @private
+ * @returns {Map<number, {value: *, stream?: Buffer}>}
+ */
+const readObjects = (buffer) => {
+  const text = buffer.toString('latin1');
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = header.exec(text)) !== null) {
+    const lexer = new Lexer(text, header.lastIndex);
+    const value = lexer.next();
+    const entry = { value };
+
+    lexer.skipWhitespace();
+    if (value && typeof value === 'object' && !Array.isArray(value) && text.startsWith('stream', lexer.pos)) {
+      let start = lexer.pos + 'stream'.length;
+      if (text[start] === '\r') start += 1;
+      if (text[start] === '\n') start += 1;
+      // Trust /Length when it lands on `endstream`, otherwise search for it
+      const length = typeof value.Length === 'number' ? value.Length : -1;
+      const end = length >= 0 && /^\s*endstream/.test(text.slice(start + length, start + length + 20))
+        ? start + length
+        : text.indexOf('endstream', start);
+      entry.stream = buffer.subarray(start, end === -1 ? buffer.length : end);
+      header.lastIndex = end === -1 ? text.length : end;
+    } else {
+      header.lastIndex = Math.max(lexer.pos, header.lastIndex);
+    }
+    objects.set(parseInt(match[1]), entry);
+  }
+
+  for (const entry of [...objects.values()]) {
+    if (entry.value?.Type?.value !== 'ObjStm' || !entry.stream) continue;
+    const decoded = decodeStream(entry.value, entry.stream);
+    if (!decoded) continue;
+
+    const data = decoded.toString('latin1');
+    const lexer = new Lexer(data);
+    const offsets = [];
+    for (let i = 0; i < entry.value.N; i += 1) {
+      offsets.push([lexer.next(), lexer.next()]);
+    }
+    for (const [num, offset] of offsets) {
+      if (!objects.has(num)) {
+        objects.set(num, { value: new Lexer(data, entry.value.First + offset).next() });
+      }
+    }
+  }
+
+  return objects;
+};
+
+/**
+ * Parse a ToUnicode CMap into code -> text, plus the code width in bytes
+ * @private
+ */
+const parseToUnicode = (data) => {
+  const map = new Map();
+  let codeBytes = 1;
+  // Targets are UTF-16BE; single-byte targets are padded to one code unit
+  const utf16 = (hex) => Buffer.from(hex.length % 4 ? hex.padStart(hex.length + 2, '0') : hex, 'hex');
+  const fromHex = (hex) => utf16(hex).swap16().toString('utf16le');
+
+  for (const [, block] of data.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    const first = /<([0-9a-fA-F]+)>/.exec(block);
+    if (first) codeBytes = Math.max(1, first[1].length / 2);
+  }
+  for (const [, block] of data.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, source, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(source, 16), fromHex(target));
+      codeBytes = Math.max(codeBytes, source.length / 2);
+    }
+  }
+  for (const [, block] of data.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target, list] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g)) {
+      const start = parseInt(low, 16);
+      const end = Math.min(parseInt(high, 16), start + 0xffff);
+      codeBytes = Math.max(codeBytes, low.length / 2);
+      if (target !== undefined) {
+        const base = utf16(target);
+        for (let code = start; code <= end; code += 1) {
+          const value = Buffer.from(base);
+          value.writeUInt16BE((value.readUInt16BE(value.length - 2) + code - start) & 0xffff, value.length - 2);
+          map.set(code, value.swap16().toString('utf16le'));
+        }
+      } else {
+        [...list.matchAll(/<([0-9a-fA-F]+)>/g)].forEach(([, hex], index) => map.set(start + index, fromHex(hex)));
+      }
+    }
+  }
+
+  return { map, codeBytes };
+};
+
+/**
+ * Turn a shown string into text using the current font
+ * @private
+ */
+const decodeShownString = (bytes, font) => {
+  if (!font?.toUnicode) {
+    // Without a map, two-byte fonts can't be read; single-byte ones are close enough to Latin-1
+    return font?.twoByte ? '' : bytes;
+  }
+  const { map, codeBytes } = font.toUnicode;
+  let text = '';
+  for (let i = 0; i + codeBytes <= bytes.length; i += codeBytes) {
+    let code = 0;
+    for (let j = 0; j < codeBytes; j += 1) code = (code << 8) | bytes.charCodeAt(i + j);
+    text += map.get(code) ?? (codeBytes === 1 ? bytes[i] : '');
+  }
+  return text;
+};
+
+/**
+ * Run a page's content stream and collect its text, one line per text line
+ * @private
+ */
+const interpretContent = (content, fonts) => {
+  const lexer = new Lexer(content);
+  const operands = [];
+  const lines = [''];
+  let font = null;
+  let lastY = null;
+
+  const show = (value) => {
+    const bytes = typeof value === 'string' ? value : value?.hex;
+    if (typeof bytes === 'string') lines[lines.length - 1] += decodeShownString(bytes, font);
+  };
+  const newLine = () => {
+    if (lines[lines.length - 1].trim()) lines.push('');
+  };
+
+  for (;;) {
+    const token = lexer.next();
+    if (token === undefined) break;
+    if (!(token instanceof Keyword)) {
+      operands.push(token);
+      continue;
+    }
+
+    switch (token.value) {
+      case 'Tf':
+        font = fonts[operands[0]?.value] || null;
+        break;
+      case 'Tj':
+        show(operands[0]);
+        break;
+      case "'":
+        newLine();
+        show(operands[0]);
+        break;
+      case '"':
+        newLine();
+        show(operands[2]);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+          // Large negative kerning is how many generators encode a space
+          if (typeof item === 'number') {
+            if (item < -200) lines[lines.length - 1] += ' ';
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands[1]) newLine();
+        else if (operands[0] > 0) lines[lines.length - 1] += ' ';
+        break;
+      case 'Tm':
+        if (lastY !== null && operands[5] !== lastY) newLine();
+        else lines[lines.length - 1] += ' ';
+        lastY = operands[5];
+        break;
+      case 'T*':
+        newLine();
+        break;
+      case 'BI': {
+        // Inline image data is binary; skip to its end marker
+        const end = content.indexOf('EI', lexer.pos);
+        lexer.pos = end === -1 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands.length = 0;
+  }
+
+  return lines.map((line) => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+};
+
+/**
+ * Extract the text of each page
+ * @param {Buffer} buffer
+ * @returns {{pages: string[]}}
+ */
+export const extractPdfText = (buffer) => {
+  if (!buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+    throw new PdfFormatError('File is not a PDF');
+  }
+
+  const objects = readObjects(buffer);
+  const resolve = (value, depth = 0) => (
+    value instanceof Ref && depth < 10 ? resolve(objects.get(value.num)?.value, depth + 1) : value
+  );
+  const streamOf = (value) => {
+    const entry = value instanceof Ref ? objects.get(value.num) : null;
+    return entry?.stream ? decodeStream(entry.value, entry.stream) : null;
+  };
+
+  if ([...objects.values()].some(({ value }) => value?.Filter?.value === 'Standard' && value?.O !== undefined)) {
+    throw new PdfFormatError('Encrypted PDFs are not supported');
+  }
+
+  // Pages in reading order, inheriting Resources from their ancestors
+  const pages = [];
+  const visit = (node, inherited, seen) => {
+    const dict = resolve(node);
+    if (!dict || typeof dict !== 'object' || seen.has(dict)) return;
+    seen.add(dict);
+    const resources = dict.Resources ?? inherited;
+    if (dict.Type?.value === 'Pages' || Array.isArray(resolve(dict.Kids))) {
+      for (const kid of resolve(dict.Kids) || []) visit(kid, resources, seen);
+    } else {
+      pages.push({ dict, resources });
+    }
+  };
+  const catalog = [...objects.values()].find(({ value }) => value?.Type?.value === 'Catalog')?.value;
+  if (catalog) visit(catalog.Pages, undefined, new Set());
+  if (pages.length === 0) {
+    [...objects.entries()]
+      .sort(([a], [b]) => a - b)
+      .filter(([, { value }]) => value?.Type?.value === 'Page')
+      .forEach(([, { value }]) => pages.push({ dict: value, resources: value.Resources }));
+  }
+  if (pages.length === 0) {
+    throw new PdfFormatError('PDF has no pages');
+  }
+
+  const fontCache = new Map();
+  const loadFont = (ref) => {
+    const key = ref instanceof Ref ? ref.num : null;
+    if (key !== null && fontCache.has(key)) return fontCache.get(key);
+    const dict = resolve(ref) || {};
+    const cmap = streamOf(dict.ToUnicode);
+    const font = {
+      twoByte: dict.Subtype?.value === 'Type0',
+      toUnicode: cmap ? parseToUnicode(cmap.toString('latin1')) : null,
+    };
+    if (key !== null) fontCache.set(key, font);
+    return font;
+  };
+
+  return {
+    pages: pages.map(({ dict, resources }) => {
+      const fontDict = resolve(resolve(resources)?.Font) || {};
+      const fonts = Object.fromEntries(Object.entries(fontDict).map(([name, ref]) => [name, loadFont(ref)]));
+      const resolvedContents = resolve(dict.Contents);
+      const contents = Array.isArray(resolvedContents) ? resolvedContents : [dict.Contents];
+      const content = contents
+        .map((ref) => streamOf(ref)?.toString('latin1') ?? '')
+        .join('\n');
+      return interpretContent(content, fonts);
+    }),
+  };
+};
+
+export default {
+  MAX_STREAM_BYTES,
+  PdfFormatError,
+  extractPdfText,
+};
@@ -0,0 +1,406 @@
+import pool from '../config/database.js';
+import { PASSING_SCORE } from './quizQuestionTypes.js';
+
+export const ITEM_TYPES = ['lesson', 'quiz'];
+
+/** Recommendations returned by the "what next" endpoint */
+export const MAX_NEXT_ITEMS = 3;
+
+/**
+ * Raised for prerequisite changes that cannot be applied (rendered with its status).
+ * `cycle` lists the node keys of the cycle the change would create.
+ */
+export class PrerequisiteError extends Error {
+  constructor(message, cycle = null) {
+    super(message);
+    this.name = 'PrerequisiteError';
+    this.status = 400;
+    this.cycle = cycle;
+  }
+}
+
+/**
+ * Graph node key for a lesson or quiz, e.g. "lesson:12"
+ * @param {'lesson'|'quiz'} type
+ * @param {number} id
+ */
+export const nodeKey = (type, id) => `${type}:${id}`;
+
+/**
+ * Whether a request body value is a list of {type, id} item references
+ * @param {*} items
+ */
+export const isItemRefList = (items) =>
+  Array.isArray(items) &&
+  items.every((item) => ITEM_TYPES.includes(item?.type) && Number.isInteger(item.id));
+
+/**
+ * Find a cycle in a directed graph. Edges point from the requirement to the
+ * item that requires it.
+ * @param {string[]} keys
+ * @param {Array<{from: string, to: string}>} edges
+ * @returns {string[]|null} Node keys along the cycle, first key repeated at the end
+ */
+export const findCycle = (keys, edges) => {
+  const adjacent = new Map(keys.map((key) => [key, []]));
+  for (const { from, to } of edges) {
+    if (!adjacent.has(from)) adjacent.set(from, []);
+    adjacent.get(from).push(to);
+  }
+
+  // 1 = on the current path, 2 = fully explored
+  const state = new Map();
+  const path = [];
+
+  const visit = (key) => {
+    state.set(key, 1);
+    path.push(key);
+    for (const next of adjacent.get(key) || []) {
+      if (state.get(next) === 1) {
+        return [...path.slice(path.indexOf(next)), next];
+      }
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state.set(key, 2);
+    return null;
+  };
+
+  for (const key of adjacent.keys()) {
+    if (!state.has(key)) {
+      const cycle = visit(key);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+/**
+ * @private
+ */
+const toEdge = (row) => ({
+  from: row.required_lesson_id ? nodeKey('lesson', row.required_lesson_id) : nodeKey('quiz', row.required_quiz_id),
+  to: row.lesson_id ? nodeKey('lesson', row.lesson_id) : nodeKey('quiz', row.quiz_id),
+});
+
+/**
+ * @private
+ */
+const loadEdges = async (topicId, db = pool) => {
+  const result = await db.query('SELECT * FROM prerequisites WHERE topic_id = $1 ORDER BY id', [topicId]);
+  return result.rows.map(toEdge);
+};
+
+/**
+ * Insert one edge. Does not check for cycles; callers guarantee the graph stays acyclic.
+ * @param {number} topicId
+ * @param {{type: 'lesson'|'quiz', id: number}} item
+ * @param {{type: 'lesson'|'quiz', id: number}} requirement
+ * @param {import('pg').Pool|import('pg').PoolClient} [db] - Pass a client to join its transaction
+ */
+export const addPrerequisite = async (topicId, item, requirement, db = pool) => {
+  await db.query(
+    `INSERT INTO prerequisites (topic_id, lesson_id, quiz_id, required_lesson_id, required_quiz_id)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      topicId,
+      item.type === 'lesson' ? item.id : null,
+      item.type === 'quiz' ? item.id : null,
+      requirement.type === 'lesson' ? requirement.id : null,
+      requirement.type === 'quiz' ? requirement.id : null,
+    ]
+  );
+};
+
+/**
+ * Replace an item's prerequisites. Every requirement must belong to the same
+ * topic and the resulting graph must stay acyclic.
+ * @param {number} topicId
+ * @param {{type: 'lesson'|'quiz', id: number}} item
+ * @param {Array<{type: 'lesson'|'quiz', id: number}>} requirements
+ * @param {import('pg').Pool|import('pg').PoolClient} [db] - Pass a client to join its transaction
+ * @returns {Promise<string[]>} Keys of the item's prerequisites
+ */
+export const setPrerequisites = async (topicId, item, requirements, db = pool) => {
+  const itemsResult = await db.query(
+    `SELECT 'lesson' AS type, id FROM lessons WHERE topic_id = $1
+     UNION ALL
+     SELECT 'quiz' AS type, id FROM quizzes WHERE topic_id = $1`,
+    [topicId]
+  );
+  const keys = itemsResult.rows.map((row) => nodeKey(row.type, row.id));
+  const itemKey = nodeKey(item.type, item.id);
+
+  if (!keys.includes(itemKey)) {
+    throw new PrerequisiteError(`${item.type} ${item.id} does not belong to this topic`);
+  }
+
+  const requiredKeys = [...new Set(requirements.map((requirement) => nodeKey(requirement.type, requirement.id)))];
+  const foreign = requiredKeys.find((key) => !keys.includes(key));
+  if (foreign) {
+    throw new PrerequisiteError(`Prerequisite ${foreign} does not belong to this topic`);
+  }
+
+  const edges = [
+    ...(await loadEdges(topicId, db)).filter((edge) => edge.to !== itemKey),
+    ...requiredKeys.map((key) => ({ from: key, to: itemKey })),
+  ];
+  const cycle = findCycle(keys, edges);
+  if (cycle) {
+    throw new PrerequisiteError(`Prerequisites would create a cycle: ${cycle.join(' → ')}`, cycle);
+  }
+
+  await db.query(
+    `DELETE FROM prerequisites WHERE topic_id = $1 AND ${item.type === 'lesson' ? 'lesson_id' : 'quiz_id'} = $2`,
+    [topicId, item.id]
+  );
+  for (const key of requiredKeys) {
+    const [type, id] = key.split(':');
+    await addPrerequisite(topicId, item, { type, id: Number(id) }, db);
+  }
+
+  return requiredKeys;
+};
+
+/**
+ * Prerequisites for an item added without any: the last lesson placed before it,
+ * which keeps hand-built topics in their linear order
+ * @param {number} topicId
+ * @param {'lesson'|'quiz'} type
+ * @param {number} orderIndex
+ * @param {import('pg').Pool|import('pg').PoolClient} [db]
+ * @returns {Promise<Array<{type: 'lesson', id: number}>>}
+ */
+export const getDefaultPrerequisites = async (topicId, type, orderIndex, db = pool) => {
+  const result = await db.query(
+    `SELECT id FROM lessons
+     WHERE topic_id = $1 AND (order_index < $2 OR ($3 AND order_index = $2))
+     ORDER BY order_index DESC, id DESC
+     LIMIT 1`,
+    [topicId, orderIndex, type === 'quiz']
+  );
+  return result.rows.map((row) => ({ type: 'lesson', id: row.id }));
+};
+
+/**
+ * Store the prerequisites of a generated learning path. Lessons name their
+ * prerequisites by title; each quiz requires the lesson it was generated for.
+ * Unknown titles and edges that would close a cycle are dropped. When the model
+ * gave no usable prerequisites at all, lessons are chained in order.
+ * @param {number} topicId
+ * @param {Array<{id: number, title: string, prerequisites?: string[]}>} lessons - Inserted lessons, in path order
+ * @param {Array<{id: number, lessonId: number}>} quizzes - Inserted quizzes and their lesson
+ * @param {import('pg').Pool|import('pg').PoolClient} [db] - Pass a client to join its transaction
+ * @returns {Promise<number>} Number of edges stored
+ */
+export const linkGeneratedPath = async (topicId, lessons, quizzes, db = pool) => {
+  const byTitle = new Map(lessons.map((lesson) => [lesson.title.trim().toLowerCase(), lesson]));
+  const keys = [
+    ...lessons.map((lesson) => nodeKey('lesson', lesson.id)),
+    ...quizzes.map((quiz) => nodeKey('quiz', quiz.id)),
+  ];
+
+  const edges = [];
+  const links = [];
+  const link = (item, requirement) => {
+    const edge = { from: nodeKey(requirement.type, requirement.id), to: nodeKey(item.type, item.id) };
+    if (edge.from === edge.to || edges.some((e) => e.from === edge.from && e.to === edge.to)) return;
+    if (findCycle(keys, [...edges, edge])) {
+      console.warn(`Dropping generated prerequisite ${edge.from} → ${edge.to}: it would create a cycle`);
+      return;
+    }
+    edges.push(edge);
+    links.push([item, requirement]);
+  };
+
+  for (const lesson of lessons) {
+    for (const title of Array.isArray(lesson.prerequisites) ? lesson.prerequisites : []) {
+      const required = typeof title === 'string' && byTitle.get(title.trim().toLowerCase());
+      if (required) {
+        link({ type: 'lesson', id: lesson.id }, { type: 'lesson', id: required.id });
+      }
+    }
+  }
+
+  if (edges.length === 0) {
+    lessons.slice(1).forEach((lesson, index) =>
+      link({ type: 'lesson', id: lesson.id }, { type: 'lesson', id: lessons[index].id })
+    );
+  }
+
+  for (const quiz of quizzes) {
+    link({ type: 'quiz', id: quiz.id }, { type: 'lesson', id: quiz.lessonId });
+  }
+
+  for (const [item, requirement] of links) {
+    await addPrerequisite(topicId, item, requirement, db);
+  }
+  return links.length;
+};
+
+/**
+ * A topic's lessons and quizzes as graph nodes with the learner's progress
+ * @private
+ */
+const loadNodes = async (userId, topicId) => {
+  const [lessonsResult, quizzesResult] = await Promise.all([
+    pool.query(
+      `SELECT l.id, l.title, l.order_index, l.concepts, l.remedial, l.skipped,
+         COALESCE(lp.completed, false) AS completed
+       FROM lessons l
+       LEFT JOIN lesson_progress lp ON l.id = lp.lesson_id AND lp.user_id = $2
+       WHERE l.topic_id = $1`,
+      [topicId, userId]
+    ),
+    // A quiz is passed by a graded attempt at the passing score or a mastered adaptive session
+    pool.query(
+      `SELECT q.id, q.title, q.order_index,
+         (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id AND session_id IS NULL) AS question_count,
+         EXISTS (
+           SELECT 1 FROM quiz_attempts qa
+           WHERE qa.quiz_id = q.id AND qa.user_id = $2
+             AND qa.total_questions > 0 AND qa.score >= qa.total_questions * $3
+         ) OR EXISTS (
+           SELECT 1 FROM quiz_sessions qs
+           WHERE qs.quiz_id = q.id AND qs.user_id = $2 AND qs.stop_reason = 'mastered'
+         ) AS passed
+       FROM quizzes q
+       WHERE q.topic_id = $1`,
+      [topicId, userId, PASSING_SCORE]
+    ),
+  ]);
+
+  return [
+    ...lessonsResult.rows.map((lesson) => ({
+      key: nodeKey('lesson', lesson.id),
+      type: 'lesson',
+      id: lesson.id,
+      title: lesson.title,
+      orderIndex: lesson.order_index,
+      concepts: lesson.concepts,
+      remedial: lesson.remedial,
+      done: lesson.completed || lesson.skipped,
+      status: lesson.completed ? 'completed' : lesson.skipped ? 'skipped' : null,
+    })),
+    ...quizzesResult.rows.map((quiz) => ({
+      key: nodeKey('quiz', quiz.id),
+      type: 'quiz',
+      id: quiz.id,
+      title: quiz.title,
+      orderIndex: quiz.order_index,
+      questionCount: parseInt(quiz.question_count),
+      remedial: false,
+      done: quiz.passed,
+      status: quiz.passed ? 'completed' : null,
+    })),
+  ];
+};
+
+/**
+ * A learner's view of a topic's prerequisite graph. Every node has a `status`:
+ * completed (lesson finished or quiz passed), skipped (mastered lesson),
+ * available (all prerequisites met) or locked, and a `depth` (longest chain of
+ * prerequisites before it) for layout.
+ * @param {number} userId
+ * @param {number} topicId
+ */
+export const getTopicGraph = async (userId, topicId) => {
+  const [nodes, edges] = await Promise.all([loadNodes(userId, topicId), loadEdges(topicId)]);
+  const byKey = new Map(nodes.map((node) => [node.key, { ...node, prerequisites: [], dependents: [] }]));
+
+  for (const { from, to } of edges) {
+    byKey.get(to).prerequisites.push(from);
+    byKey.get(from).dependents.push(to);
+  }
+
+  const depthOf = (node) => {
+    if (node.depth === undefined) {
+      node.depth = 0;
+      node.depth = Math.max(0, ...node.prerequisites.map((key) => depthOf(byKey.get(key)) + 1));
+    }
+    return node.depth;
+  };
+
+  const graphNodes = [...byKey.values()].map((node) => {
+    depthOf(node);
+    const missing = node.prerequisites.filter((key) => !byKey.get(key).done);
+    return { ...node, status: node.status || (missing.length === 0 ? 'available' : 'locked'), missing };
+  });
+
+  graphNodes.sort((a, b) => a.depth - b.depth || a.orderIndex - b.orderIndex || a.type.localeCompare(b.type) || a.id - b.id);
+
+  return {
+    nodes: graphNodes.map(({ done, ...node }) => node),
+    edges,
+  };
+};
+
+/**
+ * What the learner should do next: available items, review lessons first, then
+ * those that unlock the most, then in path order
+ * @param {number} userId
+ * @param {number} topicId
+ * @param {{limit?: number}} [options]
+ */
+export const getNextSteps = async (userId, topicId, { limit = MAX_NEXT_ITEMS } = {}) => {
+  const { nodes } = await getTopicGraph(userId, topicId);
+  const byKey = new Map(nodes.map((node) => [node.key, node]));
+
+  // Locked items that would become available once this one is done
+  const unlocksOf = (node) => node.dependents.filter((key) => {
+    const dependent = byKey.get(key);
+    return dependent.status === 'locked' && dependent.missing.length === 1;
+  }).length;
+
+  const reasonFor = (node, unlocks) => {
+    if (node.remedial) return 'A review lesson added to your path to strengthen weak concepts';
+    if (unlocks > 0) return `Unlocks ${unlocks} more item${unlocks === 1 ? '' : 's'}`;
+    if (node.type === 'quiz') return 'Check what you have learned so far';
+    return 'Next step in your path';
+  };
+
+  const items = nodes
+    .filter((node) => node.status === 'available')
+    .map((node) => ({ node, unlocks: unlocksOf(node) }))
+    .sort((a, b) =>
+      Number(b.node.remedial) - Number(a.node.remedial) ||
+      b.unlocks - a.unlocks ||
+      a.node.depth - b.node.depth ||
+      a.node.orderIndex - b.node.orderIndex
+    )
+    .slice(0, limit)
+    .map(({ node, unlocks }) => ({
+      key: node.key,
+      type: node.type,
+      id: node.id,
+      title: node.title,
+      unlocks,
+      reason: reasonFor(node, unlocks),
+    }));
+
+  const remaining = nodes.filter((node) => node.status === 'available' || node.status === 'locked').length;
+
+  return {
+    items,
+    remaining,
+    completed: nodes.length > 0 && remaining === 0,
+  };
+};
+
+export default {
+  ITEM_TYPES,
+  MAX_NEXT_ITEMS,
+  PrerequisiteError,
+  nodeKey,
+  isItemRefList,
+  findCycle,
+  addPrerequisite,
+  setPrerequisites,
+  getDefaultPrerequisites,
+  linkGeneratedPath,
+  getTopicGraph,
+  getNextSteps,
+};
@@ -0,0 +1,188 @@
+import pool from '../config/database.js';
+import { PASSING_SCORE } from './quizQuestionTypes.js';
+import { recordConceptSignals } from './conceptMasteryService.js';
+import { trackLessonCompleted } from './xapiService.js';
+import { publishEvent } from './webhookService.js';
+
+/**
+ * Mark a lesson as completed. The first completion counts as practice for the
+ * lesson's concepts and is reported to the LRS and to webhooks.
+ * @param {number} userId
+ * @param {Object} lesson - Lesson row
+ * @returns {Promise<Object>} lesson_progress row
+ */
+export const markLessonCompleted = async (userId, lesson) => {
+  const previous = await pool.query(
+    'SELECT completed FROM lesson_progress WHERE user_id = $1 AND lesson_id = $2',
+    [userId, lesson.id]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO lesson_progress (user_id, lesson_id, completed, completed_at)
+     VALUES ($1, $2, true, CURRENT_TIMESTAMP)
+     ON CONFLICT (user_id, lesson_id)
+     DO UPDATE SET completed = true, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [userId, lesson.id]
+  );
+  const progress = result.rows[0];
+
+  if (!previous.rows[0]?.completed) {
+    await recordConceptSignals(
+      userId,
+      lesson.topic_id,
+      lesson.concepts.map((concept) => ({ concept, signal: 'lesson_completed' }))
+    );
+    await trackLessonCompleted(userId, lesson.id);
+    await publishEvent('lesson.completed', userId, {
+      lesson: { id: lesson.id, topicId: lesson.topic_id, title: lesson.title },
+      completedAt: progress.completed_at,
+    });
+  }
+
+  return progress;
+};
+
+/**
+ * Mark a lesson as not completed
+ * @returns {Promise<Object|null>} lesson_progress row, or null if the lesson was never started
+ */
+export const markLessonIncomplete = async (userId, lessonId) => {
+  const result = await pool.query(
+    `UPDATE lesson_progress
+     SET completed = false, completed_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND lesson_id = $2
+     RETURNING *`,
+    [userId, lessonId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Completion of every topic the user owns, most recently active first.
+ * Skipped lessons don't count; a quiz is passed once any attempt reaches the passing score.
+ * @param {number} userId
+ */
+export const getProgressSummary = async (userId) => {
+  const result = await pool.query(
+    `SELECT t.id, t.name,
+       (SELECT COUNT(*) FROM lessons l WHERE l.topic_id = t.id AND NOT l.skipped) AS total_lessons,
+       (SELECT COUNT(*) FROM lesson_progress lp
+          JOIN lessons l ON l.id = lp.lesson_id
+          WHERE l.topic_id = t.id AND NOT l.skipped AND lp.user_id = $1 AND lp.completed) AS completed_lessons,
+       (SELECT COUNT(*) FROM quizzes q WHERE q.topic_id = t.id) AS total_quizzes,
+       (SELECT COUNT(DISTINCT qa.quiz_id) FROM quiz_attempts qa
+          JOIN quizzes q ON q.id = qa.quiz_id
+          WHERE q.topic_id = t.id AND qa.user_id = $1) AS attempted_quizzes,
+       (SELECT COUNT(DISTINCT qa.quiz_id) FROM quiz_attempts qa
+          JOIN quizzes q ON q.id = qa.quiz_id
+          WHERE q.topic_id = t.id AND qa.user_id = $1
+            AND qa.total_questions > 0 AND qa.score >= qa.total_questions * $2) AS passed_quizzes,
+       GREATEST(
+         (SELECT MAX(lp.updated_at) FROM lesson_progress lp
+            JOIN lessons l ON l.id = lp.lesson_id
+            WHERE l.topic_id = t.id AND lp.user_id = $1),
+         (SELECT MAX(qa.completed_at) FROM quiz_attempts qa
+            JOIN quizzes q ON q.id = qa.quiz_id
+            WHERE q.topic_id = t.id AND qa.user_id = $1)
+       ) AS last_activity_at
+     FROM topics t
+     WHERE t.user_id = $1
+     ORDER BY last_activity_at DESC NULLS LAST, t.created_at DESC`,
+    [userId, PASSING_SCORE]
+  );
+
+  return result.rows.map((row) => {
+    const lessons = { completed: parseInt(row.completed_lessons), total: parseInt(row.total_lessons) };
+    return {
+      topicId: row.id,
+      name: row.name,
+      lessons,
+      quizzes: {
+        passed: parseInt(row.passed_quizzes),
+        attempted: parseInt(row.attempted_quizzes),
+        total: parseInt(row.total_quizzes),
+      },
+      percentComplete: lessons.total > 0 ? Math.round((lessons.completed / lessons.total) * 100) : 0,
+      lastActivityAt: row.last_activity_at,
+    };
+  });
+};
+
+/**
+ * Per-item progress of one topic: every lesson's completion and every quiz's best attempt
+ * @param {number} userId
+ * @param {number} topicId
+ */
+export const getTopicProgress = async (userId, topicId) => {
+  const [lessons, quizzes] = await Promise.all([
+    pool.query(
+      `SELECT l.id, l.title, l.order_index, l.skipped,
+         COALESCE(lp.completed, false) AS completed, lp.completed_at
+       FROM lessons l
+       LEFT JOIN lesson_progress lp ON lp.lesson_id = l.id AND lp.user_id = $2
+       WHERE l.topic_id = $1
+       ORDER BY l.order_index, l.id`,
+      [topicId, userId]
+    ),
+    pool.query(
+      `SELECT q.id, q.title, q.order_index,
+         COUNT(qa.id) AS attempts,
+         MAX(qa.score::float / NULLIF(qa.total_questions, 0)) AS best_score,
+         MAX(qa.completed_at) AS last_attempt_at
+       FROM quizzes q
+       LEFT JOIN quiz_attempts qa ON qa.quiz_id = q.id AND qa.user_id = $2
+       WHERE q.topic_id = $1
+       GROUP BY q.id
+       ORDER BY q.order_index, q.id`,
+      [topicId, userId]
+    ),
+  ]);
+
+  return {
+    topicId: Number(topicId),
+    lessons: lessons.rows.map((row) => ({
+      id: row.id,
+      title: row.title,
+      orderIndex: row.order_index,
+      skipped: row.skipped,
+      completed: row.completed,
+      completedAt: row.completed_at,
+    })),
+    quizzes: quizzes.rows.map((row) => {
+      const bestScore = row.best_score === null ? null : Number(row.best_score);
+      return {
+        id: row.id,
+        title: row.title,
+        orderIndex: row.order_index,
+        attempts: parseInt(row.attempts),
+        bestScore,
+        passed: bestScore !== null && bestScore >= PASSING_SCORE,
+        lastAttemptAt: row.last_attempt_at,
+      };
+    }),
+  };
+};
+
+/**
+ * Clear lesson completion for a topic so it can be worked through again.
+ * Quiz attempts and concept mastery are history and are kept.
+ * @returns {Promise<number>} Lessons reset
+ */
+export const resetTopicProgress = async (userId, topicId) => {
+  const result = await pool.query(
+    `DELETE FROM lesson_progress lp
+     USING lessons l
+     WHERE l.id = lp.lesson_id AND l.topic_id = $1 AND lp.user_id = $2`,
+    [topicId, userId]
+  );
+  return result.rowCount;
+};
+
+export default {
+  markLessonCompleted,
+  markLessonIncomplete,
+  getProgressSummary,
+  getTopicProgress,
+  resetTopicProgress,
+};
@@ -0,0 +1,376 @@
+import { orchestrator } from '../agents/index.js';
+
+/**
+ * Credit (0-1) at which an open-ended answer counts as correct
+ */
+export const PASSING_SCORE = 0.7;
+
+export const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+const MAX_CODE_ANSWER_LENGTH = 10000;
+
+// Three or more underscores mark a blank in fill_blank questions
+const BLANK_PATTERN = /_{3,}/g;
+
+/**
+ * Raised when an authored question does not match its type's schema. Rendered as 400.
+ */
+export class QuestionValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuestionValidationError';
+    this.status = 400;
+  }
+}
+
+const fail = (message) => {
+  throw new QuestionValidationError(message);
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isIndex = (value, options) => Number.isInteger(value) && value >= 0 && value < options.length;
+
+const isPermutation = (value, length) =>
+  Array.isArray(value) &&
+  value.length === length &&
+  new Set(value).size === length &&
+  value.every((index) => Number.isInteger(index) && index >= 0 && index < length);
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const countBlanks = (question) => (question.match(BLANK_PATTERN) || []).length;
+
+/**
+ * Random permutation of the indices 0..length-1 (Fisher-Yates)
+ * @private
+ */
+const shuffledIndices = (length) => {
+  const indices = [...Array(length).keys()];
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices;
+};
+
+/**
+ * @private
+ */
+const validateOptions = (options) => {
+  if (!Array.isArray(options) || options.length < 2 || !options.every(isNonEmptyString)) {
+    fail('Options must be an array with at least 2 non-empty items');
+  }
+  return options.map((option) => option.trim());
+};
+
+/**
+ * Accept a bare string or `{ <field>, rubric }` as the answer key of an open-ended question
+ * @private
+ */
+const normalizeRubricAnswer = (correctAnswer, field) => {
+  const key = typeof correctAnswer === 'string' ? { [field]: correctAnswer } : correctAnswer;
+
+  if (!key || !isNonEmptyString(key[field])) {
+    fail(`correct_answer must include a non-empty ${field}`);
+  }
+
+  const rubric = key.rubric ?? [];
+  if (!Array.isArray(rubric) || !rubric.every(isNonEmptyString)) {
+    fail('Rubric must be an array of criteria');
+  }
+
+  return { [field]: key[field].trim(), rubric };
+};
+
+/**
+ * Ask QuizGrader to score an open-ended answer. When grading fails the answer
+ * comes back ungraded (`score` null) instead of failing the submission.
+ * @private
+ */
+const gradeWithRubric = async (question, answer, { userId, modelAnswer }) => {
+  const response = await orchestrator.communication.sendMessage(
+    'QuizController',
+    'QuizGrader',
+    {
+      action: 'grade_answer',
+      data: {
+        userId,
+        questionType: question.type,
+        question: question.question,
+        answer,
+        modelAnswer,
+        rubric: question.correct_answer.rubric,
+        language: question.settings?.language || null,
+      },
+    }
+  );
+
+  if (!response.success) {
+    console.error('Failed to grade answer:', response.error);
+    return {
+      score: null,
+      isCorrect: false,
+      feedback: 'This answer could not be graded right now, so it was not counted.',
+      ungraded: true,
+    };
+  }
+
+  const score = response.data.score / 100;
+  return {
+    score,
+    isCorrect: score >= PASSING_SCORE,
+    feedback: response.data.feedback || null,
+  };
+};
+
+/**
+ * Question type registry. Each type defines:
+ * - `normalize(input)`: validate an authored question and return the stored
+ *   `{ options, correctAnswer, settings }`; throws QuestionValidationError
+ * - `isValidAnswer(answer, question)`: whether a submitted answer has the right shape
+ * - `grade(answer, question, context)`: `{ score, isCorrect, feedback }` with score in 0-1,
+ *   or `{ score: null, ungraded: true }` when an LLM-graded answer could not be graded
+ * - `llmGraded`: grading calls QuizGrader and spends tokens
+ */
+export const QUESTION_TYPES = {
+  // One correct option; answer is the option index
+  multiple_choice: {
+    label: 'Multiple choice',
+    llmGraded: false,
+    normalize({ options, correct_answer }) {
+      const normalizedOptions = validateOptions(options);
+      if (!isIndex(correct_answer, normalizedOptions)) {
+        fail('Invalid correct_answer index');
+      }
+      return { options: normalizedOptions, correctAnswer: correct_answer, settings: {} };
+    },
+    isValidAnswer: (answer, question) => isIndex(answer, question.options),
+    grade(answer, question) {
+      const isCorrect = answer === question.correct_answer;
+      return { score: isCorrect ? 1 : 0, isCorrect, feedback: null };
+    },
+  },
+
+  // Several correct options; answer is an array of option indices
+  multiple_select: {
+    label: 'Multiple select',
+    llmGraded: false,
+    normalize({ options, correct_answer }) {
+      const normalizedOptions = validateOptions(options);
+      if (
+        !Array.isArray(correct_answer) ||
+        correct_answer.length === 0 ||
+        new Set(correct_answer).size !== correct_answer.length ||
+        !correct_answer.every((index) => isIndex(index, normalizedOptions))
+      ) {
+        fail('correct_answer must be a non-empty array of distinct option indices');
+      }
+      return {
+        options: normalizedOptions,
+        correctAnswer: [...correct_answer].sort((a, b) => a - b),
+        settings: {},
+      };
+    },
+    isValidAnswer: (answer, question) =>
+      Array.isArray(answer) &&
+      new Set(answer).size === answer.length &&
+      answer.every((index) => isIndex(index, question.options)),
+    // Each wrong pick cancels a right one, so selecting everything earns nothing
+    grade(answer, question) {
+      const correct = new Set(question.correct_answer);
+      const hits = answer.filter((index) => correct.has(index)).length;
+      const misses = answer.length - hits;
+      const score = Math.max(0, (hits - misses) / correct.size);
+      return { score, isCorrect: hits === correct.size && misses === 0, feedback: null };
+    },
+  },
+
+  // Question text contains ___ blanks; answer is one string per blank
+  fill_blank: {
+    label: 'Fill in the blank',
+    llmGraded: false,
+    normalize({ question, correct_answer, settings = {} }) {
+      const blanks = countBlanks(question);
+      if (blanks === 0) {
+        fail('Fill-in-the-blank questions need at least one blank (___) in the question text');
+      }
+      if (!Array.isArray(correct_answer) || correct_answer.length !== blanks) {
+        fail(`correct_answer must list the accepted answers for each of the ${blanks} blank(s)`);
+      }
+
+      // Each blank accepts a single string or a list of alternatives
+      const accepted = correct_answer.map((entry) => (Array.isArray(entry) ? entry : [entry]));
+      if (!accepted.every((alternatives) => alternatives.length > 0 && alternatives.every(isNonEmptyString))) {
+        fail('Accepted answers must be non-empty strings');
+      }
+
+      return {
+        options: null,
+        correctAnswer: accepted.map((alternatives) => alternatives.map((text) => text.trim())),
+        settings: { blanks, caseSensitive: Boolean(settings.caseSensitive) },
+      };
+    },
+    isValidAnswer: (answer, question) =>
+      Array.isArray(answer) &&
+      answer.length === question.settings.blanks &&
+      answer.every((text) => typeof text === 'string' && text.length <= MAX_TEXT_ANSWER_LENGTH),
+    grade(answer, question) {
+      const { caseSensitive } = question.settings;
+      const filled = question.correct_answer.filter((alternatives, index) =>
+        alternatives.some((text) => normalizeText(text, caseSensitive) === normalizeText(answer[index], caseSensitive))
+      ).length;
+      const score = filled / question.correct_answer.length;
+      return { score, isCorrect: score === 1, feedback: null };
+    },
+  },
+
+  // Answer and key are option indices in the correct order. Authors usually
+  // list the items in that order, so options are shuffled when saved and the
+  // key is remapped to the stored order.
+  ordering: {
+    label: 'Ordering',
+    llmGraded: false,
+    normalize({ options, correct_answer }) {
+      const normalizedOptions = validateOptions(options);
+      if (!isPermutation(correct_answer, normalizedOptions.length)) {
+        fail('correct_answer must list every option index exactly once');
+      }
+
+      // Shuffle again if the stored order would be the correct one
+      let order;
+      do {
+        order = shuffledIndices(normalizedOptions.length);
+      } while (correct_answer.every((index, position) => order[position] === index));
+
+      return {
+        options: order.map((index) => normalizedOptions[index]),
+        correctAnswer: correct_answer.map((index) => order.indexOf(index)),
+        settings: {},
+      };
+    },
+    isValidAnswer: (answer, question) => isPermutation(answer, question.options.length),
+    grade(answer, question) {
+      const inPlace = answer.filter((index, position) => question.correct_answer[position] === index).length;
+      const score = inPlace / answer.length;
+      return { score, isCorrect: score === 1, feedback: null };
+    },
+  },
+
+  // Short written answer graded by QuizGrader against a model answer and rubric
+  free_text: {
+    label: 'Short answer',
+    llmGraded: true,
+    normalize({ correct_answer, settings = {} }) {
+      const maxLength = settings.maxLength ?? 500;
+      if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_TEXT_ANSWER_LENGTH) {
+        fail(`maxLength must be between 1 and ${MAX_TEXT_ANSWER_LENGTH}`);
+      }
+      return {
+        options: null,
+        correctAnswer: normalizeRubricAnswer(correct_answer, 'modelAnswer'),
+        settings: { maxLength },
+      };
+    },
+    isValidAnswer: (answer, question) =>
+      isNonEmptyString(answer) && answer.length <= question.settings.maxLength,
+    grade: (answer, question, context) =>
+      gradeWithRubric(question, answer, { ...context, modelAnswer: question.correct_answer.modelAnswer }),
+  },
+
+  // Code written in the browser, graded by QuizGrader against a reference solution (never executed)
+  code: {
+    label: 'Code',
+    llmGraded: true,
+    normalize({ correct_answer, settings = {} }) {
+      if (!isNonEmptyString(settings.language)) {
+        fail('Code questions need a language in settings');
+      }
+      if (settings.starterCode !== undefined && typeof settings.starterCode !== 'string') {
+        fail('starterCode must be a string');
+      }
+      return {
+        options: null,
+        correctAnswer: normalizeRubricAnswer(correct_answer, 'referenceSolution'),
+        settings: { language: settings.language.trim(), starterCode: settings.starterCode || '' },
+      };
+    },
+    isValidAnswer: (answer) => isNonEmptyString(answer) && answer.length <= MAX_CODE_ANSWER_LENGTH,
+    grade: (answer, question, context) =>
+      gradeWithRubric(question, answer, { ...context, modelAnswer: question.correct_answer.referenceSolution }),
+  },
+};
+
+export const QUESTION_TYPE_NAMES = Object.keys(QUESTION_TYPES);
+
+/**
+ * Validate an authored question and shape it for storage
+ * @param {{type?: string, question: string, options?: *, correct_answer: *, settings?: Object, concept?: string, difficulty?: string}} input
+ * @returns {{type: string, question: string, options: *, correctAnswer: *, settings: Object, concept: string|null, difficulty: string}}
+ */
+export const normalizeQuestion = (input) => {
+  const type = input.type || 'multiple_choice';
+  const definition = QUESTION_TYPES[type];
+
+  if (!definition) {
+    fail(`Invalid question type. Must be one of: ${QUESTION_TYPE_NAMES.join(', ')}`);
+  }
+  if (!isNonEmptyString(input.question)) {
+    fail('Question text is required');
+  }
+  if (input.correct_answer === undefined || input.correct_answer === null) {
+    fail('correct_answer is required');
+  }
+
+  const difficulty = input.difficulty || 'medium';
+  if (!QUESTION_DIFFICULTIES.includes(difficulty)) {
+    fail(`Invalid difficulty. Must be one of: ${QUESTION_DIFFICULTIES.join(', ')}`);
+  }
+  if (input.concept != null && (typeof input.concept !== 'string' || input.concept.length > 255)) {
+    fail('Concept must be a string of at most 255 characters');
+  }
+
+  const question = input.question.trim();
+  return {
+    type,
+    question,
+    ...definition.normalize({ ...input, question, settings: input.settings || {} }),
+    concept: input.concept?.trim() || null,
+    difficulty,
+  };
+};
+
+/**
+ * Whether grading this question calls the LLM
+ */
+export const isLLMGraded = (question) => Boolean(QUESTION_TYPES[question.type]?.llmGraded);
+
+/**
+ * Grade a submitted answer. Returns null when the answer does not fit the
+ * question's type, in which case it is treated as unanswered.
+ * @param {Object} question - quiz_questions row
+ * @param {*} answer
+ * @param {{userId?: number}} [context]
+ * @returns {Promise<{score: number|null, isCorrect: boolean, feedback: string|null, ungraded?: boolean}|null>}
+ */
+export const gradeAnswer = async (question, answer, context = {}) => {
+  const definition = QUESTION_TYPES[question.type];
+  if (!definition || !definition.isValidAnswer(answer, question)) {
+    return null;
+  }
+  return definition.grade(answer, question, context);
+};
+
+export default {
+  PASSING_SCORE,
+  QUESTION_DIFFICULTIES,
+  QUESTION_TYPES,
+  QUESTION_TYPE_NAMES,
+  normalizeQuestion,
+  isLLMGraded,
+  gradeAnswer,
+};
@@ -0,0 +1,103 @@
+import pool from '../config/database.js';
+import { normalizeQuestion, isLLMGraded, QuestionValidationError } from './quizQuestionTypes.js';
+
+/**
+ * Question as shown to a learner before answering, without the answer key
+ */
+export const toPublicQuestion = (question) => ({
+  id: question.id,
+  type: question.type,
+  question: question.question,
+  options: question.options,
+  settings: question.settings,
+  concept: question.concept || null,
+  difficulty: question.difficulty,
+});
+
+/**
+ * Per-question review shown after grading: the learner's answer next to the correct one.
+ * LLM-graded answers stored without a score could not be graded and are `ungraded`.
+ */
+export const formatReviewItem = (question, answer) => ({
+  questionId: question.id,
+  type: question.type,
+  question: question.question,
+  options: question.options,
+  settings: question.settings,
+  concept: question.concept || null,
+  difficulty: question.difficulty,
+  selectedAnswer: answer ? answer.selected_answer : null,
+  correctAnswer: question.correct_answer,
+  isCorrect: answer ? answer.is_correct : false,
+  score: answer?.score != null ? Number(answer.score) : 0,
+  feedback: answer?.feedback || null,
+  ungraded: Boolean(answer) && answer.score == null && isLLMGraded(question),
+});
+
+/**
+ * Validate and insert a quiz question
+ * @param {number} quizId
+ * @param {{type?: string, question: string, options?: *, correct_answer: *, settings?: Object, concept?: string, difficulty?: string}} input
+ * @param {number} orderIndex
+ * @param {import('pg').Pool|import('pg').PoolClient} [db] - Pass a client to join its transaction
+ * @param {{sessionId?: number|null}} [options] - Adaptive session the question is only asked in
+ * @returns {Promise<Object>} Inserted row
+ */
+export const createQuizQuestion = async (quizId, input, orderIndex, db = pool, { sessionId = null } = {}) => {
+  const question = normalizeQuestion(input);
+
+  const result = await db.query(
+    `INSERT INTO quiz_questions
+     (quiz_id, type, question, options, correct_answer, settings, concept, difficulty, order_index, session_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      quizId,
+      question.type,
+      question.question,
+      question.options ? JSON.stringify(question.options) : null,
+      JSON.stringify(question.correctAnswer),
+      JSON.stringify(question.settings),
+      question.concept,
+      question.difficulty,
+      orderIndex,
+      sessionId,
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Save questions produced by LearningPathGenerator. Questions that fail
+ * validation are skipped so one bad question does not lose the whole quiz.
+ * @param {number} quizId
+ * @param {Array<{type?: string, question: string, options?: *, correctAnswer: *, settings?: Object, concept?: string, difficulty?: string}>} questions
+ * @returns {Promise<number>} Number of questions saved
+ */
+export const saveGeneratedQuestions = async (quizId, questions, db = pool) => {
+  let saved = 0;
+
+  for (const generated of questions) {
+    try {
+      await createQuizQuestion(
+        quizId,
+        { ...generated, correct_answer: generated.correctAnswer ?? generated.correct_answer },
+        saved + 1,
+        db
+      );
+      saved++;
+    } catch (error) {
+      if (!(error instanceof QuestionValidationError)) throw error;
+      console.warn(`⚠️ Skipping invalid generated question "${generated.question}": ${error.message}`);
+    }
+  }
+
+  return saved;
+};
+
+export default {
+  toPublicQuestion,
+  formatReviewItem,
+  createQuizQuestion,
+  saveGeneratedQuestions,
+};
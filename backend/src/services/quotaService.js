@@ -0,0 +1,151 @@
+import pool from '../config/database.js';
+import { DEFAULT_ROLE } from '../config/roles.js';
+import {
+  QUOTA_PERIODS,
+  QUOTA_METRICS,
+  ROLE_LIMITS,
+  quotasEnabled,
+} from '../config/quotas.js';
+
+const METRIC_LABELS = {
+  tokens: 'AI token',
+  videos: 'video generation',
+};
+
+/**
+ * Raised when a user has used up a budget. Rendered as 429 with Retry-After.
+ */
+export class QuotaExceededError extends Error {
+  /**
+   * @param {{metric: string, period: string, limit: number, used: number, resetsAt: Date}} quota
+   */
+  constructor(quota) {
+    super(`${quota.period === 'daily' ? 'Daily' : 'Monthly'} ${METRIC_LABELS[quota.metric]} limit reached (${quota.used}/${quota.limit}). Resets at ${new Date(quota.resetsAt).toISOString()}.`);
+    this.name = 'QuotaExceededError';
+    this.status = 429;
+    this.quota = quota;
+    this.retryAfter = Math.max(1, Math.ceil((new Date(quota.resetsAt).getTime() - Date.now()) / 1000));
+  }
+}
+
+/**
+ * The user's current role and its limits with the overrides from user_quotas
+ * applied. The role is read from the database, not the token, so a demotion
+ * takes effect before the token expires.
+ * @private
+ */
+const getUserLimits = async (userId) => {
+  const result = await pool.query(
+    `SELECT u.role, q.*
+     FROM users u
+     LEFT JOIN user_quotas q ON q.user_id = u.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  const overrides = result.rows[0] || {};
+  const role = ROLE_LIMITS[overrides.role] ? overrides.role : DEFAULT_ROLE;
+
+  return {
+    role,
+    limits: Object.fromEntries(QUOTA_PERIODS.map((period) => [
+      period,
+      Object.fromEntries(QUOTA_METRICS.map((metric) => {
+        const override = overrides[`${period}_${metric}`];
+        return [metric, override ?? ROLE_LIMITS[role][period][metric]];
+      })),
+    ])),
+  };
+};
+
+/**
+ * Tokens and videos used in the current day and month, with reset times
+ * @private
+ */
+const getUserUsage = async (userId) => {
+  const result = await pool.query(
+    `SELECT
+       date_trunc('day', NOW()) + INTERVAL '1 day' AS daily_resets_at,
+       date_trunc('month', NOW()) + INTERVAL '1 month' AS monthly_resets_at,
+       (SELECT COALESCE(SUM(total_tokens), 0) FROM llm_usage
+        WHERE user_id = $1 AND created_at >= date_trunc('day', NOW()))::int AS daily_tokens,
+       (SELECT COALESCE(SUM(total_tokens), 0) FROM llm_usage
+        WHERE user_id = $1 AND created_at >= date_trunc('month', NOW()))::int AS monthly_tokens,
+       (SELECT COUNT(*) FROM video_jobs
+        WHERE user_id = $1 AND status <> 'failed' AND created_at >= date_trunc('day', NOW()))::int AS daily_videos,
+       (SELECT COUNT(*) FROM video_jobs
+        WHERE user_id = $1 AND status <> 'failed' AND created_at >= date_trunc('month', NOW()))::int AS monthly_videos`,
+    [userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Limits, usage and remaining budget for each period and metric
+ * @param {number} userId
+ */
+export const getQuotaStatus = async (userId) => {
+  const [{ role, limits }, usage] = await Promise.all([getUserLimits(userId), getUserUsage(userId)]);
+
+  const periods = Object.fromEntries(QUOTA_PERIODS.map((period) => [
+    period,
+    {
+      resetsAt: usage[`${period}_resets_at`],
+      ...Object.fromEntries(QUOTA_METRICS.map((metric) => {
+        const limit = limits[period][metric];
+        const used = usage[`${period}_${metric}`];
+        return [metric, {
+          limit,
+          used,
+          remaining: limit === null ? null : Math.max(0, limit - used),
+        }];
+      })),
+    },
+  ]));
+
+  return { enabled: quotasEnabled, role, periods };
+};
+
+/**
+ * Find the first exhausted budget for a metric, if any
+ * @private
+ */
+const findExceeded = (status, metric) => {
+  for (const period of QUOTA_PERIODS) {
+    const { limit, used } = status.periods[period][metric];
+    if (limit !== null && used >= limit) {
+      return { metric, period, limit, used, resetsAt: status.periods[period].resetsAt };
+    }
+  }
+  return null;
+};
+
+/**
+ * Throw QuotaExceededError when the user has no budget left for a metric
+ * @param {number} userId
+ * @param {'tokens'|'videos'} [metric]
+ */
+export const assertQuota = async (userId, metric = 'tokens') => {
+  if (!quotasEnabled) return;
+
+  const exceeded = findExceeded(await getQuotaStatus(userId), metric);
+  if (exceeded) {
+    throw new QuotaExceededError(exceeded);
+  }
+};
+
+/**
+ * Whether the user still has budget for a metric
+ * @param {number} userId
+ * @param {'tokens'|'videos'} [metric]
+ */
+export const hasQuota = async (userId, metric = 'tokens') => {
+  if (!quotasEnabled) return true;
+  return !findExceeded(await getQuotaStatus(userId), metric);
+};
+
+export default {
+  QuotaExceededError,
+  getQuotaStatus,
+  assertQuota,
+  hasQuota,
+};
@@ -0,0 +1,92 @@
+import pool from '../config/database.js';
+import { getConceptMastery } from './conceptMasteryService.js';
+import { getProgressSummary } from './progressService.js';
+import { getNextSteps } from './prerequisiteService.js';
+
+export const MAX_RECOMMENDATIONS = 10;
+
+// Topics whose next steps are looked up, most recently active first
+const MAX_ACTIVE_TOPICS = 5;
+
+/**
+ * Lessons teaching a concept in a topic, review lessons first
+ * @private
+ */
+const findLessonForConcept = async (topicId, concept) => {
+  const result = await pool.query(
+    `SELECT id, title FROM lessons
+     WHERE topic_id = $1 AND NOT skipped
+       AND EXISTS (SELECT 1 FROM jsonb_array_elements_text(concepts) c WHERE LOWER(c) = LOWER($2))
+     ORDER BY remedial DESC, order_index ASC
+     LIMIT 1`,
+    [topicId, concept]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * What a learner should do next across all their topics, built from the
+ * adaptive models the platform already keeps: concept mastery (knowledge
+ * tracing), the spaced-repetition schedule and each topic's prerequisite graph.
+ * Ordered by urgency: struggling concepts, due flashcards, then the next
+ * unlocked item of each topic in progress.
+ * @param {number} userId
+ * @param {{limit?: number}} [options]
+ */
+export const getRecommendations = async (userId, { limit = MAX_RECOMMENDATIONS } = {}) => {
+  const recommendations = [];
+
+  const struggling = (await getConceptMastery(userId)).filter(({ level }) => level === 'struggling');
+  for (const { concept, topicId, topicName, pKnown } of struggling) {
+    const lesson = await findLessonForConcept(topicId, concept);
+    if (!lesson) continue;
+    recommendations.push({
+      type: 'review_concept',
+      title: `Review ${concept}`,
+      reason: `You're about ${Math.round(pKnown * 100)}% likely to know ${concept}; "${lesson.title}" covers it`,
+      topicId,
+      topicName,
+      target: { type: 'lesson', id: lesson.id },
+    });
+  }
+
+  const dueResult = await pool.query(
+    'SELECT COUNT(*) AS due FROM flashcards WHERE user_id = $1 AND due_at <= NOW()',
+    [userId]
+  );
+  const due = parseInt(dueResult.rows[0].due);
+  if (due > 0) {
+    recommendations.push({
+      type: 'review_flashcards',
+      title: `Review ${due} flashcard${due === 1 ? '' : 's'}`,
+      reason: 'Reviewing cards when they are due keeps them in long-term memory',
+      topicId: null,
+      topicName: null,
+      target: { type: 'flashcards', id: null },
+    });
+  }
+
+  const topics = (await getProgressSummary(userId))
+    .filter(({ lessons }) => lessons.total > 0 && lessons.completed < lessons.total)
+    .slice(0, MAX_ACTIVE_TOPICS);
+  for (const topic of topics) {
+    const { items } = await getNextSteps(userId, topic.topicId, { limit: 1 });
+    if (items.length === 0) continue;
+    const [next] = items;
+    recommendations.push({
+      type: topic.lessons.completed === 0 && !topic.lastActivityAt ? 'start_topic' : 'continue_topic',
+      title: next.title,
+      reason: `${topic.name}: ${next.reason}`,
+      topicId: topic.topicId,
+      topicName: topic.name,
+      target: { type: next.type, id: next.id },
+    });
+  }
+
+  return recommendations.slice(0, limit);
+};
+
+export default {
+  MAX_RECOMMENDATIONS,
+  getRecommendations,
+};
@@ -0,0 +1,141 @@
+import { EventEmitter } from 'events';
+import pool from '../config/database.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+/**
+ * Emits `queued` with the job when a video is queued, so a running worker in
+ * this process can start it without waiting for its next poll
+ */
+export const videoJobEvents = new EventEmitter();
+
+/**
+ * Queue a video for generation by the background worker. The job is due
+ * immediately.
+ * @param {{userId: number, lessonId?: number, prompt: string, model?: string, videoData?: Object}} job
+ */
+export const enqueueVideoJob = async ({ userId, lessonId = null, prompt, model = 'sora-2-pro', videoData = {} }) => {
+  try {
+    const result = await pool.query(
+      `INSERT INTO video_jobs (user_id, lesson_id, prompt, model, video_data, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING *`,
+      [userId, lessonId, prompt, model, JSON.stringify(videoData)]
+    );
+    videoJobEvents.emit('queued', result.rows[0]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error enqueueing video job:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a video job by ID
+ */
+export const getVideoJob = async (jobId) => {
+  const result = await pool.query('SELECT * FROM video_jobs WHERE id = $1', [jobId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Update job columns. When `runInMs` is given the worker will pick the job
+ * up again after that delay.
+ */
+export const updateVideoJob = async (jobId, fields, runInMs = null) => {
+  const sets = [];
+  const values = [];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    values.push(value);
+    sets.push(`${key} = $${values.length}`);
+  });
+
+  if (runInMs !== null) {
+    values.push(runInMs);
+    sets.push(`next_run_at = NOW() + ($${values.length} * INTERVAL '1 millisecond')`);
+  }
+
+  sets.push('updated_at = CURRENT_TIMESTAMP');
+  values.push(jobId);
+
+  const result = await pool.query(
+    `UPDATE video_jobs SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+  return result.rows[0];
+};
+
+/**
+ * Claim jobs that are due. The claimed rows are leased for `leaseMs` so other
+ * workers skip them; a crashed worker's jobs become due again once the lease expires.
+ */
+export const claimDueVideoJobs = async (limit = 5, leaseMs = 60000) => {
+  const result = await pool.query(
+    `UPDATE video_jobs
+     SET next_run_at = NOW() + ($2 * INTERVAL '1 millisecond'), updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM video_jobs
+       WHERE status IN ('queued', 'in_progress') AND next_run_at <= NOW()
+       ORDER BY next_run_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, leaseMs]
+  );
+  return result.rows;
+};
+
+/**
+ * Build the video payload the frontend renders from a job row
+ */
+export const toVideoData = (job) => ({
+  ...job.video_data,
+  jobId: job.id,
+  status: job.status,
+  progress: Number(job.progress) || 0,
+  videoUrl: job.video_url,
+  videoId: job.provider_video_id,
+  localPath: job.local_path,
+  ...(job.status === 'failed' && {
+    fallback: true,
+    error: job.error || 'Video generation unavailable',
+  }),
+});
+
+/**
+ * Rewrite the chat message that announced the video so it reflects the job's state
+ */
+export const syncChatMessage = async (job) => {
+  if (!job.chat_message_id) return;
+
+  await pool.query(
+    'UPDATE chat_messages SET message = $1 WHERE id = $2',
+    [JSON.stringify({ type: 'video', data: toVideoData(job) }), job.chat_message_id]
+  );
+};
+
+/**
+ * Link a job to the chat message it should update when finished
+ */
+export const attachChatMessage = async (jobId, chatMessageId) => {
+  const job = await updateVideoJob(jobId, { chat_message_id: chatMessageId });
+
+  // The worker may have finished before the message was saved
+  if (job && TERMINAL_STATUSES.includes(job.status)) {
+    await syncChatMessage(job);
+  }
+  return job;
+};
+
+export default {
+  videoJobEvents,
+  enqueueVideoJob,
+  getVideoJob,
+  updateVideoJob,
+  claimDueVideoJobs,
+  toVideoData,
+  syncChatMessage,
+  attachChatMessage,
+};
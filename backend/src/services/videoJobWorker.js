@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createVideoClient } from '../agents/providers/index.js';
+import videoJobService from './videoJobService.js';
+import { publishEvent as publishWebhookEvent } from './webhookService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same directory server.js serves under /videos
+const VIDEOS_DIR = path.join(__dirname, '..', '..', 'generated_videos');
+
+/**
+ * Create the background worker that drives video jobs to completion.
+ * Each tick claims due jobs and advances them one step: submit to the
+ * provider, poll progress, or download the finished file. Jobs that already
+ * have a provider video ID resume polling after a restart.
+ *
+ * @param {Object} [options]
+ * @param {*} [options.videoClient] - Client exposing `videos.create/retrieve/downloadContent`
+ * @param {number} [options.pollInterval] - Delay between polls of a running job (ms)
+ * @param {number} [options.batchSize] - Jobs claimed per tick
+ * @param {number} [options.leaseMs] - How long a claimed job is hidden from other workers
+ * @param {string} [options.outputDir] - Where finished videos are written
+ * @param {Object} [options.jobs] - Job storage with the `videoJobService` functions (claim, update, sync, events)
+ * @param {Function} [options.publishEvent] - Publishes the `video.ready` webhook event
+ */
+export const createVideoJobWorker = ({
+  videoClient = createVideoClient(),
+  pollInterval = 2000,
+  batchSize = 5,
+  leaseMs = 60000,
+  outputDir = VIDEOS_DIR,
+  jobs = videoJobService,
+  publishEvent = publishWebhookEvent,
+} = {}) => {
+  const { claimDueVideoJobs, updateVideoJob, syncChatMessage, videoJobEvents } = jobs;
+  let timer = null;
+  let running = false;
+  let ticking = false;
+  let woken = false;
+
+  const finishJob = async (job, fields) => {
+    const updated = await updateVideoJob(job.id, { ...fields, completed_at: new Date() });
+    await syncChatMessage(updated);
+    return updated;
+  };
+
+  const downloadVideo = async (job, videoId) => {
+    console.log(`📥 [VideoWorker] Downloading video ${videoId}...`);
+    const content = await videoClient.videos.downloadContent(videoId);
+    const buffer = Buffer.from(await content.arrayBuffer());
+
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const videoFilename = `video_${Date.now()}_${videoId}.mp4`;
+    const localPath = path.join(outputDir, videoFilename);
+    fs.writeFileSync(localPath, buffer);
+
+    return { localPath, videoUrl: `/videos/${videoFilename}` };
+  };
+
+  const processJob = async (job) => {
+    try {
+      let video;
+
+      if (!job.provider_video_id) {
+        video = await videoClient.videos.create({ model: job.model, prompt: job.prompt });
+        console.log(`🎥 [VideoWorker] Job ${job.id} started: ${video.id}`);
+        job = await updateVideoJob(job.id, { provider_video_id: video.id, status: 'in_progress' });
+      } else {
+        video = await videoClient.videos.retrieve(job.provider_video_id);
+      }
+
+      if (video.status === 'failed') {
+        console.error(`❌ [VideoWorker] Job ${job.id} failed at provider`);
+        return await finishJob(job, {
+          status: 'failed',
+          error: video.error?.message || 'Sora 2 video generation failed',
+        });
+      }
+
+      if (video.status === 'completed') {
+        const { localPath, videoUrl } = await downloadVideo(job, video.id);
+        console.log(`✅ [VideoWorker] Job ${job.id} completed: ${videoUrl}`);
+        const finished = await finishJob(job, {
+          status: 'completed',
+          progress: 100,
+          video_url: video.url || videoUrl,
+          local_path: localPath,
+          error: null,
+        });
+        await publishEvent('video.ready', finished.user_id, {
+          video: {
+            jobId: finished.id,
+            lessonId: finished.lesson_id,
+            title: finished.video_data?.title || null,
+            videoUrl: finished.video_url,
+          },
+        });
+        return finished;
+      }
+
+      const progress = video.progress ?? 0;
+      console.log(`🎬 [VideoWorker] Job ${job.id}: ${video.status} ${Number(progress).toFixed(1)}%`);
+      return await updateVideoJob(job.id, { status: 'in_progress', progress }, pollInterval);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      console.error(`Error processing video job ${job.id} (attempt ${attempts}/${job.max_attempts}):`, error);
+
+      if (attempts >= job.max_attempts) {
+        return await finishJob(job, { status: 'failed', attempts, error: error.message });
+      }
+
+      // Back off exponentially before retrying
+      return await updateVideoJob(job.id, { attempts, error: error.message }, pollInterval * 2 ** attempts);
+    }
+  };
+
+  /**
+   * Process one batch of due jobs
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  const tick = async () => {
+    const jobs = await claimDueVideoJobs(batchSize, leaseMs);
+    for (const job of jobs) {
+      await processJob(job);
+    }
+    return jobs.length;
+  };
+
+  const loop = async () => {
+    ticking = true;
+    woken = false;
+    try {
+      await tick();
+    } catch (error) {
+      console.error('Video worker tick failed:', error);
+    }
+    ticking = false;
+    if (running) {
+      timer = setTimeout(loop, woken ? 0 : pollInterval);
+    }
+  };
+
+  // A newly queued job starts now instead of at the next poll
+  const wake = () => {
+    if (!running) return;
+    if (ticking) {
+      woken = true;
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(loop, 0);
+  };
+
+  return {
+    tick,
+    processJob,
+
+    start() {
+      if (running) return;
+      running = true;
+      videoJobEvents?.on('queued', wake);
+      console.log('🎬 Video job worker started');
+      loop();
+    },
+
+    stop() {
+      running = false;
+      videoJobEvents?.off('queued', wake);
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+  };
+};
+
+export default createVideoJobWorker;
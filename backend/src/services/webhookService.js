@@ -0,0 +1,467 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../config/database.js';
+
+/**
+ * Outbound webhooks. Publishing an event writes one delivery per matching
+ * webhook; the webhook worker sends them. Every request carries
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * signed with the webhook's secret, so receivers can check both origin and
+ * freshness with verifySignature.
+ */
+
+export const WEBHOOK_EVENTS = ['topic.created', 'lesson.completed', 'quiz.submitted', 'video.ready'];
+
+export const MAX_WEBHOOKS_PER_USER = 10;
+
+// Receivers should reject signatures older than this
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Raised for webhook settings that can't be saved
+ */
+export class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = 400;
+  }
+}
+
+// Loopback, private, link-local, shared and reserved ranges that webhooks may
+// not reach. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * reachable on the public internet
+ * @param {string} address
+ */
+export const isPrivateAddress = (address) => (
+  BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+);
+
+/**
+ * Resolve a webhook URL's host and reject it unless every address it resolves
+ * to is public, so webhooks can't be aimed at the server itself or the
+ * network it runs in. Checked when a URL is saved and again before each
+ * delivery, since DNS can change in between. WEBHOOK_ALLOW_PRIVATE_URLS=true
+ * turns the check off for local development.
+ * @param {string} url
+ * @param {{lookup?: Function}} [options] - dns.promises.lookup-compatible resolver
+ * @throws {WebhookError}
+ */
+export const assertPublicUrl = async (url, { lookup = dns.promises.lookup } = {}) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new WebhookError(`Could not resolve the webhook host ${host}`);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new WebhookError('Webhook URLs must point to a public address');
+  }
+};
+
+/**
+ * New signing secret, shown to the owner once
+ */
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret
+ * @param {string} body - Raw JSON body exactly as sent
+ * @param {number} [timestamp] - Unix seconds
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Check a signature header the way a receiver should: constant-time compare,
+ * and reject timestamps outside the tolerance to stop replays
+ * @param {string} secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Webhook-Signature value
+ * @param {{tolerance?: number, now?: number}} [options] - now in unix seconds
+ * @returns {boolean}
+ */
+export const verifySignature = (
+  secret,
+  body,
+  header,
+  { tolerance = SIGNATURE_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000) } = {}
+) => {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map((part) => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!parts.v1 || Number.isNaN(timestamp) || Math.abs(now - timestamp) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Webhook row for API responses; the secret is only returned on creation
+ * @param {Object} row
+ * @param {{includeSecret?: boolean}} [options]
+ */
+export const formatWebhook = (row, { includeSecret = false } = {}) => ({
+  id: row.id,
+  userId: row.user_id,
+  url: row.url,
+  description: row.description,
+  events: row.events,
+  allUsers: row.all_users,
+  active: row.active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(includeSecret && { secret: row.secret }),
+});
+
+/**
+ * Delivery row for the delivery log. Response bodies come from arbitrary
+ * endpoints, so only admins see them
+ * @param {Object} row
+ * @param {{includeResponseBody?: boolean}} [options]
+ */
+export const formatDelivery = (row, { includeResponseBody = false } = {}) => ({
+  id: row.id,
+  webhookId: row.webhook_id,
+  eventId: row.event_id,
+  event: row.event,
+  payload: row.payload,
+  redeliveryOf: row.redelivery_of,
+  status: row.status,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  responseStatus: row.response_status,
+  durationMs: row.duration_ms,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+  deliveredAt: row.delivered_at,
+  ...(includeResponseBody && { responseBody: row.response_body }),
+});
+
+/**
+ * Validate and normalize webhook settings from a request body
+ * @param {Object} input
+ * @param {{partial?: boolean, isAdmin?: boolean}} options - partial for updates
+ * @returns {Object} Column values to write
+ * @private
+ */
+const normalizeSettings = (input, { partial = false, isAdmin = false }) => {
+  const fields = {};
+
+  if (!partial || input.url !== undefined) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch {
+      throw new WebhookError('A valid endpoint URL is required');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new WebhookError('Webhook URLs must use http or https');
+    }
+    if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') {
+      throw new WebhookError('Webhook URLs must use https');
+    }
+    fields.url = url.toString();
+  }
+
+  if (!partial || input.events !== undefined) {
+    const events = Array.isArray(input.events) ? [...new Set(input.events)] : [];
+    if (events.length === 0) {
+      throw new WebhookError(`Subscribe to at least one event: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new WebhookError(`Unknown events: ${unknown.join(', ')}. Use ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    fields.events = events;
+  }
+
+  if (input.description !== undefined) {
+    fields.description = input.description ? String(input.description).slice(0, 500) : null;
+  }
+
+  if (input.active !== undefined) {
+    fields.active = Boolean(input.active);
+  }
+
+  if (input.allUsers !== undefined) {
+    if (input.allUsers && !isAdmin) {
+      throw new WebhookError("Only admins can subscribe to every user's events");
+    }
+    fields.all_users = Boolean(input.allUsers);
+  }
+
+  return fields;
+};
+
+/**
+ * Register a webhook for a user
+ * @param {{id: number, role?: string}} user
+ * @param {{url: string, events: string[], description?: string, allUsers?: boolean}} input
+ */
+export const createWebhook = async (user, input) => {
+  const fields = normalizeSettings(input, { isAdmin: user.role === 'admin' });
+  await assertPublicUrl(fields.url);
+
+  const countResult = await pool.query('SELECT COUNT(*) AS count FROM webhooks WHERE user_id = $1', [user.id]);
+  if (parseInt(countResult.rows[0].count) >= MAX_WEBHOOKS_PER_USER) {
+    throw new WebhookError(`You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO webhooks (user_id, url, description, events, secret, all_users, active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      user.id,
+      fields.url,
+      fields.description ?? null,
+      fields.events,
+      generateSecret(),
+      fields.all_users ?? false,
+      fields.active ?? true,
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Change a webhook's settings; `rotateSecret: true` issues a new secret
+ * @returns {Promise<Object|null>} Updated row, or null if it does not exist
+ */
+export const updateWebhook = async (user, webhookId, input) => {
+  const fields = normalizeSettings(input, { partial: true, isAdmin: user.role === 'admin' });
+  if (fields.url) {
+    await assertPublicUrl(fields.url);
+  }
+  if (input.rotateSecret) {
+    fields.secret = generateSecret();
+  }
+
+  const sets = [];
+  const values = [];
+  Object.entries(fields).forEach(([key, value]) => {
+    values.push(value);
+    sets.push(`${key} = $${values.length}`);
+  });
+  sets.push('updated_at = CURRENT_TIMESTAMP');
+  values.push(webhookId);
+
+  const result = await pool.query(
+    `UPDATE webhooks SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Webhooks owned by a user, or every webhook for admins asking for all
+ */
+export const listWebhooks = async (userId, { all = false } = {}) => {
+  const result = all
+    ? await pool.query('SELECT * FROM webhooks ORDER BY created_at DESC')
+    : await pool.query('SELECT * FROM webhooks WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
+  return result.rows;
+};
+
+export const getWebhook = async (webhookId) => {
+  const result = await pool.query('SELECT * FROM webhooks WHERE id = $1', [webhookId]);
+  return result.rows[0] || null;
+};
+
+export const deleteWebhook = async (webhookId) => {
+  const result = await pool.query('DELETE FROM webhooks WHERE id = $1 RETURNING id', [webhookId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Queue an event for every active webhook subscribed to it: the owner's own
+ * webhooks plus admin webhooks covering all users. Publishing must never break
+ * the request that caused the event, so failures are logged and swallowed.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {number} userId - User whose activity caused the event
+ * @param {Object} data - Event-specific body
+ * @returns {Promise<number>} Deliveries queued
+ */
+export const publishEvent = async (event, userId, data) => {
+  if (!WEBHOOK_EVENTS.includes(event)) {
+    throw new Error(`Unknown webhook event: ${event}`);
+  }
+
+  try {
+    const payload = {
+      id: uuidv4(),
+      type: event,
+      createdAt: new Date().toISOString(),
+      userId,
+      data,
+    };
+
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload)
+       SELECT id, $1, $2, $3 FROM webhooks
+       WHERE active = true AND $2 = ANY(events) AND (user_id = $4 OR all_users = true)`,
+      [payload.id, event, JSON.stringify(payload), userId]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error(`Failed to publish webhook event ${event}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Delivery log of a webhook, newest first
+ */
+export const listDeliveries = async (webhookId, { limit = 50, status = null } = {}) => {
+  const result = await pool.query(
+    `SELECT * FROM webhook_deliveries
+     WHERE webhook_id = $1 AND ($2::varchar IS NULL OR status = $2)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $3`,
+    [webhookId, status, Math.min(Math.max(parseInt(limit) || 50, 1), 200)]
+  );
+  return result.rows;
+};
+
+/**
+ * Send an earlier delivery again as a new delivery with the same event id and
+ * payload, so receivers that de-duplicate on the event id stay idempotent
+ * @returns {Promise<Object|null>} The new delivery, or null if the original does not belong to the webhook
+ */
+export const redeliver = async (webhookId, deliveryId) => {
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, redelivery_of)
+     SELECT webhook_id, event_id, event, payload, id FROM webhook_deliveries
+     WHERE id = $1 AND webhook_id = $2
+     RETURNING *`,
+    [deliveryId, webhookId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Claim deliveries that are due, with their webhook's URL and secret. The
+ * claimed rows are leased for `leaseMs` so other workers skip them; a crashed
+ * worker's deliveries become due again once the lease expires. Deliveries of
+ * paused webhooks wait until the webhook is active again.
+ */
+export const claimDueDeliveries = async (limit = 10, leaseMs = 60000) => {
+  const result = await pool.query(
+    `WITH claimed AS (
+       UPDATE webhook_deliveries
+       SET next_attempt_at = NOW() + ($2 * INTERVAL '1 millisecond')
+       WHERE id IN (
+         SELECT d.id FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.active = true
+         ORDER BY d.next_attempt_at, d.id
+         LIMIT $1
+         FOR UPDATE OF d SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT claimed.*, w.url, w.secret
+     FROM claimed
+     JOIN webhooks w ON w.id = claimed.webhook_id`,
+    [limit, leaseMs]
+  );
+  return result.rows;
+};
+
+/**
+ * Store the outcome of one delivery attempt. Failed attempts are retried
+ * after `retryInMs` until the delivery runs out of attempts.
+ * @param {Object} delivery - Claimed delivery row
+ * @param {{ok: boolean, responseStatus?: number, responseBody?: string, durationMs: number, error?: string}} outcome
+ * @param {number} retryInMs
+ * @returns {Promise<Object>} Updated row
+ */
+export const recordAttempt = async (delivery, outcome, retryInMs) => {
+  const attempts = delivery.attempts + 1;
+  const status = outcome.ok ? 'delivered' : attempts >= delivery.max_attempts ? 'failed' : 'pending';
+
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, response_status = $3, response_body = $4, duration_ms = $5,
+         last_error = $6, delivered_at = $7,
+         next_attempt_at = NOW() + ($8 * INTERVAL '1 millisecond')
+     WHERE id = $9
+     RETURNING *`,
+    [
+      status,
+      attempts,
+      outcome.responseStatus ?? null,
+      outcome.responseBody ?? null,
+      outcome.durationMs,
+      outcome.ok ? null : outcome.error,
+      outcome.ok ? new Date() : null,
+      retryInMs,
+      delivery.id,
+    ]
+  );
+  return result.rows[0];
+};
+
+export default {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_USER,
+  SIGNATURE_TOLERANCE_SECONDS,
+  WebhookError,
+  isPrivateAddress,
+  assertPublicUrl,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  formatWebhook,
+  formatDelivery,
+  createWebhook,
+  updateWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  publishEvent,
+  listDeliveries,
+  redeliver,
+  claimDueDeliveries,
+  recordAttempt,
+};
@@ -0,0 +1,155 @@
+import { assertPublicUrl, claimDueDeliveries, recordAttempt, signPayload } from './webhookService.js';
+
+// Keep the stored response short; it is only there to debug failing endpoints
+const MAX_RESPONSE_BODY = 2048;
+
+/**
+ * The first `maxBytes` of a response body, without reading the rest: the
+ * endpoint decides how much it sends. Errors while reading yield ''.
+ * @private
+ */
+const readBodyPrefix = async (response, maxBytes) => {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+
+  try {
+    while (length < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.byteLength;
+    }
+  } catch {
+    return '';
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, maxBytes));
+};
+
+/**
+ * Create the background worker that sends queued webhook deliveries. Each
+ * tick claims due deliveries and POSTs each payload, signed with its
+ * webhook's secret. Any 2xx response counts as delivered; anything else is
+ * retried with exponential backoff until the delivery runs out of attempts.
+ * The endpoint's host is resolved again before every request, and a delivery
+ * to a host that now resolves to a private address fails like any other error.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.fetchImpl] - fetch-compatible function used for HTTP requests
+ * @param {number} [options.pollInterval] - Delay between ticks, and the base retry delay (ms)
+ * @param {number} [options.batchSize] - Deliveries claimed per tick
+ * @param {number} [options.leaseMs] - How long claimed deliveries are hidden from other workers
+ * @param {number} [options.requestTimeout] - Abort a request after this long (ms)
+ */
+export const createWebhookWorker = ({
+  fetchImpl = fetch,
+  pollInterval = 5000,
+  batchSize = 10,
+  leaseMs = 60000,
+  requestTimeout = 10000,
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  /**
+   * POST one delivery to its endpoint
+   * @returns {Promise<{ok: boolean, responseStatus?: number, responseBody?: string, durationMs: number, error?: string}>}
+   */
+  const send = async (delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    try {
+      await assertPublicUrl(delivery.url);
+      const response = await fetchImpl(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LearningPlatform-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Signature': signPayload(delivery.secret, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(requestTimeout),
+      });
+      const responseBody = await readBodyPrefix(response, MAX_RESPONSE_BODY);
+
+      return {
+        ok: response.ok,
+        responseStatus: response.status,
+        responseBody,
+        durationMs: Date.now() - startedAt,
+        ...(!response.ok && { error: `Endpoint responded ${response.status}` }),
+      };
+    } catch (error) {
+      return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+    }
+  };
+
+  const processDelivery = async (delivery) => {
+    const outcome = await send(delivery);
+    const updated = await recordAttempt(delivery, outcome, pollInterval * 2 ** (delivery.attempts + 1));
+
+    if (updated.status === 'delivered') {
+      console.log(`📨 [Webhooks] ${delivery.event} delivered to webhook ${delivery.webhook_id} (delivery ${delivery.id})`);
+    } else if (updated.status === 'failed') {
+      console.error(`❌ [Webhooks] Delivery ${delivery.id} failed after ${updated.attempts} attempts: ${outcome.error}`);
+    } else {
+      console.warn(`⚠️ [Webhooks] Delivery ${delivery.id} attempt ${updated.attempts}/${updated.max_attempts} failed: ${outcome.error}`);
+    }
+    return updated;
+  };
+
+  /**
+   * Send one batch of due deliveries
+   * @returns {Promise<number>} Number of deliveries processed
+   */
+  const tick = async () => {
+    const deliveries = await claimDueDeliveries(batchSize, leaseMs);
+    for (const delivery of deliveries) {
+      await processDelivery(delivery);
+    }
+    return deliveries.length;
+  };
+
+  const loop = async () => {
+    try {
+      await tick();
+    } catch (error) {
+      console.error('Webhook worker tick failed:', error);
+    }
+    if (running) {
+      timer = setTimeout(loop, pollInterval);
+    }
+  };
+
+  return {
+    tick,
+    send,
+    processDelivery,
+
+    start() {
+      if (running) return;
+      running = true;
+      console.log('📨 Webhook delivery worker started');
+      loop();
+    },
+
+    stop() {
+      running = false;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+  };
+};
+
+export default createWebhookWorker;
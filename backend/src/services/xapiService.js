@@ -0,0 +1,334 @@
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../config/database.js';
+import { PASSING_SCORE } from './quizQuestionTypes.js';
+
+/**
+ * xAPI (Experience API) statements describing what learners do on the platform.
+ * Statements are written to the `xapi_statements` outbox and delivered to the
+ * Learning Record Store by the xAPI worker; nothing is recorded unless
+ * XAPI_LRS_ENDPOINT is set.
+ */
+
+export const XAPI_VERSION = '1.0.3';
+
+export const XAPI_VERBS = {
+  attempted: { id: 'http://adlnet.gov/expapi/verbs/attempted', display: { 'en-US': 'attempted' } },
+  completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } },
+  passed: { id: 'http://adlnet.gov/expapi/verbs/passed', display: { 'en-US': 'passed' } },
+  failed: { id: 'http://adlnet.gov/expapi/verbs/failed', display: { 'en-US': 'failed' } },
+  answered: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+  asked: { id: 'http://adlnet.gov/expapi/verbs/asked', display: { 'en-US': 'asked' } },
+};
+
+export const ACTIVITY_TYPES = {
+  topic: 'http://adlnet.gov/expapi/activities/course',
+  lesson: 'http://adlnet.gov/expapi/activities/lesson',
+  quiz: 'http://adlnet.gov/expapi/activities/assessment',
+  flashcard: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+};
+
+/**
+ * LRS connection settings from the environment
+ * @returns {{endpoint: string|null, username: string|null, password: string|null, activityBaseUrl: string}}
+ */
+export const getLrsConfig = () => ({
+  endpoint: process.env.XAPI_LRS_ENDPOINT ? process.env.XAPI_LRS_ENDPOINT.replace(/\/+$/, '') : null,
+  username: process.env.XAPI_LRS_USERNAME || null,
+  password: process.env.XAPI_LRS_PASSWORD || null,
+  activityBaseUrl: (process.env.XAPI_ACTIVITY_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:5173')
+    .replace(/\/+$/, ''),
+});
+
+export const isXapiEnabled = () => Boolean(getLrsConfig().endpoint);
+
+/**
+ * xAPI activity object for a platform item
+ * @param {'topic'|'lesson'|'quiz'|'flashcard'} type
+ * @param {number} id
+ * @param {string} [name]
+ */
+export const toActivity = (type, id, name) => ({
+  objectType: 'Activity',
+  id: `${getLrsConfig().activityBaseUrl}/xapi/activities/${type}/${id}`,
+  definition: {
+    type: ACTIVITY_TYPES[type],
+    ...(name && { name: { 'en-US': name } }),
+  },
+});
+
+/**
+ * Build a complete xAPI statement. Learners are identified by an account on
+ * this platform, never by e-mail address.
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {keyof XAPI_VERBS} params.verb
+ * @param {Object} params.object - Activity from toActivity
+ * @param {Object} [params.result]
+ * @param {{parent?: Object[], grouping?: Object[], extensions?: Object}} [params.context]
+ * @param {Date} [params.timestamp]
+ */
+export const buildStatement = ({ userId, verb, object, result, context = {}, timestamp = new Date() }) => {
+  if (!XAPI_VERBS[verb]) {
+    throw new Error(`Unknown xAPI verb: ${verb}`);
+  }
+
+  const { activityBaseUrl } = getLrsConfig();
+  const contextActivities = {
+    ...(context.parent?.length && { parent: context.parent }),
+    ...(context.grouping?.length && { grouping: context.grouping }),
+  };
+
+  return {
+    id: uuidv4(),
+    actor: {
+      objectType: 'Agent',
+      account: { homePage: activityBaseUrl, name: String(userId) },
+    },
+    verb: XAPI_VERBS[verb],
+    object,
+    ...(result && { result }),
+    context: {
+      platform: 'Learning Platform',
+      language: 'en-US',
+      ...(Object.keys(contextActivities).length > 0 && { contextActivities }),
+      ...(context.extensions && { extensions: context.extensions }),
+    },
+    timestamp: timestamp.toISOString(),
+  };
+};
+
+/**
+ * Add a statement to the delivery outbox
+ * @param {number} userId
+ * @param {Object} statement - From buildStatement
+ * @param {import('pg').Pool|import('pg').PoolClient} [db]
+ */
+export const queueStatement = async (userId, statement, db = pool) => {
+  const verb = Object.keys(XAPI_VERBS).find((key) => XAPI_VERBS[key].id === statement.verb.id);
+  const result = await db.query(
+    `INSERT INTO xapi_statements (statement_id, user_id, verb, statement)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [statement.id, userId, verb, JSON.stringify(statement)]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Build and queue a statement when an LRS is configured. Tracking must never
+ * break the learner's request, so failures are logged and swallowed.
+ * @private
+ */
+const track = async (userId, buildParams) => {
+  if (!isXapiEnabled()) return null;
+
+  try {
+    const statement = buildStatement({ userId, ...(await buildParams()) });
+    return await queueStatement(userId, statement);
+  } catch (error) {
+    console.error('Failed to queue xAPI statement:', error);
+    return null;
+  }
+};
+
+/**
+ * Lesson and topic activities used as the object or context of a statement
+ * @private
+ */
+const getLessonActivities = async (lessonId) => {
+  const result = await pool.query(
+    `SELECT l.id, l.title, t.id AS topic_id, t.name AS topic_name
+     FROM lessons l
+     JOIN topics t ON t.id = l.topic_id
+     WHERE l.id = $1`,
+    [lessonId]
+  );
+  const row = result.rows[0];
+  if (!row) {
+    throw new Error(`Lesson ${lessonId} not found`);
+  }
+
+  return {
+    lesson: toActivity('lesson', row.id, row.title),
+    topic: toActivity('topic', row.topic_id, row.topic_name),
+  };
+};
+
+/**
+ * A learner opened a lesson for the first time
+ */
+export const trackLessonStarted = (userId, lessonId) =>
+  track(userId, async () => {
+    const { lesson, topic } = await getLessonActivities(lessonId);
+    return { verb: 'attempted', object: lesson, context: { parent: [topic] } };
+  });
+
+/**
+ * A learner marked a lesson as completed
+ */
+export const trackLessonCompleted = (userId, lessonId) =>
+  track(userId, async () => {
+    const { lesson, topic } = await getLessonActivities(lessonId);
+    return {
+      verb: 'completed',
+      object: lesson,
+      result: { completion: true },
+      context: { parent: [topic] },
+    };
+  });
+
+/**
+ * A learner submitted a quiz; passing is the same 70% bar used elsewhere
+ * @param {number} userId
+ * @param {number} quizId
+ * @param {{score: number, total: number}} outcome - Questions answered correctly and asked
+ */
+export const trackQuizSubmitted = (userId, quizId, { score, total }) =>
+  track(userId, async () => {
+    const result = await pool.query(
+      `SELECT q.id, q.title, t.id AS topic_id, t.name AS topic_name
+       FROM quizzes q
+       JOIN topics t ON t.id = q.topic_id
+       WHERE q.id = $1`,
+      [quizId]
+    );
+    const quiz = result.rows[0];
+    if (!quiz) {
+      throw new Error(`Quiz ${quizId} not found`);
+    }
+
+    const passed = total > 0 && score >= total * PASSING_SCORE;
+    return {
+      verb: passed ? 'passed' : 'failed',
+      object: toActivity('quiz', quiz.id, quiz.title),
+      result: {
+        score: { raw: score, min: 0, max: total, scaled: total > 0 ? Number((score / total).toFixed(4)) : 0 },
+        success: passed,
+        completion: true,
+      },
+      context: { parent: [toActivity('topic', quiz.topic_id, quiz.topic_name)] },
+    };
+  });
+
+/**
+ * A learner reviewed a flashcard; anything but "again" counts as recalled
+ * @param {number} userId
+ * @param {{id: number, lessonId: number, front: string}} flashcard
+ * @param {string} grade - One of GRADE_QUALITY's keys
+ */
+export const trackFlashcardReviewed = (userId, flashcard, grade) =>
+  track(userId, async () => {
+    const { lesson, topic } = await getLessonActivities(flashcard.lessonId);
+    const object = toActivity('flashcard', flashcard.id, flashcard.front);
+    object.definition.interactionType = 'other';
+
+    return {
+      verb: 'answered',
+      object,
+      result: { response: grade, success: grade !== 'again' },
+      context: { parent: [lesson], grouping: [topic] },
+    };
+  });
+
+/**
+ * A learner asked the tutor something during a lesson
+ * @param {number} userId
+ * @param {number} lessonId
+ * @param {{message: string, responseType: string, passed: boolean}} interaction
+ */
+export const trackChatInteraction = (userId, lessonId, { message, responseType, passed }) =>
+  track(userId, async () => {
+    const { lesson, topic } = await getLessonActivities(lessonId);
+    const { activityBaseUrl } = getLrsConfig();
+
+    return {
+      verb: 'asked',
+      object: lesson,
+      result: { response: message.slice(0, 1000) },
+      context: {
+        parent: [topic],
+        extensions: {
+          [`${activityBaseUrl}/xapi/extensions/response-type`]: responseType,
+          [`${activityBaseUrl}/xapi/extensions/response-passed`]: passed,
+        },
+      },
+    };
+  });
+
+/**
+ * Claim statements that are due for delivery. The claimed rows are leased for
+ * `leaseMs` so other workers skip them; a crashed worker's statements become
+ * due again once the lease expires.
+ */
+export const claimDueStatements = async (limit = 25, leaseMs = 60000) => {
+  const result = await pool.query(
+    `UPDATE xapi_statements
+     SET next_attempt_at = NOW() + ($2 * INTERVAL '1 millisecond')
+     WHERE id IN (
+       SELECT id FROM xapi_statements
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, leaseMs]
+  );
+  return result.rows;
+};
+
+/**
+ * Mark statements as accepted by the LRS
+ * @param {number[]} ids - Outbox row ids
+ */
+export const markStatementsSent = async (ids) => {
+  if (ids.length === 0) return;
+  await pool.query(
+    `UPDATE xapi_statements
+     SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+     WHERE id = ANY($1::int[])`,
+    [ids]
+  );
+};
+
+/**
+ * Record a failed delivery: retry after `retryInMs`, or give up once the
+ * statement has used all of its attempts or the LRS rejected it for good
+ * @param {Object} row - Outbox row
+ * @param {string} error
+ * @param {number} retryInMs
+ * @param {{permanent?: boolean}} [options] - Give up without retrying
+ * @returns {Promise<{attempts: number, failed: boolean}>}
+ */
+export const markStatementFailed = async (row, error, retryInMs, { permanent = false } = {}) => {
+  const attempts = row.attempts + 1;
+  const result = await pool.query(
+    `UPDATE xapi_statements
+     SET attempts = $1, last_error = $2,
+         status = CASE WHEN $5 OR $1 >= max_attempts THEN 'failed' ELSE 'pending' END,
+         next_attempt_at = NOW() + ($3 * INTERVAL '1 millisecond')
+     WHERE id = $4
+     RETURNING status`,
+    [attempts, error, retryInMs, row.id, permanent]
+  );
+  return { attempts, failed: result.rows[0]?.status === 'failed' };
+};
+
+export default {
+  XAPI_VERSION,
+  XAPI_VERBS,
+  ACTIVITY_TYPES,
+  getLrsConfig,
+  isXapiEnabled,
+  toActivity,
+  buildStatement,
+  queueStatement,
+  trackLessonStarted,
+  trackLessonCompleted,
+  trackQuizSubmitted,
+  trackFlashcardReviewed,
+  trackChatInteraction,
+  claimDueStatements,
+  markStatementsSent,
+  markStatementFailed,
+};
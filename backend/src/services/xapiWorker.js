@@ -0,0 +1,170 @@
+import xapiService, { XAPI_VERSION, getLrsConfig } from './xapiService.js';
+
+/**
+ * Client errors that are worth retrying: request timeout and rate limiting.
+ * Any other 4xx means the LRS will never accept the statements as sent.
+ */
+const RETRYABLE_CLIENT_ERRORS = [408, 429];
+
+/**
+ * @private
+ */
+const isPermanentFailure = (status) =>
+  status >= 400 && status < 500 && !RETRYABLE_CLIENT_ERRORS.includes(status);
+
+/**
+ * Create the background worker that delivers queued xAPI statements to the
+ * Learning Record Store. Each tick claims due statements and POSTs them as one
+ * batch; a batch the LRS rejects with a 4xx is retried one statement at a
+ * time so a single bad statement cannot hold back the rest. A statement the
+ * LRS rejects on its own fails at once; server and network errors back off
+ * exponentially until a statement runs out of attempts.
+ *
+ * @param {Object} [options]
+ * @param {{endpoint: string, username?: string, password?: string}} [options.lrs] - Defaults to the XAPI_LRS_* settings
+ * @param {Function} [options.fetchImpl] - fetch-compatible function used for HTTP requests
+ * @param {Object} [options.outbox] - Outbox functions, defaults to xapiService
+ * @param {number} [options.pollInterval] - Delay between ticks, and the base retry delay (ms)
+ * @param {number} [options.batchSize] - Statements claimed per tick
+ * @param {number} [options.leaseMs] - How long claimed statements are hidden from other workers
+ * @param {number} [options.requestTimeout] - Abort an LRS request after this long (ms)
+ */
+export const createXapiWorker = ({
+  lrs = getLrsConfig(),
+  fetchImpl = fetch,
+  outbox = xapiService,
+  pollInterval = 5000,
+  batchSize = 25,
+  leaseMs = 60000,
+  requestTimeout = 15000,
+} = {}) => {
+  const { claimDueStatements, markStatementsSent, markStatementFailed } = outbox;
+  let timer = null;
+  let running = false;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Experience-API-Version': XAPI_VERSION,
+    ...(lrs.username && {
+      Authorization: `Basic ${Buffer.from(`${lrs.username}:${lrs.password || ''}`).toString('base64')}`,
+    }),
+  };
+
+  /**
+   * POST statements to the LRS
+   * @returns {Promise<{ok: boolean, status: number, error?: string}>}
+   */
+  const postStatements = async (statements) => {
+    try {
+      const response = await fetchImpl(`${lrs.endpoint}/statements`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(statements),
+        signal: AbortSignal.timeout(requestTimeout),
+      });
+
+      // 409 means the LRS already holds these statement ids, i.e. an earlier
+      // attempt was stored even though we never saw the response
+      if (response.ok || response.status === 409) {
+        return { ok: true, status: response.status };
+      }
+
+      const body = await response.text().catch(() => '');
+      return { ok: false, status: response.status, error: `LRS responded ${response.status}: ${body.slice(0, 500)}` };
+    } catch (error) {
+      return { ok: false, status: 0, error: error.message };
+    }
+  };
+
+  const failRows = async (rows, error, permanent) => {
+    for (const row of rows) {
+      const { attempts, failed } = await markStatementFailed(
+        row,
+        error,
+        pollInterval * 2 ** (row.attempts + 1),
+        { permanent }
+      );
+      if (failed) {
+        console.error(`❌ [xAPI] Statement ${row.statement_id} dropped after ${attempts} attempt(s): ${error}`);
+      }
+    }
+  };
+
+  /**
+   * Deliver a batch of outbox rows
+   * @returns {Promise<number>} Number of statements accepted by the LRS
+   */
+  const deliver = async (rows) => {
+    const result = await postStatements(rows.map((row) => row.statement));
+
+    if (result.ok) {
+      await markStatementsSent(rows.map((row) => row.id));
+      return rows.length;
+    }
+
+    const permanent = isPermanentFailure(result.status);
+    if (permanent && rows.length > 1) {
+      let sent = 0;
+      for (const row of rows) {
+        sent += await deliver([row]);
+      }
+      return sent;
+    }
+
+    console.error(`⚠️ [xAPI] Delivery of ${rows.length} statement(s) failed: ${result.error}`);
+    await failRows(rows, result.error, permanent);
+    return 0;
+  };
+
+  /**
+   * Deliver one batch of due statements
+   * @returns {Promise<number>} Number of statements claimed
+   */
+  const tick = async () => {
+    const rows = await claimDueStatements(batchSize, leaseMs);
+    if (rows.length > 0) {
+      const sent = await deliver(rows);
+      console.log(`📤 [xAPI] Delivered ${sent}/${rows.length} statement(s)`);
+    }
+    return rows.length;
+  };
+
+  const loop = async () => {
+    let claimed = 0;
+    try {
+      claimed = await tick();
+    } catch (error) {
+      console.error('xAPI worker tick failed:', error);
+    }
+    if (running) {
+      // Keep draining a backlog without waiting a full interval between batches
+      timer = setTimeout(loop, claimed === batchSize ? 0 : pollInterval);
+    }
+  };
+
+  return {
+    tick,
+    deliver,
+
+    start() {
+      if (running) return;
+      if (!lrs.endpoint) {
+        console.log('xAPI worker not started: XAPI_LRS_ENDPOINT is not set');
+        return;
+      }
+      running = true;
+      console.log(`📡 xAPI worker started (LRS: ${lrs.endpoint})`);
+      loop();
+    },
+
+    stop() {
+      running = false;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+  };
+};
+
+export default createXapiWorker;
@@ -0,0 +1,210 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP reader/writer for course packages: deflated or stored entries,
+ * no encryption, no ZIP64. Enough for the handful of JSON files in a package
+ * without pulling in an archive dependency.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+/** Upper bound for a single uncompressed entry, guards against zip bombs */
+export const MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+
+/** Upper bound for all uncompressed entries together */
+export const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+/** Upper bound for the number of entries in an archive */
+export const MAX_ENTRIES = 1000;
+
+/**
+ * Raised when a buffer is not a ZIP archive this module can read
+ */
+export class ZipFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipFormatError';
+    this.status = 400;
+  }
+}
+
+/**
+ * MS-DOS time and date fields
+ * @private
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Buffer|string}>} files
+ * @param {Date} [modifiedAt]
+ * @returns {Buffer}
+ */
+export const createZip = (files, modifiedAt = new Date()) => {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Read every file of a ZIP archive from its central directory. Offsets and
+ * sizes come from the upload, so each one is checked against the buffer
+ * before it is read.
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} File name -> contents (directories are skipped)
+ */
+export const readZip = (buffer) => {
+  // The end record is the last 22 bytes unless the archive has a comment
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new ZipFormatError('Not a ZIP archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  if (entryCount > MAX_ENTRIES) {
+    throw new ZipFormatError(`ZIP archives can hold at most ${MAX_ENTRIES} entries`);
+  }
+
+  let cursor = buffer.readUInt32LE(endOffset + 16);
+  let totalBytes = 0;
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (cursor + 46 > endOffset || buffer.readUInt32LE(cursor) !== CENTRAL_HEADER) {
+      throw new ZipFormatError('Corrupt ZIP central directory');
+    }
+
+    const method = buffer.readUInt16LE(cursor + 10);
+    const crc = buffer.readUInt32LE(cursor + 16);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const size = buffer.readUInt32LE(cursor + 24);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const extraLength = buffer.readUInt16LE(cursor + 30);
+    const commentLength = buffer.readUInt16LE(cursor + 32);
+    const localOffset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+    cursor += 46 + nameLength + extraLength + commentLength;
+
+    if (cursor > endOffset) {
+      throw new ZipFormatError('Corrupt ZIP central directory');
+    }
+
+    if (name.endsWith('/')) continue;
+    if (size > MAX_ENTRY_BYTES) {
+      throw new ZipFormatError(`ZIP entry ${name} is too large`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new ZipFormatError(`Corrupt ZIP entry ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (dataStart + compressedSize > buffer.length) {
+      throw new ZipFormatError(`Corrupt ZIP entry ${name}`);
+    }
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    // Declared sizes can't be trusted, so the limits apply to the inflated output
+    const maxOutputLength = Math.min(MAX_ENTRY_BYTES, MAX_TOTAL_BYTES - totalBytes);
+    const sizeError = () => new ZipFormatError(maxOutputLength < MAX_ENTRY_BYTES
+      ? `ZIP archive expands to more than ${MAX_TOTAL_BYTES / 1024 / 1024} MB`
+      : `ZIP entry ${name} is too large`);
+
+    let data;
+    if (method === STORED) {
+      data = raw;
+    } else if (method === DEFLATED) {
+      try {
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, maxOutputLength) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw sizeError();
+        throw new ZipFormatError(`Could not decompress ZIP entry ${name}`);
+      }
+    } else {
+      throw new ZipFormatError(`Unsupported compression in ZIP entry ${name}`);
+    }
+
+    if (data.length > maxOutputLength) {
+      throw sizeError();
+    }
+    totalBytes += data.length;
+
+    if (zlib.crc32(data) !== crc) {
+      throw new ZipFormatError(`Checksum mismatch in ZIP entry ${name}`);
+    }
+    files.set(name, data);
+  }
+
+  return files;
+};
+
+export default {
+  MAX_ENTRY_BYTES,
+  MAX_TOTAL_BYTES,
+  MAX_ENTRIES,
+  ZipFormatError,
+  createZip,
+  readZip,
+};
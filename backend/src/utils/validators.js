@@ -1,54 +0,0 @@
-// This file contains validation functions for incoming requests.
-
-const { body, validationResult } = require('express-validator');
-
-// Middleware to validate user registration
-const validateUserRegistration = [
-    body('username')
-        .isString()
-        .withMessage('Username must be a string')
-        .isLength({ min: 3 })
-        .withMessage('Username must be at least 3 characters long'),
-    body('email')
-        .isEmail()
-        .withMessage('Must be a valid email address'),
-    body('password')
-        .isString()
-        .withMessage('Password must be a string')
-        .isLength({ min: 6 })
-        .withMessage('Password must be at least 6 characters long'),
-    (req, res, next) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
-        next();
-    }
-];
-
-// Middleware to validate course creation
-const validateCourseCreation = [
-    body('title')
-        .isString()
-        .withMessage('Title must be a string')
-        .notEmpty()
-        .withMessage('Title is required'),
-    body('description')
-        .isString()
-        .withMessage('Description must be a string')
-        .notEmpty()
-        .withMessage('Description is required'),
-    (req, res, next) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
-        next();
-    }
-];
-
-// Export validation functions
-module.exports = {
-    validateUserRegistration,
-    validateCourseCreation,
-};
\ No newline at end of file
@@ -0,0 +1,234 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  executePipeline,
+  validatePipeline,
+  PipelineError,
+  PipelineDefinitionError,
+} from '../src/pipelines/PipelineExecutor.js';
+
+/**
+ * Task registry for test pipelines. `record` returns its input and logs every
+ * call; `flaky` fails while `failures` is above zero, with `failureStatus` as
+ * the error's status when set.
+ */
+const createTasks = () => {
+  const calls = [];
+  const tasks = {
+    calls,
+    failures: 0,
+    failureStatus: undefined,
+    async record(input, context) {
+      calls.push({ ...input, attempt: context.attempt });
+      return input;
+    },
+    async flaky(input, context) {
+      calls.push({ ...input, attempt: context.attempt });
+      if (tasks.failures > 0) {
+        tasks.failures -= 1;
+        throw Object.assign(new Error('flaky task failed'), { status: tasks.failureStatus });
+      }
+      return input;
+    },
+  };
+  return tasks;
+};
+
+const run = (definition, input, tasks, transforms = {}) => {
+  const registry = { tasks, transforms: { accept: () => true, ...transforms } };
+  return executePipeline(validatePipeline(definition, registry), input, registry);
+};
+
+test('drops sibling outputs of a loop step that fails, so no step reads a stale attempt', async () => {
+  const tasks = createTasks();
+  tasks.failures = 1;
+
+  // `fail` and `fast` run in the same batch; `slow` only reads `fast`
+  const context = await run({
+    name: 'batch',
+    steps: [
+      { id: 'start', task: 'record', input: { step: 'start' } },
+      { id: 'fast', task: 'record', after: ['start'], input: { step: 'fast', attempt: '$attempt' } },
+      { id: 'fail', task: 'flaky', after: ['start'], input: { step: 'fail' } },
+      { id: 'slow', task: 'record', after: ['fast'], input: { step: 'slow', fast: '$steps.fast.attempt' } },
+      {
+        id: 'check',
+        task: 'record',
+        after: ['slow', 'fail'],
+        input: { step: 'check' },
+        gate: { retry: 'start', until: '@accept', maxAttempts: 2 },
+      },
+    ],
+  }, {}, tasks);
+
+  const slowCalls = tasks.calls.filter((call) => call.step === 'slow');
+  assert.deepEqual(slowCalls, [{ step: 'slow', fast: 2, attempt: 2 }]);
+  assert.deepEqual(context.gates.check, { passed: true, attempts: 2, feedback: null });
+});
+
+test('runs steps after the steps they depend on and resolves paths into the context', async () => {
+  const tasks = createTasks();
+
+  const context = await run({
+    name: 'paths',
+    steps: [
+      { id: 'second', task: 'record', after: ['first'], input: { step: 'second', from: '$steps.first.value' } },
+      { id: 'first', task: 'record', input: { step: 'first', value: '$input.value' } },
+      { id: 'each', task: 'record', after: ['first'], each: '$input.items', input: { step: 'each', item: '$item', index: '$index' } },
+      { id: 'skipped', task: 'record', when: '!$input.value', input: { step: 'skipped' } },
+    ],
+  }, { value: 7, items: ['a', 'b'] }, tasks);
+
+  assert.deepEqual(tasks.calls.map((call) => call.step), ['first', 'second', 'each', 'each']);
+  assert.equal(context.steps.second.from, 7);
+  assert.deepEqual(context.steps.each.map(({ item, index }) => [item, index]), [['a', 0], ['b', 1]]);
+  assert.equal(context.steps.skipped, undefined);
+});
+
+test('retries a failing step before giving up', async () => {
+  const tasks = createTasks();
+  tasks.failures = 2;
+
+  const context = await run({
+    name: 'retries',
+    steps: [{ id: 'step', task: 'flaky', retries: 2, input: { step: 'step' } }],
+  }, {}, tasks);
+
+  assert.equal(tasks.calls.length, 3);
+  assert.deepEqual(context.steps.step, { step: 'step' });
+});
+
+test('uses the fallback once retries run out, and fails the run without one', async () => {
+  const tasks = createTasks();
+  tasks.failures = 2;
+
+  const context = await run({
+    name: 'fallback',
+    steps: [{ id: 'optional', task: 'flaky', retries: 1, fallback: { fellBack: '$input.value' }, input: {} }],
+  }, { value: 3 }, tasks);
+  assert.deepEqual(context.steps.optional, { fellBack: 3 });
+
+  tasks.failures = 1;
+  await assert.rejects(
+    run({
+      name: 'required',
+      steps: [{ id: 'required', task: 'flaky', error: 'Required step failed', input: {} }],
+    }, {}, tasks),
+    (error) => {
+      assert.ok(error instanceof PipelineError);
+      assert.equal(error.message, 'Required step failed');
+      assert.equal(error.step, 'required');
+      assert.equal(error.details, 'flaky task failed');
+      return true;
+    }
+  );
+});
+
+test('passes client errors through without retries or fallback', async () => {
+  const tasks = createTasks();
+  tasks.failures = 1;
+  tasks.failureStatus = 429;
+
+  await assert.rejects(
+    run({
+      name: 'quota',
+      steps: [{ id: 'step', task: 'flaky', retries: 2, fallback: null, input: {} }],
+    }, {}, tasks),
+    (error) => error.status === 429 && !(error instanceof PipelineError)
+  );
+  assert.equal(tasks.calls.length, 1);
+});
+
+/**
+ * A draft-review loop: `draft` records its attempt and the feedback it got,
+ * `review` scores the draft with the next of `scores`
+ */
+const gatedPipeline = {
+  name: 'gated',
+  steps: [
+    { id: 'setup', task: 'record', input: { step: 'setup' } },
+    {
+      id: 'draft',
+      task: 'flaky',
+      after: ['setup'],
+      input: { step: 'draft', feedback: '$feedback.score' },
+    },
+    {
+      id: 'review',
+      task: 'record',
+      after: ['draft'],
+      input: { step: 'review', score: '@nextScore' },
+      gate: { retry: 'draft', until: '@goodScore', maxAttempts: 3, retryEvent: '@retryEvent' },
+    },
+  ],
+};
+
+const gateTransforms = (scores) => ({
+  nextScore: () => scores.shift(),
+  goodScore: (review) => review.score >= 70,
+  retryEvent: ({ attempt, feedback }) => ({ stage: 'retry', attempt, previousScore: feedback?.score ?? null }),
+});
+
+test('re-runs a gate loop with the failed output as feedback until the gate passes', async () => {
+  const tasks = createTasks();
+  const events = [];
+
+  const context = await executePipeline(gatedPipeline, {}, {
+    tasks,
+    transforms: gateTransforms([40, 80]),
+    emit: (event, data) => events.push([event, data]),
+  });
+
+  const drafts = tasks.calls.filter((call) => call.step === 'draft');
+  assert.deepEqual(drafts, [
+    { step: 'draft', feedback: undefined, attempt: 1 },
+    { step: 'draft', feedback: 40, attempt: 2 },
+  ]);
+  assert.equal(tasks.calls.filter((call) => call.step === 'setup').length, 1, 'steps before the loop run once');
+  assert.deepEqual(context.gates.review, { passed: true, attempts: 2, feedback: null });
+  assert.deepEqual(events, [['stage', { stage: 'retry', attempt: 2, previousScore: 40 }]]);
+});
+
+test('keeps the last output when the gate never passes', async () => {
+  const tasks = createTasks();
+
+  const context = await executePipeline(gatedPipeline, {}, { tasks, transforms: gateTransforms([10, 20, 30]) });
+
+  assert.equal(tasks.calls.filter((call) => call.step === 'draft').length, 3);
+  assert.equal(context.steps.review.score, 30);
+  assert.deepEqual(context.gates.review, { passed: false, attempts: 3, feedback: context.steps.review });
+});
+
+test('counts a failed loop step as an attempt and fails the run on the last one', async () => {
+  const tasks = createTasks();
+  tasks.failures = 1;
+
+  const context = await executePipeline(gatedPipeline, {}, { tasks, transforms: gateTransforms([90]) });
+  assert.deepEqual(context.gates.review, { passed: true, attempts: 2, feedback: null });
+
+  const failing = createTasks();
+  failing.failures = 3;
+  await assert.rejects(
+    executePipeline(gatedPipeline, {}, { tasks: failing, transforms: gateTransforms([]) }),
+    PipelineError
+  );
+  assert.equal(failing.calls.filter((call) => call.step === 'draft').length, 3);
+});
+
+test('rejects definitions with functions or unknown transforms', () => {
+  const tasks = createTasks();
+  const definition = (input) => ({ name: 'invalid', steps: [{ id: 'step', task: 'record', input }] });
+
+  assert.throws(
+    () => validatePipeline(definition({ value: () => 1 }), { tasks, transforms: {} }),
+    (error) => error instanceof PipelineDefinitionError && /input\.value is a function/.test(error.message)
+  );
+  assert.throws(
+    () => validatePipeline(definition({ value: '@missing' }), { tasks, transforms: {} }),
+    /unknown transform 'missing'/
+  );
+  assert.throws(
+    () => validatePipeline({ ...definition({}), result: 'summary' }, { tasks, transforms: {} }),
+    /result must name a transform/
+  );
+});
@@ -0,0 +1,196 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createVideoJobWorker } from '../src/services/videoJobWorker.js';
+
+/**
+ * In-memory stand-in for the video_jobs table, with the functions the
+ * worker uses from videoJobService
+ */
+const createJobStore = (rows) => {
+  const jobs = new Map();
+  const synced = [];
+  const add = (row) => jobs.set(row.id, {
+    status: 'queued',
+    progress: 0,
+    attempts: 0,
+    max_attempts: 3,
+    model: 'sora-2-pro',
+    provider_video_id: null,
+    video_data: {},
+    chat_message_id: null,
+    next_run_at: 0,
+    ...row,
+  });
+  rows.forEach(add);
+
+  return {
+    jobs,
+    synced,
+    add,
+    videoJobEvents: new EventEmitter(),
+    async claimDueVideoJobs(limit, leaseMs) {
+      const now = Date.now();
+      const due = [...jobs.values()]
+        .filter((job) => ['queued', 'in_progress'].includes(job.status) && job.next_run_at <= now)
+        .slice(0, limit);
+      due.forEach((job) => { job.next_run_at = now + leaseMs; });
+      return due.map((job) => ({ ...job }));
+    },
+    async updateVideoJob(jobId, fields, runInMs = null) {
+      const job = jobs.get(jobId);
+      Object.assign(job, fields);
+      if (runInMs !== null) {
+        job.next_run_at = Date.now() + runInMs;
+        job.runInMs = runInMs;
+      }
+      return { ...job };
+    },
+    async syncChatMessage(job) {
+      synced.push(job.id);
+    },
+  };
+};
+
+/**
+ * Sora client whose videos report the given statuses in turn
+ */
+const createVideoClient = (statuses, { failCreate = 0 } = {}) => {
+  const calls = { create: 0, retrieve: 0, download: 0 };
+  let index = 0;
+  const next = () => statuses[Math.min(index++, statuses.length - 1)];
+
+  return {
+    calls,
+    videos: {
+      async create() {
+        calls.create += 1;
+        if (calls.create <= failCreate) throw new Error('Sora unavailable');
+        return { id: 'video_1', ...next() };
+      },
+      async retrieve(id) {
+        calls.retrieve += 1;
+        return { id, ...next() };
+      },
+      async downloadContent() {
+        calls.download += 1;
+        return { arrayBuffer: async () => new TextEncoder().encode('mp4').buffer };
+      },
+    },
+  };
+};
+
+let outputDir;
+let published;
+const publishEvent = async (event, userId, data) => {
+  published.push({ event, userId, data });
+};
+
+beforeEach(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-worker-'));
+  published = [];
+});
+
+afterEach(() => {
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('submits a new job and polls it until the video is downloaded', async () => {
+  const jobs = createJobStore([{ id: 1, user_id: 7, lesson_id: 3, prompt: 'A cell dividing', chat_message_id: 42 }]);
+  const videoClient = createVideoClient([
+    { status: 'queued', progress: 0 },
+    { status: 'in_progress', progress: 40 },
+    { status: 'completed', progress: 100 },
+  ]);
+  const worker = createVideoJobWorker({ videoClient, jobs, publishEvent, outputDir, pollInterval: 0 });
+
+  await worker.tick();
+  assert.equal(videoClient.calls.create, 1);
+  assert.equal(jobs.jobs.get(1).provider_video_id, 'video_1');
+  assert.equal(jobs.jobs.get(1).status, 'in_progress');
+
+  await worker.tick();
+  assert.equal(jobs.jobs.get(1).progress, 40);
+
+  await worker.tick();
+  const job = jobs.jobs.get(1);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.progress, 100);
+  assert.match(job.video_url, /^\/videos\/video_\d+_video_1\.mp4$/);
+  assert.equal(fs.readFileSync(job.local_path, 'utf8'), 'mp4');
+  assert.equal(videoClient.calls.create, 1, 'a submitted job is polled, not submitted again');
+  assert.deepEqual(jobs.synced, [1]);
+  assert.deepEqual(published.map(({ event, userId }) => [event, userId]), [['video.ready', 7]]);
+
+  // Finished jobs are never claimed again
+  assert.equal(await worker.tick(), 0);
+});
+
+test('resumes polling a job that already has a provider video after a restart', async () => {
+  const jobs = createJobStore([{ id: 1, user_id: 7, prompt: 'p', status: 'in_progress', provider_video_id: 'video_9' }]);
+  const videoClient = createVideoClient([{ status: 'in_progress', progress: 70 }]);
+  const worker = createVideoJobWorker({ videoClient, jobs, publishEvent, outputDir, pollInterval: 0 });
+
+  await worker.tick();
+
+  assert.equal(videoClient.calls.create, 0);
+  assert.equal(videoClient.calls.retrieve, 1);
+  assert.equal(jobs.jobs.get(1).progress, 70);
+});
+
+test('marks the job failed when the provider fails the render', async () => {
+  const jobs = createJobStore([{ id: 1, user_id: 7, prompt: 'p' }]);
+  const videoClient = createVideoClient([{ status: 'failed', error: { message: 'Content policy' } }]);
+  const worker = createVideoJobWorker({ videoClient, jobs, publishEvent, outputDir, pollInterval: 0 });
+
+  await worker.tick();
+
+  assert.equal(jobs.jobs.get(1).status, 'failed');
+  assert.equal(jobs.jobs.get(1).error, 'Content policy');
+  assert.deepEqual(jobs.synced, [1]);
+  assert.equal(published.length, 0);
+});
+
+test('retries errors with exponential backoff and fails after max attempts', async () => {
+  const jobs = createJobStore([{ id: 1, user_id: 7, prompt: 'p', max_attempts: 3 }]);
+  const videoClient = createVideoClient([{ status: 'queued' }], { failCreate: Infinity });
+  const worker = createVideoJobWorker({ videoClient, jobs, publishEvent, outputDir, pollInterval: 100 });
+
+  await worker.processJob(await jobs.updateVideoJob(1, {}));
+  assert.equal(jobs.jobs.get(1).attempts, 1);
+  assert.equal(jobs.jobs.get(1).runInMs, 200);
+
+  await worker.processJob(await jobs.updateVideoJob(1, {}));
+  assert.equal(jobs.jobs.get(1).attempts, 2);
+  assert.equal(jobs.jobs.get(1).runInMs, 400);
+  assert.equal(jobs.jobs.get(1).status, 'queued');
+
+  await worker.processJob(await jobs.updateVideoJob(1, {}));
+  assert.equal(jobs.jobs.get(1).status, 'failed');
+  assert.equal(jobs.jobs.get(1).error, 'Sora unavailable');
+  assert.deepEqual(jobs.synced, [1]);
+});
+
+test('starts a newly queued job without waiting for the next poll', async () => {
+  const jobs = createJobStore([]);
+  const videoClient = createVideoClient([{ status: 'in_progress', progress: 5 }]);
+  const worker = createVideoJobWorker({ videoClient, jobs, publishEvent, outputDir, pollInterval: 60000 });
+
+  worker.start();
+  try {
+    // Let the first, empty tick finish
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    jobs.add({ id: 1, user_id: 7, prompt: 'p' });
+    jobs.videoJobEvents.emit('queued', jobs.jobs.get(1));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.equal(videoClient.calls.create, 1);
+    assert.equal(jobs.jobs.get(1).status, 'in_progress');
+  } finally {
+    worker.stop();
+  }
+});
@@ -0,0 +1,150 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLrsStub } from '../scripts/lrs-stub.js';
+import { createXapiWorker } from '../src/services/xapiWorker.js';
+
+/**
+ * In-memory stand-in for the xapi_statements outbox, with the functions the
+ * worker uses from xapiService
+ */
+const createOutbox = (statements) => {
+  const rows = statements.map((statement, index) => ({
+    id: index + 1,
+    statement_id: statement.id,
+    statement,
+    status: 'pending',
+    attempts: 0,
+    max_attempts: 10,
+    last_error: null,
+    next_attempt_at: 0,
+  }));
+
+  return {
+    rows,
+    async claimDueStatements(limit, leaseMs) {
+      const now = Date.now();
+      const due = rows
+        .filter((row) => row.status === 'pending' && row.next_attempt_at <= now)
+        .slice(0, limit);
+      due.forEach((row) => { row.next_attempt_at = now + leaseMs; });
+      return due.map((row) => ({ ...row }));
+    },
+    async markStatementsSent(ids) {
+      rows.filter((row) => ids.includes(row.id)).forEach((row) => { row.status = 'sent'; });
+    },
+    async markStatementFailed(claimed, error, retryInMs, { permanent = false } = {}) {
+      const row = rows.find((entry) => entry.id === claimed.id);
+      row.attempts = claimed.attempts + 1;
+      row.last_error = error;
+      row.status = permanent || row.attempts >= row.max_attempts ? 'failed' : 'pending';
+      row.next_attempt_at = Date.now() + retryInMs;
+      row.retryInMs = retryInMs;
+      return { attempts: row.attempts, failed: row.status === 'failed' };
+    },
+  };
+};
+
+const statement = (id, fields = {}) => ({
+  id,
+  actor: { account: { homePage: 'http://localhost:3000', name: '7' } },
+  verb: { id: 'http://adlnet.gov/expapi/verbs/completed' },
+  object: { id: `http://localhost:3000/lessons/${id}` },
+  ...fields,
+});
+
+let lrsStub;
+let endpoint;
+
+const startLrs = async (options) => {
+  lrsStub = createLrsStub(options);
+  await new Promise((resolve) => lrsStub.server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${lrsStub.server.address().port}/xapi`;
+};
+
+beforeEach(async () => {
+  await startLrs();
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => lrsStub.server.close(resolve));
+});
+
+test('delivers due statements to the LRS as one batch', async () => {
+  const outbox = createOutbox([statement('a1'), statement('a2')]);
+  const worker = createXapiWorker({ lrs: { endpoint }, outbox, pollInterval: 100 });
+
+  assert.equal(await worker.tick(), 2);
+
+  assert.deepEqual(outbox.rows.map((row) => row.status), ['sent', 'sent']);
+  assert.deepEqual([...lrsStub.statements.keys()], ['a1', 'a2']);
+
+  // Sent statements are not claimed again
+  assert.equal(await worker.tick(), 0);
+});
+
+test('fails a statement the LRS rejects at once and still delivers the rest of its batch', async () => {
+  const outbox = createOutbox([statement('b1'), statement('b2', { verb: {} }), statement('b3')]);
+  const worker = createXapiWorker({ lrs: { endpoint }, outbox, pollInterval: 100 });
+
+  await worker.tick();
+
+  const [first, invalid, last] = outbox.rows;
+  assert.equal(first.status, 'sent');
+  assert.equal(last.status, 'sent');
+  assert.equal(invalid.status, 'failed');
+  assert.equal(invalid.attempts, 1, 'a 4xx is not retried');
+  assert.match(invalid.last_error, /LRS responded 400/);
+  assert.deepEqual([...lrsStub.statements.keys()], ['b1', 'b3']);
+});
+
+test('retries server errors with exponential backoff', async () => {
+  await new Promise((resolve) => lrsStub.server.close(resolve));
+  await startLrs({ failFirst: 2 });
+
+  const outbox = createOutbox([statement('c1')]);
+  const worker = createXapiWorker({ lrs: { endpoint }, outbox, pollInterval: 100 });
+  const [row] = outbox.rows;
+
+  await worker.deliver(await outbox.claimDueStatements(25, 0));
+  assert.equal(row.status, 'pending');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.retryInMs, 200);
+  assert.match(row.last_error, /LRS responded 503/);
+
+  await worker.deliver([{ ...row }]);
+  assert.equal(row.attempts, 2);
+  assert.equal(row.retryInMs, 400);
+
+  await worker.deliver([{ ...row }]);
+  assert.equal(row.status, 'sent');
+  assert.ok(lrsStub.statements.has('c1'));
+});
+
+test('retries network errors until the statement runs out of attempts', async () => {
+  const outbox = createOutbox([statement('d1')]);
+  const fetchImpl = async () => {
+    throw new TypeError('fetch failed');
+  };
+  const worker = createXapiWorker({ lrs: { endpoint }, fetchImpl, outbox, pollInterval: 100 });
+  const [row] = outbox.rows;
+  row.max_attempts = 2;
+
+  await worker.deliver([{ ...row }]);
+  assert.equal(row.status, 'pending');
+  assert.equal(row.last_error, 'fetch failed');
+
+  await worker.deliver([{ ...row }]);
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, 2);
+});
+
+test('counts statements the LRS already holds as delivered', async () => {
+  const outbox = createOutbox([statement('e1')]);
+  const worker = createXapiWorker({ lrs: { endpoint }, outbox, pollInterval: 100 });
+
+  // The stub answers 409 for a statement id it already holds
+  lrsStub.statements.set('e1', { original: { stored: 'earlier' }, statement: {} });
+
+  await worker.tick();
+  assert.equal(outbox.rows[0].status, 'sent');
+});
@@ -1,10 +1,13 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AppProvider, useApp } from './context/AppContext';
 import Login from './pages/Login';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import TopicPage from './pages/TopicPage';
 import LessonChat from './pages/LessonChat';
 import Quiz from './pages/Quiz';
+import TraceViewer from './pages/TraceViewer';
 
 const ProtectedRoute = ({ children }) => {
   const { user } = useApp();
@@ -16,6 +19,8 @@ function AppRoutes() {
     <Router>
       <Routes>
         <Route path="/" element={<Login />} />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
+        <Route path="/verify-email/:token" element={<VerifyEmail />} />
         <Route
           path="/dashboard"
           element={
@@ -48,6 +53,22 @@ function AppRoutes() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/traces"
+          element={
+            <ProtectedRoute>
+              <TraceViewer />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/traces/:traceId"
+          element={
+            <ProtectedRoute>
+              <TraceViewer />
+            </ProtectedRoute>
+          }
+        />
       </Routes>
     </Router>
   );
@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import { quizAPI } from '../services/api';
+import QuestionInput from './QuestionInput';
+import QuizReview from './QuizReview';
+import PathRevisionBanner from './PathRevisionBanner';
+import { toQuizQuestion, initialAnswer, isAnswered } from '../utils/quizAnswers';
+import './AdaptiveQuiz.css';
+
+const STOP_MESSAGES = {
+  mastered: 'You have mastered this quiz!',
+  not_mastered: 'Not quite there yet. Review the weak spots below and try again.',
+  max_questions: 'You reached the question limit for this session.',
+  no_questions: 'There are no more questions available for this quiz.',
+};
+
+/**
+ * Adaptive quiz flow: the backend picks each next question from the answers
+ * so far and ends the session once it is confident about mastery
+ */
+const AdaptiveQuiz = ({ quizId, onExit }) => {
+  const [session, setSession] = useState(null);
+  const [answer, setAnswer] = useState(null);
+  const [lastResult, setLastResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const showSession = (nextSession) => {
+    setSession(nextSession);
+    const question = nextSession.currentQuestion ? toQuizQuestion(nextSession.currentQuestion) : null;
+    setAnswer(initialAnswer(question));
+  };
+
+  const startSession = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setLastResult(null);
+      const response = await quizAPI.startSession(quizId);
+      showSession(response.data.session);
+    } catch (err) {
+      console.error('Failed to start adaptive quiz:', err);
+      setError(err.response?.data?.error || 'Failed to start the quiz. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    startSession();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [quizId]);
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await quizAPI.answerSession(session.id, answer);
+      setLastResult(response.data.result);
+      setSession(response.data.session);
+    } catch (err) {
+      console.error('Failed to submit answer:', err);
+      setError(err.response?.data?.error || 'Failed to submit your answer. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleContinue = () => {
+    setLastResult(null);
+    showSession(session);
+  };
+
+  if (loading) {
+    return <div className="adaptive-status">Preparing your quiz...</div>;
+  }
+
+  if (!session) {
+    return (
+      <div className="adaptive-status">
+        {error && <p className="quiz-error">{error}</p>}
+        <button onClick={startSession} className="btn-next">Try Again</button>
+      </div>
+    );
+  }
+
+  const masteryPercent = Math.round(session.mastery.estimate * 100);
+  const confidencePercent = Math.round(session.mastery.confidence * 100);
+
+  // Feedback on the answer just given, before moving on
+  if (lastResult) {
+    return (
+      <div className="question-card">
+        <h2 className="question-text">{lastResult.isCorrect ? '✅ Correct!' : '❌ Not quite'}</h2>
+        <QuizReview items={[lastResult]} startNumber={session.questionsAnswered} />
+        <button onClick={handleContinue} className="btn-next adaptive-continue">
+          {session.status === 'active' ? 'Next Question' : 'See Results'}
+        </button>
+      </div>
+    );
+  }
+
+  if (session.status === 'completed') {
+    return (
+      <div className="quiz-result">
+        <h2>Quiz Complete!</h2>
+        <div className="score-circle">
+          <span className="score-text">{masteryPercent}%</span>
+        </div>
+        <p className="score-detail">Estimated mastery · {STOP_MESSAGES[session.stopReason]}</p>
+        <p className="adaptive-summary">
+          You got {session.correctAnswers} out of {session.questionsAnswered} questions correct
+        </p>
+
+        <PathRevisionBanner revision={session.pathRevision} />
+
+        <div className="result-actions">
+          <button onClick={startSession} className="btn-retry">Start New Session</button>
+          <button onClick={onExit} className="btn-finish">Back to Topic</button>
+        </div>
+
+        <div className="answers-review">
+          <h3>Review Your Answers</h3>
+          <QuizReview items={session.review} />
+        </div>
+      </div>
+    );
+  }
+
+  const question = toQuizQuestion(session.currentQuestion);
+
+  return (
+    <>
+      <div className="quiz-progress adaptive-progress">
+        <span>Question {session.questionsAnswered + 1} (up to {session.maxQuestions})</span>
+        <span className={`difficulty-badge ${question.difficulty}`}>{question.difficulty}</span>
+        <span>Mastery {masteryPercent}% · {confidencePercent}% confident</span>
+      </div>
+
+      <div className="mastery-bar">
+        <div className="mastery-bar-fill" style={{ width: `${masteryPercent}%` }} />
+        <div className="mastery-bar-threshold" style={{ left: `${session.mastery.threshold * 100}%` }} />
+      </div>
+
+      <div className="question-card">
+        {question.concept && <p className="question-concept">{question.concept}</p>}
+        <h2 className="question-text">
+          {question.type === 'fill_blank' ? 'Fill in the blanks' : question.question}
+        </h2>
+
+        <QuestionInput
+          key={question.id}
+          question={question}
+          answer={answer}
+          onChange={setAnswer}
+        />
+
+        {error && <p className="quiz-error">{error}</p>}
+
+        <button
+          onClick={handleSubmit}
+          disabled={!isAnswered(question, answer) || submitting}
+          className="btn-next"
+        >
+          {submitting ? 'Checking...' : 'Submit Answer'}
+        </button>
+      </div>
+    </>
+  );
+};
+
+export default AdaptiveQuiz;
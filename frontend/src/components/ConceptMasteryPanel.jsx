@@ -0,0 +1,47 @@
+import React from 'react';
+import './ConceptMasteryPanel.css';
+
+const LEVEL_LABELS = {
+  mastered: 'Mastered',
+  learning: 'Learning',
+  struggling: 'Needs review',
+  not_started: 'Not started',
+};
+
+const ConceptRow = ({ concept }) => {
+  const percent = Math.round(concept.pKnown * 100);
+
+  return (
+    <div className="concept-row">
+      <div className="concept-row-header">
+        <span className="concept-name">{concept.concept}</span>
+        <span className={`concept-level ${concept.level}`}>{LEVEL_LABELS[concept.level]}</span>
+      </div>
+      <div className="concept-bar">
+        <div className={`concept-bar-fill ${concept.level}`} style={{ width: `${percent}%` }} />
+      </div>
+      {concept.observations > 0 && (
+        <span className="concept-detail">
+          {percent}% likely known · {concept.observations} answer{concept.observations === 1 ? '' : 's'}
+        </span>
+      )}
+    </div>
+  );
+};
+
+const ConceptMasteryPanel = ({ concepts }) => {
+  if (!concepts || concepts.length === 0) return null;
+
+  return (
+    <div className="concept-mastery-panel">
+      <h3>Concept mastery</h3>
+      <div className="concept-list">
+        {concepts.map((concept) => (
+          <ConceptRow key={concept.concept} concept={concept} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ConceptMasteryPanel;
@@ -0,0 +1,113 @@
+import React from 'react';
+import './DependencyMap.css';
+
+const NODE_WIDTH = 210;
+const NODE_HEIGHT = 96;
+const COLUMN_GAP = 24;
+const ROW_GAP = 56;
+
+const STATUS_LABELS = {
+  completed: '✓ Completed',
+  skipped: 'Skipped: already mastered',
+  available: 'Ready to start',
+  locked: '🔒 Locked',
+};
+
+/**
+ * Place nodes in rows by depth (longest prerequisite chain), each row centered
+ * @private
+ */
+const layoutNodes = (nodes) => {
+  const rows = [];
+  for (const node of nodes) {
+    (rows[node.depth] ||= []).push(node);
+  }
+
+  const widest = Math.max(1, ...rows.map((row) => row?.length || 0));
+  const width = widest * NODE_WIDTH + (widest - 1) * COLUMN_GAP;
+  const positions = new Map();
+
+  rows.forEach((row = [], depth) => {
+    const rowWidth = row.length * NODE_WIDTH + (row.length - 1) * COLUMN_GAP;
+    const offset = (width - rowWidth) / 2;
+    row.forEach((node, index) => {
+      positions.set(node.key, {
+        x: offset + index * (NODE_WIDTH + COLUMN_GAP),
+        y: depth * (NODE_HEIGHT + ROW_GAP),
+      });
+    });
+  });
+
+  return { positions, width, height: rows.length * (NODE_HEIGHT + ROW_GAP) - ROW_GAP };
+};
+
+/**
+ * A topic's lessons and quizzes as a prerequisite graph: arrows point from a
+ * requirement to the items it unlocks, and locked items list what they wait for
+ */
+const DependencyMap = ({ nodes, edges, nextKeys = [], onOpen }) => {
+  if (!nodes || nodes.length === 0) return null;
+
+  const byKey = new Map(nodes.map((node) => [node.key, node]));
+  const { positions, width, height } = layoutNodes(nodes);
+
+  return (
+    <div className="dependency-map-scroll">
+      <div className="dependency-map" style={{ width, height }}>
+        <svg className="dependency-edges" width={width} height={height}>
+          <defs>
+            <marker id="dependency-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+              <path d="M 0 0 L 10 5 L 0 10 z" />
+            </marker>
+          </defs>
+          {edges.map(({ from, to }) => {
+            const start = positions.get(from);
+            const end = positions.get(to);
+            const x1 = start.x + NODE_WIDTH / 2;
+            const y1 = start.y + NODE_HEIGHT;
+            const x2 = end.x + NODE_WIDTH / 2;
+            const y2 = end.y;
+            const bend = (y2 - y1) / 2;
+            const met = ['completed', 'skipped'].includes(byKey.get(from).status);
+
+            return (
+              <path
+                key={`${from}-${to}`}
+                className={`dependency-edge ${met ? 'met' : ''}`}
+                d={`M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`}
+                markerEnd="url(#dependency-arrow)"
+              />
+            );
+          })}
+        </svg>
+
+        {nodes.map((node) => {
+          const { x, y } = positions.get(node.key);
+          const locked = node.status === 'locked';
+          const waitingFor = node.missing.map((key) => byKey.get(key).title);
+
+          return (
+            <button
+              key={node.key}
+              className={`map-node ${node.type} ${node.status} ${node.remedial ? 'remedial' : ''} ${nextKeys.includes(node.key) ? 'next' : ''}`}
+              style={{ left: x, top: y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+              disabled={locked}
+              title={locked ? `Complete first: ${waitingFor.join(', ')}` : node.title}
+              onClick={() => onOpen(node)}
+            >
+              <span className="map-node-badge">
+                {node.type === 'quiz' ? '🎯 Quiz' : node.remedial ? '🔁 Review' : '📚 Lesson'}
+              </span>
+              <span className="map-node-title">{node.title}</span>
+              <span className="map-node-status">
+                {locked && waitingFor.length === 1 ? `🔒 After "${waitingFor[0]}"` : STATUS_LABELS[node.status]}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DependencyMap;
@@ -1,10 +1,22 @@
 import React, { useState } from 'react';
+import { flashcardsAPI } from '../services/api';
 import './FlashcardSet.css';
 
+const REVIEW_GRADES = [
+  { grade: 'again', label: 'Again', color: '#d63031' },
+  { grade: 'hard', label: 'Hard', color: '#e17055' },
+  { grade: 'good', label: 'Good', color: '#00b894' },
+  { grade: 'easy', label: 'Easy', color: '#0984e3' },
+];
+
+const formatInterval = (days) => (days === 1 ? 'tomorrow' : `in ${days} days`);
+
 const FlashcardSet = ({ flashcardData }) => {
   const [currentCard, setCurrentCard] = useState(0);
   const [isFlipped, setIsFlipped] = useState(false);
   const [showAll, setShowAll] = useState(false);
+  const [reviews, setReviews] = useState({}); // flashcardId -> updated schedule
+  const [isReviewing, setIsReviewing] = useState(false);
 
   if (!flashcardData || !flashcardData.flashcards || flashcardData.flashcards.length === 0) {
     return <div className="flashcard-error">No flashcards available</div>;
@@ -27,6 +39,22 @@ const FlashcardSet = ({ flashcardData }) => {
     setIsFlipped(!isFlipped);
   };
 
+  const handleReview = async (grade) => {
+    if (!card.flashcardId || isReviewing) return;
+
+    try {
+      setIsReviewing(true);
+      const response = await flashcardsAPI.review(card.flashcardId, grade);
+      setReviews(prev => ({ ...prev, [card.flashcardId]: { grade, ...response.data.flashcard } }));
+    } catch (error) {
+      console.error('Failed to record flashcard review:', error);
+    } finally {
+      setIsReviewing(false);
+    }
+  };
+
+  const cardReview = card.flashcardId ? reviews[card.flashcardId] : null;
+
   const getDifficultyColor = (difficulty) => {
     switch (difficulty?.toLowerCase()) {
       case 'easy': return '#00b894';
@@ -179,6 +207,31 @@ const FlashcardSet = ({ flashcardData }) => {
         </div>
       )}
 
+      {card.flashcardId && isFlipped && !cardReview && (
+        <div className="review-grades">
+          <span className="review-grades-label">How well did you remember this?</span>
+          <div className="review-grade-buttons">
+            {REVIEW_GRADES.map(({ grade, label, color }) => (
+              <button
+                key={grade}
+                className="review-grade-btn"
+                style={{ background: color }}
+                onClick={() => handleReview(grade)}
+                disabled={isReviewing}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {cardReview && (
+        <div className="review-result">
+          ✅ Marked <strong>{cardReview.grade}</strong> · next review {formatInterval(cardReview.intervalDays)}
+        </div>
+      )}
+
       <div className="flashcard-navigation">
         <button 
           onClick={handlePrev} 
@@ -0,0 +1,43 @@
+import React from 'react';
+import './PathRevisionBanner.css';
+
+const CHANGE_LABELS = {
+  insert: 'Added',
+  move: 'Moved up',
+  skip: 'Skipped',
+};
+
+const ChangeRow = ({ change }) => (
+  <li className="path-change">
+    <span className={`path-change-op ${change.op}`}>{CHANGE_LABELS[change.op]}</span>
+    <span className="path-change-title">
+      {change.title}
+      {change.op === 'move' && ` (step ${change.from} → ${change.to})`}
+    </span>
+    <span className="path-change-reason">{change.reason}</span>
+  </li>
+);
+
+/**
+ * Explains why the learning path changed. With `showChanges` it lists every
+ * lesson that was added, moved or skipped.
+ */
+const PathRevisionBanner = ({ revision, showChanges = false }) => {
+  if (!revision) return null;
+
+  return (
+    <div className="path-revision-banner">
+      <h3>🧭 Your learning path was updated</h3>
+      <p className="path-revision-summary">{revision.summary}</p>
+      {showChanges && (
+        <ul className="path-change-list">
+          {revision.changes.map((change, index) => (
+            <ChangeRow key={`${change.op}-${change.lessonId ?? index}`} change={change} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PathRevisionBanner;
@@ -0,0 +1,140 @@
+import './QuestionInput.css';
+
+const BLANK_PATTERN = /_{3,}/;
+
+/**
+ * Answer input for one quiz question. `answer` has the shape the backend
+ * expects for the question type:
+ * - multiple_choice: option index
+ * - multiple_select: array of option indices
+ * - fill_blank: array with one string per blank
+ * - ordering: array of option indices in the chosen order
+ * - free_text / code: string
+ */
+const QuestionInput = ({ question, answer, onChange }) => {
+  const { type, options = [], settings = {} } = question;
+
+  if (type === 'multiple_select') {
+    const selected = answer || [];
+    const toggle = (index) => {
+      onChange(selected.includes(index) ? selected.filter(i => i !== index) : [...selected, index]);
+    };
+
+    return (
+      <div className="options-list">
+        <p className="question-hint">Select all that apply</p>
+        {options.map((option, index) => (
+          <button
+            key={index}
+            className={`option-button ${selected.includes(index) ? 'selected' : ''}`}
+            onClick={() => toggle(index)}
+          >
+            <span className="option-letter option-checkbox">{selected.includes(index) ? '✓' : ''}</span>
+            <span className="option-text">{option}</span>
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  if (type === 'fill_blank') {
+    const values = answer || [];
+    const parts = question.question.split(BLANK_PATTERN);
+    const setBlank = (index, value) => {
+      const next = [...values];
+      next[index] = value;
+      onChange(next);
+    };
+
+    return (
+      <div className="fill-blank">
+        {parts.map((part, index) => (
+          <span key={index}>
+            {part}
+            {index < parts.length - 1 && (
+              <input
+                type="text"
+                className="blank-input"
+                value={values[index] || ''}
+                onChange={(e) => setBlank(index, e.target.value)}
+                aria-label={`Blank ${index + 1}`}
+              />
+            )}
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  if (type === 'ordering') {
+    const order = answer || options.map((_, index) => index);
+    const move = (position, offset) => {
+      const next = [...order];
+      [next[position], next[position + offset]] = [next[position + offset], next[position]];
+      onChange(next);
+    };
+
+    return (
+      <div className="options-list">
+        <p className="question-hint">Put the items in the correct order</p>
+        {order.map((optionIndex, position) => (
+          <div key={optionIndex} className="ordering-item">
+            <span className="option-letter">{position + 1}</span>
+            <span className="option-text">{options[optionIndex]}</span>
+            <button onClick={() => move(position, -1)} disabled={position === 0} aria-label="Move up">↑</button>
+            <button onClick={() => move(position, 1)} disabled={position === order.length - 1} aria-label="Move down">↓</button>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  if (type === 'free_text') {
+    return (
+      <div className="text-answer">
+        <textarea
+          value={answer || ''}
+          onChange={(e) => onChange(e.target.value)}
+          maxLength={settings.maxLength}
+          rows={5}
+          placeholder="Write your answer..."
+        />
+        {settings.maxLength && (
+          <span className="answer-length">{(answer || '').length}/{settings.maxLength}</span>
+        )}
+      </div>
+    );
+  }
+
+  if (type === 'code') {
+    return (
+      <div className="code-answer">
+        <span className="code-language">{settings.language}</span>
+        <textarea
+          value={answer ?? settings.starterCode ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          rows={12}
+          spellCheck={false}
+        />
+      </div>
+    );
+  }
+
+  // multiple_choice
+  return (
+    <div className="options-list">
+      {options.map((option, index) => (
+        <button
+          key={index}
+          className={`option-button ${answer === index ? 'selected' : ''}`}
+          onClick={() => onChange(index)}
+        >
+          <span className="option-letter">{String.fromCharCode(65 + index)}</span>
+          <span className="option-text">{option}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default QuestionInput;
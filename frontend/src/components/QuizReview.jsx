@@ -0,0 +1,47 @@
+import { parseOptions, formatAnswer } from '../utils/quizAnswers';
+import './QuizReview.css';
+
+/**
+ * Graded answers next to the correct ones, with partial credit and grader feedback
+ */
+const QuizReview = ({ items, startNumber = 1 }) => {
+  return items.map((item, index) => {
+    const options = item.options ? parseOptions(item.options) : [];
+    const isCode = item.type === 'code';
+    return (
+      <div
+        key={item.questionId}
+        className={`review-item ${item.ungraded ? 'ungraded' : item.isCorrect ? 'correct' : 'incorrect'}`}
+      >
+        <p className="review-question">{startNumber + index}. {item.question}</p>
+        {isCode ? (
+          <>
+            <p className="review-answer">Your answer:</p>
+            <pre className="review-code">{formatAnswer(item, item.selectedAnswer, options)}</pre>
+          </>
+        ) : (
+          <p className="review-answer">
+            Your answer: {formatAnswer(item, item.selectedAnswer, options)}
+            {!item.isCorrect && (
+              <span className="correct-answer">
+                {' '}(Correct: {formatAnswer(item, item.correctAnswer, options)})
+              </span>
+            )}
+          </p>
+        )}
+        {!item.isCorrect && item.score > 0 && (
+          <p className="review-credit">Partial credit: {Math.round(item.score * 100)}%</p>
+        )}
+        {item.feedback && <p className="review-feedback">{item.feedback}</p>}
+        {isCode && !item.isCorrect && (
+          <>
+            <p className="review-answer">Reference solution:</p>
+            <pre className="review-code">{formatAnswer(item, item.correctAnswer, options)}</pre>
+          </>
+        )}
+      </div>
+    );
+  });
+};
+
+export default QuizReview;
@@ -0,0 +1,69 @@
+import React from 'react';
+import './QuotaPanel.css';
+
+const PERIOD_LABELS = {
+  daily: 'Today',
+  monthly: 'This month',
+};
+
+const METRIC_LABELS = {
+  tokens: 'AI tokens',
+  videos: 'Videos',
+};
+
+const formatNumber = (value) => Number(value).toLocaleString();
+
+const QuotaMeter = ({ label, usage }) => {
+  if (usage.limit === null) {
+    return (
+      <div className="quota-meter">
+        <div className="quota-meter-header">
+          <span>{label}</span>
+          <span>{formatNumber(usage.used)} used · unlimited</span>
+        </div>
+      </div>
+    );
+  }
+
+  const percent = usage.limit > 0 ? Math.min(100, (usage.used / usage.limit) * 100) : 100;
+  const level = percent >= 100 ? 'exhausted' : percent >= 80 ? 'warning' : 'ok';
+
+  return (
+    <div className="quota-meter">
+      <div className="quota-meter-header">
+        <span>{label}</span>
+        <span>{formatNumber(usage.remaining)} of {formatNumber(usage.limit)} left</span>
+      </div>
+      <div className="quota-bar">
+        <div className={`quota-bar-fill ${level}`} style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+const QuotaPanel = ({ quota }) => {
+  if (!quota) return null;
+
+  return (
+    <div className="quota-panel">
+      <div className="quota-panel-header">
+        <h3>Your AI usage</h3>
+        <span className="quota-role">{quota.role}</span>
+      </div>
+      {!quota.enabled && <p className="quota-note">Limits are not enforced on this server.</p>}
+      <div className="quota-periods">
+        {Object.entries(quota.periods).map(([period, periodQuota]) => (
+          <div key={period} className="quota-period">
+            <h4>{PERIOD_LABELS[period] || period}</h4>
+            {Object.keys(METRIC_LABELS).map((metric) => (
+              <QuotaMeter key={metric} label={METRIC_LABELS[metric]} usage={periodQuota[metric]} />
+            ))}
+            <p className="quota-reset">Resets {new Date(periodQuota.resetsAt).toLocaleString()}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default QuotaPanel;
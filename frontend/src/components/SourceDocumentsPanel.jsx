@@ -0,0 +1,110 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { topicsAPI } from '../services/api';
+import './SourceDocumentsPanel.css';
+
+const FORMAT_LABELS = {
+  markdown: 'Markdown',
+  text: 'Text',
+  pdf: 'PDF',
+};
+
+const formatSize = (bytes) => (
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`
+);
+
+/**
+ * Course notes uploaded to a topic; the tutor answers from them and cites them
+ */
+const SourceDocumentsPanel = ({ topicId }) => {
+  const [documents, setDocuments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const loadDocuments = async () => {
+      try {
+        const response = await topicsAPI.getDocuments(topicId);
+        setDocuments(response.data.documents);
+      } catch (err) {
+        console.error('Failed to load documents:', err);
+      }
+    };
+
+    loadDocuments();
+  }, [topicId]);
+
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      setError(null);
+      const response = await topicsAPI.uploadDocument(topicId, file);
+      setDocuments((previous) => [response.data.document, ...previous]);
+    } catch (err) {
+      console.error('Failed to upload document:', err);
+      setError(err.response?.data?.error || 'Failed to upload the document.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Remove "${doc.title}" from this topic's course notes?`)) return;
+
+    try {
+      await topicsAPI.deleteDocument(topicId, doc.id);
+      setDocuments((previous) => previous.filter(({ id }) => id !== doc.id));
+    } catch (err) {
+      console.error('Failed to delete document:', err);
+      setError(err.response?.data?.error || 'Failed to delete the document.');
+    }
+  };
+
+  return (
+    <div className="source-documents-panel">
+      <div className="source-documents-header">
+        <h3>Course notes</h3>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploading}
+          className="btn-upload-document"
+        >
+          {uploading ? 'Indexing...' : '⬆ Upload notes'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".md,.markdown,.txt,.pdf"
+          onChange={handleUpload}
+          hidden
+        />
+      </div>
+      <p className="source-documents-hint">
+        Markdown, text or PDF files. The tutor answers from these notes and cites them.
+      </p>
+      {error && <div className="source-documents-error">{error}</div>}
+      {documents.length > 0 && (
+        <ul className="source-documents-list">
+          {documents.map((doc) => (
+            <li key={doc.id}>
+              <span className="source-document-title">{doc.title}</span>
+              <span className="source-document-detail">
+                {FORMAT_LABELS[doc.format]} · {formatSize(doc.sizeBytes)}
+                {doc.pageCount ? ` · ${doc.pageCount} pages` : ''} · {doc.chunkCount} passages
+              </span>
+              <button onClick={() => handleDelete(doc)} className="btn-delete-document" title="Remove">
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SourceDocumentsPanel;
@@ -1,13 +1,79 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { videosAPI } from '../services/api';
 import './VideoPlayer.css';
 
-const VideoPlayer = ({ videoData }) => {
+const JOB_POLL_INTERVAL = 3000;
+
+const isPendingJob = (data) =>
+  Boolean(data?.jobId) && (data.status === 'queued' || data.status === 'in_progress');
+
+const VideoPlayer = ({ videoData: initialVideoData }) => {
   const [showTranscript, setShowTranscript] = useState(false);
+  const [videoData, setVideoData] = useState(initialVideoData);
+
+  useEffect(() => {
+    setVideoData(initialVideoData);
+  }, [initialVideoData]);
+
+  // Poll the video job until the worker finishes rendering
+  const pendingJobId = isPendingJob(videoData) ? videoData.jobId : null;
+  useEffect(() => {
+    if (!pendingJobId) return undefined;
+
+    let cancelled = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const response = await videosAPI.getJob(pendingJobId);
+        if (cancelled) return;
+        const latest = response.data.video;
+        setVideoData(prev => ({ ...prev, ...latest }));
+        if (isPendingJob(latest)) {
+          timer = setTimeout(poll, JOB_POLL_INTERVAL);
+        }
+      } catch (error) {
+        console.error('Failed to fetch video job status:', error);
+        if (!cancelled) {
+          timer = setTimeout(poll, JOB_POLL_INTERVAL * 2);
+        }
+      }
+    };
+
+    timer = setTimeout(poll, JOB_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pendingJobId]);
 
   if (!videoData) {
     return <div className="video-error">No video data available</div>;
   }
 
+  // Video is still rendering in the background
+  if (isPendingJob(videoData)) {
+    const progress = Math.round(videoData.progress || 0);
+    return (
+      <div className="video-pending">
+        <div className="fallback-icon">🎬</div>
+        <h3>{videoData.title}</h3>
+        <p className="video-pending-status">
+          {videoData.status === 'queued' ? '⏳ Waiting to start rendering...' : `Rendering your video... ${progress}%`}
+        </p>
+        <div className="video-progress-bar">
+          <div className="video-progress-fill" style={{ width: `${progress}%` }} />
+        </div>
+        {videoData.narration && (
+          <div className="narration-box">
+            <strong>While you wait:</strong>
+            <p>{videoData.narration}</p>
+          </div>
+        )}
+      </div>
+    );
+  }
+
   // Handle fallback case when Sora 2 fails
   if (videoData.fallback || !videoData.videoUrl) {
     return (
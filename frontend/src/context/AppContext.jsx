@@ -18,6 +18,8 @@ export const AppProvider = ({ children }) => {
   const [chatMessages, setChatMessages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Set when login or registration is waiting on e-mail verification
+  const [verificationRequired, setVerificationRequired] = useState(false);
 
   // Check for existing user on mount
   useEffect(() => {
@@ -33,6 +35,7 @@ export const AppProvider = ({ children }) => {
     try {
       setLoading(true);
       setError(null);
+      setVerificationRequired(false);
       const response = await authAPI.login(username, password);
       const { token, user: userData } = response.data;
       
@@ -43,6 +46,7 @@ export const AppProvider = ({ children }) => {
       await fetchTopics();
       return true;
     } catch (err) {
+      setVerificationRequired(Boolean(err.response?.data?.emailVerificationRequired));
       setError(err.response?.data?.error || 'Login failed');
       return false;
     } finally {
@@ -54,8 +58,15 @@ export const AppProvider = ({ children }) => {
     try {
       setLoading(true);
       setError(null);
+      setVerificationRequired(false);
       const response = await authAPI.register(username, email, password);
-      const { token, user: userData } = response.data;
+      const { token, user: userData, emailVerificationRequired } = response.data;
+
+      // No session until the e-mailed link is opened
+      if (emailVerificationRequired) {
+        setVerificationRequired(true);
+        return false;
+      }
       
       localStorage.setItem('token', token);
       localStorage.setItem('user', JSON.stringify(userData));
@@ -117,12 +128,16 @@ export const AppProvider = ({ children }) => {
         id: topicData.id,
         name: topicData.name,
         description: topicData.description,
+        adaptive_quizzes: topicData.adaptive_quizzes,
         lessons: topicData.lessons.map(lesson => ({
           id: lesson.id,
           title: lesson.title,
           content: lesson.content,
           completed: lesson.completed || false,
-          order_index: lesson.order_index
+          order_index: lesson.order_index,
+          concepts: lesson.concepts || [],
+          remedial: lesson.remedial || false,
+          skipped: lesson.skipped || false
         })),
         quizzes: topicData.quizzes.map(quiz => ({
           id: quiz.id,
@@ -193,6 +208,7 @@ export const AppProvider = ({ children }) => {
       const messages = response.data.messages.map(msg => ({
         message: msg.message,
         isUser: msg.is_user,
+        sources: msg.sources || [],
         timestamp: new Date(msg.created_at)
       }));
       setChatMessages(messages);
@@ -226,10 +242,10 @@ export const AppProvider = ({ children }) => {
     }
   };
 
-  const addChatMessage = async (lessonId, message, isUser = true) => {
+  const addChatMessage = async (lessonId, message, isUser = true, sources = [], traceId = null) => {
     try {
       // Add to local state immediately for better UX
-      const newMessage = { message, isUser, timestamp: new Date() };
+      const newMessage = { message, isUser, sources, traceId, timestamp: new Date() };
       setChatMessages(prev => [...prev, newMessage]);
       
       // Save to backend
@@ -268,6 +284,7 @@ export const AppProvider = ({ children }) => {
     chatMessages,
     loading,
     error,
+    verificationRequired,
     login,
     register,
     logout,
@@ -1,12 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
-import { evaluationAPI } from '../services/api';
+import { evaluationAPI, quotasAPI, topicsAPI } from '../services/api';
 import Modal from '../components/Modal';
+import QuotaPanel from '../components/QuotaPanel';
+import { isStaff } from '../utils/roles';
 import './Dashboard.css';
 
 const Dashboard = () => {
-  const { user, topics, addTopic, logout, fetchTopics } = useApp();
+  const { user, topics, addTopic, logout, fetchTopics, error } = useApp();
   const navigate = useNavigate();
   const [showModal, setShowModal] = useState(false);
   const [showTestModal, setShowTestModal] = useState(false);
@@ -16,11 +18,26 @@ const Dashboard = () => {
   const [creatingTopicName, setCreatingTopicName] = useState('');
   const [isRunningTest, setIsRunningTest] = useState(false);
   const [testResults, setTestResults] = useState(null);
+  const [quota, setQuota] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  // System evaluations are limited to instructors and admins
+  const canRunSystemTest = isStaff(user);
 
-  // Refresh topics when returning to dashboard
+  const fetchQuota = async () => {
+    try {
+      const response = await quotasAPI.getMine();
+      setQuota(response.data.quota);
+    } catch (err) {
+      console.error('Failed to load quota:', err);
+    }
+  };
+
+  // Refresh topics and remaining quota when returning to dashboard
   useEffect(() => {
     if (user) {
       fetchTopics();
+      fetchQuota();
     }
   }, [user]);
 
@@ -31,6 +48,7 @@ const Dashboard = () => {
       setShowModal(false);
       
       await addTopic(topicName);
+      await fetchQuota();
       
       setIsCreating(false);
       setCreatingTopicName('');
@@ -38,6 +56,31 @@ const Dashboard = () => {
     }
   };
 
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsImporting(true);
+      setImportResult(null);
+      const response = await topicsAPI.importPackage(file);
+      const { topic, imported } = response.data;
+      setImportResult({
+        message: `Imported "${topic.name}": ${imported.lessons} lessons, ${imported.quizzes} quizzes and ${imported.questions} questions`,
+      });
+      await fetchTopics();
+    } catch (err) {
+      console.error('Failed to import course package:', err);
+      setImportResult({
+        error: err.response?.data?.error || 'Failed to import the course package.',
+        details: err.response?.data?.details || [],
+      });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/');
@@ -53,12 +96,13 @@ const Dashboard = () => {
         const response = await evaluationAPI.runSystemTest(testTopicName);
         setTestResults(response.data.results);
         await fetchTopics(); // Refresh topics to show the new test topic
-      } catch (error) {
-        console.error('Failed to run system test:', error);
-        alert('Failed to run Model 6 system test. Please try again.');
+      } catch (err) {
+        console.error('Failed to run system test:', err);
+        alert(err.response?.data?.error || 'Failed to run Model 6 system test. Please try again.');
       } finally {
         setIsRunningTest(false);
         setTestTopicName('');
+        fetchQuota();
       }
     }
   };
@@ -75,11 +119,43 @@ const Dashboard = () => {
           <button onClick={() => setShowModal(true)} className="btn-create">
             Create new topic
           </button>
-          <button onClick={() => setShowTestModal(true)} className="btn-test-model6">
-            🤖 Run Model 6 System Test
-          </button>
+          <label className={`btn-import ${isImporting ? 'disabled' : ''}`}>
+            {isImporting ? 'Importing...' : '📦 Import course'}
+            <input
+              type="file"
+              accept=".zip,.json,application/zip,application/json"
+              onChange={handleImport}
+              disabled={isImporting}
+              hidden
+            />
+          </label>
+          {canRunSystemTest && (
+            <button onClick={() => setShowTestModal(true)} className="btn-test-model6">
+              🤖 Run Model 6 System Test
+            </button>
+          )}
+          {canRunSystemTest && (
+            <button onClick={() => navigate('/traces')} className="btn-traces">
+              🔍 Agent traces
+            </button>
+          )}
         </div>
 
+        {error && <div className="dashboard-error">{error}</div>}
+        {importResult?.message && <div className="dashboard-notice">{importResult.message}</div>}
+        {importResult?.error && (
+          <div className="dashboard-error">
+            {importResult.error}
+            {importResult.details.length > 0 && (
+              <ul className="import-details">
+                {importResult.details.map((detail) => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <QuotaPanel quota={quota} />
+
         {isCreating && (
           <div className="creating-topic-overlay">
             <div className="creating-topic-card">
@@ -1,21 +1,59 @@
 import { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
 import { evaluationAPI, chatAPI } from '../services/api';
 import ReactMarkdown from 'react-markdown';
 import VideoPlayer from '../components/VideoPlayer';
 import FlashcardSet from '../components/FlashcardSet';
+import PathRevisionBanner from '../components/PathRevisionBanner';
+import { isStaff } from '../utils/roles';
 import './LessonChat.css';
 
+// Status text shown while the backend pipeline runs each stage
+const STAGE_LABELS = {
+  analyzing: 'Analyzing your message...',
+  prompt_updated: 'Adapting to your learning preferences...',
+  path_replanned: 'Updating your learning path...',
+  generating: 'Writing a response...',
+  evaluating: 'Checking the response quality...',
+  retry: 'Improving the response...',
+  sources_retrieved: 'Reading the course notes...',
+};
+
+const GENERATING_LABELS = {
+  video: 'Creating a video...',
+  flashcards: 'Building flashcards...',
+};
+
+// Course-note passages the answer cites, as "Title, Heading, p. 3"
+const CitedSources = ({ sources }) => {
+  const cited = (sources || []).filter((source) => source.cited);
+  if (cited.length === 0) return null;
+
+  return (
+    <ol className="message-sources">
+      {cited.map((source) => (
+        <li key={source.index} value={source.index} title={source.excerpt}>
+          {[source.documentTitle, source.heading, source.page ? `p. ${source.page}` : null].filter(Boolean).join(', ')}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
 const LessonChat = () => {
   const { topicId, lessonId } = useParams();
   const navigate = useNavigate();
-  const { topics, chatMessages, addChatMessage, loadChatMessages, getInitialExplanation, getMockResponse, completeLesson } = useApp();
+  const { user, topics, chatMessages, addChatMessage, loadChatMessages, getInitialExplanation, getMockResponse, completeLesson } = useApp();
   const [inputMessage, setInputMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [isInitializing, setIsInitializing] = useState(false);
   const [isEvaluating, setIsEvaluating] = useState(false);
   const [evaluation, setEvaluation] = useState(null);
+  const [streamStatus, setStreamStatus] = useState(null);
+  const [streamingText, setStreamingText] = useState('');
+  const [chatError, setChatError] = useState(null);
+  const [pathRevision, setPathRevision] = useState(null);
   const messagesEndRef = useRef(null);
   const initializedRef = useRef(false);
 
@@ -71,7 +109,7 @@ const LessonChat = () => {
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [chatMessages, isTyping]);
+  }, [chatMessages, isTyping, streamingText]);
 
   const handleSendMessage = async (e) => {
     e.preventDefault();
@@ -83,11 +121,38 @@ const LessonChat = () => {
       await addChatMessage(parseInt(lessonId), userMsg, true);
       
       setIsTyping(true);
+      setStreamingText('');
+      setChatError(null);
       
-      // Get AI response from backend with lessonId
+      // Stream the AI response from backend: stage updates first, then tokens
       try {
-        const apiResponse = await chatAPI.getAIResponse(parseInt(lessonId), userMsg);
-        const { response, responseType } = apiResponse.data;
+        let result = null;
+        const traceId = await chatAPI.streamAIResponse(parseInt(lessonId), userMsg, (event, data) => {
+          if (event === 'stage') {
+            if (data.stage === 'retry') {
+              setStreamingText('');
+            }
+            if (data.stage === 'generating' && GENERATING_LABELS[data.responseType]) {
+              setStreamStatus(GENERATING_LABELS[data.responseType]);
+            } else if (STAGE_LABELS[data.stage]) {
+              setStreamStatus(STAGE_LABELS[data.stage]);
+            }
+          } else if (event === 'token') {
+            setStreamingText(prev => prev + data.token);
+          } else if (event === 'done') {
+            result = data;
+          } else if (event === 'error') {
+            throw new Error(data.error);
+          }
+        });
+
+        if (!result) {
+          throw new Error('Stream ended without a response');
+        }
+        const { response, responseType } = result;
+        if (result.pathRevision) {
+          setPathRevision(result.pathRevision);
+        }
         
         // Serialize multimodal responses before saving
         let messageToSave;
@@ -97,11 +162,15 @@ const LessonChat = () => {
           messageToSave = response;
         }
         
-        await addChatMessage(parseInt(lessonId), messageToSave, false);
+        await addChatMessage(parseInt(lessonId), messageToSave, false, result.sources, traceId);
       } catch (error) {
         console.error('Failed to get AI response:', error);
+        // e.g. the daily AI budget is used up (429)
+        setChatError(error.message);
       } finally {
         setIsTyping(false);
+        setStreamStatus(null);
+        setStreamingText('');
       }
     }
   };
@@ -176,12 +245,25 @@ const LessonChat = () => {
                       {messageType === 'video' && <VideoPlayer videoData={messageContent} />}
                       {messageType === 'flashcards' && <FlashcardSet flashcardData={messageContent} />}
                       {messageType === 'text' && <ReactMarkdown>{String(messageContent)}</ReactMarkdown>}
+                      {messageType === 'text' && <CitedSources sources={msg.sources} />}
+                      {msg.traceId && isStaff(user) && (
+                        <Link to={`/traces/${msg.traceId}`} className="message-trace-link">
+                          View agent trace
+                        </Link>
+                      )}
                     </>
                   )}
                 </div>
               </div>
             );
           })}
+          {isTyping && streamingText && (
+            <div className="message ai-message">
+              <div className="message-bubble streaming-message">
+                <ReactMarkdown>{streamingText}</ReactMarkdown>
+              </div>
+            </div>
+          )}
           {isTyping && (
             <div className="message ai-message">
               <div className="message-bubble typing-indicator">
@@ -190,12 +272,16 @@ const LessonChat = () => {
                   <span></span>
                   <span></span>
                 </div>
+                {streamStatus && <span className="typing-status">{streamStatus}</span>}
               </div>
             </div>
           )}
           <div ref={messagesEndRef} />
         </div>
 
+        {chatError && <div className="chat-error">{chatError}</div>}
+        <PathRevisionBanner revision={pathRevision} />
+
         <form onSubmit={handleSendMessage} className="message-input-form">
           <input
             type="text"
@@ -1,20 +1,25 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
+import { authAPI } from '../services/api';
 import './Login.css';
 
 const Login = () => {
   const [isRegister, setIsRegister] = useState(false);
+  const [isForgot, setIsForgot] = useState(false);
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [localError, setLocalError] = useState('');
-  const { login, register, loading, error } = useApp();
+  const [notice, setNotice] = useState('');
+  const [sending, setSending] = useState(false);
+  const { login, register, loading, error, verificationRequired } = useApp();
   const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLocalError('');
+    setNotice('');
 
     if (!username || !password) {
       setLocalError('Username and password are required');
@@ -38,12 +43,86 @@ const Login = () => {
     }
   };
 
+  // Password reset and verification requests answer the same whether or not the address has an account
+  const sendEmailLink = async (request) => {
+    setLocalError('');
+    setNotice('');
+
+    if (!email) {
+      setLocalError('Enter the email address of your account');
+      return;
+    }
+
+    setSending(true);
+    try {
+      const response = await request(email);
+      setNotice(response.data.message);
+    } catch (err) {
+      setLocalError(err.response?.data?.error || 'Failed to send the email. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleForgotSubmit = (e) => {
+    e.preventDefault();
+    sendEmailLink(authAPI.requestPasswordReset);
+  };
+
   const toggleMode = () => {
     setIsRegister(!isRegister);
+    setIsForgot(false);
     setLocalError('');
+    setNotice('');
     setEmail('');
   };
 
+  const toggleForgot = () => {
+    setIsForgot(!isForgot);
+    setIsRegister(false);
+    setLocalError('');
+    setNotice('');
+  };
+
+  if (isForgot) {
+    return (
+      <div className="login-container">
+        <div className="login-box">
+          <h1>Learning Platform</h1>
+          <h2>Reset Password</h2>
+
+          {localError && <div className="login-error">{localError}</div>}
+          {notice && <div className="login-notice">{notice}</div>}
+
+          <form onSubmit={handleForgotSubmit}>
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter the email of your account"
+                required
+                disabled={sending}
+              />
+            </div>
+
+            <button type="submit" className="btn-primary" disabled={sending}>
+              {sending ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+
+          <div className="login-links">
+            <button type="button" className="link-button" onClick={toggleForgot} disabled={sending}>
+              Back to login
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <div className="login-box">
@@ -63,6 +142,29 @@ const Login = () => {
           </div>
         )}
 
+        {notice && <div className="login-notice">{notice}</div>}
+
+        {verificationRequired && !localError && (
+          <div className="login-notice">
+            {isRegister
+              ? 'Account created! Open the link we emailed you to verify your address, then log in.'
+              : 'Open the link we emailed you to verify your address.'}
+            {' '}Didn&apos;t get it?{' '}
+            {isRegister || email ? (
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => sendEmailLink(authAPI.resendVerification)}
+                disabled={sending}
+              >
+                Resend the email
+              </button>
+            ) : (
+              'Enter your email below to get a new link.'
+            )}
+          </div>
+        )}
+
         <form onSubmit={handleSubmit}>
           <div className="form-group">
             <label htmlFor="username">Username</label>
@@ -77,7 +179,7 @@ const Login = () => {
             />
           </div>
           
-          {isRegister && (
+          {(isRegister || verificationRequired) && (
             <div className="form-group">
               <label htmlFor="email">Email</label>
               <input
@@ -86,7 +188,7 @@ const Login = () => {
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
                 placeholder="Enter email"
-                required
+                required={isRegister}
                 disabled={loading}
               />
             </div>
@@ -110,6 +212,14 @@ const Login = () => {
           </button>
         </form>
 
+        {!isRegister && (
+          <div className="login-links">
+            <button type="button" className="link-button" onClick={toggleForgot} disabled={loading}>
+              Forgot your password?
+            </button>
+          </div>
+        )}
+
         <div style={{ marginTop: '20px', textAlign: 'center' }}>
           <button 
             onClick={toggleMode}
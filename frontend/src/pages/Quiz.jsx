@@ -1,6 +1,11 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { quizAPI } from '../services/api';
+import QuestionInput from '../components/QuestionInput';
+import QuizReview from '../components/QuizReview';
+import AdaptiveQuiz from '../components/AdaptiveQuiz';
+import PathRevisionBanner from '../components/PathRevisionBanner';
+import { toQuizQuestion, initialAnswer, isAnswered } from '../utils/quizAnswers';
 import './Quiz.css';
 
 const Quiz = () => {
@@ -11,9 +16,10 @@ const Quiz = () => {
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [showResult, setShowResult] = useState(false);
-  const [score, setScore] = useState(0);
   const [answers, setAnswers] = useState([]);
-  const [submittedAnswers, setSubmittedAnswers] = useState([]);
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
 
   useEffect(() => {
     const fetchQuiz = async () => {
@@ -29,36 +35,13 @@ const Quiz = () => {
           id: quizData.id,
           title: quizData.title,
           description: quizData.description,
-          questions: (quizData.questions || []).map(q => {
-            let options = q.options;
-            
-            // Parse options if it's a string
-            if (typeof options === 'string') {
-              try {
-                options = JSON.parse(options);
-              } catch (e) {
-                console.error('Failed to parse options:', options, e);
-                options = [];
-              }
-            }
-            
-            // Ensure options is an array
-            if (!Array.isArray(options)) {
-              console.error('Options is not an array:', options);
-              options = [];
-            }
-            
-            return {
-              id: q.id,
-              question: q.question,
-              options: options,
-              correctAnswer: q.correct_answer
-            };
-          })
+          adaptive: Boolean(quizData.adaptive),
+          questions: (quizData.questions || []).map(toQuizQuestion)
         };
         
         console.log('Transformed quiz:', transformedQuiz); // Debug log
         setQuiz(transformedQuiz);
+        setSelectedAnswer(initialAnswer(transformedQuiz.questions[0]));
       } catch (error) {
         console.error('Failed to fetch quiz:', error);
       } finally {
@@ -77,6 +60,24 @@ const Quiz = () => {
     return <div style={{ padding: '20px', textAlign: 'center' }}>Quiz not found</div>;
   }
 
+  // Adaptive quizzes pick (or generate) each question server-side, so an empty quiz is fine
+  if (quiz.adaptive) {
+    return (
+      <div className="quiz-page">
+        <header className="quiz-header">
+          <button onClick={() => navigate(`/topic/${topicId}`)} className="btn-back">
+            ← Back to Topic
+          </button>
+          <h1>{quiz.title}</h1>
+        </header>
+
+        <div className="quiz-container">
+          <AdaptiveQuiz quizId={quiz.id} onExit={() => navigate(`/topic/${topicId}`)} />
+        </div>
+      </div>
+    );
+  }
+
   if (!quiz.questions || quiz.questions.length === 0) {
     return (
       <div style={{ padding: '20px', textAlign: 'center' }}>
@@ -104,51 +105,48 @@ const Quiz = () => {
 
   const isLastQuestion = currentQuestionIndex === quiz.questions.length - 1;
 
-  const handleAnswerSelect = (optionIndex) => {
-    setSelectedAnswer(optionIndex);
+  const handleAnswerChange = (answer) => {
+    setSelectedAnswer(answer);
   };
 
   const handleNext = async () => {
-    const isCorrect = selectedAnswer === currentQuestion.correctAnswer;
-    const newAnswers = [...answers, { questionId: currentQuestion.id, selectedAnswer, isCorrect }];
+    const newAnswers = [
+      ...answers.filter(ans => ans.questionId !== currentQuestion.id),
+      { questionId: currentQuestion.id, selectedAnswer }
+    ];
     setAnswers(newAnswers);
 
-    if (isCorrect) {
-      setScore(score + 1);
-    }
-
     if (isLastQuestion) {
-      // Submit quiz to backend
+      // Answers are graded by the backend, which returns the review
       try {
-        const submissionData = newAnswers.map(ans => ({
-          questionId: ans.questionId,
-          selectedAnswer: ans.selectedAnswer
-        }));
-        
-        const response = await quizAPI.submit(parseInt(quizId), submissionData);
-        setSubmittedAnswers(response.data.attempt.answers || newAnswers);
+        setSubmitting(true);
+        setSubmitError('');
+        const response = await quizAPI.submit(parseInt(quizId), newAnswers);
+        setResult(response.data.attempt);
+        setShowResult(true);
       } catch (error) {
         console.error('Failed to submit quiz:', error);
-        setSubmittedAnswers(newAnswers);
+        setSubmitError(error.response?.data?.error || 'Failed to submit quiz. Please try again.');
+      } finally {
+        setSubmitting(false);
       }
-      
-      setShowResult(true);
     } else {
       setCurrentQuestionIndex(currentQuestionIndex + 1);
-      setSelectedAnswer(null);
+      setSelectedAnswer(initialAnswer(quiz.questions[currentQuestionIndex + 1]));
     }
   };
 
   const handleRetry = () => {
     setCurrentQuestionIndex(0);
-    setSelectedAnswer(null);
+    setSelectedAnswer(initialAnswer(quiz.questions[0]));
     setShowResult(false);
-    setScore(0);
     setAnswers([]);
+    setResult(null);
+    setSubmitError('');
   };
 
-  if (showResult) {
-    const percentage = (score / quiz.questions.length) * 100;
+  if (showResult && result) {
+    const percentage = result.total_questions > 0 ? (result.score / result.total_questions) * 100 : 0;
     return (
       <div className="quiz-page">
         <header className="quiz-header">
@@ -165,8 +163,10 @@ const Quiz = () => {
               <span className="score-text">{percentage.toFixed(0)}%</span>
             </div>
             <p className="score-detail">
-              You got {score} out of {quiz.questions.length} questions correct
+              You got {result.score} out of {result.total_questions} questions correct
             </p>
+
+            <PathRevisionBanner revision={result.pathRevision} />
             
             <div className="result-actions">
               <button onClick={handleRetry} className="btn-retry">Try Again</button>
@@ -177,23 +177,7 @@ const Quiz = () => {
 
             <div className="answers-review">
               <h3>Review Your Answers</h3>
-              {quiz.questions.map((question, index) => {
-                const userAnswer = (submittedAnswers.length > 0 ? submittedAnswers : answers)[index];
-                const isCorrect = userAnswer?.isCorrect ?? (userAnswer?.selectedAnswer === question.correctAnswer);
-                return (
-                  <div key={question.id} className={`review-item ${isCorrect ? 'correct' : 'incorrect'}`}>
-                    <p className="review-question">{index + 1}. {question.question}</p>
-                    <p className="review-answer">
-                      Your answer: {question.options[userAnswer?.selectedAnswer]}
-                      {!isCorrect && (
-                        <span className="correct-answer">
-                          {' '}(Correct: {question.options[question.correctAnswer]})
-                        </span>
-                      )}
-                    </p>
-                  </div>
-                );
-              })}
+              <QuizReview items={result.review || []} />
             </div>
           </div>
         </div>
@@ -216,31 +200,25 @@ const Quiz = () => {
         </div>
 
         <div className="question-card">
-          <h2 className="question-text">{currentQuestion.question}</h2>
-          
-          <div className="options-list">
-            {currentQuestion.options && Array.isArray(currentQuestion.options) ? (
-              currentQuestion.options.map((option, index) => (
-                <button
-                  key={index}
-                  className={`option-button ${selectedAnswer === index ? 'selected' : ''}`}
-                  onClick={() => handleAnswerSelect(index)}
-                >
-                  <span className="option-letter">{String.fromCharCode(65 + index)}</span>
-                  <span className="option-text">{option}</span>
-                </button>
-              ))
-            ) : (
-              <p>No options available for this question</p>
-            )}
-          </div>
+          <h2 className="question-text">
+            {currentQuestion.type === 'fill_blank' ? 'Fill in the blanks' : currentQuestion.question}
+          </h2>
+
+          <QuestionInput
+            key={currentQuestion.id}
+            question={currentQuestion}
+            answer={selectedAnswer}
+            onChange={handleAnswerChange}
+          />
+
+          {submitError && <p className="quiz-error">{submitError}</p>}
 
           <button
             onClick={handleNext}
-            disabled={selectedAnswer === null}
+            disabled={!isAnswered(currentQuestion, selectedAnswer) || submitting}
             className="btn-next"
           >
-            {isLastQuestion ? 'Finish Quiz' : 'Next Question'}
+            {isLastQuestion ? (submitting ? 'Submitting...' : 'Finish Quiz') : 'Next Question'}
           </button>
         </div>
       </div>
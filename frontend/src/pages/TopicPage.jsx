@@ -1,6 +1,11 @@
 import { useParams, useNavigate } from 'react-router-dom';
 import { useEffect, useState } from 'react';
 import { useApp } from '../context/AppContext';
+import { topicsAPI, masteryAPI } from '../services/api';
+import ConceptMasteryPanel from '../components/ConceptMasteryPanel';
+import PathRevisionBanner from '../components/PathRevisionBanner';
+import DependencyMap from '../components/DependencyMap';
+import SourceDocumentsPanel from '../components/SourceDocumentsPanel';
 import './TopicPage.css';
 
 const TopicPage = () => {
@@ -8,6 +13,15 @@ const TopicPage = () => {
   const navigate = useNavigate();
   const { topics, fetchTopicDetails, loading } = useApp();
   const [topic, setTopic] = useState(null);
+  const [savingAdaptive, setSavingAdaptive] = useState(false);
+  const [concepts, setConcepts] = useState([]);
+  const [revisions, setRevisions] = useState([]);
+  const [replanning, setReplanning] = useState(false);
+  const [replanMessage, setReplanMessage] = useState('');
+  const [graph, setGraph] = useState(null);
+  const [nextSteps, setNextSteps] = useState(null);
+  const [includeFlashcards, setIncludeFlashcards] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     const loadTopic = async () => {
@@ -27,6 +41,104 @@ const TopicPage = () => {
     loadTopic();
   }, [topicId, topics, fetchTopicDetails]);
 
+  useEffect(() => {
+    const loadMastery = async () => {
+      try {
+        const response = await masteryAPI.getByTopic(parseInt(topicId));
+        setConcepts(response.data.concepts);
+      } catch (error) {
+        console.error('Failed to load concept mastery:', error);
+      }
+    };
+
+    loadMastery();
+  }, [topicId]);
+
+  const loadGraph = async () => {
+    try {
+      const [graphResponse, nextResponse] = await Promise.all([
+        topicsAPI.getGraph(parseInt(topicId)),
+        topicsAPI.getNextSteps(parseInt(topicId)),
+      ]);
+      setGraph(graphResponse.data);
+      setNextSteps(nextResponse.data);
+    } catch (error) {
+      console.error('Failed to load learning path:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadGraph();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [topicId]);
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        const response = await topicsAPI.getPathRevisions(parseInt(topicId));
+        setRevisions(response.data.revisions);
+        // The path may have changed since the topic was cached (e.g. after a failed quiz)
+        if (response.data.revisions.length > 0) {
+          await fetchTopicDetails(parseInt(topicId));
+        }
+      } catch (error) {
+        console.error('Failed to load learning path changes:', error);
+      }
+    };
+
+    loadRevisions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [topicId]);
+
+  const handleReplan = async () => {
+    try {
+      setReplanning(true);
+      setReplanMessage('');
+      const response = await topicsAPI.replanPath(topic.id);
+      if (response.data.revision) {
+        setRevisions([response.data.revision, ...revisions]);
+        await Promise.all([fetchTopicDetails(topic.id), loadGraph()]);
+      } else {
+        setReplanMessage(response.data.message);
+      }
+    } catch (error) {
+      console.error('Failed to re-plan learning path:', error);
+      setReplanMessage(error.response?.data?.error || 'Failed to update your learning path.');
+    } finally {
+      setReplanning(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await topicsAPI.exportPackage(topic.id, 'zip', includeFlashcards);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${topic.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course'}.course.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export topic:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const toggleAdaptive = async (event) => {
+    const adaptive = event.target.checked;
+    try {
+      setSavingAdaptive(true);
+      await topicsAPI.update(topic.id, undefined, undefined, adaptive);
+      setTopic({ ...topic, adaptive_quizzes: adaptive });
+    } catch (error) {
+      console.error('Failed to update topic:', error);
+    } finally {
+      setSavingAdaptive(false);
+    }
+  };
+
   if (loading && !topic) {
     return <div style={{ padding: '20px', textAlign: 'center' }}>Loading...</div>;
   }
@@ -35,51 +147,8 @@ const TopicPage = () => {
     return <div style={{ padding: '20px', textAlign: 'center' }}>Topic not found</div>;
   }
 
-  // Ensure lessons and quizzes arrays exist
-  const lessons = topic.lessons || [];
-  const quizzes = topic.quizzes || [];
-
-  // Create timeline items (lessons and quizzes interleaved)
-  const timelineItems = [];
-  const lessonsPerQuiz = Math.ceil(lessons.length / (quizzes.length + 1));
-  
-  let lessonIndex = 0;
-  let quizIndex = 0;
-
-  while (lessonIndex < lessons.length || quizIndex < quizzes.length) {
-    // Add a group of lessons
-    for (let i = 0; i < lessonsPerQuiz && lessonIndex < lessons.length; i++) {
-      timelineItems.push({
-        type: 'lesson',
-        data: lessons[lessonIndex],
-        index: lessonIndex
-      });
-      lessonIndex++;
-    }
-
-    // Add a quiz after the lesson group
-    if (quizIndex < quizzes.length) {
-      timelineItems.push({
-        type: 'quiz',
-        data: quizzes[quizIndex],
-        index: quizIndex
-      });
-      quizIndex++;
-    }
-  }
-
-  // Check if an item should be locked (not yet accessible)
-  const isItemLocked = (item, itemIndex) => {
-    if (itemIndex === 0) return false;
-    
-    // Check all previous items
-    for (let i = 0; i < itemIndex; i++) {
-      const prevItem = timelineItems[i];
-      if (prevItem.type === 'lesson' && !prevItem.data.completed) {
-        return true;
-      }
-    }
-    return false;
+  const openItem = (item) => {
+    navigate(`/topic/${topicId}/${item.type}/${item.id}`);
   };
 
   return (
@@ -89,66 +158,76 @@ const TopicPage = () => {
           ← Back to Dashboard
         </button>
         <h1>{topic.name}</h1>
+        <label className="adaptive-toggle">
+          <input
+            type="checkbox"
+            checked={Boolean(topic.adaptive_quizzes)}
+            disabled={savingAdaptive}
+            onChange={toggleAdaptive}
+          />
+          Adaptive quizzes
+          <span className="adaptive-toggle-hint">
+            Questions adapt to your answers and the quiz ends once your mastery is clear
+          </span>
+        </label>
+        <div className="topic-export">
+          <button onClick={handleExport} disabled={exporting} className="btn-export">
+            {exporting ? 'Exporting...' : '⬇ Export course package'}
+          </button>
+          <label>
+            <input
+              type="checkbox"
+              checked={includeFlashcards}
+              onChange={(event) => setIncludeFlashcards(event.target.checked)}
+            />
+            Include my flashcards
+          </label>
+        </div>
       </header>
 
       <div className="topic-content">
+        <ConceptMasteryPanel concepts={concepts} />
+        <SourceDocumentsPanel topicId={topic.id} />
+
         <div className="timeline-header">
           <h2>Learning Path</h2>
-          <p className="timeline-description">Follow the path below to complete this topic</p>
+          <p className="timeline-description">Each item unlocks once the items pointing to it are done</p>
+          <button onClick={handleReplan} disabled={replanning} className="btn-replan">
+            {replanning ? 'Updating...' : '🧭 Update my path'}
+          </button>
+          {replanMessage && <p className="replan-message">{replanMessage}</p>}
         </div>
 
-        {timelineItems.length === 0 ? (
+        <PathRevisionBanner revision={revisions[0]} showChanges />
+
+        {nextSteps && nextSteps.items.length > 0 && (
+          <div className="next-steps">
+            <h3>Up next</h3>
+            {nextSteps.items.map((item) => (
+              <button key={item.key} className="next-step" onClick={() => openItem(item)}>
+                <span className="next-step-title">{item.type === 'quiz' ? '🎯' : '📚'} {item.title}</span>
+                <span className="next-step-reason">{item.reason}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        {nextSteps?.completed && (
+          <p className="path-complete">🎉 You have completed every lesson and quiz in this topic!</p>
+        )}
+
+        {!graph ? (
+          <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>Loading your path...</div>
+        ) : graph.nodes.length === 0 ? (
           <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
             <p>No lessons or quizzes yet. Create some content to get started!</p>
           </div>
         ) : (
-          <div className="timeline">
-            {timelineItems.map((item, index) => {
-            const locked = isItemLocked(item, index);
-            
-            if (item.type === 'lesson') {
-              return (
-                <div key={`lesson-${item.index}`} className="timeline-item">
-                  <div className="timeline-marker">
-                    <div className={`timeline-dot ${item.data.completed ? 'completed' : ''} ${locked ? 'locked' : ''}`}>
-                      {item.data.completed ? '✓' : locked ? '🔒' : index + 1}
-                    </div>
-                    {index < timelineItems.length - 1 && <div className="timeline-line"></div>}
-                  </div>
-                  <div 
-                    className={`timeline-content lesson-content ${item.data.completed ? 'completed' : ''} ${locked ? 'locked' : ''}`}
-                    onClick={() => !locked && navigate(`/topic/${topicId}/lesson/${item.data.id}`)}
-                  >
-                    <div className="timeline-badge lesson-badge">📚 Lesson</div>
-                    <h3>{item.data.title}</h3>
-                    {item.data.completed && <span className="status-text">Completed</span>}
-                    {locked && <span className="status-text locked-text">Complete previous items first</span>}
-                  </div>
-                </div>
-              );
-            } else {
-              return (
-                <div key={`quiz-${item.index}`} className="timeline-item">
-                  <div className="timeline-marker">
-                    <div className={`timeline-dot quiz-dot ${locked ? 'locked' : ''}`}>
-                      {locked ? '🔒' : '?'}
-                    </div>
-                    {index < timelineItems.length - 1 && <div className="timeline-line"></div>}
-                  </div>
-                  <div 
-                    className={`timeline-content quiz-content ${locked ? 'locked' : ''}`}
-                    onClick={() => !locked && navigate(`/topic/${topicId}/quiz/${item.data.id}`)}
-                  >
-                    <div className="timeline-badge quiz-badge">🎯 Quiz</div>
-                    <h3>{item.data.title}</h3>
-                    <p className="quiz-info">{item.data.question_count || 0} questions</p>
-                    {locked && <span className="status-text locked-text">Complete previous lessons first</span>}
-                  </div>
-                </div>
-              );
-            }
-          })}
-          </div>
+          <DependencyMap
+            nodes={graph.nodes}
+            edges={graph.edges}
+            nextKeys={nextSteps?.items.map((item) => item.key)}
+            onOpen={openItem}
+          />
         )}
       </div>
     </div>
@@ -0,0 +1,248 @@
+import { useEffect, useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { agentsAPI } from '../services/api';
+import { isStaff } from '../utils/roles';
+import './TraceViewer.css';
+
+const formatNumber = (value) => Number(value || 0).toLocaleString();
+
+const formatTime = (value) => new Date(value).toLocaleString();
+
+const spanTitle = (span) => (
+  span.kind === 'pipeline'
+    ? `${span.action} pipeline`
+    : `${span.toAgent} · ${span.action || span.messageType}`
+);
+
+const Payload = ({ label, value }) => {
+  if (value === null || value === undefined) return null;
+
+  return (
+    <details className="trace-payload">
+      <summary>{label}{value.truncated && ` (truncated, ${formatNumber(value.size)} characters)`}</summary>
+      <pre>{value.truncated ? value.preview : JSON.stringify(value, null, 2)}</pre>
+    </details>
+  );
+};
+
+const LLMCalls = ({ calls }) => {
+  if (calls.length === 0) return null;
+
+  return (
+    <table className="trace-llm-calls">
+      <thead>
+        <tr>
+          <th>Model</th>
+          <th>Tokens (in / out)</th>
+          <th>Latency</th>
+          <th>Cost</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {calls.map((call, index) => (
+          <tr key={index} className={call.success ? '' : 'failed'}>
+            <td>{call.provider}/{call.model}</td>
+            <td>
+              {formatNumber(call.inputTokens)} / {formatNumber(call.outputTokens)}
+              {call.estimated && ' (est.)'}
+            </td>
+            <td>{formatNumber(call.latencyMs)} ms</td>
+            <td>{call.costUsd === null ? '—' : `$${call.costUsd.toFixed(4)}`}</td>
+            <td>{call.success ? 'ok' : call.error}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// One span with a bar placing it on the trace's timeline, then the spans it started
+const SpanNode = ({ span, trace }) => {
+  const [expanded, setExpanded] = useState(false);
+  const traceStart = new Date(trace.startedAt).getTime();
+  const duration = Math.max(trace.durationMs, 1);
+  const offset = ((new Date(span.startedAt).getTime() - traceStart) / duration) * 100;
+  const width = Math.max((span.latencyMs / duration) * 100, 0.5);
+
+  return (
+    <li className="trace-span">
+      <button
+        className={`trace-span-row ${span.success ? '' : 'failed'}`}
+        onClick={() => setExpanded(!expanded)}
+      >
+        <span className={`trace-span-kind ${span.kind}`}>{span.kind}</span>
+        <span className="trace-span-title">{spanTitle(span)}</span>
+        <span className="trace-span-meta">
+          {span.model && <span>{span.model}</span>}
+          {span.tokensUsed > 0 && <span>{formatNumber(span.tokensUsed)} tokens</span>}
+          <span>{formatNumber(span.latencyMs)} ms</span>
+          <span>{span.success ? '✅' : '❌'}</span>
+        </span>
+        <span className="trace-span-timeline">
+          <span className="trace-span-bar" style={{ left: `${offset}%`, width: `${width}%` }} />
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="trace-span-details">
+          <p>
+            {span.fromAgent || 'Unknown caller'} → {span.toAgent || span.action}
+            {' · '}started {formatTime(span.startedAt)}
+          </p>
+          {span.error && <div className="trace-error">{span.error}</div>}
+          <Payload label="Request" value={span.request} />
+          <Payload label="Response" value={span.response} />
+          <LLMCalls calls={span.llmCalls} />
+        </div>
+      )}
+
+      {span.children.length > 0 && (
+        <ul className="trace-span-children">
+          {span.children.map((child) => <SpanNode key={child.spanId} span={child} trace={trace} />)}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const TraceViewer = () => {
+  const { traceId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useApp();
+  const [traces, setTraces] = useState([]);
+  const [trace, setTrace] = useState(null);
+  const [lessonFilter, setLessonFilter] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const canViewTraces = isStaff(user);
+
+  const loadTraces = async () => {
+    try {
+      const params = lessonFilter ? { lessonId: lessonFilter } : {};
+      const response = await agentsAPI.getTraces(params);
+      setTraces(response.data.traces);
+    } catch (err) {
+      console.error('Failed to load agent traces:', err);
+      setError(err.response?.data?.error || 'Failed to load agent traces');
+    }
+  };
+
+  useEffect(() => {
+    if (canViewTraces) {
+      loadTraces();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [canViewTraces]);
+
+  useEffect(() => {
+    const loadTrace = async () => {
+      if (!traceId || !canViewTraces) {
+        setTrace(null);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await agentsAPI.getTrace(traceId);
+        setTrace(response.data.trace);
+      } catch (err) {
+        console.error('Failed to load agent trace:', err);
+        setTrace(null);
+        setError(err.response?.data?.error || 'Failed to load the agent trace');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTrace();
+  }, [traceId, canViewTraces]);
+
+  const handleFilter = (e) => {
+    e.preventDefault();
+    loadTraces();
+  };
+
+  if (!canViewTraces) {
+    return (
+      <div className="trace-viewer">
+        <header className="trace-header">
+          <button onClick={() => navigate('/dashboard')} className="btn-back">← Back to Dashboard</button>
+          <h1>Agent traces</h1>
+        </header>
+        <div className="trace-error">Agent traces are only available to instructors and admins.</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="trace-viewer">
+      <header className="trace-header">
+        <button onClick={() => navigate(-1)} className="btn-back">← Back</button>
+        <h1>Agent traces</h1>
+      </header>
+
+      <div className="trace-content">
+        <aside className="trace-list">
+          <form onSubmit={handleFilter} className="trace-filter">
+            <input
+              type="number"
+              min="1"
+              placeholder="Lesson ID"
+              value={lessonFilter}
+              onChange={(e) => setLessonFilter(e.target.value)}
+            />
+            <button type="submit">Filter</button>
+          </form>
+
+          {traces.length === 0 && <p className="trace-empty">No traces recorded yet.</p>}
+          <ul>
+            {traces.map((summary) => (
+              <li key={summary.traceId}>
+                <Link
+                  to={`/traces/${summary.traceId}`}
+                  className={`trace-list-item ${summary.traceId === traceId ? 'active' : ''} ${summary.failedSpans > 0 ? 'failed' : ''}`}
+                >
+                  <strong>{summary.root}</strong>
+                  <span>
+                    {summary.spanCount} spans · {formatNumber(summary.tokensUsed)} tokens · {formatNumber(summary.durationMs)} ms
+                  </span>
+                  <span>
+                    {formatTime(summary.startedAt)}
+                    {summary.lessonId && ` · lesson ${summary.lessonId}`}
+                  </span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </aside>
+
+        <main className="trace-detail">
+          {error && <div className="trace-error">{error}</div>}
+          {loading && <p>Loading trace...</p>}
+          {!traceId && !error && <p className="trace-empty">Select a trace to see its agent call tree.</p>}
+
+          {trace && !loading && (
+            <>
+              <div className="trace-summary">
+                <h2>Trace {trace.traceId}</h2>
+                <p>
+                  {formatTime(trace.startedAt)} · {formatNumber(trace.durationMs)} ms · {trace.spanCount} spans
+                  {' · '}{trace.llmCallCount} LLM calls · {formatNumber(trace.tokensUsed)} tokens
+                  {trace.failedSpans > 0 && ` · ${trace.failedSpans} failed`}
+                </p>
+              </div>
+              <ul className="trace-tree">
+                {trace.spans.map((span) => <SpanNode key={span.spanId} span={span} trace={trace} />)}
+              </ul>
+            </>
+          )}
+        </main>
+      </div>
+    </div>
+  );
+};
+
+export default TraceViewer;
@@ -0,0 +1,52 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { authAPI } from '../services/api';
+import './Login.css';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user } = useApp();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  // Tokens work once, so don't redeem again when effects run twice in development
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.message);
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setMessage(err.response?.data?.error || 'Failed to verify your email address.');
+      });
+  }, [token]);
+
+  return (
+    <div className="login-container">
+      <div className="login-box">
+        <h1>Learning Platform</h1>
+        <h2>Email Verification</h2>
+
+        {status === 'verifying' && <p>Verifying your email address...</p>}
+        {status === 'verified' && <div className="login-notice">{message}</div>}
+        {status === 'failed' && <div className="login-error">{message}</div>}
+
+        {status !== 'verifying' && (
+          <div className="login-links">
+            <Link to={user ? '/dashboard' : '/'}>
+              {user ? 'Go to your dashboard' : 'Go to login'}
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
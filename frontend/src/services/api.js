@@ -37,6 +37,58 @@ api.interceptors.response.use(
   }
 );
 
+// POST to a Server-Sent Events endpoint and call onEvent(event, data) for each event.
+// EventSource only supports GET without headers, so the stream is read with fetch.
+// Resolves with the agent trace ID (X-Trace-Id) once the stream ends.
+const streamSSE = async (path, body, onEvent) => {
+  const token = localStorage.getItem('token');
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    if (response.status === 401) {
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+      window.location.href = '/';
+    }
+    const errorBody = await response.json().catch(() => ({}));
+    throw new Error(errorBody.error || `Request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      let event = 'message';
+      let data = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+
+  // ID of the agent trace the server recorded for this request
+  return response.headers.get('X-Trace-Id');
+};
+
 // Auth API
 export const authAPI = {
   register: (username, email, password) =>
@@ -45,6 +97,14 @@ export const authAPI = {
     api.post('/auth/login', { username, password }),
   getProfile: () =>
     api.get('/auth/profile'),
+  requestPasswordReset: (email) =>
+    api.post('/auth/reset-password', { email }),
+  resetPassword: (token, password) =>
+    api.post(`/auth/reset-password/${token}`, { password }),
+  verifyEmail: (token) =>
+    api.post(`/auth/verify-email/${token}`),
+  resendVerification: (email) =>
+    api.post('/auth/verify-email', { email }),
 };
 
 // Topics API
@@ -55,10 +115,35 @@ export const topicsAPI = {
     api.get(`/topics/${id}`),
   create: (name, description) =>
     api.post('/topics', { name, description }),
-  update: (id, name, description) =>
-    api.put(`/topics/${id}`, { name, description }),
+  update: (id, name, description, adaptive_quizzes) =>
+    api.put(`/topics/${id}`, { name, description, adaptive_quizzes }),
   delete: (id) =>
     api.delete(`/topics/${id}`),
+  getPathRevisions: (id) =>
+    api.get(`/topics/${id}/path/revisions`),
+  replanPath: (id) =>
+    api.post(`/topics/${id}/path/replan`),
+  getGraph: (id) =>
+    api.get(`/topics/${id}/graph`),
+  getNextSteps: (id) =>
+    api.get(`/topics/${id}/next`),
+  setPrerequisites: (id, itemType, itemId, prerequisites) =>
+    api.put(`/topics/${id}/prerequisites/${itemType}/${itemId}`, { prerequisites }),
+  exportPackage: (id, format = 'zip', includeFlashcards = false) =>
+    api.get(`/topics/${id}/export`, { params: { format, flashcards: includeFlashcards }, responseType: 'blob' }),
+  // The package file (ZIP or JSON) is sent as-is; the server detects which
+  importPackage: (file) =>
+    api.post('/topics/import', file, { headers: { 'Content-Type': 'application/octet-stream' } }),
+  getDocuments: (id) =>
+    api.get(`/topics/${id}/documents`),
+  // Source material is sent as raw bytes; the file name tells the server its format
+  uploadDocument: (id, file, title) =>
+    api.post(`/topics/${id}/documents`, file, {
+      params: { filename: file.name, title },
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+    }),
+  deleteDocument: (id, documentId) =>
+    api.delete(`/topics/${id}/documents/${documentId}`),
 };
 
 // Lessons API
@@ -85,12 +170,18 @@ export const quizAPI = {
     api.get(`/quiz/${quizId}`),
   create: (topicId, title, description, order_index) =>
     api.post(`/quiz/topic/${topicId}/quiz`, { title, description, order_index }),
-  addQuestion: (quizId, question, options, correct_answer, order_index) =>
-    api.post(`/quiz/${quizId}/question`, { question, options, correct_answer, order_index }),
+  addQuestion: (quizId, question, options, correct_answer, order_index, type = 'multiple_choice', settings = {}) =>
+    api.post(`/quiz/${quizId}/question`, { type, question, options, correct_answer, settings, order_index }),
   submit: (quizId, answers) =>
     api.post(`/quiz/${quizId}/submit`, { answers }),
   getAttempts: (quizId) =>
     api.get(`/quiz/${quizId}/attempts`),
+  startSession: (quizId) =>
+    api.post(`/quiz/${quizId}/sessions`),
+  getSession: (sessionId) =>
+    api.get(`/quiz/sessions/${sessionId}`),
+  answerSession: (sessionId, answer) =>
+    api.post(`/quiz/sessions/${sessionId}/answer`, { answer }),
   delete: (quizId) =>
     api.delete(`/quiz/${quizId}`),
 };
@@ -107,6 +198,31 @@ export const chatAPI = {
     api.post(`/chat/lesson/${lessonId}/initial-explanation`),
   getAIResponse: (lessonId, message) =>
     api.post(`/chat/lesson/${lessonId}/ai-response`, { message }),
+  streamAIResponse: (lessonId, message, onEvent) =>
+    streamSSE(`/chat/lesson/${lessonId}/ai-response/stream`, { message }, onEvent),
+};
+
+// Video Jobs API
+export const videosAPI = {
+  getJob: (jobId) => api.get(`/videos/jobs/${jobId}`),
+};
+
+// Flashcards API (spaced repetition)
+export const flashcardsAPI = {
+  getDue: (params = {}) => api.get('/flashcards/due', { params }),
+  getByLesson: (lessonId) => api.get(`/flashcards/lesson/${lessonId}`),
+  review: (flashcardId, grade) => api.post(`/flashcards/${flashcardId}/review`, { grade }),
+};
+
+// Quotas API (LLM token and video budgets)
+export const quotasAPI = {
+  getMine: () => api.get('/quotas/me'),
+};
+
+// Concept mastery API (knowledge tracing per concept)
+export const masteryAPI = {
+  getMine: () => api.get('/mastery'),
+  getByTopic: (topicId) => api.get(`/mastery/topic/${topicId}`),
 };
 
 // Evaluation API (Model 6)
@@ -119,4 +235,10 @@ export const evaluationAPI = {
     api.post(`/evaluation/topic/${topicId}/evaluate`),
 };
 
+// Agents API (agent message traces, staff only)
+export const agentsAPI = {
+  getTraces: (params = {}) => api.get('/agents/traces', { params }),
+  getTrace: (traceId) => api.get(`/agents/traces/${traceId}`),
+};
+
 export default api;
@@ -0,0 +1,71 @@
+// Options may arrive as a JSON string depending on how they were stored
+export const parseOptions = (options) => {
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (e) {
+      console.error('Failed to parse options:', options, e);
+      return [];
+    }
+  }
+
+  if (!Array.isArray(options)) {
+    console.error('Options is not an array:', options);
+    return [];
+  }
+
+  return options;
+};
+
+// Question from the API in the shape QuestionInput expects
+export const toQuizQuestion = (q) => ({
+  id: q.id,
+  type: q.type || 'multiple_choice',
+  question: q.question,
+  options: q.options ? parseOptions(q.options) : [],
+  settings: q.settings || {},
+  concept: q.concept || null,
+  difficulty: q.difficulty || 'medium'
+});
+
+// Starting answer for a question; ordering starts from the displayed order
+export const initialAnswer = (question) => {
+  if (!question) return null;
+  if (question.type === 'ordering') return question.options.map((_, index) => index);
+  if (question.type === 'code') return question.settings.starterCode || '';
+  return null;
+};
+
+export const isAnswered = (question, answer) => {
+  switch (question.type) {
+    case 'multiple_select':
+      return Array.isArray(answer) && answer.length > 0;
+    case 'fill_blank':
+      return Array.isArray(answer) && answer.some(text => text?.trim());
+    case 'free_text':
+    case 'code':
+      return typeof answer === 'string' && answer.trim().length > 0;
+    default:
+      return answer !== null && answer !== undefined;
+  }
+};
+
+// Readable form of an answer (the learner's or the correct one) for the review
+export const formatAnswer = (item, answer, options) => {
+  if (answer === null || answer === undefined) return 'No answer';
+
+  switch (item.type) {
+    case 'multiple_select':
+      return answer.map(index => options[index]).join(', ');
+    case 'fill_blank':
+      return answer.map(text => (Array.isArray(text) ? text[0] : text) || '—').join(', ');
+    case 'ordering':
+      return answer.map(index => options[index]).join(' → ');
+    case 'free_text':
+      return answer.modelAnswer ?? answer;
+    case 'code':
+      return answer.referenceSolution ?? answer;
+    default:
+      return options[answer];
+  }
+};
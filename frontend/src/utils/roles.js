@@ -0,0 +1,4 @@
+// Roles allowed to run system evaluations and inspect agent traces
+export const STAFF_ROLES = ['instructor', 'admin'];
+
+export const isStaff = (user) => STAFF_ROLES.includes(user?.role);